@@ -0,0 +1,99 @@
+'use strict';
+
+const { validateSchema, coerceParameter } = require('./schema');
+
+/**
+ * @param {string} path - OpenAPI path, e.g. "/api/templates/{id}"
+ * @returns {RegExp} Matches request paths as Express could route them, in any case and with
+ * trailing slashes, with a named group per parameter
+ */
+const pathPattern = (path) => new RegExp(`^${path
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}/*$`, 'i');
+
+const decode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Express middleware: checks the path parameters, query and JSON body of every request the OpenAPI
+ * document describes, and answers 400 with every problem when they don't fit:
+ *
+ *   { "success": false, "error": "Invalid request: body.priority must be one of normal, high", "errors": [...] }
+ *
+ * Routes still get the request as sent; parameters are only converted for the check. Multipart bodies
+ * are left to the routes, multer parses them later. Requests the document doesn't describe pass through.
+ * Sets req.apiOperation to { path, params }, the documented path ("/api/templates/{id}") and its values.
+ * @param {object} spec - OpenAPI document, see buildSpec()
+ * @returns {function}
+ */
+const requestValidator = (spec) => {
+    const components = spec.components.schemas;
+    const parameters = spec.components.parameters || {};
+    // Literal paths before templated ones, so /api/flows/sessions isn't taken for /api/flows/{id}
+    const operations = Object.entries(spec.paths)
+        .map(([path, methods]) => ({ path, pattern: pathPattern(path), methods, params: (path.match(/\{/g) || []).length }))
+        .sort((a, b) => a.params - b.params);
+
+    return (req, res, next) => {
+        const method = req.method.toLowerCase();
+        let operation = null;
+        let match = null;
+        for (const entry of operations) {
+            match = entry.methods[method] && req.path.match(entry.pattern);
+            if (match) {
+                operation = entry.methods[method];
+                req.apiOperation = { path: entry.path, params: Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, decode(value)])) };
+                break;
+            }
+        }
+        if (!operation) return next();
+
+        const errors = [];
+        for (let parameter of operation.parameters || []) {
+            if (parameter.$ref) parameter = parameters[parameter.$ref.replace('#/components/parameters/', '')];
+            if (parameter.in === 'header') continue;
+            const raw = parameter.in === 'path' ? decode(match.groups[parameter.name]) : req.query[parameter.name];
+            if (raw === undefined) {
+                if (parameter.required) errors.push(`${parameter.in}.${parameter.name} is required`);
+                continue;
+            }
+            const value = Array.isArray(raw) ? raw.map(item => coerceParameter(parameter.schema, item)) : coerceParameter(parameter.schema, raw);
+            errors.push(...validateSchema(parameter.schema, value, { name: `${parameter.in}.${parameter.name}`, components }));
+        }
+
+        const content = operation.requestBody && operation.requestBody.content['application/json'];
+        if (content && req.is('application/json')) {
+            errors.push(...validateSchema(content.schema, req.body, { name: 'body', components }));
+        }
+
+        if (errors.length === 0) return next();
+        res.status(400).json({
+            success: false,
+            error: `Invalid request: ${errors.join('; ')}`,
+            errors
+        });
+    };
+};
+
+/**
+ * Express error middleware: answers a body express.json() couldn't parse like any other invalid request
+ * @returns {function}
+ */
+const jsonErrors = () => (error, req, res, next) => {
+    if (error.type !== 'entity.parse.failed') return next(error);
+    res.status(400).json({
+        success: false,
+        error: 'Invalid request: body is not valid JSON',
+        errors: ['body is not valid JSON']
+    });
+};
+
+module.exports = {
+    requestValidator,
+    jsonErrors
+};
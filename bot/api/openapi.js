@@ -0,0 +1,820 @@
+'use strict';
+
+const { ROLES, routeRole } = require('../auth/roles');
+const { WEBHOOK_EVENTS } = require('../webhooks/subscriptions');
+const { QueueStatus } = require('../queue/QueueStore');
+const { CampaignStatus } = require('../campaigns/CampaignStore');
+const { MESSAGE_TYPES } = require('../autoreply/rules');
+const { REGIONS } = require('../phone/regions');
+const { REJECTION_REASONS } = require('../phone/normalize');
+const { FORMATS } = require('../contacts/importers');
+const { REPLY_STATUSES, FIELD_OPERATORS } = require('../contacts/segments');
+const { OUTCOMES } = require('../contacts/labelSync');
+const { PARTICIPANT_ACTIONS, REQUEST_ACTIONS } = require('../chats/groups');
+
+/**
+ * The OpenAPI 3.0 document of the REST API, served at /api/openapi.json and rendered at /api/docs.
+ * Request validation is driven by it (see bot/api/middleware.js), so a route's parameters and JSON
+ * body are described in ROUTES below or not checked at all. The role every operation needs comes
+ * from ROUTE_ROLES in bot/auth/roles.js.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', description, ...extra });
+const boolean = (description) => ({ type: 'boolean', description });
+const object = (properties, required = [], extra = {}) => ({ type: 'object', properties, ...(required.length > 0 ? { required } : {}), ...extra });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const binary = (description) => ({ type: 'string', format: 'binary', description });
+// Lists multipart forms send as comma-separated text and JSON bodies as arrays
+const list = (description) => ({ anyOf: [arrayOf({ type: 'string' }), { type: 'string' }], description });
+// Nested objects multipart forms send as JSON text
+const nested = (schema) => ({ anyOf: [schema, { type: 'string', description: 'The object as JSON text, in multipart forms' }] });
+
+const SCHEMAS = {
+    Phone: string('Phone number, with its country code unless it is in PHONE_DEFAULT_REGION, or a group chat or channel id', {
+        pattern: '^\\+?[0-9][0-9 ().\\[\\]-]*(@[cg]\\.us|@newsletter)?$',
+        maxLength: 40,
+        example: '+14155550123'
+    }),
+    Region: string('Region of numbers without a country code, instead of PHONE_DEFAULT_REGION', { enum: Object.keys(REGIONS), example: 'GB' }),
+    NumberCheck: object({
+        row: integer('1 is the first number'),
+        input: string('As given'),
+        valid: { type: 'boolean' },
+        e164: string('Normalized number', { example: '+447911123456' }),
+        region: string('Region whose rules it fits, null for countries without rules', { nullable: true }),
+        whatsappId: string('Chat id it is messaged at', { example: '447911123456@c.us' }),
+        duplicateOf: integer('Row the same number came first in', { nullable: true }),
+        reason: string('Why it was rejected', { enum: Object.keys(REJECTION_REASONS) }),
+        error: string('Why it was rejected, readable')
+    }),
+    Contact: object({
+        id: { type: 'string' },
+        number: string('E.164, contacts are unique by it', { example: '+447911123456' }),
+        whatsappId: { type: 'string' },
+        name: { type: 'string' },
+        fields: { type: 'object', additionalProperties: true, description: 'Other columns of the import, for templates' },
+        timezone: { type: 'string', nullable: true },
+        consent: { type: 'object', nullable: true, additionalProperties: true },
+        tags: arrayOf({ type: 'string' }),
+        sources: arrayOf(string('', { enum: [...FORMATS, 'whatsapp'] })),
+        lastContactedAt: string('Last message sent to the contact', { format: 'date-time', nullable: true }),
+        lastReplyAt: string('Last message received from the contact', { format: 'date-time', nullable: true }),
+        replyStatus: string('Whether the contact answered the last message sent', { enum: REPLY_STATUSES })
+    }, [], { additionalProperties: true }),
+    ContactList: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string', nullable: true },
+        count: integer('Contacts on the list')
+    }, [], { additionalProperties: true }),
+    SegmentFilter: object({
+        tags: object({
+            all: list('Contacts need every one of these tags'),
+            any: list('Contacts need at least one of these tags'),
+            none: list('Contacts must have none of these tags')
+        }, [], { additionalProperties: false }),
+        fields: arrayOf(object({
+            name: string('Field, or name, number or timezone', { minLength: 1 }),
+            op: string('', { enum: FIELD_OPERATORS, default: 'equals' }),
+            value: { anyOf: [{ type: 'string' }, { type: 'number' }], description: 'Not used by exists and missing' }
+        }, ['name'])),
+        lastContacted: object({
+            after: { type: 'string', format: 'date-time' },
+            before: { type: 'string', format: 'date-time' },
+            withinDays: integer('Messaged in the last days', { minimum: 1 }),
+            olderThanDays: integer('Not messaged in the last days, never messaged included', { minimum: 1 })
+        }, [], { additionalProperties: false }),
+        replyStatus: arrayOf(string('', { enum: REPLY_STATUSES })),
+        lists: list('Contacts on any of these lists')
+    }, [], { additionalProperties: false, description: 'Every condition given has to hold, an empty filter matches everyone' }),
+    Segment: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string', nullable: true },
+        filter: ref('SegmentFilter'),
+        count: integer('Contacts matching now')
+    }, [], { additionalProperties: true }),
+    ContactMapping: object({
+        number: string('Column with the phone number, default is: the first column named like phone, mobile or number'),
+        name: { anyOf: [{ type: 'string' }, arrayOf({ type: 'string' }, { minItems: 1 })], description: 'Column, or columns joined with spaces, e.g. ["First name", "Last name"]' },
+        timezone: string('Column with an IANA timezone'),
+        delimiter: string('CSV only', { minLength: 1, maxLength: 1, default: ',' })
+    }, [], { additionalProperties: false }),
+    ContactImport: object({
+        id: { type: 'string' },
+        source: string('', { enum: [...FORMATS, 'whatsapp'] }),
+        fileName: { type: 'string', nullable: true },
+        list: object({ id: { type: 'string' }, name: { type: 'string' } }, [], { nullable: true }),
+        tags: arrayOf(string('Added to every imported contact')),
+        at: { type: 'string', format: 'date-time' },
+        total: integer('Records read'),
+        created: { type: 'integer' },
+        updated: { type: 'integer' },
+        unchanged: { type: 'integer' },
+        duplicates: integer('Records repeating a number earlier in the import, merged into it'),
+        rejected: arrayOf(object({
+            row: integer('1 is the first record'),
+            input: { type: 'string' },
+            reason: string('See NumberCheck; invalid_record for JSON entries that aren\'t objects'),
+            error: { type: 'string' }
+        }))
+    }),
+    LabelSync: object({
+        at: { type: 'string', format: 'date-time' },
+        trigger: string('', { enum: ['manual', 'interval'] }),
+        labels: arrayOf(object({
+            id: { type: 'string' },
+            name: { type: 'string' },
+            tagged: integer('Contacts tagged because their chat got the label'),
+            untagged: integer('Contacts untagged because the label was taken off their chat'),
+            labeled: integer('Chats labeled because their contact got the tag'),
+            unlabeled: integer('Chats unlabeled because the tag was removed'),
+            created: integer('Contacts added to the database for labeled chats'),
+            failed: arrayOf(object({ number: { type: 'string' }, error: { type: 'string' } }), { description: 'Tried again at the next sync' })
+        })),
+        forgotten: arrayOf(string('Labels deleted in WhatsApp since the last sync, their tags stay')),
+        error: { type: 'string', nullable: true }
+    }),
+    Priority: string('High priority messages jump the queue', { enum: ['normal', 'high'], default: 'normal' }),
+    SendAt: string('Send at this time instead of right away; quiet hours still apply', { format: 'date-time', nullable: true, example: '2030-01-31T09:00:00Z' }),
+    Timezone: string('IANA timezone', { nullable: true, example: 'Europe/Berlin' }),
+    Variables: { type: 'object', description: 'Values for {placeholders} in the template', additionalProperties: true },
+    ConsentScope: string('Consent scope the recipients need, see CONSENT_POLICY', { nullable: true, example: 'marketing' }),
+    Error: object({
+        success: { type: 'boolean', example: false },
+        error: string('What went wrong'),
+        errors: arrayOf({ type: 'string' }, { description: 'Every problem found, when there are several' })
+    }, ['success', 'error']),
+    Success: object({
+        success: { type: 'boolean', example: true },
+        message: string('What happened')
+    }, ['success'], { additionalProperties: true }),
+    QueuedMessage: object({
+        id: string('Queue id'),
+        messageId: string('WhatsApp message id, once sent', { nullable: true }),
+        number: string('Recipient'),
+        type: string('Kind of message', { enum: ['text', 'media'] }),
+        message: string('Text or caption'),
+        priority: ref('Priority'),
+        status: string('Where the message is', { enum: Object.values(QueueStatus) }),
+        sendAt: string('When it is sent', { format: 'date-time', nullable: true }),
+        campaignId: string('Campaign it belongs to', { nullable: true }),
+        statusHistory: arrayOf(object({ status: { type: 'string' }, at: { type: 'integer' }, error: { type: 'string' } }))
+    }, [], { additionalProperties: true }),
+    Campaign: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        status: string('', { enum: Object.values(CampaignStatus) }),
+        template: string('Message template'),
+        startAt: string('', { format: 'date-time', nullable: true }),
+        counts: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Recipients per status' }
+    }, [], { additionalProperties: true }),
+    Template: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string', nullable: true },
+        body: string('Template text with {placeholders}'),
+        media: { type: 'object', nullable: true, additionalProperties: true },
+        variables: arrayOf({ type: 'string' }),
+        version: { type: 'integer' }
+    }, [], { additionalProperties: true }),
+    ScheduleTarget: object({
+        type: string('Who gets the message', { enum: ['number', 'group', 'groups', 'channels', 'label', 'contacts', 'list', 'segment'] }),
+        id: string('Phone number, group chat id, label id, contact list id or segment id; not used for contacts, groups and channels', { nullable: true }),
+        ids: arrayOf({ type: 'string' }, { description: 'Group chat ids for groups, channel ids for channels, see /api/groups and /api/channels' }),
+        name: string('Shown in the dashboard', { nullable: true })
+    }, ['type']),
+    BroadcastChat: object({
+        id: string('Chat id', { example: '120363012345678901@g.us' }),
+        type: string('', { enum: ['group', 'channel'] }),
+        name: { type: 'string' },
+        description: { type: 'string' },
+        size: integer('Participants of a group, followers of a channel when WhatsApp reports them', { nullable: true }),
+        adminsOnly: boolean('Only admins may post: groups set to admin-only messaging, and every channel'),
+        canSend: boolean('Whether this account may post to it'),
+        reason: string('Why it can\'t', { nullable: true })
+    }),
+    GroupSettings: object({
+        messagesAdminsOnly: boolean('Only admins can send messages'),
+        infoAdminsOnly: boolean('Only admins can change the name, description and picture'),
+        addMembersAdminsOnly: boolean('Only admins can add participants')
+    }),
+    Group: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        size: { type: 'integer' },
+        canSend: { type: 'boolean' },
+        owner: { type: 'string', nullable: true },
+        createdAt: { type: 'string', format: 'date-time', nullable: true },
+        isAdmin: boolean('Whether this account is an admin, only admins can change the group'),
+        settings: ref('GroupSettings'),
+        participants: arrayOf(object({ id: { type: 'string' }, isAdmin: { type: 'boolean' }, isSuperAdmin: boolean('The group\'s creator') }))
+    }, [], { additionalProperties: true }),
+    ResultSummary: object({ total: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' } }),
+    ParticipantResult: object({
+        id: string('Participant, or the number as given when it isn\'t valid'),
+        success: { type: 'boolean' },
+        code: integer('WhatsApp\'s result code when adding: 200 added, 403 only by invite, 404 not on WhatsApp, 408 left recently, 409 already in the group, 419 group full', { nullable: true }),
+        message: { type: 'string' },
+        inviteSent: boolean('A private invite went out to someone who can only join by invite')
+    }),
+    Schedule: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        recurrence: string('Cron expression or RRULE', { example: '0 9 * * 1-5' }),
+        timezone: { type: 'string' },
+        target: ref('ScheduleTarget'),
+        templateId: { type: 'string', nullable: true },
+        message: { type: 'string', nullable: true },
+        enabled: { type: 'boolean' },
+        nextRunAt: { type: 'string', format: 'date-time', nullable: true }
+    }, [], { additionalProperties: true }),
+    AutoReplyMatch: object({
+        text: list('Whole messages that match, ignoring case and surrounding punctuation'),
+        pattern: string('Regular expression, its named groups become variables', { nullable: true }),
+        flags: string('Regular expression flags', { default: 'i' }),
+        types: list(`Message types: ${MESSAGE_TYPES.join(', ')}`),
+        chats: string('', { enum: ['private', 'groups', 'all'], default: 'private' }),
+        senders: list('Phone numbers'),
+        groups: list('Group chat ids'),
+        labels: list('WhatsApp label ids')
+    }),
+    AutoReplyResponse: object({
+        type: string('', { enum: ['text', 'template', 'media', 'poll'], default: 'text' }),
+        text: string('Reply text or caption, a template with {name}, {number}, {message}'),
+        templateId: string('Saved template, for type template', { nullable: true }),
+        poll: object({
+            question: { type: 'string' },
+            options: list('Poll options'),
+            allowMultipleAnswers: { type: 'boolean' }
+        }),
+        quote: { anyOf: [{ type: 'boolean' }, { type: 'string' }], description: 'Reply quoting the message' }
+    }),
+    BusinessHours: object({
+        when: string('"always" turns business hours off', { enum: ['always', 'inside', 'outside'] }),
+        days: arrayOf({ type: 'integer', minimum: 0, maximum: 6 }, { description: '0 is Sunday' }),
+        start: string('', { example: '09:00' }),
+        end: string('', { example: '18:00' }),
+        timezone: ref('Timezone')
+    }, [], { nullable: true }),
+    AutoReplyRule: object({
+        name: { type: 'string' },
+        match: nested(ref('AutoReplyMatch')),
+        response: nested(ref('AutoReplyResponse')),
+        hours: nested(ref('BusinessHours')),
+        cooldownMinutes: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }], nullable: true, description: 'Minutes before the rule answers the same chat again' },
+        enabled: { anyOf: [{ type: 'boolean' }, { type: 'string' }] },
+        media: binary('Attachment, for response type media (multipart only)')
+    }),
+    Flow: object({
+        name: { type: 'string' },
+        trigger: { type: 'object', additionalProperties: true, description: 'What starts the flow, e.g. { "keywords": ["menu"] }' },
+        timeoutMinutes: { type: 'number' },
+        timeoutMessage: { type: 'string', nullable: true },
+        start: string('Id of the first node'),
+        nodes: { type: 'object', additionalProperties: { type: 'object', additionalProperties: true }, description: 'Nodes by id, see "Conversation Flows" in SAFE_BOT_README.md' },
+        enabled: { type: 'boolean' }
+    }, [], { additionalProperties: true }),
+    Webhook: object({
+        url: string('http(s) URL the events are POSTed to', { format: 'uri' }),
+        events: arrayOf({ type: 'string' }, { description: `Events, "*" or "kind.*": ${Object.keys(WEBHOOK_EVENTS).join(', ')}` }),
+        secret: string('Signs the deliveries, at least 16 characters; generated when empty'),
+        description: { type: 'string', nullable: true },
+        enabled: { type: 'boolean' }
+    }),
+    Session: object({
+        id: { type: 'string' },
+        name: { type: 'string' },
+        state: string('', { enum: ['stopped', 'starting', 'qr', 'connected'] }),
+        running: boolean('Started when the bot starts'),
+        account: object({ name: { type: 'string' }, number: { type: 'string' } }, [], { nullable: true }),
+        queueLength: { type: 'integer' },
+        dailyCount: { type: 'integer' }
+    }, [], { additionalProperties: true })
+};
+
+const ok = (description, properties = {}) => ({
+    description,
+    content: { 'application/json': { schema: object({ success: { type: 'boolean', example: true }, ...properties }, [], { additionalProperties: true }) } }
+});
+const csvOrJson = (description) => ({
+    description,
+    content: {
+        'application/json': { schema: ref('Success') },
+        'text/csv': { schema: { type: 'string' } }
+    }
+});
+
+const BULK_FIELDS = {
+    audience: nested(ref('ScheduleTarget')),
+    messageTemplate: string('Template rendered for every contact of the audience, contacts.csv by default', { nullable: true }),
+    templateId: string('Saved template instead of messageTemplate', { nullable: true }),
+    priority: ref('Priority'),
+    consentScope: ref('ConsentScope'),
+    sendAt: ref('SendAt')
+};
+
+// Where imported contacts go besides the database
+const IMPORT_TARGET = {
+    listId: string('Add the contacts to this list'),
+    listName: string('Add the contacts to the list with this name, created when there is none'),
+    tags: list('Tag every imported contact')
+};
+
+/**
+ * Every route: method, path (OpenAPI style), tag and summary, plus what it takes:
+ * query (parameters), params (path parameters besides plain strings), body (JSON) and form (multipart).
+ * session: false marks routes that don't belong to a WhatsApp session.
+ */
+const ROUTES = [
+    // Messages
+    { method: 'post', path: '/api/send-message', tag: 'Messages', summary: 'Queue a text message, or a saved template',
+        body: object({
+            number: ref('Phone'),
+            message: string('Text, required unless templateId is given', { nullable: true }),
+            templateId: string('Saved template, rendered with variables', { nullable: true }),
+            variables: ref('Variables'),
+            priority: ref('Priority'),
+            sendAt: ref('SendAt'),
+            timezone: ref('Timezone')
+        }, ['number']),
+        response: ok('Queued', { queueId: string('Queue id, see /api/messages/{id}'), queuePosition: { type: 'integer' } }) },
+    { method: 'post', path: '/api/send-media', tag: 'Messages', summary: 'Queue a media message',
+        form: object({ media: binary('Image, video, audio or document, up to 16 MB'), number: ref('Phone'), message: string('Caption'), priority: ref('Priority'), sendAt: ref('SendAt'), timezone: ref('Timezone') }, ['media', 'number']) },
+    { method: 'get', path: '/api/messages/{id}', tag: 'Messages', summary: 'Lifecycle of a queued message, by queue id or WhatsApp message id',
+        response: ok('The message', { message: ref('QueuedMessage') }) },
+    { method: 'post', path: '/api/validate-number', tag: 'Messages', summary: 'Check whether a number is on WhatsApp',
+        body: object({ number: ref('Phone'), defaultRegion: ref('Region') }, ['number']),
+        response: ok('Checked', { valid: { type: 'boolean' }, number: { type: 'string' }, e164: { type: 'string' }, region: { type: 'string', nullable: true }, isWhatsAppNumber: { type: 'boolean' } }) },
+    { method: 'post', path: '/api/validate-numbers', tag: 'Messages', summary: 'Normalize a list of numbers to E.164 with a reason for every rejected one, WhatsApp isn\'t asked',
+        body: object({ numbers: arrayOf({ type: 'string', nullable: true }, { maxItems: 10000 }), defaultRegion: ref('Region') }, ['numbers']),
+        form: object({ file: binary('CSV with a phone, number or mobile column, or one number per line'), defaultRegion: ref('Region') }, ['file']),
+        response: ok('Checked', {
+            defaultRegion: { type: 'string', nullable: true },
+            total: { type: 'integer' },
+            valid: { type: 'integer' },
+            invalid: { type: 'integer' },
+            duplicates: { type: 'integer' },
+            numbers: arrayOf({ type: 'string' }, { description: 'Valid numbers in E.164, each once' }),
+            results: arrayOf(ref('NumberCheck'))
+        }) },
+    { method: 'post', path: '/api/check-message-safety', tag: 'Messages', summary: 'Rate a message for spam risk, nothing is sent',
+        body: object({ message: string('Text to check', { minLength: 1 }) }, ['message']) },
+    { method: 'get', path: '/api/check-number-limit/{number}', tag: 'Messages', summary: 'How many more messages a number can get today' },
+    { method: 'get', path: '/api/scheduled', tag: 'Messages', summary: 'Messages waiting for their send time' },
+    { method: 'delete', path: '/api/scheduled/{id}', tag: 'Messages', summary: 'Cancel a scheduled message' },
+
+    // Bulk sends and contacts
+    { method: 'post', path: '/api/upload-csv', tag: 'Bulk sends', summary: 'Replace contacts.csv (Name and PhoneNumber columns, optional consent and Timezone columns)',
+        form: object({ csvFile: binary('CSV file') }, ['csvFile']) },
+    { method: 'get', path: '/api/load-contacts', tag: 'Bulk sends', summary: 'Contacts in contacts.csv' },
+    { method: 'post', path: '/api/send-bulk-messages', tag: 'Bulk sends', summary: 'Send to everyone in contacts.csv, or the audience given, as a campaign',
+        body: object(BULK_FIELDS), response: ok('Campaign created', { campaignId: { type: 'string' } }) },
+    { method: 'post', path: '/api/send-bulk-media', tag: 'Bulk sends', summary: 'Send media to everyone in contacts.csv, or the audience given, as a campaign',
+        form: object({ media: binary('Attachment'), ...BULK_FIELDS }, ['media']) },
+
+    { method: 'get', path: '/api/contacts', tag: 'Contacts', summary: 'The contact database, by name',
+        query: {
+            q: string('Part of the name or number'),
+            tag: string('Only contacts with this tag'),
+            listId: string('Only contacts on this list'),
+            segmentId: string('Only contacts in this segment'),
+            limit: integer('', { minimum: 1, maximum: 1000, default: 100 }),
+            offset: integer('', { minimum: 0, default: 0 })
+        },
+        response: ok('Contacts', { total: { type: 'integer' }, contacts: arrayOf(ref('Contact')) }) },
+    { method: 'get', path: '/api/contacts/tags', tag: 'Contacts', summary: 'Tags in use, most used first',
+        response: ok('Tags', { tags: arrayOf(object({ tag: { type: 'string' }, count: { type: 'integer' } })) }) },
+    { method: 'post', path: '/api/contacts/tags', tag: 'Contacts', summary: 'Add or remove tags on several contacts',
+        body: object({
+            ids: arrayOf({ type: 'string' }, { minItems: 1 }),
+            add: arrayOf({ type: 'string' }),
+            remove: arrayOf({ type: 'string' })
+        }, ['ids']),
+        response: ok('Tagged', { updated: { type: 'integer' }, notFound: arrayOf({ type: 'string' }) }) },
+    { method: 'post', path: '/api/contacts/import', tag: 'Contacts', summary: 'Import contacts from a CSV, vCard or JSON file, merged by number',
+        body: object({
+            contacts: arrayOf({ type: 'object', additionalProperties: true }, { description: 'Contacts as JSON objects, larger lists as a file' }),
+            mapping: ref('ContactMapping'),
+            defaultRegion: ref('Region'),
+            ...IMPORT_TARGET
+        }, ['contacts']),
+        form: object({
+            file: binary('.csv, .vcf or .json'),
+            format: string('Default is: guessed from the file name', { enum: FORMATS }),
+            mapping: nested(ref('ContactMapping')),
+            defaultRegion: ref('Region'),
+            ...IMPORT_TARGET
+        }, ['file']),
+        response: ok('Imported', { import: ref('ContactImport') }) },
+    { method: 'post', path: '/api/contacts/import/whatsapp', tag: 'Contacts', summary: 'Import the linked phone\'s contacts, or the chats of WhatsApp labels',
+        body: object({
+            labelIds: arrayOf({ type: 'string' }, { description: 'Import these labels\' chats instead, tagged with the label names' }),
+            savedOnly: { type: 'boolean', default: true, description: 'Only contacts saved in the phone\'s address book' }
+        }),
+        response: ok('Imported', { import: ref('ContactImport') }) },
+    { method: 'get', path: '/api/contacts/imports', tag: 'Contacts', summary: 'Past imports, newest first, with rejectedCount instead of the rejected rows' },
+    { method: 'get', path: '/api/contacts/imports/{id}', tag: 'Contacts', summary: 'An import report with its rejected rows',
+        query: { format: string('csv downloads the rejected rows', { enum: ['json', 'csv'] }) }, response: csvOrJson('The report') },
+    { method: 'get', path: '/api/contacts/{id}', tag: 'Contacts', summary: 'A contact with the lists it is on',
+        response: ok('The contact', { contact: ref('Contact'), lists: arrayOf(object({ id: { type: 'string' }, name: { type: 'string' } })) }) },
+    { method: 'put', path: '/api/contacts/{id}', tag: 'Contacts', summary: 'Change a contact, only the fields given',
+        body: object({
+            name: { type: 'string' },
+            tags: arrayOf({ type: 'string' }, { description: 'Replaces the tags' }),
+            fields: { type: 'object', additionalProperties: { type: 'string', nullable: true }, description: 'Merged into the fields, null removes one' },
+            timezone: ref('Timezone')
+        }),
+        response: ok('Changed', { contact: ref('Contact') }) },
+    { method: 'delete', path: '/api/contacts/{id}', tag: 'Contacts', summary: 'Delete a contact, it is taken off its lists' },
+
+    // Contact lists and segments
+    { method: 'get', path: '/api/lists', tag: 'Lists and segments', summary: 'Contact lists', response: ok('Lists', { lists: arrayOf(ref('ContactList')) }) },
+    { method: 'post', path: '/api/lists', tag: 'Lists and segments', summary: 'Create a contact list',
+        body: object({ name: string('Unique, ignoring case', { minLength: 1 }), description: { type: 'string', nullable: true }, contactIds: arrayOf({ type: 'string' }) }, ['name']),
+        status: 201, response: ok('Created', { list: ref('ContactList') }) },
+    { method: 'get', path: '/api/lists/{id}', tag: 'Lists and segments', summary: 'A contact list with a page of its contacts',
+        query: { limit: integer('', { minimum: 1, maximum: 1000, default: 100 }), offset: integer('', { minimum: 0, default: 0 }) },
+        response: ok('The list', { list: ref('ContactList'), total: { type: 'integer' }, contacts: arrayOf(ref('Contact')) }) },
+    { method: 'put', path: '/api/lists/{id}', tag: 'Lists and segments', summary: 'Rename a contact list or change its description',
+        body: object({ name: string('', { minLength: 1 }), description: { type: 'string', nullable: true } }) },
+    { method: 'delete', path: '/api/lists/{id}', tag: 'Lists and segments', summary: 'Delete a contact list, its contacts stay in the database' },
+    { method: 'post', path: '/api/lists/{id}/contacts', tag: 'Lists and segments', summary: 'Add contacts to a list',
+        body: object({ contactIds: arrayOf({ type: 'string' }, { minItems: 1 }) }, ['contactIds']),
+        response: ok('Added', { added: { type: 'integer' }, list: ref('ContactList') }) },
+    { method: 'delete', path: '/api/lists/{id}/contacts/{contactId}', tag: 'Lists and segments', summary: 'Take a contact off a list' },
+    { method: 'get', path: '/api/segments', tag: 'Lists and segments', summary: 'Segments with how many contacts match now',
+        response: ok('Segments', { segments: arrayOf(ref('Segment')) }) },
+    { method: 'post', path: '/api/segments', tag: 'Lists and segments', summary: 'Save a segment, its members are worked out whenever it is used',
+        body: object({ name: string('Unique, ignoring case', { minLength: 1 }), description: { type: 'string', nullable: true }, filter: ref('SegmentFilter') }, ['name']),
+        status: 201, response: ok('Created', { segment: ref('Segment') }) },
+    { method: 'post', path: '/api/segments/preview', tag: 'Lists and segments', summary: 'Who a filter matches, nothing is saved',
+        body: object({ filter: ref('SegmentFilter') }),
+        response: ok('Matches', { total: { type: 'integer' }, contacts: arrayOf(ref('Contact'), { description: 'The first 20' }) }) },
+    { method: 'get', path: '/api/segments/{id}', tag: 'Lists and segments', summary: 'A segment with a page of the contacts it matches',
+        query: { limit: integer('', { minimum: 1, maximum: 1000, default: 100 }), offset: integer('', { minimum: 0, default: 0 }) },
+        response: ok('The segment', { segment: ref('Segment'), total: { type: 'integer' }, contacts: arrayOf(ref('Contact')) }) },
+    { method: 'put', path: '/api/segments/{id}', tag: 'Lists and segments', summary: 'Change a segment, only the fields given',
+        body: object({ name: string('', { minLength: 1 }), description: { type: 'string', nullable: true }, filter: ref('SegmentFilter') }) },
+    { method: 'delete', path: '/api/segments/{id}', tag: 'Lists and segments', summary: 'Delete a segment, runs of schedules sending to it fail' },
+
+    // WhatsApp labels
+    { method: 'get', path: '/api/labels', tag: 'Labels', summary: 'WhatsApp Business labels with their chat and tagged contact counts',
+        response: ok('Labels', {
+            labels: arrayOf(object({
+                id: { type: 'string' },
+                name: string('Also the contact tag it syncs with'),
+                hexColor: { type: 'string', nullable: true },
+                chats: { type: 'integer' },
+                contacts: integer('Contacts tagged with the name')
+            }))
+        }) },
+    { method: 'get', path: '/api/labels/sync', tag: 'Labels', summary: 'Label sync settings and the last 20 syncs, newest first',
+        response: ok('Sync state', {
+            intervalMinutes: integer('LABEL_SYNC_MINUTES, 0 when syncs only run on request'),
+            outcomeLabels: { type: 'object', additionalProperties: { type: 'string' }, description: `Label per campaign outcome (${OUTCOMES.join(', ')}), from CAMPAIGN_OUTCOME_LABELS` },
+            running: { type: 'boolean' },
+            runs: arrayOf(ref('LabelSync'))
+        }) },
+    { method: 'post', path: '/api/labels/sync', tag: 'Labels', summary: 'Sync WhatsApp labels and contact tags both ways now',
+        response: ok('Synced', { sync: ref('LabelSync') }) },
+
+    // Groups and channels
+    { method: 'get', path: '/api/groups', tag: 'Groups and channels', summary: 'Group chats of the account, for groups audiences',
+        query: { postable: boolean('Only groups this account may post to') },
+        response: ok('Groups', { groups: arrayOf(ref('BroadcastChat')) }) },
+    { method: 'get', path: '/api/channels', tag: 'Groups and channels', summary: 'Channels the account owns or follows, for channels audiences',
+        query: { postable: boolean('Only channels this account may post to') },
+        response: ok('Channels', { channels: arrayOf(ref('BroadcastChat')) }) },
+    { method: 'post', path: '/api/groups', tag: 'Groups and channels', summary: 'Create a group with the members of a contact list and/or numbers',
+        body: object({
+            name: string('', { minLength: 1 }),
+            listId: string('Contact list whose members join'),
+            numbers: list('Phone numbers that join'),
+            settings: ref('GroupSettings')
+        }, ['name']),
+        status: 201, response: ok('Created', {
+            group: object({ id: { type: 'string' }, name: { type: 'string' } }),
+            participants: arrayOf(ref('ParticipantResult')),
+            summary: ref('ResultSummary'),
+            settings: object({ changed: arrayOf({ type: 'string' }), failed: arrayOf(string('Settings WhatsApp didn\'t apply')) })
+        }) },
+    { method: 'get', path: '/api/groups/{id}', tag: 'Groups and channels', summary: 'A group with its settings and participants',
+        response: ok('The group', { group: ref('Group') }) },
+    { method: 'put', path: '/api/groups/{id}', tag: 'Groups and channels', summary: 'Change a group\'s name, description and settings, only the fields given; admins only',
+        body: object({ name: string('', { minLength: 1 }), description: { type: 'string' }, ...SCHEMAS.GroupSettings.properties }),
+        response: ok('Changed', { changed: arrayOf({ type: 'string' }), failed: arrayOf({ type: 'string' }), group: ref('Group') }) },
+    { method: 'post', path: '/api/groups/{id}/participants/{action}', tag: 'Groups and channels', summary: 'Add, remove, promote or demote participants; admins only',
+        params: { action: string('', { enum: PARTICIPANT_ACTIONS }) },
+        body: object({ listId: string('Contact list whose members it applies to'), numbers: list('Phone numbers it applies to') }),
+        response: ok('Per-participant results', {
+            results: arrayOf(ref('ParticipantResult')),
+            summary: ref('ResultSummary')
+        }) },
+    { method: 'get', path: '/api/groups/{id}/invite', tag: 'Groups and channels', summary: 'The group\'s invite link; admins only',
+        response: ok('Invite link', { code: { type: 'string' }, link: string('', { example: 'https://chat.whatsapp.com/AbCdEfGhIjK' }) }) },
+    { method: 'post', path: '/api/groups/{id}/invite/revoke', tag: 'Groups and channels', summary: 'Revoke the invite link and make a new one; admins only',
+        response: ok('New invite link', { code: { type: 'string' }, link: { type: 'string' } }) },
+    { method: 'get', path: '/api/groups/{id}/requests', tag: 'Groups and channels', summary: 'Pending requests to join the group; admins only',
+        response: ok('Membership requests', {
+            requests: arrayOf(object({
+                id: string('Who asked to join'),
+                addedBy: { type: 'string', nullable: true },
+                method: string('How the request was made', { nullable: true, example: 'InviteLink' }),
+                at: { type: 'string', format: 'date-time', nullable: true }
+            }))
+        }) },
+    { method: 'post', path: '/api/groups/{id}/requests/{action}', tag: 'Groups and channels', summary: 'Approve or reject membership requests, every pending one when no ids are given; admins only',
+        params: { action: string('', { enum: REQUEST_ACTIONS }) },
+        body: object({ ids: list('Requesters, as listed by GET /api/groups/{id}/requests') }),
+        response: ok('Per-request results', {
+            results: arrayOf(object({ id: { type: 'string' }, success: { type: 'boolean' }, code: { type: 'integer', nullable: true }, message: { type: 'string' } })),
+            summary: ref('ResultSummary')
+        }) },
+
+    // Campaigns
+    { method: 'get', path: '/api/campaigns', tag: 'Campaigns', summary: 'Campaigns, newest first', response: ok('Campaigns', { campaigns: arrayOf(ref('Campaign')) }) },
+    { method: 'post', path: '/api/campaigns', tag: 'Campaigns', summary: 'Create a campaign for contacts.csv or the audience given, started now or at startAt',
+        body: object({ name: string('', { minLength: 1 }), startAt: ref('SendAt'), ...BULK_FIELDS }, ['name']),
+        form: object({ name: { type: 'string' }, media: binary('Attachment'), startAt: ref('SendAt'), ...BULK_FIELDS }, ['name']) },
+    { method: 'get', path: '/api/campaigns/{id}', tag: 'Campaigns', summary: 'A campaign with its recipients', response: ok('The campaign', { campaign: ref('Campaign') }) },
+    { method: 'get', path: '/api/campaigns/{id}/report', tag: 'Campaigns', summary: 'Per-recipient report',
+        query: { format: string('csv downloads it', { enum: ['json', 'csv'] }) }, response: csvOrJson('The report') },
+    { method: 'post', path: '/api/campaigns/{id}/{action}', tag: 'Campaigns', summary: 'Pause, resume or cancel a campaign',
+        params: { action: string('', { enum: ['pause', 'resume', 'cancel'] }) } },
+
+    // Templates
+    { method: 'get', path: '/api/templates', tag: 'Templates', summary: 'Saved templates', response: ok('Templates', { templates: arrayOf(ref('Template')) }) },
+    { method: 'post', path: '/api/templates', tag: 'Templates', summary: 'Save a template, optionally with an attachment',
+        body: object({ name: string('', { minLength: 1 }), body: { type: 'string' }, description: { type: 'string', nullable: true } }, ['name']),
+        form: object({ name: { type: 'string' }, body: { type: 'string' }, description: { type: 'string' }, media: binary('Attachment') }, ['name']),
+        status: 201, response: ok('Saved', { template: ref('Template') }) },
+    { method: 'post', path: '/api/templates/preview', tag: 'Templates', summary: 'Render a template for the first contacts of contacts.csv',
+        body: object({ messageTemplate: { type: 'string' }, count: integer('How many contacts', { minimum: 1, maximum: 50, default: 5 }) }, ['messageTemplate']) },
+    { method: 'get', path: '/api/templates/{id}', tag: 'Templates', summary: 'A template with its versions' },
+    { method: 'put', path: '/api/templates/{id}', tag: 'Templates', summary: 'Change a template, the old text is kept as a version',
+        body: object({ name: { type: 'string' }, body: { type: 'string' }, description: { type: 'string', nullable: true }, note: string('Why it changed', { nullable: true }), removeMedia: { anyOf: [{ type: 'boolean' }, { type: 'string' }] } }),
+        form: object({ name: { type: 'string' }, body: { type: 'string' }, description: { type: 'string' }, note: { type: 'string' }, removeMedia: { type: 'string' }, media: binary('New attachment') }) },
+    { method: 'post', path: '/api/templates/{id}/versions/{version}/restore', tag: 'Templates', summary: 'Restore an older version',
+        params: { version: integer('Version number', { minimum: 1 }) } },
+    { method: 'delete', path: '/api/templates/{id}', tag: 'Templates', summary: 'Delete a template' },
+
+    // Schedules
+    { method: 'get', path: '/api/schedules', tag: 'Schedules', summary: 'Recurring schedules', response: ok('Schedules', { schedules: arrayOf(ref('Schedule')) }) },
+    { method: 'post', path: '/api/schedules/preview', tag: 'Schedules', summary: 'Next run times of a recurrence',
+        body: object({ recurrence: string('Cron expression or RRULE', { minLength: 1 }), timezone: ref('Timezone'), count: integer('', { minimum: 1, maximum: 20, default: 5 }) }, ['recurrence']) },
+    { method: 'post', path: '/api/schedules', tag: 'Schedules', summary: 'Create a recurring schedule',
+        body: object({
+            name: string('', { minLength: 1 }),
+            recurrence: string('Cron expression or RRULE', { minLength: 1 }),
+            timezone: ref('Timezone'),
+            target: ref('ScheduleTarget'),
+            templateId: { type: 'string', nullable: true },
+            message: string('Text, unless templateId is given', { nullable: true }),
+            priority: ref('Priority'),
+            enabled: { type: 'boolean' }
+        }, ['name', 'recurrence', 'target']),
+        status: 201 },
+    { method: 'get', path: '/api/schedules/{id}', tag: 'Schedules', summary: 'A schedule with its recent runs' },
+    { method: 'put', path: '/api/schedules/{id}', tag: 'Schedules', summary: 'Change a schedule, only the fields given',
+        body: object({
+            name: string('', { minLength: 1 }),
+            recurrence: { type: 'string' },
+            timezone: ref('Timezone'),
+            target: ref('ScheduleTarget'),
+            templateId: { type: 'string', nullable: true },
+            message: { type: 'string', nullable: true },
+            priority: ref('Priority'),
+            enabled: { anyOf: [{ type: 'boolean' }, { type: 'string' }] }
+        }) },
+    { method: 'post', path: '/api/schedules/{id}/run', tag: 'Schedules', summary: 'Run a schedule now' },
+    { method: 'delete', path: '/api/schedules/{id}', tag: 'Schedules', summary: 'Delete a schedule' },
+
+    // Inbox
+    { method: 'get', path: '/api/inbox', tag: 'Inbox', summary: 'Conversations, or messages matching q', query: { q: string('Search text') } },
+    { method: 'get', path: '/api/inbox/media/{messageId}', tag: 'Inbox', summary: 'Attachment of an inbox message', response: { description: 'The file', content: { 'application/octet-stream': { schema: binary('') } } } },
+    { method: 'get', path: '/api/inbox/{chatId}', tag: 'Inbox', summary: 'Messages of a conversation, newest last',
+        query: { limit: integer('', { minimum: 1, maximum: 500, default: 50 }), before: string('Only messages before this message id') } },
+    { method: 'post', path: '/api/inbox/{chatId}/read', tag: 'Inbox', summary: 'Mark a conversation read, on the phone too' },
+    { method: 'post', path: '/api/inbox/{chatId}/messages', tag: 'Inbox', summary: 'Reply in a conversation',
+        body: object({ message: string('', { minLength: 1 }), quotedMessageId: string('Message to quote', { nullable: true }) }, ['message']),
+        form: object({ message: { type: 'string' }, quotedMessageId: { type: 'string' }, media: binary('Attachment') }) },
+
+    // Auto-replies
+    { method: 'get', path: '/api/auto-replies', tag: 'Auto-replies', summary: 'Rules, in the order they are checked' },
+    { method: 'post', path: '/api/auto-replies', tag: 'Auto-replies', summary: 'Add a rule',
+        body: ref('AutoReplyRule'), form: ref('AutoReplyRule'), status: 201 },
+    { method: 'post', path: '/api/auto-replies/order', tag: 'Auto-replies', summary: 'Change the order rules are checked in',
+        body: object({ ids: arrayOf({ type: 'string' }, { description: 'Every rule id, in the new order' }) }, ['ids']) },
+    { method: 'post', path: '/api/auto-replies/test', tag: 'Auto-replies', summary: 'Which rule would answer a message, nothing is sent',
+        body: object({
+            message: { type: 'string' },
+            type: string('Message type', { enum: MESSAGE_TYPES, default: 'chat' }),
+            from: string('Sender number'),
+            chatId: { type: 'string' },
+            isGroup: { type: 'boolean' },
+            labels: arrayOf({ type: 'string' }),
+            name: string('Sender name')
+        }) },
+    { method: 'get', path: '/api/auto-replies/{id}', tag: 'Auto-replies', summary: 'A rule' },
+    { method: 'put', path: '/api/auto-replies/{id}', tag: 'Auto-replies', summary: 'Change a rule, only the fields given',
+        body: ref('AutoReplyRule'), form: ref('AutoReplyRule') },
+    { method: 'delete', path: '/api/auto-replies/{id}', tag: 'Auto-replies', summary: 'Delete a rule' },
+
+    // Flows
+    { method: 'get', path: '/api/flows', tag: 'Flows', summary: 'Flows with their counts' },
+    { method: 'post', path: '/api/flows', tag: 'Flows', summary: 'Add a flow', body: ref('Flow'), status: 201 },
+    { method: 'post', path: '/api/flows/simulate', tag: 'Flows', summary: 'Play a transcript through a flow, nothing is sent',
+        body: object({
+            flowId: string('Saved flow'),
+            flow: ref('Flow'),
+            transcript: arrayOf({ anyOf: [{ type: 'string' }, { type: 'object', additionalProperties: true }] }, { description: 'Texts, { vote }, { react } or { wait } steps' }),
+            variables: ref('Variables')
+        }, ['transcript']) },
+    { method: 'get', path: '/api/flows/sessions', tag: 'Flows', summary: 'Chats currently in a flow' },
+    { method: 'delete', path: '/api/flows/sessions/{chatId}', tag: 'Flows', summary: 'Take a chat out of its flow' },
+    { method: 'get', path: '/api/flows/{id}', tag: 'Flows', summary: 'A flow' },
+    { method: 'put', path: '/api/flows/{id}', tag: 'Flows', summary: 'Replace a flow, or just set enabled', body: ref('Flow') },
+    { method: 'delete', path: '/api/flows/{id}', tag: 'Flows', summary: 'Delete a flow, chats in it are dropped' },
+
+    // Compliance
+    { method: 'get', path: '/api/suppression', tag: 'Compliance', summary: 'Opted-out numbers',
+        query: { format: string('csv downloads the list', { enum: ['json', 'csv'] }) }, response: csvOrJson('The list') },
+    { method: 'post', path: '/api/suppression', tag: 'Compliance', summary: 'Opt numbers out',
+        body: object({ number: ref('Phone'), numbers: arrayOf(ref('Phone'), { minItems: 1 }), reason: { type: 'string' } }) },
+    { method: 'post', path: '/api/suppression/import', tag: 'Compliance', summary: 'Opt out every number of a CSV or text file',
+        form: object({ file: binary('CSV or one number per line'), reason: { type: 'string' } }, ['file']) },
+    { method: 'delete', path: '/api/suppression/{number}', tag: 'Compliance', summary: 'Lift an opt-out' },
+    { method: 'get', path: '/api/consent', tag: 'Compliance', summary: 'Consent coverage of contacts.csv', query: { scope: string('Scope to check') } },
+    { method: 'get', path: '/api/consent/audit', tag: 'Compliance', summary: 'Every campaign message with the consent it was sent under',
+        query: { campaignId: { type: 'string' }, format: string('csv downloads it', { enum: ['json', 'csv'] }) }, response: csvOrJson('The audit') },
+
+    // WhatsApp client and queue
+    { method: 'get', path: '/api/status', tag: 'Status', summary: 'Connection, queue and today\'s statistics',
+        response: ok('Status', { connected: { type: 'boolean' }, queueLength: { type: 'integer' }, processing: { type: 'boolean' }, stats: { type: 'object', additionalProperties: true } }) },
+    { method: 'get', path: '/api/debug-status', tag: 'Status', summary: 'Detailed client, queue and rate limit state' },
+    { method: 'get', path: '/api/throughput-config', tag: 'Status', summary: 'Rate limits in effect' },
+    { method: 'get', path: '/api/qr', tag: 'Status', summary: 'QR code to link a phone, while the session waits for one',
+        response: ok('QR code', { qr: string('PNG data URL, null when no QR code is waiting', { nullable: true }), status: { type: 'string' } }) },
+    { method: 'post', path: '/api/restart-whatsapp', tag: 'Status', summary: 'Restart the WhatsApp client' },
+    { method: 'post', path: '/api/process-queue', tag: 'Status', summary: 'Start sending the queue if it stopped' },
+    { method: 'post', path: '/api/emergency-stop', tag: 'Status', summary: 'Cancel everything queued and scheduled, pause campaigns and schedules' },
+
+    // Sessions
+    { method: 'get', path: '/api/sessions', tag: 'Sessions', session: false, summary: 'WhatsApp sessions', response: ok('Sessions', { sessions: arrayOf(ref('Session')), maxSessions: { type: 'integer' } }) },
+    { method: 'post', path: '/api/sessions', tag: 'Sessions', session: false, summary: 'Add a session and start it unless start is false',
+        body: object({
+            id: string('1-32 letters, digits, _ or -, stored lowercase', { pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$', example: 'sales' }),
+            name: string('', { maxLength: 64 }),
+            start: { type: 'boolean', default: true }
+        }, ['id']),
+        status: 201, response: ok('Added', { session: ref('Session') }) },
+    { method: 'post', path: '/api/sessions/{id}/start', tag: 'Sessions', session: false, summary: 'Start a session\'s WhatsApp client' },
+    { method: 'post', path: '/api/sessions/{id}/stop', tag: 'Sessions', session: false, summary: 'Stop a session\'s WhatsApp client, its login is kept' },
+    { method: 'delete', path: '/api/sessions/{id}', tag: 'Sessions', session: false, summary: 'Delete a session',
+        query: { purge: boolean('Also log the phone out and delete the session\'s data') } },
+
+    // Webhooks
+    { method: 'get', path: '/api/webhooks', tag: 'Webhooks', session: false, summary: 'Subscriptions, without their secrets' },
+    { method: 'post', path: '/api/webhooks', tag: 'Webhooks', session: false, summary: 'Subscribe a URL to events; the secret is returned once',
+        body: object(SCHEMAS.Webhook.properties, ['url', 'events']), status: 201 },
+    { method: 'get', path: '/api/webhooks/deliveries', tag: 'Webhooks', session: false, summary: 'Deliveries waiting for a retry', query: { subscriptionId: { type: 'string' } } },
+    { method: 'get', path: '/api/webhooks/dead-letters', tag: 'Webhooks', session: false, summary: 'Deliveries that ran out of attempts, newest first',
+        query: { subscriptionId: { type: 'string' }, event: { type: 'string' }, limit: integer('', { minimum: 1, default: 100 }) } },
+    { method: 'post', path: '/api/webhooks/dead-letters/replay', tag: 'Webhooks', session: false, summary: 'Replay the dead letters in ids, or all of them',
+        body: object({ ids: arrayOf({ type: 'string' }), subscriptionId: { type: 'string' } }) },
+    { method: 'post', path: '/api/webhooks/dead-letters/{id}/replay', tag: 'Webhooks', session: false, summary: 'Replay one dead letter' },
+    { method: 'delete', path: '/api/webhooks/dead-letters/{id}', tag: 'Webhooks', session: false, summary: 'Delete a dead letter' },
+    { method: 'get', path: '/api/webhooks/{id}', tag: 'Webhooks', session: false, summary: 'A subscription' },
+    { method: 'put', path: '/api/webhooks/{id}', tag: 'Webhooks', session: false, summary: 'Change a subscription; an empty secret generates a new one', body: ref('Webhook') },
+    { method: 'post', path: '/api/webhooks/{id}/test', tag: 'Webhooks', session: false, summary: 'Send a webhook.test event' },
+    { method: 'delete', path: '/api/webhooks/{id}', tag: 'Webhooks', session: false, summary: 'Delete a subscription and its pending retries' },
+
+    // Authentication
+    { method: 'post', path: '/api/auth/login', tag: 'Authentication', session: false, public: true, summary: 'Sign in, sets the session cookie',
+        body: object({ username: string('', { minLength: 1 }), password: string('', { minLength: 1 }) }, ['username', 'password']) },
+    { method: 'post', path: '/api/auth/logout', tag: 'Authentication', session: false, public: true, summary: 'Sign out' },
+    { method: 'get', path: '/api/auth/me', tag: 'Authentication', session: false, summary: 'Who is signed in, with which role' },
+    { method: 'post', path: '/api/auth/password', tag: 'Authentication', session: false, summary: 'Change your own password',
+        body: object({ currentPassword: { type: 'string' }, password: string('', { minLength: 10 }) }, ['currentPassword', 'password']) },
+    { method: 'get', path: '/api/auth/users', tag: 'Authentication', session: false, summary: 'Dashboard users' },
+    { method: 'post', path: '/api/auth/users', tag: 'Authentication', session: false, summary: 'Add a user',
+        body: object({ username: { type: 'string' }, password: string('', { minLength: 10 }), role: string('', { enum: ROLES }) }, ['username', 'password', 'role']),
+        status: 201 },
+    { method: 'put', path: '/api/auth/users/{id}', tag: 'Authentication', session: false, summary: 'Change a user\'s role or password',
+        body: object({ role: string('', { enum: ROLES }), password: string('', { minLength: 10 }) }) },
+    { method: 'delete', path: '/api/auth/users/{id}', tag: 'Authentication', session: false, summary: 'Delete a user' },
+    { method: 'get', path: '/api/auth/keys', tag: 'Authentication', session: false, summary: 'API keys, without the keys' },
+    { method: 'post', path: '/api/auth/keys', tag: 'Authentication', session: false, summary: 'Create an API key; the key is returned once',
+        body: object({ name: string('', { minLength: 1 }), role: string('', { enum: ROLES }) }, ['name', 'role']),
+        status: 201 },
+    { method: 'delete', path: '/api/auth/keys/{id}', tag: 'Authentication', session: false, summary: 'Revoke an API key' },
+
+    // Audit log
+    { method: 'get', path: '/api/audit', tag: 'Audit log', session: false, summary: 'State-changing API requests with who made them and how they ended, newest first',
+        query: {
+            actor: string('User name, API key name or id'),
+            action: string('Part of the action, e.g. send-bulk or DELETE'),
+            sessionId: string('Session the request went to'),
+            outcome: string('', { enum: ['success', 'failure'] }),
+            from: string('Date or time, inclusive', { example: '2024-05-01' }),
+            to: string('Date or time; a date includes the whole day', { example: '2024-05-31' }),
+            q: string('Text anywhere in the entry'),
+            limit: integer('Ignored for csv', { minimum: 1, maximum: 1000, default: 100 }),
+            offset: integer('Matches skipped, ignored for csv', { minimum: 0, default: 0 }),
+            format: string('csv downloads every match', { enum: ['json', 'csv'] })
+        },
+        response: csvOrJson('The entries') },
+
+    // Documentation
+    { method: 'get', path: '/api/openapi.json', tag: 'Documentation', session: false, public: true, summary: 'This document',
+        response: { description: 'OpenAPI 3.0 document', content: { 'application/json': { schema: { type: 'object' } } } } },
+    { method: 'get', path: '/api/docs', tag: 'Documentation', session: false, public: true, summary: 'This document as a web page',
+        response: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } },
+    { method: 'get', path: '/metrics', tag: 'Status', session: false, summary: 'Prometheus metrics of every session',
+        response: { description: 'Prometheus text format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } } },
+    { method: 'get', path: '/health', tag: 'Documentation', session: false, public: true, summary: 'Liveness check for the platform' }
+];
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+
+const buildOperation = (route) => {
+    const pathParams = Array.from(route.path.matchAll(/\{(\w+)\}/g), match => match[1]);
+    const parameters = [
+        ...pathParams.map(name => ({ name, in: 'path', required: true, schema: (route.params || {})[name] || { type: 'string' } })),
+        ...Object.entries(route.query || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema }))
+    ];
+    if (route.session !== false) parameters.push({ $ref: '#/components/parameters/SessionHeader' }, { $ref: '#/components/parameters/SessionQuery' });
+
+    const content = {};
+    if (route.body) content['application/json'] = { schema: route.body };
+    if (route.form) content['multipart/form-data'] = { schema: route.form };
+
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        operationId: `${route.method}${route.path.replace(/[{}]/g, '').replace(/(^|[/.-])(\w)/g, (all, separator, letter) => letter.toUpperCase())}`,
+        'x-required-role': route.public ? null : routeRole(route.method.toUpperCase(), route.path.replace(/\{(\w+)\}/g, 'x')),
+        ...(route.public ? { security: [] } : {}),
+        ...(parameters.length > 0 ? { parameters } : {}),
+        ...(Object.keys(content).length > 0 ? { requestBody: { required: Boolean(route.body && route.body.required) || Boolean(route.form), content } } : {}),
+        responses: {
+            [route.status || 200]: route.response || { description: 'Done', content: { 'application/json': { schema: ref('Success') } } }
+        }
+    };
+    if (parameters.length > 0 || operation.requestBody) operation.responses[400] = errorResponse('The request is invalid');
+    if (!route.public) {
+        operation.responses[401] = errorResponse('Not signed in');
+        operation.responses[403] = errorResponse('The role is too low');
+    }
+    if (pathParams.length > 0 || route.session !== false) operation.responses[404] = errorResponse('Not found, or no such session');
+    return operation;
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.version] - Version of the bot, default is: "1.0.0"
+ * @returns {object} The OpenAPI document
+ */
+const buildSpec = (options = {}) => {
+    const paths = {};
+    for (const route of ROUTES) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = buildOperation(route);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Safe WhatsApp Bot API',
+            version: options.version || '1.0.0',
+            description: 'Queue, schedule and bulk-send WhatsApp messages with rate limits, answer the inbox and manage ' +
+                'sessions, webhooks and access. Sign in with an API key (X-API-Key or Authorization: Bearer) or the ' +
+                'dashboard session cookie; x-required-role is the least role each operation needs. Requests that don\'t ' +
+                'fit their schema are answered with 400 and every problem in "errors".'
+        },
+        servers: [{ url: '/' }],
+        tags: Array.from(new Set(ROUTES.map(route => route.tag)), name => ({ name })),
+        security: [{ apiKey: [] }, { bearer: [] }, { cookie: [] }],
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            parameters: {
+                SessionHeader: { name: 'X-Session-Id', in: 'header', required: false, schema: { type: 'string', default: 'default' }, description: 'WhatsApp session the request is for' },
+                SessionQuery: { name: 'sessionId', in: 'query', required: false, schema: { type: 'string' }, description: 'Same as X-Session-Id, for links' }
+            },
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearer: { type: 'http', scheme: 'bearer', description: 'An API key' },
+                cookie: { type: 'apiKey', in: 'cookie', name: 'swb_session', description: 'Set by /api/auth/login' }
+            }
+        }
+    };
+};
+
+module.exports = {
+    buildSpec
+};
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Checks values against the part of JSON Schema the OpenAPI document uses:
+ *
+ *   type (and nullable), enum, anyOf, $ref to components.schemas,
+ *   strings:  minLength, maxLength, pattern, format ("date-time", "uri"; empty strings count as not given)
+ *   numbers:  minimum, maximum
+ *   arrays:   items, minItems, maxItems
+ *   objects:  properties, required, additionalProperties
+ *
+ * Problems name the field they're about, e.g. "body.priority must be one of normal, high".
+ */
+
+const FORMATS = {
+    'date-time': value => !isNaN(Date.parse(value)),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+const ARTICLES = { array: 'an array', integer: 'an integer', object: 'an object' };
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const hasType = (type, value) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+const describeType = (schema) => `${ARTICLES[schema.type] || `a ${schema.type}`}${schema.nullable ? ' or null' : ''}`;
+
+const resolve = (schema, components) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const name = resolved.$ref.replace('#/components/schemas/', '');
+        if (!components[name]) throw new Error(`Unknown schema ${resolved.$ref}`);
+        resolved = components[name];
+    }
+    return resolved;
+};
+
+const check = (schema, value, name, components, errors) => {
+    schema = resolve(schema, components);
+    if (!schema || value === undefined) return;
+    if (value === null && schema.nullable) return;
+
+    if (schema.anyOf) {
+        const fits = schema.anyOf.some(option => validateSchema(option, value, { name, components }).length === 0);
+        if (!fits) {
+            const shapes = schema.anyOf.map(option => resolve(option, components)).map(option => option.type ? describeType(option) : 'something else');
+            errors.push(`${name} must be ${shapes.join(' or ')}`);
+        }
+        return;
+    }
+
+    if (schema.type && !hasType(schema.type, value)) {
+        errors.push(`${name} must be ${describeType(schema)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${name} must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${name} can't be empty` : `${name} needs at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${name} has more than ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(schema.example !== undefined
+                ? `${name} is not in the expected format, e.g. ${schema.example}`
+                : `${name} must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && value !== '' && !FORMATS[schema.format](value)) errors.push(`${name} must be a valid ${schema.format}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${name} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${name} must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${name} needs at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${name} has more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => check(schema.items, item, `${name}[${index}]`, components, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${name}.${key} is required`);
+        }
+        const properties = schema.properties || {};
+        for (const [key, item] of Object.entries(value)) {
+            if (properties[key]) {
+                check(properties[key], item, `${name}.${key}`, components, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${name}.${key} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, item, `${name}.${key}`, components, errors);
+            }
+        }
+    }
+};
+
+/**
+ * @param {object} schema
+ * @param {*} value - undefined is always valid, whether it may be missing is up to "required"
+ * @param {object} [options]
+ * @param {string} [options.name] - What the value is called in problems, default is: "value"
+ * @param {object} [options.components] - components.schemas of the document, for $ref
+ * @returns {Array<string>} Problems, empty when the value fits
+ */
+const validateSchema = (schema, value, options = {}) => {
+    const errors = [];
+    check(schema, value, options.name || 'value', options.components || {}, errors);
+    return errors;
+};
+
+/**
+ * Path and query parameters arrive as text; this turns them into what their schema asks for when
+ * they look like it, so "limit=20" checks as the integer 20. Anything else is left for validateSchema()
+ * to report.
+ * @param {object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+const coerceParameter = (schema, value) => {
+    if (typeof value !== 'string' || !schema) return value;
+    switch (schema.type) {
+    case 'integer':
+    case 'number':
+        return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+        return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array':
+        return value.split(',').map(item => coerceParameter(schema.items, item));
+    default:
+        return value;
+    }
+};
+
+module.exports = {
+    validateSchema,
+    coerceParameter
+};
@@ -0,0 +1,228 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+
+const OUTCOMES = ['success', 'failure'];
+
+// Columns of the CSV export, nested values are written as JSON
+const AUDIT_COLUMNS = ['at', 'actor', 'actorType', 'role', 'ip', 'action', 'path', 'sessionId', 'outcome', 'status', 'error', 'counts', 'params'];
+
+const MAX_ENTRIES = 5000;
+const CHUNK_SIZE = 64 * 1024;
+
+class AuditError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * Calls back with every line of a file, read a chunk at a time so the file is never in memory whole
+ * @param {string} filePath
+ * @param {function(string): (boolean|void)} callback - Returning false stops reading
+ */
+const eachLine = (filePath, callback) => {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+    } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+    }
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    const decoder = new StringDecoder('utf-8');
+    let rest = '';
+    try {
+        let read;
+        while ((read = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+            const lines = (rest + decoder.write(buffer.subarray(0, read))).split('\n');
+            rest = lines.pop();
+            for (const line of lines) {
+                if (callback(line) === false) return;
+            }
+        }
+        rest += decoder.end();
+        if (rest) callback(rest);
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+/**
+ * @param {string} line - Line of the audit log
+ * @returns {object|null} Its entry, null for an empty or unreadable line
+ */
+const readEntry = (line) => {
+    if (!line.trim()) return null;
+    try {
+        return JSON.parse(line);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * AuditLog - Append-only record of operator actions, one JSON object per line in data/audit.log.
+ * Entries are never changed or removed through the bot. The newest maxEntries are kept in memory,
+ * queries that reach further back read the older ones from the file.
+ *
+ *   { id, at, actor: { type, id, name, role }, ip, action: "POST /api/campaigns/{id}/{action}", path,
+ *     sessionId, params, counts, outcome: "success" | "failure", status, error }
+ *
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the file is written to, default is: "./data/"
+ * @param {number} [options.maxEntries] - Newest entries kept in memory, default is: 5000
+ */
+class AuditLog {
+    constructor(options = {}) {
+        this.path = path.resolve(options.dataPath || './data/', 'audit.log');
+        this.maxEntries = options.maxEntries || MAX_ENTRIES;
+        this.entries = [];
+        // Entries at the start of the file that are no longer in memory
+        this.older = 0;
+        this.load();
+    }
+
+    load() {
+        try {
+            eachLine(this.path, line => {
+                const entry = readEntry(line);
+                if (entry) {
+                    this.entries.push(entry);
+                    this.trim(this.maxEntries * 2);
+                } else if (line.trim()) {
+                    console.error(`❌ [AUDIT] Skipping an unreadable line of ${this.path}`);
+                }
+            });
+        } catch (error) {
+            console.error(`❌ [AUDIT] Could not read ${this.path}:`, error.message);
+        }
+        this.trim(this.maxEntries);
+    }
+
+    /**
+     * Leaves the newest maxEntries in memory once there are more than `above`, so they're dropped in batches
+     * @param {number} above
+     */
+    trim(above) {
+        if (this.entries.length <= above) return;
+        const dropped = this.entries.length - this.maxEntries;
+        this.entries.splice(0, dropped);
+        this.older += dropped;
+    }
+
+    /**
+     * Appends an entry; the write is synchronous so an action is on disk before its response is
+     * @param {object} fields - Everything but id and at
+     * @returns {object} The entry
+     */
+    record(fields) {
+        const entry = {
+            id: crypto.randomUUID(),
+            at: new Date().toISOString(),
+            ...fields
+        };
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.appendFileSync(this.path, `${JSON.stringify(entry)}\n`);
+        this.entries.push(entry);
+        this.trim(this.maxEntries * 2);
+        return entry;
+    }
+
+    /**
+     * @param {object} [filters]
+     * @param {string} [filters.actor] - Name or id of the user or API key
+     * @param {string} [filters.action] - Part of the action, e.g. "send-bulk" or "DELETE"
+     * @param {string} [filters.sessionId]
+     * @param {string} [filters.outcome] - "success" or "failure"
+     * @param {string} [filters.from] - Date or time, inclusive
+     * @param {string} [filters.to] - Date or time; a date without a time includes that whole day
+     * @param {string} [filters.q] - Text anywhere in the entry
+     * @param {number} [filters.limit] - Entries returned, 0 or none for every match
+     * @param {number} [filters.offset] - Matches skipped, newest first
+     * @returns {{total: number, entries: Array<object>}} How many entries match and the page of them asked for, newest first
+     * @throws {AuditError} For an invalid filter
+     */
+    query(filters = {}) {
+        const errors = [];
+        const time = (value, name, endOfDay) => {
+            if (!value) return null;
+            const parsed = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+            if (isNaN(parsed)) errors.push(`${name} must be a date or time`);
+            return parsed;
+        };
+        const from = time(filters.from, 'from', false);
+        const to = time(filters.to, 'to', true);
+        if (filters.outcome && !OUTCOMES.includes(filters.outcome)) errors.push(`outcome must be one of ${OUTCOMES.join(', ')}`);
+        if (errors.length > 0) throw new AuditError(errors.join('; '), errors);
+
+        const actor = String(filters.actor || '').toLowerCase();
+        const action = String(filters.action || '').toLowerCase();
+        const q = String(filters.q || '').toLowerCase();
+        const matches = (entry) => {
+            const at = Date.parse(entry.at);
+            if (from !== null && at < from) return false;
+            if (to !== null && at > to) return false;
+            if (filters.outcome && entry.outcome !== filters.outcome) return false;
+            if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+            if (actor && !(entry.actor && [entry.actor.name, entry.actor.id].some(value => String(value || '').toLowerCase() === actor))) return false;
+            if (action && !entry.action.toLowerCase().includes(action)) return false;
+            if (q && !JSON.stringify(entry).toLowerCase().includes(q)) return false;
+            return true;
+        };
+
+        const offset = filters.offset || 0;
+        const limit = filters.limit || 0;
+        const recent = this.entries.filter(matches).reverse();
+        let total = recent.length;
+        let earlier = [];
+        if (this.older > 0) {
+            // Every older match is counted, only the newest of them that can still be on the page are kept
+            const keep = limit ? Math.max(offset + limit - recent.length, 0) : Infinity;
+            let seen = 0;
+            eachLine(this.path, line => {
+                if (seen >= this.older) return false;
+                const entry = readEntry(line);
+                if (!entry) return;
+                seen++;
+                if (!matches(entry)) return;
+                total++;
+                if (keep === 0) return;
+                earlier.push(entry);
+                if (earlier.length > keep * 2) earlier.splice(0, earlier.length - keep);
+            });
+            if (earlier.length > keep) earlier = earlier.slice(earlier.length - keep);
+        }
+
+        const all = recent.concat(earlier.reverse());
+        return {
+            total,
+            entries: limit ? all.slice(offset, offset + limit) : all.slice(offset)
+        };
+    }
+
+    /**
+     * @param {Array<object>} entries
+     * @returns {Array<object>} Rows for toCsv() with AUDIT_COLUMNS
+     */
+    static toRows(entries) {
+        return entries.map(entry => ({
+            ...entry,
+            actor: entry.actor ? entry.actor.name : 'anonymous',
+            actorType: entry.actor ? entry.actor.type : null,
+            role: entry.actor ? entry.actor.role : null,
+            counts: entry.counts && Object.keys(entry.counts).length > 0 ? JSON.stringify(entry.counts) : '',
+            params: entry.params && Object.keys(entry.params).length > 0 ? JSON.stringify(entry.params) : ''
+        }));
+    }
+}
+
+module.exports = {
+    AuditLog,
+    AuditError,
+    AUDIT_COLUMNS
+};
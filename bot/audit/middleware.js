@@ -0,0 +1,120 @@
+'use strict';
+
+const { routePath, isApiPath } = require('../util/routePath');
+
+// Requests that change nothing, so they aren't audited
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const DRY_RUNS = /^\/api\/(check-message-safety|validate-numbers?|templates\/preview|schedules\/preview|segments\/preview|auto-replies\/test|flows\/simulate)$/;
+
+// Never written to the audit log
+const SECRET_FIELDS = new Set(['password', 'currentPassword', 'secret', 'key', 'apiKey', 'token']);
+const MAX_TEXT = 200;
+
+/**
+ * @param {*} value - Request parameters
+ * @returns {*} The value without secrets, long texts cut to MAX_TEXT characters
+ */
+const sanitize = (value) => {
+    if (typeof value === 'string') return value.length > MAX_TEXT ? `${value.slice(0, MAX_TEXT)}… (${value.length} chars)` : value;
+    if (Array.isArray(value)) return value.map(sanitize);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = SECRET_FIELDS.has(key) ? '[hidden]' : sanitize(item);
+    }
+    return copy;
+};
+
+const describeFile = (file) => ({ name: file.originalname, size: file.size, type: file.mimetype });
+
+/**
+ * @param {object} req
+ * @returns {object} Path parameters, query, body and uploaded files of the request, sanitized
+ */
+const requestParams = (req) => {
+    const params = {};
+    const pathParams = req.apiOperation ? req.apiOperation.params : {};
+    if (Object.keys(pathParams).length > 0) params.path = pathParams;
+    const query = Object.fromEntries(Object.entries(req.query || {}).filter(([key]) => key !== 'sessionId'));
+    if (Object.keys(query).length > 0) params.query = sanitize(query);
+    if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) params.body = sanitize(req.body);
+    if (req.file) params.file = describeFile(req.file);
+    if (Array.isArray(req.files) && req.files.length > 0) params.files = req.files.map(describeFile);
+    return params;
+};
+
+/**
+ * @param {object} [body] - JSON response
+ * @param {string} [prefix] - Set for the objects in it
+ * @returns {object} Its numeric fields but ids, and those of the objects in it one level down,
+ * e.g. { campaignsCancelled: 2, "summary.total": 120, "summary.failed": 3 }
+ */
+const responseCounts = (body, prefix = '') => {
+    const counts = {};
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return counts;
+    for (const [key, value] of Object.entries(body)) {
+        if (typeof value === 'number' && Number.isFinite(value) && !/id$/i.test(key)) {
+            counts[`${prefix}${key}`] = value;
+        } else if (!prefix && value && typeof value === 'object') {
+            Object.assign(counts, responseCounts(value, `${key}.`));
+        }
+    }
+    return counts;
+};
+
+/**
+ * Express middleware: records every state-changing API request in the audit log once it's answered,
+ * including the ones turned away for authentication. Goes before sign-in so those are seen too;
+ * req.auth, req.apiOperation (bot/api/middleware.js) and req.sessionId are read when the response
+ * is finished.
+ * @param {AuditLog} log
+ * @returns {function}
+ */
+const auditTrail = (log) => (req, res, next) => {
+    // Routers change req.path while routing, so it's taken now; checked as Express routes it, in any case
+    const requestPath = req.path;
+    const normalized = routePath(requestPath);
+    if (!isApiPath(normalized) || SAFE_METHODS.includes(req.method) || DRY_RUNS.test(normalized)) return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.auditBody = body;
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        const body = res.locals.auditBody;
+        const failed = res.statusCode >= 400 || (body && body.success === false);
+        // Sign-ins have no req.auth yet: the user signed in, or the name that was tried
+        const login = normalized === '/api/auth/login' && req.body && req.body.username;
+        let actor = null;
+        if (req.auth) {
+            actor = { type: req.auth.type, id: req.auth.id, name: req.auth.name, role: req.auth.role };
+        } else if (login && body && body.user) {
+            actor = { type: 'user', id: body.user.id, name: body.user.username, role: body.user.role };
+        } else if (login) {
+            actor = { type: 'user', id: null, name: String(req.body.username), role: null };
+        }
+        try {
+            log.record({
+                actor,
+                ip: req.ip,
+                action: `${req.method} ${req.apiOperation ? req.apiOperation.path : requestPath}`,
+                path: requestPath,
+                sessionId: req.sessionId || null,
+                params: requestParams(req),
+                counts: responseCounts(body),
+                outcome: failed ? 'failure' : 'success',
+                status: res.statusCode,
+                error: failed && body ? body.error || null : null
+            });
+        } catch (error) {
+            console.error(`❌ [AUDIT] Failed to record ${req.method} ${requestPath}:`, error.message);
+        }
+    });
+    next();
+};
+
+module.exports = {
+    auditTrail
+};
@@ -0,0 +1,300 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+const { AuthError, ROLES, isRole } = require('./roles');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, 64);
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * AuthStore - Dashboard users, API keys and login sessions, persisted to JSON files.
+ * Passwords are stored as scrypt hashes, API keys and session tokens as SHA-256 hashes,
+ * so the files never hold anything that signs in by itself.
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the files are written to, default is: "./data/"
+ * @param {number} [options.sessionHours] - How long a login lasts, default is: 12
+ */
+class AuthStore {
+    constructor(options = {}) {
+        const dataPath = options.dataPath || './data/';
+        this.file = new JsonFile(path.join(dataPath, 'auth.json'), { users: [], apiKeys: [] });
+        this.sessionFile = new JsonFile(path.join(dataPath, 'auth-sessions.json'), []);
+        const data = this.file.read();
+        this.users = new Map(data.users.map(user => [user.id, user]));
+        this.apiKeys = new Map(data.apiKeys.map(apiKey => [apiKey.id, apiKey]));
+        this.sessions = new Map(this.sessionFile.read().map(session => [session.tokenHash, session]));
+        this.sessionHours = options.sessionHours || 12;
+    }
+
+    /**
+     * @returns {string} A random password long enough for createUser()
+     */
+    static generatePassword() {
+        return crypto.randomBytes(12).toString('base64url');
+    }
+
+    /**
+     * @param {object} fields - { username, password, role }
+     * @returns {object}
+     * @throws {AuthError} When a field is invalid or the username is taken
+     */
+    createUser(fields) {
+        const errors = [];
+        const username = String(fields.username || '').trim().toLowerCase();
+        if (!/^[a-z0-9._@-]{3,64}$/.test(username)) errors.push('Usernames are 3-64 letters, digits or ._@-');
+        if (this.findUser(username)) errors.push(`User "${username}" already exists`);
+        if (String(fields.password || '').length < MIN_PASSWORD_LENGTH) errors.push(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        if (!isRole(fields.role)) errors.push(`Role must be one of ${ROLES.join(', ')}`);
+        if (errors.length > 0) throw new AuthError(errors.join('; '), errors);
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role: fields.role,
+            passwordHash: hashPassword(String(fields.password)),
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+        this.users.set(user.id, user);
+        this.save();
+        return user;
+    }
+
+    getUser(id) {
+        return this.users.get(id) || null;
+    }
+
+    findUser(username) {
+        const wanted = String(username || '').trim().toLowerCase();
+        return this.listUsers().find(user => user.username === wanted) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Users by username
+     */
+    listUsers() {
+        return Array.from(this.users.values()).sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    /**
+     * Changes a user's role or password; a new password signs the user out everywhere
+     * @param {object} user
+     * @param {object} fields - { role, password }
+     * @returns {object}
+     * @throws {AuthError} When a field is invalid or the last admin would lose the role
+     */
+    updateUser(user, fields = {}) {
+        const errors = [];
+        if (fields.role !== undefined && !isRole(fields.role)) errors.push(`Role must be one of ${ROLES.join(', ')}`);
+        if (fields.role !== undefined && fields.role !== 'admin' && this.isLastAdmin(user)) errors.push('The last admin has to stay an admin');
+        if (fields.password !== undefined && String(fields.password).length < MIN_PASSWORD_LENGTH) {
+            errors.push(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (errors.length > 0) throw new AuthError(errors.join('; '), errors);
+
+        if (fields.role !== undefined) user.role = fields.role;
+        if (fields.password !== undefined) {
+            user.passwordHash = hashPassword(String(fields.password));
+            this.removeSessions(session => session.userId === user.id);
+        }
+        this.save();
+        return user;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed user, whose sessions end with it
+     * @throws {AuthError} When it's the last admin
+     */
+    removeUser(id) {
+        const user = this.getUser(id);
+        if (!user) return null;
+        if (this.isLastAdmin(user)) throw new AuthError('The last admin can\'t be deleted');
+        this.users.delete(id);
+        this.removeSessions(session => session.userId === id);
+        this.save();
+        return user;
+    }
+
+    isLastAdmin(user) {
+        return user.role === 'admin' && this.listUsers().filter(entry => entry.role === 'admin').length === 1;
+    }
+
+    /**
+     * @param {string} username
+     * @param {string} password
+     * @returns {object|null} The user when the password is right
+     */
+    checkPassword(username, password) {
+        const user = this.findUser(username);
+        if (!user) {
+            // Same work as a wrong password, so response times don't tell which usernames exist
+            hashPassword(String(password || ''));
+            return null;
+        }
+        return verifyPassword(password || '', user.passwordHash) ? user : null;
+    }
+
+    /**
+     * @param {object} user
+     * @returns {{token: string, session: object}} token is what the browser keeps, it's not stored
+     */
+    createSession(user) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const session = {
+            id: crypto.randomUUID(),
+            tokenHash: hashToken(token),
+            userId: user.id,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.sessionHours * 3600000).toISOString()
+        };
+        this.removeSessions(entry => new Date(entry.expiresAt) <= now);
+        this.sessions.set(session.tokenHash, session);
+        user.lastLoginAt = session.createdAt;
+        this.save();
+        this.saveSessions();
+        return { token, session };
+    }
+
+    /**
+     * @param {string} token
+     * @returns {{session: object, user: object}|null} null when unknown or expired
+     */
+    findSession(token) {
+        if (!token) return null;
+        const session = this.sessions.get(hashToken(token));
+        if (!session || new Date(session.expiresAt) <= new Date()) return null;
+        const user = this.getUser(session.userId);
+        return user ? { session, user } : null;
+    }
+
+    /**
+     * @param {function(object): boolean} predicate
+     * @returns {Array<object>} The removed sessions
+     */
+    removeSessions(predicate) {
+        const removed = Array.from(this.sessions.values()).filter(predicate);
+        for (const session of removed) this.sessions.delete(session.tokenHash);
+        if (removed.length > 0) this.saveSessions();
+        return removed;
+    }
+
+    /**
+     * @param {object} fields - { name, role }
+     * @returns {{key: string, apiKey: object}} key is shown once, only its hash is stored
+     * @throws {AuthError} When a field is invalid
+     */
+    createApiKey(fields) {
+        const errors = [];
+        const name = String(fields.name || '').trim();
+        if (!name) errors.push('A name is required');
+        if (!isRole(fields.role)) errors.push(`Role must be one of ${ROLES.join(', ')}`);
+        if (errors.length > 0) throw new AuthError(errors.join('; '), errors);
+
+        const key = `swb_${crypto.randomBytes(24).toString('base64url')}`;
+        const apiKey = {
+            id: crypto.randomUUID(),
+            name,
+            role: fields.role,
+            prefix: key.slice(0, 8),
+            keyHash: hashToken(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        this.apiKeys.set(apiKey.id, apiKey);
+        this.save();
+        return { key, apiKey };
+    }
+
+    /**
+     * @param {string} key
+     * @returns {object|null}
+     */
+    findApiKey(key) {
+        if (!key) return null;
+        const keyHash = hashToken(key);
+        const apiKey = Array.from(this.apiKeys.values()).find(entry => entry.keyHash === keyHash) || null;
+        if (apiKey) {
+            // Written at most once a minute, keys can be used for every request
+            const now = new Date();
+            if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt) > 60000) {
+                apiKey.lastUsedAt = now.toISOString();
+                this.save();
+            }
+        }
+        return apiKey;
+    }
+
+    /**
+     * @returns {Array<object>} API keys, oldest first
+     */
+    listApiKeys() {
+        return Array.from(this.apiKeys.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The revoked key
+     */
+    removeApiKey(id) {
+        const apiKey = this.apiKeys.get(id) || null;
+        if (!apiKey) return null;
+        this.apiKeys.delete(id);
+        this.save();
+        return apiKey;
+    }
+
+    /**
+     * User without the password hash
+     * @param {object} user
+     * @returns {object}
+     */
+    describeUser(user) {
+        // eslint-disable-next-line no-unused-vars
+        const { passwordHash, ...rest } = user;
+        return rest;
+    }
+
+    /**
+     * API key without its hash
+     * @param {object} apiKey
+     * @returns {object}
+     */
+    describeApiKey(apiKey) {
+        // eslint-disable-next-line no-unused-vars
+        const { keyHash, ...rest } = apiKey;
+        return rest;
+    }
+
+    save() {
+        return this.file.write({ users: Array.from(this.users.values()), apiKeys: Array.from(this.apiKeys.values()) });
+    }
+
+    saveSessions() {
+        return this.sessionFile.write(Array.from(this.sessions.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+        this.sessionFile.flushSync();
+    }
+}
+
+module.exports = AuthStore;
@@ -0,0 +1,136 @@
+'use strict';
+
+const { hasRole, routeRole } = require('./roles');
+const { routePath, isApiPath } = require('../util/routePath');
+
+const SESSION_COOKIE = 'swb_session';
+
+// Reachable without signing in
+const PUBLIC_ROUTES = ['/api/auth/login', '/api/auth/logout', '/api/openapi.json', '/api/docs'];
+// Pages that send you to the login page instead of answering 401
+const DASHBOARD_PAGES = ['/', '/index.html'];
+// Not under /api/ but signed in like it, Prometheus sends an API key
+const METRICS_PATH = '/metrics';
+
+/**
+ * @param {string} [header] - Cookie request header
+ * @returns {object} Cookie values by name
+ */
+const parseCookies = (header) => {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+};
+
+/**
+ * @param {string} token
+ * @param {object} options
+ * @param {number} options.maxAge - Seconds
+ * @param {boolean} [options.secure] - Only sent over HTTPS
+ * @returns {string} Set-Cookie header of a login session, an empty token clears it
+ */
+const sessionCookie = (token, options) => [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${token ? options.maxAge : 0}`,
+    ...(options.secure ? ['Secure'] : [])
+].join('; ');
+
+/**
+ * Works out who is calling from an API key (Authorization: Bearer or X-API-Key) or the session cookie
+ * @param {AuthStore} store
+ * @param {object} headers - Request headers
+ * @param {object} [extra] - { apiKey } given another way, e.g. in the Socket.IO handshake
+ * @returns {object|null} { type: "user" | "apiKey", id, name, role, sessionId }
+ */
+const authenticate = (store, headers, extra = {}) => {
+    const bearer = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    const key = extra.apiKey || headers['x-api-key'] || (bearer && bearer[1]);
+    if (key) {
+        const apiKey = store.findApiKey(String(key).trim());
+        return apiKey ? { type: 'apiKey', id: apiKey.id, name: apiKey.name, role: apiKey.role } : null;
+    }
+
+    const found = store.findSession(parseCookies(headers.cookie)[SESSION_COOKIE]);
+    if (!found) return null;
+    const { session, user } = found;
+    return { type: 'user', id: user.id, name: user.username, role: user.role, sessionId: session.id };
+};
+
+/**
+ * Express middleware: signs in every API request and checks its role, see ROUTE_ROLES.
+ * Sets req.auth to the caller.
+ * @param {AuthStore} store
+ * @param {object} [options]
+ * @param {boolean} [options.disabled] - Everyone is an admin, for local development only
+ * @returns {function}
+ */
+const httpAuth = (store, options = {}) => (req, res, next) => {
+    if (options.disabled) {
+        req.auth = { type: 'anonymous', id: null, name: 'anonymous', role: 'admin' };
+        return next();
+    }
+
+    // Compared as Express routes it, "/API/auth/users/" is "/api/auth/users"
+    const path = routePath(req.path);
+    const isApi = isApiPath(path) || path === METRICS_PATH;
+    if (!isApi && !DASHBOARD_PAGES.includes(path)) return next();
+
+    req.auth = authenticate(store, req.headers);
+    if (!isApi) return req.auth ? next() : res.redirect('/login.html');
+    if (PUBLIC_ROUTES.includes(path)) return next();
+
+    if (!req.auth) {
+        return res.status(401).json({
+            success: false,
+            error: 'Sign in or send an API key'
+        });
+    }
+    if (path === '/api/auth/me') return next();
+
+    const needed = routeRole(req.method, path);
+    if (!hasRole(req.auth.role, needed)) {
+        return res.status(403).json({
+            success: false,
+            error: `This needs the ${needed} role, you are ${req.auth.role}`
+        });
+    }
+    next();
+};
+
+/**
+ * Socket.IO middleware: only signed-in clients connect, with the session cookie or an API key
+ * in the handshake (auth: { apiKey }). Sets socket.data.auth to the client.
+ * @param {AuthStore} store
+ * @param {object} [options]
+ * @param {boolean} [options.disabled]
+ * @returns {function}
+ */
+const socketAuth = (store, options = {}) => (socket, next) => {
+    const auth = options.disabled
+        ? { type: 'anonymous', id: null, name: 'anonymous', role: 'admin' }
+        : authenticate(store, socket.handshake.headers, socket.handshake.auth || {});
+    if (!auth) return next(new Error('Unauthorized'));
+    socket.data.auth = auth;
+    next();
+};
+
+module.exports = {
+    SESSION_COOKIE,
+    parseCookies,
+    sessionCookie,
+    authenticate,
+    httpAuth,
+    socketAuth
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const { routePath } = require('../util/routePath');
+
+/**
+ * Roles, from least to most trusted; every role can do what the ones before it can.
+ *
+ *   viewer: reads status, queues, reports, the inbox and configuration
+ *   sender: sends and schedules messages, runs campaigns, answers the inbox, imports and tags contacts,
+ *           syncs labels, administers groups and edits contact lists, segments, templates, schedules,
+ *           auto-replies and flows
+ *   admin:  restarts and stops WhatsApp, links a phone (QR), manages webhooks, users and API keys,
+ *           and lifts opt-outs
+ */
+
+class AuthError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+const ROLES = ['viewer', 'sender', 'admin'];
+
+/**
+ * Role each API route needs, the first rule whose method and path match applies.
+ * Anything not listed needs viewer to read (GET) and admin for everything else.
+ * Paths are matched in lower case, and rules for one route take a trailing slash like Express does.
+ */
+const ROUTE_ROLES = [
+    // Everyone signed in changes their own password
+    { method: 'POST', path: /^\/api\/auth\/password\/?$/, role: 'viewer' },
+    // Dry runs that send nothing
+    { method: 'POST', path: /^\/api\/(check-message-safety|validate-numbers|templates\/preview|schedules\/preview|segments\/preview|auto-replies\/test|flows\/simulate)\/?$/, role: 'viewer' },
+
+    { method: '*', path: /^\/api\/(webhooks|audit|auth\/(users|keys))(\/|$)/, role: 'admin' },
+    { method: 'POST', path: /^\/api\/(restart-whatsapp|emergency-stop)\/?$/, role: 'admin' },
+    { method: 'GET', path: /^\/api\/qr\/?$/, role: 'admin' },
+    { method: 'DELETE', path: /^\/api\/suppression\//, role: 'admin' },
+    // Anyone with the link can join; participants and those asking to join are phone numbers
+    { method: 'GET', path: /^\/api\/groups\/[^/]+(\/(invite|requests))?\/?$/, role: 'sender' },
+
+    { method: 'GET', path: /^\/api\//, role: 'viewer' },
+    { method: 'GET', path: /^\/metrics\/?$/, role: 'viewer' },
+
+    // Reads were let through above, so these only cover changes
+    { method: 'POST', path: /^\/api\/(send-message|send-media|send-bulk-messages|send-bulk-media|upload-csv|process-queue|validate-number)\/?$/, role: 'sender' },
+    { method: '*', path: /^\/api\/(campaigns|contacts|groups|labels|lists|segments|scheduled|schedules|templates|auto-replies|flows|suppression)(\/|$)/, role: 'sender' },
+    { method: 'POST', path: /^\/api\/inbox\/[^/]+\/(read|messages)\/?$/, role: 'sender' }
+];
+
+/**
+ * Socket.IO events only some roles receive; every other event goes to every signed-in client
+ */
+const EVENT_ROLES = {
+    qr: 'admin',
+    webhook_dead_letter: 'admin'
+};
+
+/**
+ * @param {string} role
+ * @returns {boolean}
+ */
+const isRole = (role) => ROLES.includes(role);
+
+/**
+ * @param {string} role - Role someone has
+ * @param {string} needed
+ * @returns {boolean} Whether the role is at least the one needed
+ */
+const hasRole = (role, needed) => isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(needed);
+
+/**
+ * @param {string} method
+ * @param {string} path - Request path, in any case
+ * @returns {string} The role the route needs
+ */
+const routeRole = (method, path) => {
+    const normalized = routePath(path);
+    const rule = ROUTE_ROLES.find(entry => (entry.method === '*' || entry.method === method) && entry.path.test(normalized));
+    return rule ? rule.role : 'admin';
+};
+
+/**
+ * @param {string} role
+ * @returns {Array<string>} The role and every role below it, the Socket.IO rooms a client joins
+ */
+const rolesUpTo = (role) => ROLES.slice(0, ROLES.indexOf(role) + 1);
+
+module.exports = {
+    AuthError,
+    ROLES,
+    EVENT_ROLES,
+    isRole,
+    hasRole,
+    routeRole,
+    rolesUpTo
+};
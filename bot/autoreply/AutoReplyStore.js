@@ -0,0 +1,154 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * AutoReplyStore - Auto-reply rules in the order they are checked, with the last reply per chat
+ * for cooldowns, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the rule file is written to, default is: "./data/"
+ */
+class AutoReplyStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'auto-replies.json'), []);
+        this.rules = new Map(this.file.read().map(rule => [rule.id, rule]));
+    }
+
+    /**
+     * @param {object} fields - As returned by normalizeRule()
+     * @returns {object} The rule, checked after the existing ones
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const last = this.list().pop();
+        const rule = {
+            id: crypto.randomUUID(),
+            ...fields,
+            enabled: true,
+            order: last ? last.order + 1 : 1,
+            createdAt: now,
+            updatedAt: now,
+            matchCount: 0,
+            lastMatchedAt: null,
+            lastReplies: {}
+        };
+        this.rules.set(rule.id, rule);
+        this.save();
+        return rule;
+    }
+
+    get(id) {
+        return this.rules.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Rules in the order they are checked
+     */
+    list() {
+        return Array.from(this.rules.values()).sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * @param {object} rule
+     * @param {object} fields - Any of the fields normalizeRule() returns, plus enabled
+     * @returns {object}
+     */
+    update(rule, fields = {}) {
+        for (const key of ['name', 'match', 'response', 'hours', 'cooldownMinutes', 'enabled']) {
+            if (fields[key] !== undefined) rule[key] = fields[key];
+        }
+        rule.updatedAt = new Date().toISOString();
+        this.save();
+        return rule;
+    }
+
+    /**
+     * Puts rules in a new order; rules left out keep their relative order after the listed ones
+     * @param {Array<string>} ids
+     * @returns {Array<object>}
+     */
+    reorder(ids) {
+        const listed = ids.map(id => this.get(id)).filter(Boolean);
+        const rest = this.list().filter(rule => !listed.includes(rule));
+        [...listed, ...rest].forEach((rule, index) => {
+            rule.order = index + 1;
+        });
+        this.save();
+        return this.list();
+    }
+
+    /**
+     * @param {object} rule
+     * @param {string} chatId
+     * @param {Date} [now]
+     * @returns {Date|null} When the rule may answer the chat again, null when it may now
+     */
+    cooldownUntil(rule, chatId, now = new Date()) {
+        const last = rule.lastReplies[chatId];
+        if (!last || !rule.cooldownMinutes) return null;
+        const until = new Date(new Date(last).getTime() + rule.cooldownMinutes * 60000);
+        return until > now ? until : null;
+    }
+
+    /**
+     * Records that a rule answered a chat, forgetting chats whose cooldown is over
+     * @param {object} rule
+     * @param {string} chatId
+     * @param {Date} [now]
+     * @returns {object}
+     */
+    recordReply(rule, chatId, now = new Date()) {
+        for (const chat of Object.keys(rule.lastReplies)) {
+            if (!this.cooldownUntil(rule, chat, now)) delete rule.lastReplies[chat];
+        }
+        rule.lastReplies[chatId] = now.toISOString();
+        rule.lastMatchedAt = now.toISOString();
+        rule.matchCount++;
+        this.save();
+        return rule;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed rule
+     */
+    remove(id) {
+        const rule = this.get(id);
+        if (!rule) return null;
+        this.rules.delete(id);
+        this.save();
+        return rule;
+    }
+
+    /**
+     * Rule without its per-chat cooldowns, and without the on-disk path of its attachment
+     * @param {object} rule
+     * @returns {object}
+     */
+    describe(rule) {
+        // eslint-disable-next-line no-unused-vars
+        const { lastReplies, ...rest } = rule;
+        const media = rule.response.media;
+        return {
+            ...rest,
+            response: {
+                ...rule.response,
+                media: media ? { filename: media.filename, mimetype: media.mimetype, size: media.size } : null
+            },
+            chatsCoolingDown: Object.keys(lastReplies).filter(chatId => this.cooldownUntil(rule, chatId)).length
+        };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.rules.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = AutoReplyStore;
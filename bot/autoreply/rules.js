@@ -0,0 +1,264 @@
+'use strict';
+
+const { MessageTypes } = require('whatsapp-web.js');
+
+const { compileTemplate } = require('../templates/engine');
+const { isValidTimezone, localParts } = require('../scheduling/timezones');
+
+/**
+ * Auto-reply rules, checked in order against every incoming message; the first one that matches answers.
+ *
+ *   match:    { text: ["hi", "hello"], pattern: "^order (?<order>\\d+)$", types: ["chat"],
+ *               chats: "private" | "groups" | "all", senders: ["+91 98765 43210"],
+ *               groups: ["1203630...@g.us"], labels: ["3"] }
+ *   response: { type: "text" | "template" | "media" | "poll", text, templateId, media,
+ *               poll: { question, options, allowMultipleAnswers }, quote: true }
+ *   hours:    { when: "inside" | "outside", days: [1, 2, 3, 4, 5], start: "09:00", end: "18:00", timezone }
+ *
+ * Every condition that is set has to hold. Text is compared like opt-out keywords: whole message,
+ * ignoring case and surrounding punctuation. Response text is a template with {name}, {number},
+ * {message} and the pattern's named groups.
+ */
+
+class AutoReplyError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+const CHAT_SCOPES = ['private', 'groups', 'all'];
+const RESPONSE_TYPES = ['text', 'template', 'media', 'poll'];
+const MESSAGE_TYPES = Object.values(MessageTypes);
+const TIME = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const normalizeText = (text) => String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .replace(/\s+/g, ' ');
+
+const numberKey = (number) => String(number || '').replace(/@.*$/, '').replace(/\D/g, '');
+
+// Lists arrive as arrays from JSON and as comma-separated text from forms
+const listOf = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+// Multipart forms send nested objects as JSON text
+const objectOf = (value, name, errors) => {
+    if (value === undefined || value === null || value === '') return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value) || {};
+    } catch {
+        errors.push(`${name} is not valid JSON`);
+        return {};
+    }
+};
+
+const minutesOf = (time) => {
+    const [, hour, minute] = time.match(TIME);
+    return Number(hour) * 60 + Number(minute);
+};
+
+/**
+ * @param {object} input - match conditions as sent by a client
+ * @param {Array<string>} errors - Problems found are added here
+ * @returns {object}
+ */
+const normalizeMatch = (input, errors) => {
+    const match = {
+        text: listOf(input.text).map(normalizeText).filter(Boolean),
+        pattern: input.pattern ? String(input.pattern) : null,
+        flags: input.flags !== undefined ? String(input.flags) : 'i',
+        types: listOf(input.types),
+        chats: input.chats || 'private',
+        senders: listOf(input.senders).map(numberKey).filter(Boolean),
+        groups: listOf(input.groups),
+        labels: listOf(input.labels)
+    };
+
+    if (match.pattern) {
+        try {
+            new RegExp(match.pattern, match.flags);
+        } catch (error) {
+            errors.push(`Invalid pattern: ${error.message}`);
+        }
+    }
+    const unknownTypes = match.types.filter(type => !MESSAGE_TYPES.includes(type));
+    if (unknownTypes.length > 0) errors.push(`Unknown message type ${unknownTypes.join(', ')}`);
+    if (!CHAT_SCOPES.includes(match.chats)) errors.push(`chats must be one of ${CHAT_SCOPES.join(', ')}`);
+    if (match.groups.some(group => !group.endsWith('@g.us'))) errors.push('Group ids end with @g.us');
+    return match;
+};
+
+/**
+ * @param {object} input - response as sent by a client
+ * @param {object|null} media - Uploaded attachment, never taken from the input
+ * @param {Array<string>} errors - Problems found are added here
+ * @returns {object}
+ */
+const normalizeResponse = (input, media, errors) => {
+    const type = input.type || 'text';
+    // Only what the response type uses is kept, so a form can send every field
+    const response = {
+        type,
+        text: input.text && (type === 'text' || type === 'media') ? String(input.text) : '',
+        templateId: type === 'template' ? input.templateId || null : null,
+        media: media || null,
+        poll: null,
+        quote: input.quote === true || input.quote === 'true'
+    };
+
+    if (!RESPONSE_TYPES.includes(response.type)) {
+        errors.push(`Response type must be one of ${RESPONSE_TYPES.join(', ')}`);
+    } else if (response.type === 'text' && !response.text.trim()) {
+        errors.push('Response text is required');
+    } else if (response.type === 'template' && !response.templateId) {
+        errors.push('A saved template is required');
+    } else if (response.type === 'media' && !response.media) {
+        errors.push('A media file is required');
+    } else if (response.type === 'poll') {
+        const poll = input.poll || {};
+        const options = Array.isArray(poll.options)
+            ? poll.options.map(option => String(option).trim()).filter(Boolean)
+            : String(poll.options || '').split('\n').map(option => option.trim()).filter(Boolean);
+        response.poll = {
+            question: String(poll.question || '').trim(),
+            options,
+            allowMultipleAnswers: poll.allowMultipleAnswers === true
+        };
+        if (!response.poll.question) errors.push('Poll question is required');
+        if (options.length < 2 || options.length > 12) errors.push('A poll needs 2 to 12 options');
+    }
+
+    if (response.text) {
+        try {
+            compileTemplate(response.text);
+        } catch (error) {
+            errors.push(...(error.errors || [error.message]));
+        }
+    }
+    return response;
+};
+
+/**
+ * @param {object|null} input - business hours as sent by a client, null or when "always" for none
+ * @param {string} defaultTimezone
+ * @param {Array<string>} errors - Problems found are added here
+ * @returns {object|null}
+ */
+const normalizeHours = (input, defaultTimezone, errors) => {
+    if (!input || !input.when || input.when === 'always') return null;
+
+    const hours = {
+        when: input.when,
+        days: listOf(input.days).map(Number),
+        start: String(input.start || '09:00'),
+        end: String(input.end || '18:00'),
+        timezone: input.timezone || defaultTimezone
+    };
+    if (hours.days.length === 0) hours.days = [1, 2, 3, 4, 5];
+
+    if (!['inside', 'outside'].includes(hours.when)) errors.push('Business hours apply "inside" or "outside" them');
+    if (hours.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) errors.push('Days run from 0 (Sunday) to 6');
+    if (!TIME.test(hours.start) || !TIME.test(hours.end)) errors.push('Business hours are given as HH:MM');
+    if (!isValidTimezone(hours.timezone)) errors.push(`Unknown timezone "${hours.timezone}"`);
+    return hours;
+};
+
+/**
+ * Checks and normalizes the parts of a rule a client can set
+ * @param {object} fields - { name, match, response, hours, cooldownMinutes }, nested objects may be JSON text
+ * @param {object} options
+ * @param {string} options.defaultTimezone - Used for business hours without a timezone
+ * @param {object} [options.media] - Media reference of the response, from the MediaStore
+ * @returns {{name: string, match: object, response: object, hours: object|null, cooldownMinutes: number}}
+ * @throws {AutoReplyError} Listing every problem found
+ */
+const normalizeRule = (fields, options) => {
+    const errors = [];
+    const name = String(fields.name || '').trim();
+    if (!name) errors.push('Rule name is required');
+
+    const match = normalizeMatch(objectOf(fields.match, 'match', errors), errors);
+    const response = normalizeResponse(objectOf(fields.response, 'response', errors), options.media, errors);
+    const hoursInput = fields.hours === null ? null : objectOf(fields.hours, 'hours', errors);
+    const hours = normalizeHours(hoursInput, options.defaultTimezone, errors);
+
+    const cooldownMinutes = fields.cooldownMinutes === undefined || fields.cooldownMinutes === null || fields.cooldownMinutes === ''
+        ? 60
+        : Number(fields.cooldownMinutes);
+    if (!(cooldownMinutes >= 0)) errors.push('cooldownMinutes must be 0 or more');
+
+    if (errors.length > 0) throw new AutoReplyError(errors.join('; '), errors);
+    return { name, match, response, hours, cooldownMinutes };
+};
+
+/**
+ * @param {object|null} hours
+ * @param {Date} date
+ * @returns {boolean} Whether the rule may answer at that time
+ */
+const withinHours = (hours, date) => {
+    if (!hours) return true;
+    const { weekday, hour, minute } = localParts(date, hours.timezone);
+    const now = hour * 60 + minute;
+    const start = minutesOf(hours.start);
+    const end = minutesOf(hours.end);
+    // An end before the start runs past midnight, e.g. 22:00-06:00
+    const inTime = start <= end ? now >= start && now < end : now >= start || now < end;
+    const inside = hours.days.includes(weekday) && inTime;
+    return hours.when === 'inside' ? inside : !inside;
+};
+
+/**
+ * @param {Array<object>} rules
+ * @returns {boolean} Whether any rule looks at chat labels, which cost a WhatsApp lookup
+ */
+const needsLabels = (rules) => rules.some(rule => rule.match.labels.length > 0);
+
+/**
+ * @param {object} rule
+ * @param {object} context
+ * @param {string} context.body
+ * @param {string} context.type - One of MessageTypes
+ * @param {string} context.chatId
+ * @param {boolean} context.isGroup
+ * @param {string} context.sender - Number of whoever wrote the message
+ * @param {Array<string>} [context.labels] - Label ids of the chat
+ * @param {Date} [context.date]
+ * @returns {object|null} Template variables from the pattern's named groups, null when the rule doesn't match
+ */
+const matchRule = (rule, context) => {
+    const { match } = rule;
+    if (match.chats === 'private' && context.isGroup) return null;
+    if (match.chats === 'groups' && !context.isGroup) return null;
+    if (match.types.length > 0 && !match.types.includes(context.type)) return null;
+    if (match.senders.length > 0 && !match.senders.includes(numberKey(context.sender))) return null;
+    if (match.groups.length > 0 && !match.groups.includes(context.chatId)) return null;
+    if (match.labels.length > 0 && !match.labels.some(label => (context.labels || []).includes(label))) return null;
+    if (match.text.length > 0 && !match.text.includes(normalizeText(context.body))) return null;
+
+    let variables = {};
+    if (match.pattern) {
+        const found = String(context.body || '').match(new RegExp(match.pattern, match.flags));
+        if (!found) return null;
+        variables = { ...found.groups };
+    }
+
+    if (!withinHours(rule.hours, context.date || new Date())) return null;
+    return variables;
+};
+
+module.exports = {
+    AutoReplyError,
+    MESSAGE_TYPES,
+    normalizeRule,
+    withinHours,
+    needsLabels,
+    matchRule
+};
@@ -0,0 +1,226 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+
+const CampaignStatus = {
+    SCHEDULED: 'scheduled',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATUSES = [CampaignStatus.SCHEDULED, CampaignStatus.RUNNING, CampaignStatus.PAUSED];
+
+// Recipient statuses that won't change anymore, apart from later delivery/read acks
+const SETTLED_STATUSES = ['sent', 'server', 'delivered', 'read', 'played', 'failed', 'cancelled', 'suppressed', 'skipped'];
+
+// Columns of the per-recipient report, also used for the CSV export
+const REPORT_COLUMNS = ['name', 'number', 'type', 'status', 'queueId', 'messageId', 'error', 'queuedAt', 'sentAt', 'deliveredAt', 'readAt', 'repliedAt'];
+
+/**
+ * Buckets a queue item status into the columns shown in campaign reports
+ * @param {string} status
+ * @returns {string}
+ */
+const reportStatus = (status) => {
+    switch (status) {
+    case 'pending':
+        return 'pending';
+    case 'scheduled':
+        return 'scheduled';
+    case 'sent':
+    case 'server':
+        return 'sent';
+    case 'delivered':
+        return 'delivered';
+    case 'read':
+    case 'played':
+        return 'read';
+    case 'failed':
+        return 'failed';
+    case 'cancelled':
+        return 'cancelled';
+    case 'suppressed':
+        return 'suppressed';
+    case 'skipped':
+        return 'skipped';
+    default:
+        return 'queued';
+    }
+};
+
+/**
+ * CampaignStore - Persists campaigns to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the campaign file is written to, default is: "./data/"
+ */
+class CampaignStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'campaigns.json'), []);
+        this.campaigns = new Map(this.file.read().map(campaign => [campaign.id, campaign]));
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} fields.template - Message text, or caption when media is set
+     * @param {object} [fields.media] - Media reference from the MediaStore
+     * @param {object} fields.audience - Where recipients were taken from
+     * @param {Array<object>} fields.recipients - Snapshot of the audience, each with name, number (or group or channel id),
+     *     type (number, group or channel), consent record, timezone and CSV fields
+     * @param {object} [fields.consent] - { policy, scope } the campaign was created under
+     * @param {object} [fields.savedTemplate] - { id, name, version } of the library template it was created from
+     * @param {object} [fields.schedule] - { startAt } to start later instead of immediately
+     * @param {string} [fields.sendAt] - Queue right away but hold every message until then
+     * @param {string} [fields.priority]
+     * @returns {object}
+     */
+    create(fields) {
+        const campaign = {
+            id: crypto.randomUUID(),
+            name: fields.name,
+            template: fields.template || '',
+            media: fields.media || null,
+            audience: fields.audience,
+            schedule: fields.schedule || null,
+            sendAt: fields.sendAt || null,
+            priority: fields.priority || 'normal',
+            consent: fields.consent || null,
+            savedTemplate: fields.savedTemplate || null,
+            status: CampaignStatus.SCHEDULED,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            recipients: fields.recipients.map(recipient => ({
+                name: recipient.name,
+                number: recipient.number,
+                type: recipient.type || 'number',
+                consent: recipient.consent || null,
+                timezone: recipient.timezone || null,
+                fields: recipient.fields || {},
+                status: 'pending',
+                queueId: null,
+                messageId: null,
+                error: null,
+                queuedAt: null,
+                sentAt: null,
+                deliveredAt: null,
+                readAt: null,
+                repliedAt: null
+            }))
+        };
+        this.campaigns.set(campaign.id, campaign);
+        this.save();
+        return campaign;
+    }
+
+    get(id) {
+        return this.campaigns.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.campaigns.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Updates a campaign and persists the change
+     * @param {object} campaign
+     * @param {object} fields
+     * @returns {object}
+     */
+    update(campaign, fields = {}) {
+        Object.assign(campaign, fields);
+        this.save();
+        return campaign;
+    }
+
+    /**
+     * Mirrors a queue item's status onto its campaign recipient
+     * @param {object} campaign
+     * @param {object} messageObj - Queue item, carrying the recipientIndex it was queued for
+     * @returns {object|null} The updated recipient
+     */
+    recordStatus(campaign, messageObj) {
+        const recipient = campaign.recipients[messageObj.recipientIndex];
+        if (!recipient) return null;
+
+        const at = new Date().toISOString();
+        recipient.status = messageObj.status;
+        recipient.queueId = messageObj.id;
+        recipient.messageId = messageObj.messageId || recipient.messageId;
+        recipient.error = messageObj.error || null;
+        if (messageObj.status === 'sent') recipient.sentAt = at;
+        if (messageObj.status === 'delivered') recipient.deliveredAt = at;
+        if (messageObj.status === 'read' || messageObj.status === 'played') recipient.readAt = recipient.readAt || at;
+        if (messageObj.status === 'failed') recipient.error = messageObj.error || 'Failed';
+
+        this.save();
+        return recipient;
+    }
+
+    /**
+     * Notes the first answer a recipient sent after the campaign's message
+     * @param {object} campaign
+     * @param {object} recipient
+     * @param {Date} [at]
+     * @returns {boolean} Whether this was the first answer
+     */
+    recordReply(campaign, recipient, at = new Date()) {
+        if (recipient.repliedAt) return false;
+        recipient.repliedAt = at.toISOString();
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {object} campaign
+     * @returns {object} Recipient counts per report status
+     */
+    summarize(campaign) {
+        const summary = { total: campaign.recipients.length, pending: 0, scheduled: 0, queued: 0, sent: 0, delivered: 0, read: 0, failed: 0, cancelled: 0, suppressed: 0, skipped: 0 };
+        for (const recipient of campaign.recipients) {
+            summary[reportStatus(recipient.status)]++;
+        }
+        return summary;
+    }
+
+    /**
+     * @param {object} campaign
+     * @returns {boolean} Whether every recipient has reached a final status
+     */
+    isSettled(campaign) {
+        return campaign.recipients.every(recipient => SETTLED_STATUSES.includes(recipient.status));
+    }
+
+    /**
+     * Campaign without its recipient list, used for listings
+     * @param {object} campaign
+     * @returns {object}
+     */
+    describe(campaign) {
+        // eslint-disable-next-line no-unused-vars
+        const { recipients, ...rest } = campaign;
+        return { ...rest, summary: this.summarize(campaign) };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.campaigns.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = {
+    CampaignStore,
+    CampaignStatus,
+    ACTIVE_STATUSES,
+    REPORT_COLUMNS,
+    reportStatus
+};
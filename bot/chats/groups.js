@@ -0,0 +1,142 @@
+'use strict';
+
+const { describeChat } = require('./targets');
+
+/**
+ * Group administration through the API. Only admins can change a group; WhatsApp doesn't throw for
+ * anyone else but answers false, an error text, or leaves the group as it was, so results are read
+ * back from the group afterwards:
+ *
+ *   add      per participant from addParticipants(): 200 added, 403 only by invite (sent when it can be),
+ *            404 not on WhatsApp, 408 left recently, 409 already in the group, 419 group full
+ *   remove   the participant is gone
+ *   promote  the participant is an admin
+ *   demote   the participant is no admin anymore
+ */
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+const REQUEST_ACTIONS = ['approve', 'reject'];
+
+// Settings only admins may change, as GroupChat sets them and groupMetadata reports them
+const GROUP_SETTINGS = {
+    messagesAdminsOnly: { setter: 'setMessagesAdminsOnly', read: metadata => Boolean(metadata.announce) },
+    infoAdminsOnly: { setter: 'setInfoAdminsOnly', read: metadata => Boolean(metadata.restrict) },
+    addMembersAdminsOnly: { setter: 'setAddMembersAdminsOnly', read: metadata => metadata.memberAddMode === 'admin_add' }
+};
+
+const INVITE_LINK = 'https://chat.whatsapp.com/';
+
+const ADD_MESSAGES = {
+    200: 'Added',
+    403: 'Can only join by invite',
+    404: 'Not on WhatsApp',
+    408: 'Left the group recently, can\'t be added again yet',
+    409: 'Already in the group',
+    417: 'Can\'t be added to a community group, invite them with the link',
+    419: 'The group is full'
+};
+
+// Ids arrive serialized ("447911123456@c.us") or as wid objects
+const idOf = (wid) => (wid && typeof wid === 'object' ? wid._serialized : wid) || null;
+
+/**
+ * @param {object} chat - GroupChat
+ * @returns {Map<string, boolean>} Participant id -> whether they're an admin
+ */
+const participantRoles = (chat) => new Map(((chat.groupMetadata || {}).participants || [])
+    .map(participant => [idOf(participant.id), Boolean(participant.isAdmin || participant.isSuperAdmin)]));
+
+/**
+ * @param {object} chat - GroupChat
+ * @param {string} ownId - WhatsApp id of the connected account
+ * @returns {object} describeChat() with the owner, settings and participants, and whether this account is an admin
+ */
+const describeGroup = (chat, ownId) => {
+    const metadata = chat.groupMetadata || {};
+    const roles = participantRoles(chat);
+    return {
+        ...describeChat(chat, ownId),
+        owner: idOf(metadata.owner),
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        isAdmin: roles.get(ownId) === true,
+        settings: Object.fromEntries(Object.entries(GROUP_SETTINGS).map(([key, setting]) => [key, setting.read(metadata)])),
+        participants: (metadata.participants || []).map(participant => ({
+            id: idOf(participant.id),
+            isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin),
+            isSuperAdmin: Boolean(participant.isSuperAdmin)
+        }))
+    };
+};
+
+/**
+ * @param {object} entry - A participant of an addParticipants() or createGroup() result
+ * @returns {{success: boolean, code: number|null, message: string, inviteSent: boolean}}
+ */
+const addResult = (entry) => {
+    const code = entry.code !== undefined ? entry.code : entry.statusCode;
+    return {
+        success: code === 200,
+        code: code || null,
+        message: ADD_MESSAGES[code] || entry.message || 'Unknown error',
+        inviteSent: Boolean(entry.isInviteV4Sent)
+    };
+};
+
+/**
+ * Per-participant results of a participant action
+ * @param {string} action - One of PARTICIPANT_ACTIONS
+ * @param {Array<string>} ids - Participants asked for
+ * @param {Map<string, boolean>} before - participantRoles() before the action
+ * @param {Map<string, boolean>} after - participantRoles() after it
+ * @param {object} [reported] - addParticipants() result, by participant id
+ * @returns {Array<{id: string, success: boolean, code: number|null, message: string, inviteSent: boolean}>}
+ */
+const participantResults = (action, ids, before, after, reported = {}) => ids.map(id => {
+    const result = (success, message) => ({ id, success, code: null, message, inviteSent: false });
+    if (action === 'add') {
+        if (reported[id]) return { id, ...addResult(reported[id]) };
+        return after.has(id) ? result(true, 'Added') : result(false, 'WhatsApp reported nothing for this participant');
+    }
+    if (!before.has(id)) return result(false, 'Not in the group');
+    switch (action) {
+    case 'remove':
+        return after.has(id) ? result(false, 'Still in the group') : result(true, 'Removed');
+    case 'promote':
+        return after.get(id) === true ? result(true, 'Made an admin') : result(false, 'Not an admin after promoting');
+    default:
+        return after.get(id) === false ? result(true, 'No longer an admin') : result(false, 'Still an admin after demoting');
+    }
+});
+
+/**
+ * @param {Array<object>} results
+ * @returns {{total: number, succeeded: number, failed: number}}
+ */
+const summarizeResults = (results) => {
+    const succeeded = results.filter(result => result.success).length;
+    return { total: results.length, succeeded, failed: results.length - succeeded };
+};
+
+/**
+ * @param {object} request - From getGroupMembershipRequests()
+ * @returns {{id: string, addedBy: string|null, method: string|null, at: string|null}}
+ */
+const describeRequest = (request) => ({
+    id: idOf(request.id),
+    addedBy: idOf(request.addedBy),
+    method: request.requestMethod || null,
+    at: request.t ? new Date(request.t * 1000).toISOString() : null
+});
+
+module.exports = {
+    PARTICIPANT_ACTIONS,
+    REQUEST_ACTIONS,
+    GROUP_SETTINGS,
+    INVITE_LINK,
+    participantRoles,
+    describeGroup,
+    addResult,
+    participantResults,
+    summarizeResults,
+    describeRequest
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Group chats and channels as send targets. They're addressed by their chat id instead of a phone
+ * number, and only take messages where the account may post:
+ *
+ *   group    participants can post, unless only admins may send messages ("announce")
+ *   channel  only the owner and admins can post, followers can't
+ */
+
+class ChatPermissionError extends Error {}
+
+const GROUP_ID = /^[\d-]+@g\.us$/;
+const CHANNEL_ID = /^\d+@newsletter$/;
+
+// Channel roles that may post
+const CHANNEL_POSTERS = ['owner', 'admin'];
+
+/**
+ * @param {string} id - Chat id or phone number
+ * @returns {'group'|'channel'|'number'}
+ */
+const chatType = (id) => {
+    if (GROUP_ID.test(id)) return 'group';
+    if (CHANNEL_ID.test(id)) return 'channel';
+    return 'number';
+};
+
+/**
+ * @param {object} chat - GroupChat or Channel from whatsapp-web.js
+ * @param {string} ownId - WhatsApp id of the connected account
+ * @returns {{canSend: boolean, reason: string|null}}
+ */
+const postingRights = (chat, ownId) => {
+    if (chat.isChannel) {
+        const role = chat.channelMetadata ? chat.channelMetadata.membershipType : null;
+        return CHANNEL_POSTERS.includes(role)
+            ? { canSend: true, reason: null }
+            : { canSend: false, reason: 'Only the channel\'s owner and admins can post to it' };
+    }
+
+    const metadata = chat.groupMetadata || {};
+    const me = (metadata.participants || []).find(participant => participant.id._serialized === ownId);
+    if (!me) {
+        return { canSend: false, reason: 'This account is not a participant of the group' };
+    }
+    if (metadata.announce && !me.isAdmin && !me.isSuperAdmin) {
+        return { canSend: false, reason: 'Only admins can send messages to this group' };
+    }
+    return { canSend: true, reason: null };
+};
+
+/**
+ * @param {object} chat - GroupChat or Channel from whatsapp-web.js
+ * @param {string} ownId - WhatsApp id of the connected account
+ * @returns {object} { id, type, name, description, size, adminsOnly, canSend, reason } for the API
+ */
+const describeChat = (chat, ownId) => {
+    const metadata = (chat.isChannel ? chat.channelMetadata : chat.groupMetadata) || {};
+    return {
+        id: chat.id._serialized,
+        type: chat.isChannel ? 'channel' : 'group',
+        name: chat.name || '',
+        description: (chat.isChannel ? chat.description : metadata.desc) || '',
+        // Participants of a group, followers of a channel when WhatsApp reports them
+        size: chat.isChannel ? (metadata.size || null) : (metadata.participants || []).length,
+        adminsOnly: chat.isChannel || !!metadata.announce,
+        ...postingRights(chat, ownId)
+    };
+};
+
+module.exports = {
+    ChatPermissionError,
+    GROUP_ID,
+    CHANNEL_ID,
+    chatType,
+    postingRights,
+    describeChat
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * Inbound messages that opt the sender out, compared against the whole message
+ * (case-insensitive, surrounding punctuation ignored) so "stop" inside a sentence doesn't count.
+ */
+const DEFAULT_OPT_OUT_KEYWORDS = [
+    'stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'opt out', 'optout',
+    'parar', 'baja', 'cancelar', // es / pt
+    'arret', 'arrêt', 'desabonner', // fr
+    'stopp', 'abmelden', // de
+    'बंद', 'रोकें', // hi
+    'توقف', 'إلغاء' // ar
+];
+
+const DEFAULT_OPT_IN_KEYWORDS = ['start', 'subscribe', 'unstop'];
+
+const normalizeKeyword = (text) => String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .replace(/\s+/g, ' ');
+
+/**
+ * SuppressionList - Numbers that must never be messaged, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the list is written to, default is: "./data/"
+ * @param {Array<string>} options.optOutKeywords - Keywords that opt a sender out
+ * @param {Array<string>} options.optInKeywords - Keywords that undo a keyword opt-out
+ */
+class SuppressionList {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'suppression.json'), []);
+        this.entries = new Map(this.file.read().map(entry => [entry.number, entry]));
+        this.optOutKeywords = new Set((options.optOutKeywords || DEFAULT_OPT_OUT_KEYWORDS).map(normalizeKeyword));
+        this.optInKeywords = new Set((options.optInKeywords || DEFAULT_OPT_IN_KEYWORDS).map(normalizeKeyword));
+    }
+
+    /**
+     * @param {string} number - Digits, optionally with a WhatsApp id suffix
+     * @returns {string}
+     */
+    static key(number) {
+        return String(number || '').replace(/@.*$/, '').replace(/\D/g, '');
+    }
+
+    has(number) {
+        return this.entries.has(SuppressionList.key(number));
+    }
+
+    get(number) {
+        return this.entries.get(SuppressionList.key(number)) || null;
+    }
+
+    /**
+     * @param {string} number
+     * @param {object} [details]
+     * @param {string} [details.source] - keyword, manual or import
+     * @param {string} [details.reason]
+     * @param {string} [details.keyword] - The inbound text that triggered a keyword opt-out
+     * @returns {object} The stored entry
+     */
+    add(number, details = {}) {
+        const key = SuppressionList.key(number);
+        const entry = {
+            number: key,
+            source: details.source || 'manual',
+            reason: details.reason || null,
+            keyword: details.keyword || null,
+            addedAt: new Date().toISOString()
+        };
+        this.entries.set(key, entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * @param {string} number
+     * @returns {boolean} Whether the number was on the list
+     */
+    remove(number) {
+        const removed = this.entries.delete(SuppressionList.key(number));
+        if (removed) this.save();
+        return removed;
+    }
+
+    list() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+
+    /**
+     * Classifies an inbound message body
+     * @param {string} body
+     * @returns {'opt_out'|'opt_in'|null}
+     */
+    matchKeyword(body) {
+        const text = normalizeKeyword(body);
+        if (this.optOutKeywords.has(text)) return 'opt_out';
+        if (this.optInKeywords.has(text)) return 'opt_in';
+        return null;
+    }
+
+    save() {
+        return this.file.write(Array.from(this.entries.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = {
+    SuppressionList,
+    DEFAULT_OPT_OUT_KEYWORDS,
+    DEFAULT_OPT_IN_KEYWORDS
+};
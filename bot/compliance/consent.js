@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * What bulk sends do with contacts that have no recorded consent
+ */
+const ConsentPolicy = {
+    OFF: 'off', // Consent is recorded but not enforced
+    SKIP: 'skip', // Contacts without consent are skipped
+    REQUIRE: 'require' // The whole send is refused if any contact lacks consent
+};
+
+/**
+ * Thrown when a bulk send is refused under the `require` policy
+ */
+class ConsentError extends Error {
+    constructor(message, missing = []) {
+        super(message);
+        this.missing = missing;
+    }
+}
+
+const pick = (row, names) => {
+    for (const name of names) {
+        if (row[name] !== undefined && String(row[name]).trim() !== '') return String(row[name]).trim();
+    }
+    return null;
+};
+
+/**
+ * Reads the consent record of a CSV row. Either separate ConsentSource, ConsentTimestamp
+ * and ConsentScope columns, or a single Consent column formatted as "source|timestamp|scope".
+ * Scopes are separated by semicolons, e.g. "marketing;reminders".
+ * @param {object} row
+ * @returns {{source: string, timestamp: string, scope: Array<string>}|null}
+ */
+const parseConsent = (row) => {
+    let source = pick(row, ['ConsentSource', 'consentSource', 'consent_source', 'CONSENT_SOURCE']);
+    let timestamp = pick(row, ['ConsentTimestamp', 'consentTimestamp', 'consent_timestamp', 'ConsentDate', 'consent_date']);
+    let scope = pick(row, ['ConsentScope', 'consentScope', 'consent_scope', 'CONSENT_SCOPE']);
+
+    const combined = pick(row, ['Consent', 'consent', 'CONSENT']);
+    if (combined && !source) {
+        [source, timestamp, scope] = combined.split('|').map(part => part.trim() || null);
+    }
+
+    if (!source && !timestamp) return null;
+
+    const date = timestamp ? new Date(timestamp) : null;
+    return {
+        source: source || null,
+        timestamp: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+        scope: scope ? scope.split(';').map(part => part.trim().toLowerCase()).filter(Boolean) : []
+    };
+};
+
+/**
+ * A consent record counts when it names a source and a valid timestamp, and covers the scope if one is asked for
+ * @param {object|null} consent
+ * @param {string} [scope]
+ * @returns {boolean}
+ */
+const hasConsent = (consent, scope) => {
+    if (!consent || !consent.source || !consent.timestamp) return false;
+    if (!scope) return true;
+    return consent.scope.includes(scope.toLowerCase());
+};
+
+module.exports = {
+    ConsentPolicy,
+    ConsentError,
+    parseConsent,
+    hasConsent
+};
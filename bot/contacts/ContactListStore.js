@@ -0,0 +1,157 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * ContactListStore - Named lists of contacts from the ContactStore, persisted to a JSON file.
+ * A contact can be on any number of lists; lists only hold contact ids.
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the list file is written to, default is: "./data/"
+ */
+class ContactListStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'contact-lists.json'), []);
+        this.lists = new Map(this.file.read().map(list => [list.id, { ...list, contactIds: new Set(list.contactIds) }]));
+    }
+
+    get(id) {
+        return this.lists.get(id) || null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [exceptId] - List being renamed
+     * @returns {object|null} Another list with the same name, ignoring case
+     */
+    findByName(name, exceptId = null) {
+        const wanted = String(name).trim().toLowerCase();
+        for (const list of this.lists.values()) {
+            if (list.id !== exceptId && list.name.toLowerCase() === wanted) return list;
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.lists.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} [fields.description]
+     * @param {Array<string>} [fields.contactIds]
+     * @returns {object}
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const list = {
+            id: crypto.randomUUID(),
+            name: fields.name.trim(),
+            description: fields.description || null,
+            contactIds: new Set(fields.contactIds || []),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.lists.set(list.id, list);
+        this.save();
+        return list;
+    }
+
+    /**
+     * @param {object} list
+     * @param {object} fields - name and/or description
+     * @returns {object}
+     */
+    update(list, fields) {
+        if (fields.name !== undefined) list.name = String(fields.name).trim();
+        if (fields.description !== undefined) list.description = fields.description || null;
+        list.updatedAt = new Date().toISOString();
+        this.save();
+        return list;
+    }
+
+    /**
+     * @param {object} list
+     * @param {Array<string>} contactIds
+     * @returns {number} How many weren't on the list yet
+     */
+    addContacts(list, contactIds) {
+        const before = list.contactIds.size;
+        for (const id of contactIds) list.contactIds.add(id);
+        const added = list.contactIds.size - before;
+        if (added > 0) {
+            list.updatedAt = new Date().toISOString();
+            this.save();
+        }
+        return added;
+    }
+
+    /**
+     * @param {object} list
+     * @param {Array<string>} contactIds
+     * @returns {number} How many were on the list
+     */
+    removeContacts(list, contactIds) {
+        const removed = contactIds.filter(id => list.contactIds.delete(id)).length;
+        if (removed > 0) {
+            list.updatedAt = new Date().toISOString();
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Takes a deleted contact off every list
+     * @param {string} contactId
+     */
+    forgetContact(contactId) {
+        let changed = false;
+        for (const list of this.lists.values()) {
+            changed = list.contactIds.delete(contactId) || changed;
+        }
+        if (changed) this.save();
+    }
+
+    /**
+     * @param {string} listId
+     * @param {string} contactId
+     * @returns {boolean}
+     */
+    has(listId, contactId) {
+        const list = this.lists.get(listId);
+        return Boolean(list && list.contactIds.has(contactId));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the list existed
+     */
+    remove(id) {
+        const removed = this.lists.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    /**
+     * @param {object} list
+     * @returns {object} The list with its size instead of the contact ids
+     */
+    describe(list) {
+        const { contactIds, ...rest } = list;
+        return { ...rest, count: contactIds.size };
+    }
+
+    save() {
+        return this.file.write(this.list().map(list => ({ ...list, contactIds: Array.from(list.contactIds) })));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = ContactListStore;
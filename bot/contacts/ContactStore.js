@@ -0,0 +1,350 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+const { normalizeTag } = require('./segments');
+
+// Import reports kept, oldest dropped first
+const MAX_IMPORTS = 50;
+
+const REJECTED_COLUMNS = ['row', 'input', 'reason', 'error'];
+
+// Tags compare ignoring case, the spelling first seen is kept
+const mergeTags = (tags, added = [], removed = []) => {
+    const drop = new Set(removed.map(normalizeTag));
+    const merged = new Map();
+    for (const tag of [...tags, ...added].map(entry => String(entry).trim()).filter(Boolean)) {
+        const key = normalizeTag(tag);
+        if (!drop.has(key) && !merged.has(key)) merged.set(key, tag);
+    }
+    return Array.from(merged.values());
+};
+
+/**
+ * ContactStore - Contact database filled by imports, one contact per E.164 number, persisted to JSON files
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the contacts are written to, default is: "./data/"
+ */
+class ContactStore {
+    constructor(options = {}) {
+        const dataPath = options.dataPath || './data/';
+        this.file = new JsonFile(path.join(dataPath, 'contacts.json'), []);
+        this.importFile = new JsonFile(path.join(dataPath, 'contact-imports.json'), []);
+        this.contacts = new Map(this.file.read().map(contact => [contact.id, contact]));
+        this.byNumber = new Map(Array.from(this.contacts.values()).map(contact => [contact.number, contact]));
+        this.imports = this.importFile.read();
+    }
+
+    get(id) {
+        return this.contacts.get(id) || null;
+    }
+
+    /**
+     * @param {string} number - E.164
+     * @returns {object|null}
+     */
+    findByNumber(number) {
+        return this.byNumber.get(number) || null;
+    }
+
+    /**
+     * @param {object} [filters]
+     * @param {string} [filters.q] - Matches the name or number, ignoring case
+     * @param {string} [filters.tag]
+     * @param {Function} [filters.where] - contact => boolean, e.g. list membership or a segment
+     * @param {number} [filters.limit]
+     * @param {number} [filters.offset]
+     * @returns {{total: number, contacts: Array<object>}} Sorted by name
+     */
+    list(filters = {}) {
+        const q = String(filters.q || '').trim().toLowerCase();
+        const tag = normalizeTag(filters.tag);
+        const matching = Array.from(this.contacts.values())
+            .filter(contact => !q || contact.name.toLowerCase().includes(q) || contact.number.includes(q))
+            .filter(contact => !tag || contact.tags.some(entry => normalizeTag(entry) === tag))
+            .filter(contact => !filters.where || filters.where(contact))
+            .sort((a, b) => a.name.localeCompare(b.name) || a.number.localeCompare(b.number));
+        const offset = filters.offset || 0;
+        return {
+            total: matching.length,
+            contacts: filters.limit ? matching.slice(offset, offset + filters.limit) : matching.slice(offset)
+        };
+    }
+
+    /**
+     * @returns {Array<string>} Every field any contact has
+     */
+    fieldNames() {
+        const names = new Set(['Name', 'PhoneNumber']);
+        for (const contact of this.contacts.values()) {
+            for (const name of Object.keys(contact.fields)) names.add(name);
+        }
+        return Array.from(names);
+    }
+
+    /**
+     * @returns {Array<{tag: string, count: number}>} Tags in use, most used first
+     */
+    tags() {
+        const counts = new Map();
+        for (const contact of this.contacts.values()) {
+            for (const tag of contact.tags) {
+                const key = normalizeTag(tag);
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            }
+        }
+        return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Adds a contact or merges into the one with the same number: fields and tags are merged,
+     * name, timezone and consent only replaced when the entry has them
+     * @param {object} entry
+     * @param {string} entry.number - E.164
+     * @param {string} entry.whatsappId
+     * @param {string} [entry.name]
+     * @param {object} [entry.fields]
+     * @param {string} [entry.timezone]
+     * @param {object} [entry.consent] - parseConsent() result
+     * @param {Array<string>} [entry.tags]
+     * @param {string} [entry.source] - csv, vcard, json or whatsapp
+     * @returns {{contact: object, outcome: 'created'|'updated'|'unchanged'}}
+     */
+    upsert(entry) {
+        const existing = this.byNumber.get(entry.number);
+        const now = new Date().toISOString();
+        if (!existing) {
+            const contact = {
+                id: crypto.randomUUID(),
+                number: entry.number,
+                whatsappId: entry.whatsappId,
+                name: entry.name || '',
+                fields: entry.fields || {},
+                timezone: entry.timezone || null,
+                consent: entry.consent || null,
+                tags: mergeTags([], entry.tags),
+                sources: entry.source ? [entry.source] : [],
+                lastContactedAt: null,
+                lastReplyAt: null,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.contacts.set(contact.id, contact);
+            this.byNumber.set(contact.number, contact);
+            return { contact, outcome: 'created' };
+        }
+
+        const merged = {
+            ...existing,
+            name: entry.name || existing.name,
+            // Empty columns don't wipe what an earlier import filled in
+            fields: { ...existing.fields, ...Object.fromEntries(Object.entries(entry.fields || {}).filter(([, value]) => value !== '')) },
+            timezone: entry.timezone || existing.timezone,
+            consent: entry.consent || existing.consent,
+            tags: mergeTags(existing.tags, entry.tags),
+            sources: entry.source && !existing.sources.includes(entry.source) ? [...existing.sources, entry.source] : existing.sources
+        };
+        const changed = ['name', 'fields', 'timezone', 'consent', 'tags', 'sources']
+            .some(key => JSON.stringify(merged[key]) !== JSON.stringify(existing[key]));
+        if (!changed) return { contact: existing, outcome: 'unchanged' };
+
+        merged.updatedAt = now;
+        this.contacts.set(merged.id, merged);
+        this.byNumber.set(merged.number, merged);
+        return { contact: merged, outcome: 'updated' };
+    }
+
+    /**
+     * Changes a contact by hand
+     * @param {object} contact
+     * @param {object} changes
+     * @param {string} [changes.name]
+     * @param {Array<string>} [changes.tags] - Replaces the tags
+     * @param {object} [changes.fields] - Merged into the fields, null values remove a field
+     * @param {string} [changes.timezone]
+     * @returns {object} The updated contact
+     */
+    update(contact, changes) {
+        const fields = { ...contact.fields, ...changes.fields };
+        for (const [key, value] of Object.entries(changes.fields || {})) {
+            if (value === null) delete fields[key];
+        }
+        const updated = {
+            ...contact,
+            ...(changes.name !== undefined ? { name: String(changes.name).trim() } : {}),
+            ...(changes.tags !== undefined ? { tags: mergeTags([], changes.tags) } : {}),
+            ...(changes.timezone !== undefined ? { timezone: changes.timezone || null } : {}),
+            fields,
+            updatedAt: new Date().toISOString()
+        };
+        this.contacts.set(updated.id, updated);
+        this.byNumber.set(updated.number, updated);
+        this.save();
+        return updated;
+    }
+
+    /**
+     * @param {Array<string>} ids
+     * @param {Array<string>} [add]
+     * @param {Array<string>} [remove]
+     * @returns {{updated: number, notFound: Array<string>}}
+     */
+    tag(ids, add = [], remove = []) {
+        const result = { updated: 0, notFound: [] };
+        const now = new Date().toISOString();
+        for (const id of ids) {
+            const contact = this.contacts.get(id);
+            if (!contact) {
+                result.notFound.push(id);
+                continue;
+            }
+            const tags = mergeTags(contact.tags, add, remove);
+            if (JSON.stringify(tags) === JSON.stringify(contact.tags)) continue;
+            const updated = { ...contact, tags, updatedAt: now };
+            this.contacts.set(id, updated);
+            this.byNumber.set(updated.number, updated);
+            result.updated++;
+        }
+        if (result.updated > 0) this.save();
+        return result;
+    }
+
+    /**
+     * Notes a message sent to or received from a contact, for segments on last contact and reply status
+     * @param {string} number - E.164
+     * @param {'contacted'|'reply'} kind
+     * @param {Date} [at]
+     * @returns {boolean} Whether the number is a contact
+     */
+    recordActivity(number, kind, at = new Date()) {
+        const contact = this.byNumber.get(number);
+        if (!contact) return false;
+        contact[kind === 'reply' ? 'lastReplyAt' : 'lastContactedAt'] = at.toISOString();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Stores parsed records and keeps a report of the import. Rows repeating a number earlier in the
+     * same import are merged into it and counted as duplicates.
+     * @param {Array<object>} records - { row, input, name, fields, timezone, consent, tags }, or { row, input, reason, error }
+     *     for rows the parser already rejected
+     * @param {object} details
+     * @param {string} details.source - csv, vcard, json or whatsapp
+     * @param {string} [details.fileName]
+     * @param {Array<string>} [details.tags] - Added to every imported contact
+     * @param {object} [details.list] - { id, name } of the list the contacts go into, for the report
+     * @param {Function} normalize - Phone number parser, input => normalizePhoneNumber() result
+     * @returns {{report: object, contactIds: Array<string>}} The report: { id, source, fileName, list, tags, at, total,
+     *     created, updated, unchanged, duplicates, rejected }, and the contacts imported
+     */
+    importRecords(records, details, normalize) {
+        const tags = mergeTags([], details.tags);
+        const report = {
+            id: crypto.randomUUID(),
+            source: details.source,
+            fileName: details.fileName || null,
+            list: details.list || null,
+            tags,
+            at: new Date().toISOString(),
+            total: records.length,
+            created: 0,
+            updated: 0,
+            unchanged: 0,
+            duplicates: 0,
+            rejected: []
+        };
+        const outcomes = new Map();
+        const contactIds = new Set();
+        for (const record of records) {
+            if (record.reason) {
+                report.rejected.push({ row: record.row, input: record.input, reason: record.reason, error: record.error });
+                continue;
+            }
+            const parsed = normalize(record.input);
+            if (!parsed.valid) {
+                report.rejected.push({ row: record.row, input: record.input, reason: parsed.reason, error: parsed.error });
+                continue;
+            }
+            const { contact, outcome } = this.upsert({
+                ...record,
+                number: parsed.e164,
+                whatsappId: parsed.whatsappId,
+                tags: [...(record.tags || []), ...tags],
+                source: details.source
+            });
+            contactIds.add(contact.id);
+            if (outcomes.has(parsed.e164)) {
+                report.duplicates++;
+                // A contact this import created stays created, one it left unchanged so far is now updated
+                if (outcome === 'updated' && outcomes.get(parsed.e164) === 'unchanged') {
+                    outcomes.set(parsed.e164, 'updated');
+                }
+            } else {
+                outcomes.set(parsed.e164, outcome);
+            }
+        }
+        for (const outcome of outcomes.values()) report[outcome]++;
+
+        this.imports = [report, ...this.imports].slice(0, MAX_IMPORTS);
+        this.save();
+        return { report, contactIds: Array.from(contactIds) };
+    }
+
+    /**
+     * @returns {Array<object>} Import reports, newest first, without their rejected rows
+     */
+    listImports() {
+        return this.imports.map(({ rejected, ...report }) => ({ ...report, rejectedCount: rejected.length }));
+    }
+
+    getImport(id) {
+        return this.imports.find(report => report.id === id) || null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the contact existed
+     */
+    remove(id) {
+        const contact = this.contacts.get(id);
+        if (!contact) return false;
+        this.contacts.delete(id);
+        this.byNumber.delete(contact.number);
+        this.save();
+        return true;
+    }
+
+    /**
+     * @param {object} contact
+     * @returns {object} The contact in the shape loadContactsFromCSV() returns, for sends
+     */
+    static toRecipient(contact) {
+        return {
+            Name: contact.name || 'Unknown',
+            PhoneNumber: contact.number.slice(1),
+            Consent: contact.consent,
+            Timezone: contact.timezone,
+            Fields: { ...contact.fields, Name: contact.name, PhoneNumber: contact.number.slice(1) }
+        };
+    }
+
+    save() {
+        this.importFile.write(this.imports);
+        return this.file.write(Array.from(this.contacts.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+        this.importFile.flushSync();
+    }
+}
+
+module.exports = {
+    ContactStore,
+    REJECTED_COLUMNS
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+// Sync results kept, oldest dropped first
+const MAX_RUNS = 20;
+
+/**
+ * LabelSyncStore - Who had each WhatsApp label at the last sync, and the results of recent syncs
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the sync state is written to, default is: "./data/"
+ */
+class LabelSyncStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'label-sync.json'), { labels: {}, runs: [] });
+        const state = this.file.read();
+        // label id -> { name, numbers: Set of E.164 numbers }
+        this.labels = new Map(Object.entries(state.labels || {})
+            .map(([id, label]) => [id, { name: label.name, numbers: new Set(label.numbers) }]));
+        this.runs = state.runs || [];
+    }
+
+    /**
+     * @param {string} labelId
+     * @returns {{name: string, numbers: Set<string>}|null} The label as of the last sync, null before the first one
+     */
+    get(labelId) {
+        return this.labels.get(labelId) || null;
+    }
+
+    /**
+     * @param {string} labelId
+     * @param {string} name
+     * @param {Iterable<string>} numbers
+     */
+    set(labelId, name, numbers) {
+        this.labels.set(labelId, { name, numbers: new Set(numbers) });
+    }
+
+    /**
+     * Forgets labels deleted in WhatsApp
+     * @param {Array<string>} labelIds - Labels that still exist
+     * @returns {Array<string>} Names of the labels forgotten
+     */
+    retain(labelIds) {
+        const forgotten = [];
+        for (const [id, label] of this.labels) {
+            if (!labelIds.includes(id)) {
+                this.labels.delete(id);
+                forgotten.push(label.name);
+            }
+        }
+        return forgotten;
+    }
+
+    /**
+     * @param {object} run - { at, trigger, labels, error }
+     */
+    addRun(run) {
+        this.runs = [run, ...this.runs].slice(0, MAX_RUNS);
+        this.save();
+    }
+
+    /**
+     * @returns {object|null} The latest sync result
+     */
+    lastRun() {
+        return this.runs[0] || null;
+    }
+
+    listRuns() {
+        return this.runs;
+    }
+
+    save() {
+        return this.file.write({
+            labels: Object.fromEntries(Array.from(this.labels, ([id, label]) => [id, { name: label.name, numbers: Array.from(label.numbers) }])),
+            runs: this.runs
+        });
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = LabelSyncStore;
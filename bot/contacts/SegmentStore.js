@@ -0,0 +1,100 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * SegmentStore - Saved contact filters, persisted to a JSON file; see ./segments.js for the filter
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the segment file is written to, default is: "./data/"
+ */
+class SegmentStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'segments.json'), []);
+        this.segments = new Map(this.file.read().map(segment => [segment.id, segment]));
+    }
+
+    get(id) {
+        return this.segments.get(id) || null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [exceptId] - Segment being renamed
+     * @returns {object|null} Another segment with the same name, ignoring case
+     */
+    findByName(name, exceptId = null) {
+        const wanted = String(name).trim().toLowerCase();
+        for (const segment of this.segments.values()) {
+            if (segment.id !== exceptId && segment.name.toLowerCase() === wanted) return segment;
+        }
+        return null;
+    }
+
+    list() {
+        return Array.from(this.segments.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} [fields.description]
+     * @param {object} fields.filter - normalizeFilter() result
+     * @returns {object}
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const segment = {
+            id: crypto.randomUUID(),
+            name: fields.name.trim(),
+            description: fields.description || null,
+            filter: fields.filter,
+            createdAt: now,
+            updatedAt: now
+        };
+        this.segments.set(segment.id, segment);
+        this.save();
+        return segment;
+    }
+
+    /**
+     * @param {object} segment
+     * @param {object} fields - name, description and/or a normalized filter
+     * @returns {object}
+     */
+    update(segment, fields) {
+        const updated = {
+            ...segment,
+            ...(fields.name !== undefined ? { name: String(fields.name).trim() } : {}),
+            ...(fields.description !== undefined ? { description: fields.description || null } : {}),
+            ...(fields.filter !== undefined ? { filter: fields.filter } : {}),
+            updatedAt: new Date().toISOString()
+        };
+        this.segments.set(updated.id, updated);
+        this.save();
+        return updated;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} Whether the segment existed
+     */
+    remove(id) {
+        const removed = this.segments.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    save() {
+        return this.file.write(this.list());
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = SegmentStore;
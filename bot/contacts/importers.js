@@ -0,0 +1,301 @@
+'use strict';
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+
+const { parseConsent } = require('../compliance/consent');
+const { isValidTimezone } = require('../scheduling/timezones');
+
+const FORMATS = ['csv', 'vcard', 'json'];
+const MAPPING_KEYS = ['number', 'name', 'timezone', 'delimiter'];
+
+// Columns used when the mapping doesn't name them, the first matching column wins
+const NUMBER_COLUMN = /phone|mobile|number|whatsapp|^tel|cell/i;
+const NAME_COLUMN = /name/i;
+const TIMEZONE_COLUMN = /^(time ?zone|tz)$/i;
+// Byte order mark spreadsheet programs put before UTF-8 exports
+const BOM = /^\uFEFF/;
+
+class ImportError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * @param {string} [fileName]
+ * @param {string} [mimetype]
+ * @returns {string} One of FORMATS, csv unless the file looks like vCard or JSON
+ */
+const detectFormat = (fileName, mimetype) => {
+    const name = String(fileName || '').toLowerCase();
+    if (/\.(vcf|vcard)$/.test(name) || /vcard/.test(mimetype || '')) return 'vcard';
+    if (name.endsWith('.json') || mimetype === 'application/json') return 'json';
+    return 'csv';
+};
+
+/**
+ * @param {object|string} [mapping] - { number, name, timezone, delimiter }, or that as JSON text from a form;
+ *     name can list several columns, joined with spaces: ["First name", "Last name"]
+ * @returns {object}
+ * @throws {ImportError}
+ */
+const normalizeMapping = (mapping) => {
+    if (mapping === undefined || mapping === null || mapping === '') return {};
+    if (typeof mapping === 'string') {
+        try {
+            mapping = JSON.parse(mapping);
+        } catch {
+            throw new ImportError('mapping must be a JSON object');
+        }
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping)) throw new ImportError('mapping must be an object');
+
+    const errors = [];
+    for (const key of Object.keys(mapping)) {
+        if (!MAPPING_KEYS.includes(key)) errors.push(`mapping.${key} is not supported, use ${MAPPING_KEYS.join(', ')}`);
+    }
+    for (const key of ['number', 'timezone']) {
+        if (mapping[key] !== undefined && (typeof mapping[key] !== 'string' || !mapping[key])) errors.push(`mapping.${key} must be a column name`);
+    }
+    const names = mapping.name === undefined ? [] : [].concat(mapping.name);
+    if (names.length === 0 && mapping.name !== undefined) errors.push('mapping.name must name at least one column');
+    if (names.some(name => typeof name !== 'string' || !name)) errors.push('mapping.name must be a column name or a list of them');
+    if (mapping.delimiter !== undefined && (typeof mapping.delimiter !== 'string' || mapping.delimiter.length !== 1)) {
+        errors.push('mapping.delimiter must be one character');
+    }
+    if (errors.length > 0) throw new ImportError(errors.join('; '), errors);
+    return { ...mapping, ...(names.length > 0 ? { name: names } : {}) };
+};
+
+/**
+ * @param {Array<string>} columns - Columns of the file
+ * @param {object} mapping - normalizeMapping() result
+ * @throws {ImportError} When the mapping names a column the file doesn't have
+ */
+const checkColumns = (columns, mapping) => {
+    const wanted = [mapping.number, ...(mapping.name || []), mapping.timezone].filter(Boolean);
+    const missing = wanted.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new ImportError(`Column${missing.length > 1 ? 's' : ''} ${missing.map(column => `"${column}"`).join(', ')} not found, the file has: ${columns.join(', ')}`);
+    }
+};
+
+/**
+ * @param {object} record - A CSV row or JSON object
+ * @param {object} mapping - normalizeMapping() result
+ * @param {number} row
+ * @returns {object} { row, input, name, timezone, consent, fields }; fields are the record's values as text
+ */
+const mapRecord = (record, mapping, row) => {
+    const keys = Object.keys(record);
+    const numberKey = mapping.number || keys.find(key => NUMBER_COLUMN.test(key));
+    const nameKeys = mapping.name || keys.filter(key => NAME_COLUMN.test(key)).slice(0, 1);
+    const timezoneKey = mapping.timezone || keys.find(key => TIMEZONE_COLUMN.test(key));
+    const text = (value) => (value === null || value === undefined ? '' : String(value).trim());
+    const timezone = timezoneKey ? text(record[timezoneKey]) : '';
+
+    const fields = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (key === 'fields' && value && typeof value === 'object') {
+            Object.assign(fields, value);
+        } else if (value === null || typeof value !== 'object') {
+            fields[key] = text(value);
+        }
+    }
+    return {
+        row,
+        input: numberKey ? text(record[numberKey]) : '',
+        name: nameKeys.map(key => text(record[key])).filter(Boolean).join(' '),
+        // Unknown timezones are left out, quiet hours then go by the number
+        timezone: isValidTimezone(timezone) ? timezone : null,
+        consent: parseConsent(record),
+        fields
+    };
+};
+
+/**
+ * @param {string} text - CSV with a header row
+ * @param {object} [mapping] - See normalizeMapping(); columns are guessed from their names otherwise
+ * @returns {Promise<Array<object>>} mapRecord() result per row
+ * @throws {ImportError}
+ */
+const parseCsv = async (text, mapping = {}) => {
+    const options = normalizeMapping(mapping);
+    const records = [];
+    let columns = [];
+    await new Promise((resolve, reject) => {
+        Readable.from([String(text).replace(BOM, '')])
+            .pipe(csv(options.delimiter ? { separator: options.delimiter } : undefined))
+            .on('headers', (headers) => {
+                columns = headers;
+            })
+            .on('data', record => records.push(record))
+            .on('end', resolve)
+            .on('error', reject);
+    });
+    checkColumns(columns, options);
+    return records.map((record, index) => mapRecord(record, options, index + 1));
+};
+
+/**
+ * @param {*} value - Parsed JSON, or its text: an array of contacts, or { contacts: [...] }
+ * @param {object} [mapping] - See normalizeMapping()
+ * @returns {Array<object>} mapRecord() result per contact; entries that aren't objects get an error
+ * @throws {ImportError}
+ */
+const parseJson = (value, mapping = {}) => {
+    const options = normalizeMapping(mapping);
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value.replace(BOM, ''));
+        } catch (error) {
+            throw new ImportError(`Not valid JSON: ${error.message}`);
+        }
+    }
+    const list = Array.isArray(value) ? value : value && Array.isArray(value.contacts) ? value.contacts : null;
+    if (!list) throw new ImportError('JSON must be an array of contacts or an object with a contacts array');
+
+    return list.map((record, index) => (record && typeof record === 'object' && !Array.isArray(record)
+        ? mapRecord(record, options, index + 1)
+        : { row: index + 1, input: JSON.stringify(record), reason: 'invalid_record', error: 'Not an object' }));
+};
+
+const QUOTED_PRINTABLE = /ENCODING=QUOTED-PRINTABLE/i;
+
+const decodeQuotedPrintable = (value) => Buffer.from(
+    value.replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+).toString('utf-8');
+
+const unescapeValue = (value) => value.replace(/\\([nN,;\\])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+
+/**
+ * @param {string} line - Unfolded content line, e.g. "item1.TEL;TYPE=CELL:+1 415 555 0123"
+ * @returns {object|null} { name, types, value }
+ */
+const parseProperty = (line) => {
+    const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) return null;
+    const [, name, params, raw] = match;
+    const types = [];
+    for (const param of params.split(';').filter(Boolean)) {
+        const [key, value] = param.includes('=') ? param.split('=') : ['TYPE', param];
+        if (key.toUpperCase() === 'TYPE') types.push(...value.split(',').map(type => type.replace(/"/g, '').toLowerCase()));
+    }
+    const value = QUOTED_PRINTABLE.test(params) ? decodeQuotedPrintable(raw) : raw;
+    return { name: name.toUpperCase(), types, value };
+};
+
+/**
+ * Reads vCard 2.1, 3.0 and 4.0 files, one contact per card. The mobile number of a card is imported
+ * (its preferred or first number when none is marked mobile), its other numbers are kept in fields.
+ * @param {string} text
+ * @returns {Array<object>} { row, input, name, timezone, consent, fields } per card
+ * @throws {ImportError} When the file has no cards
+ */
+const parseVcard = (text) => {
+    const lines = [];
+    for (const line of String(text).replace(BOM, '').split(/\r?\n/)) {
+        const previous = lines[lines.length - 1];
+        if (/^[ \t]/.test(line) && previous !== undefined) {
+            lines[lines.length - 1] = previous + line.slice(1);
+        } else if (previous !== undefined && QUOTED_PRINTABLE.test(previous) && previous.endsWith('=')) {
+            // Soft line break of a quoted-printable value
+            lines[lines.length - 1] = previous.slice(0, -1) + line;
+        } else {
+            lines.push(line);
+        }
+    }
+
+    const cards = [];
+    let card = null;
+    for (const line of lines) {
+        if (/^BEGIN:VCARD$/i.test(line.trim())) {
+            card = { names: {}, numbers: [], fields: {} };
+        } else if (/^END:VCARD$/i.test(line.trim()) && card) {
+            cards.push(card);
+            card = null;
+        } else if (card) {
+            const property = parseProperty(line);
+            if (!property) continue;
+            const value = unescapeValue(property.value).trim();
+            switch (property.name) {
+            case 'FN':
+                card.names.full = value;
+                break;
+            case 'N': {
+                const [family, given, additional, prefix, suffix] = property.value.split(';').map(part => unescapeValue(part).trim());
+                card.names.structured = [prefix, given, additional, family, suffix].filter(Boolean).join(' ');
+                break;
+            }
+            case 'TEL':
+                card.numbers.push({ value: value.replace(/^tel:/i, ''), types: property.types });
+                break;
+            case 'EMAIL':
+                if (!card.fields.email) card.fields.email = value;
+                break;
+            case 'ORG':
+                card.fields.organization = value.replace(/;+$/, '').replace(/;/g, ', ');
+                break;
+            case 'TITLE':
+                card.fields.title = value;
+                break;
+            case 'NOTE':
+                card.fields.note = value;
+                break;
+            case 'BDAY':
+                card.fields.birthday = value;
+                break;
+            }
+        }
+    }
+    if (cards.length === 0) throw new ImportError('No vCards found, the file needs BEGIN:VCARD ... END:VCARD blocks');
+
+    return cards.map((entry, index) => {
+        const mobile = entry.numbers.find(number => number.types.some(type => ['cell', 'mobile', 'iphone'].includes(type))) ||
+            entry.numbers.find(number => number.types.includes('pref')) ||
+            entry.numbers[0];
+        const others = entry.numbers.filter(number => number !== mobile).map(number => number.value);
+        return {
+            row: index + 1,
+            input: mobile ? mobile.value : '',
+            name: entry.names.full || entry.names.structured || '',
+            timezone: null,
+            consent: null,
+            fields: { ...entry.fields, ...(others.length > 0 ? { otherNumbers: others.join('; ') } : {}) }
+        };
+    });
+};
+
+/**
+ * @param {string} format - One of FORMATS
+ * @param {string} text - File contents
+ * @param {object} [mapping] - CSV and JSON only, see normalizeMapping()
+ * @returns {Promise<Array<object>>}
+ * @throws {ImportError}
+ */
+const parseContacts = async (format, text, mapping) => {
+    switch (format) {
+    case 'csv':
+        return parseCsv(text, mapping);
+    case 'vcard':
+        return parseVcard(text);
+    case 'json':
+        return parseJson(text, mapping);
+    default:
+        throw new ImportError(`format must be one of ${FORMATS.join(', ')}`);
+    }
+};
+
+module.exports = {
+    FORMATS,
+    ImportError,
+    detectFormat,
+    normalizeMapping,
+    parseCsv,
+    parseJson,
+    parseVcard,
+    parseContacts
+};
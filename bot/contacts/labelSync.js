@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Two-way sync between WhatsApp Business labels and contact tags of the same name. Every sync compares
+ * both sides with who had the label at the previous one, so changes made on either side since are
+ * carried over to the other:
+ *
+ *   chat labeled in WhatsApp        -> contact tagged (created when it isn't in the database yet)
+ *   label taken off a chat          -> tag removed
+ *   contact tagged in the bot       -> chat labeled
+ *   tag removed in the bot          -> label taken off the chat
+ *
+ * The first sync of a label has nothing to compare with, so it only adds: chats get the label when
+ * their contact has the tag and contacts get the tag when their chat has the label.
+ */
+
+// Campaign outcomes chats can be labeled with, see parseOutcomeLabels()
+const OUTCOMES = ['sent', 'read', 'replied', 'opted_out'];
+
+/**
+ * @param {string} [text] - Comma-separated outcome=label pairs, e.g. "replied=Replied,opted_out=Opted out"
+ * @returns {{labels: object, errors: Array<string>}} Label name per outcome, and the pairs that were left out
+ */
+const parseOutcomeLabels = (text) => {
+    const labels = {};
+    const errors = [];
+    for (const pair of String(text || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+        const [outcome, ...name] = pair.split('=');
+        const label = name.join('=').trim();
+        if (!OUTCOMES.includes(outcome.trim())) {
+            errors.push(`"${pair}": outcome must be one of ${OUTCOMES.join(', ')}`);
+        } else if (!label) {
+            errors.push(`"${pair}": label name is missing`);
+        } else {
+            labels[outcome.trim()] = label;
+        }
+    }
+    return { labels, errors };
+};
+
+/**
+ * @param {object} sides - Sets of E.164 numbers
+ * @param {Set<string>|null} sides.previous - Chats that had the label at the last sync, null before the first one
+ * @param {Set<string>} sides.inWhatsApp - Chats that have the label now
+ * @param {Set<string>} sides.tagged - Contacts that have the tag now
+ * @returns {{tag: Array<string>, untag: Array<string>, label: Array<string>, unlabel: Array<string>}}
+ */
+const planLabelSync = ({ previous, inWhatsApp, tagged }) => {
+    const before = previous || new Set();
+    const firstSync = previous === null;
+    return {
+        tag: Array.from(inWhatsApp).filter(number => !tagged.has(number) && (firstSync || !before.has(number))),
+        untag: firstSync ? [] : Array.from(tagged).filter(number => before.has(number) && !inWhatsApp.has(number)),
+        label: Array.from(tagged).filter(number => !inWhatsApp.has(number) && (firstSync || !before.has(number))),
+        unlabel: firstSync ? [] : Array.from(inWhatsApp).filter(number => before.has(number) && !tagged.has(number))
+    };
+};
+
+module.exports = {
+    OUTCOMES,
+    parseOutcomeLabels,
+    planLabelSync
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * Segment filters, evaluated against the contact database whenever the segment is used, so a segment's
+ * members change as contacts are imported, tagged, messaged and reply.
+ *
+ *   tags:          { all: ["vip"], any: ["berlin", "munich"], none: ["churned"] }
+ *   fields:        [{ name: "plan", op: "equals", value: "pro" }, { name: "city", op: "exists" }]
+ *   lastContacted: { withinDays: 7 } | { olderThanDays: 30 } | { after: "2024-05-01", before: "2024-06-01" }
+ *   replyStatus:   ["replied", "no_reply", "never_contacted"]
+ *   lists:         ["<list id>"]
+ *
+ * Every condition that is set has to hold; an empty filter matches every contact. Tags and field values
+ * compare ignoring case. olderThanDays includes contacts never messaged, after and before only those
+ * that were. Reply status is about the last message sent: replied when an answer came after it.
+ */
+
+class SegmentError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+const REPLY_STATUSES = ['replied', 'no_reply', 'never_contacted'];
+const FIELD_OPERATORS = ['equals', 'not_equals', 'contains', 'exists', 'missing', 'greater_than', 'less_than'];
+// Operators that don't take a value
+const PRESENCE_OPERATORS = ['exists', 'missing'];
+// Contact properties a field condition falls back to when the contact has no such field
+const BUILT_IN_FIELDS = ['name', 'number', 'timezone'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase();
+
+// Lists arrive as arrays from JSON and as comma-separated text from forms
+const listOf = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+};
+
+const dateOf = (value, name, errors) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        errors.push(`${name} must be a date`);
+        return null;
+    }
+    return date.toISOString();
+};
+
+const daysOf = (value, name, errors) => {
+    if (value === undefined || value === null || value === '') return null;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1) {
+        errors.push(`${name} must be a whole number of days, at least 1`);
+        return null;
+    }
+    return days;
+};
+
+/**
+ * @param {object|string} [input] - Filter as sent by a client, or that as JSON text from a form
+ * @returns {object} The filter with every condition present, unused ones empty
+ * @throws {SegmentError}
+ */
+const normalizeFilter = (input = {}) => {
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch {
+            throw new SegmentError('filter is not valid JSON');
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) throw new SegmentError('filter must be an object');
+
+    const errors = [];
+    const tags = input.tags || {};
+    const lastContacted = input.lastContacted || {};
+    const filter = {
+        tags: {
+            all: listOf(tags.all).map(normalizeTag),
+            any: listOf(tags.any).map(normalizeTag),
+            none: listOf(tags.none).map(normalizeTag)
+        },
+        fields: [],
+        lastContacted: {
+            after: dateOf(lastContacted.after, 'lastContacted.after', errors),
+            before: dateOf(lastContacted.before, 'lastContacted.before', errors),
+            withinDays: daysOf(lastContacted.withinDays, 'lastContacted.withinDays', errors),
+            olderThanDays: daysOf(lastContacted.olderThanDays, 'lastContacted.olderThanDays', errors)
+        },
+        replyStatus: listOf(input.replyStatus),
+        lists: listOf(input.lists)
+    };
+
+    if (input.fields !== undefined && !Array.isArray(input.fields)) {
+        errors.push('fields must be a list of conditions');
+    }
+    (Array.isArray(input.fields) ? input.fields : []).forEach((condition, index) => {
+        const { name, op = 'equals', value } = condition || {};
+        if (!name || typeof name !== 'string') {
+            errors.push(`fields[${index}].name is required`);
+        } else if (!FIELD_OPERATORS.includes(op)) {
+            errors.push(`fields[${index}].op must be one of ${FIELD_OPERATORS.join(', ')}`);
+        } else if (!PRESENCE_OPERATORS.includes(op) && (value === undefined || value === null || value === '')) {
+            errors.push(`fields[${index}].value is required for ${op}`);
+        } else if (['greater_than', 'less_than'].includes(op) && isNaN(Number(value))) {
+            errors.push(`fields[${index}].value must be a number for ${op}`);
+        } else {
+            filter.fields.push({ name, op, ...(PRESENCE_OPERATORS.includes(op) ? {} : { value: String(value) }) });
+        }
+    });
+
+    const unknownStatuses = filter.replyStatus.filter(status => !REPLY_STATUSES.includes(status));
+    if (unknownStatuses.length > 0) errors.push(`replyStatus must be among ${REPLY_STATUSES.join(', ')}`);
+    if (filter.lastContacted.withinDays && filter.lastContacted.olderThanDays) {
+        errors.push('lastContacted takes withinDays or olderThanDays, not both');
+    }
+    if (errors.length > 0) throw new SegmentError(`Segment filter is invalid: ${errors.join('; ')}`, errors);
+    return filter;
+};
+
+/**
+ * @param {object} contact
+ * @returns {string} One of REPLY_STATUSES
+ */
+const replyStatus = (contact) => {
+    if (!contact.lastContactedAt) return 'never_contacted';
+    return contact.lastReplyAt && contact.lastReplyAt > contact.lastContactedAt ? 'replied' : 'no_reply';
+};
+
+/**
+ * @param {object} contact
+ * @param {object} condition - { name, op, value }
+ * @returns {boolean}
+ */
+const matchField = (contact, { name, op, value }) => {
+    const own = Object.prototype.hasOwnProperty.call(contact.fields, name) ? contact.fields[name] : undefined;
+    const raw = own === undefined && BUILT_IN_FIELDS.includes(name) ? contact[name] : own;
+    const actual = raw === undefined || raw === null ? '' : String(raw).trim();
+
+    switch (op) {
+    case 'exists':
+        return actual !== '';
+    case 'missing':
+        return actual === '';
+    case 'equals':
+        return actual.toLowerCase() === value.toLowerCase();
+    case 'not_equals':
+        return actual.toLowerCase() !== value.toLowerCase();
+    case 'contains':
+        return actual.toLowerCase().includes(value.toLowerCase());
+    case 'greater_than':
+        return actual !== '' && Number(actual) > Number(value);
+    case 'less_than':
+        return actual !== '' && Number(actual) < Number(value);
+    default:
+        return false;
+    }
+};
+
+/**
+ * @param {object} contact - As stored by the ContactStore
+ * @param {object} filter - normalizeFilter() result
+ * @param {object} [context]
+ * @param {Function} [context.inList] - (listId, contactId) => boolean
+ * @param {number} [context.now] - Time "days" are counted back from, default is: now
+ * @returns {boolean}
+ */
+const matchFilter = (contact, filter, context = {}) => {
+    const tags = new Set(contact.tags.map(normalizeTag));
+    if (!filter.tags.all.every(tag => tags.has(tag))) return false;
+    if (filter.tags.any.length > 0 && !filter.tags.any.some(tag => tags.has(tag))) return false;
+    if (filter.tags.none.some(tag => tags.has(tag))) return false;
+
+    if (!filter.fields.every(condition => matchField(contact, condition))) return false;
+
+    const { after, before, withinDays, olderThanDays } = filter.lastContacted;
+    const contacted = contact.lastContactedAt ? new Date(contact.lastContactedAt).getTime() : null;
+    const now = context.now || Date.now();
+    if ((after || before || withinDays) && contacted === null) return false;
+    if (after && contacted < new Date(after).getTime()) return false;
+    if (before && contacted >= new Date(before).getTime()) return false;
+    if (withinDays && contacted < now - withinDays * DAY) return false;
+    if (olderThanDays && contacted !== null && contacted >= now - olderThanDays * DAY) return false;
+
+    if (filter.replyStatus.length > 0 && !filter.replyStatus.includes(replyStatus(contact))) return false;
+
+    const inList = context.inList || (() => false);
+    if (filter.lists.length > 0 && !filter.lists.some(listId => inList(listId, contact.id))) return false;
+    return true;
+};
+
+module.exports = {
+    SegmentError,
+    REPLY_STATUSES,
+    FIELD_OPERATORS,
+    listOf,
+    normalizeTag,
+    normalizeFilter,
+    replyStatus,
+    matchFilter
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * FlowSessionStore - Where each chat is in its conversational flow, persisted to a JSON file
+ * so sessions survive restarts. Only active sessions are kept.
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the session file is written to, default is: "./data/"
+ */
+class FlowSessionStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'flow-sessions.json'), []);
+        this.sessions = new Map(this.file.read().map(session => [session.chatId, session]));
+    }
+
+    get(chatId) {
+        return this.sessions.get(chatId) || null;
+    }
+
+    /**
+     * @param {string} messageId - Id of a prompt the bot sent
+     * @returns {object|null} The session waiting on that prompt
+     */
+    findByPrompt(messageId) {
+        for (const session of this.sessions.values()) {
+            if (session.promptMessageId === messageId) return session;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Array<object>} Sessions, the ones expiring soonest first
+     */
+    list() {
+        return Array.from(this.sessions.values())
+            .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+    }
+
+    /**
+     * Stores a session, or drops it once it is no longer active
+     * @param {object} session
+     * @returns {object}
+     */
+    set(session) {
+        if (session.status === 'active') {
+            this.sessions.set(session.chatId, session);
+        } else {
+            this.sessions.delete(session.chatId);
+        }
+        this.save();
+        return session;
+    }
+
+    /**
+     * @param {string} chatId
+     * @returns {object|null} The removed session
+     */
+    remove(chatId) {
+        const session = this.get(chatId);
+        if (!session) return null;
+        this.sessions.delete(chatId);
+        this.save();
+        return session;
+    }
+
+    save() {
+        return this.file.write(Array.from(this.sessions.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = FlowSessionStore;
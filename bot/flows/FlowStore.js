@@ -0,0 +1,112 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+const { matchesTrigger } = require('./engine');
+
+/**
+ * FlowStore - Conversational flow definitions with how often they ran, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the flow file is written to, default is: "./data/"
+ */
+class FlowStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'flows.json'), []);
+        this.flows = new Map(this.file.read().map(flow => [flow.id, flow]));
+    }
+
+    /**
+     * @param {object} definition - As returned by normalizeFlow()
+     * @returns {object}
+     */
+    create(definition) {
+        const now = new Date().toISOString();
+        const flow = {
+            id: crypto.randomUUID(),
+            ...definition,
+            enabled: true,
+            createdAt: now,
+            updatedAt: now,
+            stats: { started: 0, completed: 0, expired: 0 }
+        };
+        this.flows.set(flow.id, flow);
+        this.save();
+        return flow;
+    }
+
+    get(id) {
+        return this.flows.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.flows.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} text
+     * @returns {object|null} The first enabled flow the message starts
+     */
+    findByTrigger(text) {
+        return this.list().find(flow => flow.enabled && matchesTrigger(flow, text)) || null;
+    }
+
+    /**
+     * @param {object} flow
+     * @param {object} fields - A normalized definition and/or enabled
+     * @returns {object}
+     */
+    update(flow, fields = {}) {
+        for (const key of ['name', 'trigger', 'timeoutMinutes', 'timeoutMessage', 'start', 'nodes', 'enabled']) {
+            if (fields[key] !== undefined) flow[key] = fields[key];
+        }
+        flow.updatedAt = new Date().toISOString();
+        this.save();
+        return flow;
+    }
+
+    /**
+     * @param {object} flow
+     * @param {string} outcome - started, completed or expired
+     * @returns {object}
+     */
+    count(flow, outcome) {
+        flow.stats[outcome]++;
+        this.save();
+        return flow;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed flow
+     */
+    remove(id) {
+        const flow = this.get(id);
+        if (!flow) return null;
+        this.flows.delete(id);
+        this.save();
+        return flow;
+    }
+
+    /**
+     * The flow as a client would send it back, without the bookkeeping
+     * @param {object} flow
+     * @returns {object}
+     */
+    definition(flow) {
+        const { name, trigger, timeoutMinutes, timeoutMessage, start, nodes } = flow;
+        return { name, trigger, timeoutMinutes, timeoutMessage, start, nodes };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.flows.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = FlowStore;
@@ -0,0 +1,505 @@
+'use strict';
+
+const { compileTemplate } = require('../templates/engine');
+
+/**
+ * Conversational flows: a JSON graph of nodes a chat walks through, one session per chat.
+ *
+ *   {
+ *     "name": "Bookings",
+ *     "trigger": { "keywords": ["book", "menu"] },
+ *     "timeoutMinutes": 30,
+ *     "timeoutMessage": "This conversation was closed, send BOOK to start again.",
+ *     "start": "menu",
+ *     "nodes": {
+ *       "menu":    { "type": "menu", "text": "Hi {name}! What would you like?", "widget": "poll", "variable": "service",
+ *                    "options": [{ "label": "Haircut", "next": "day" }, { "label": "Talk to us", "next": "bye" }] },
+ *       "day":     { "type": "question", "text": "Which day suits you?", "variable": "day", "validate": "date", "next": "check" },
+ *       "check":   { "type": "branch", "rules": [{ "variable": "service", "operator": "equals", "value": "Haircut", "next": "confirm" }],
+ *                    "default": "bye" },
+ *       "confirm": { "type": "confirm", "text": "{service} on {day}? Reply yes or react 👍", "yes": "booked", "no": "day" },
+ *       "booked":  { "type": "message", "text": "Booked, see you on {day | date: \"D MMMM\"}!", "next": "bye" },
+ *       "bye":     { "type": "end", "text": "Thanks {name}!" }
+ *     }
+ *   }
+ *
+ * message sends text and moves on, branch picks the next node from the variables, end closes the session.
+ * question, menu and confirm send a prompt and wait: a menu is answered by voting on its poll or replying
+ * with an option's number or label, a confirm by yes/no or by reacting to the prompt.
+ * Texts are templates over {name}, {number} and the variables collected so far.
+ */
+
+class FlowError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+const NODE_TYPES = ['message', 'question', 'menu', 'confirm', 'branch', 'end'];
+const WAITING_TYPES = ['question', 'menu', 'confirm'];
+const VALIDATORS = ['text', 'number', 'date', 'email'];
+const OPERATORS = ['equals', 'notEquals', 'contains', 'matches', 'greaterThan', 'lessThan', 'exists'];
+
+const YES_WORDS = ['yes', 'y', 'yeah', 'yep', 'ok', 'okay', 'sure', 'confirm', 'si', 'sí', 'haan', 'ha'];
+const NO_WORDS = ['no', 'n', 'nope', 'nah', 'nahi'];
+
+// Nodes walked for one event before giving up, a guard for branches that point at each other
+const MAX_STEPS = 50;
+
+const DEFAULT_TIMEOUT_MINUTES = 30;
+
+const normalizeText = (text) => String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .replace(/\s+/g, ' ');
+
+// Emoji reactions may carry a skin tone or variation selector
+const baseEmoji = (emoji) => String(emoji || '').replace(/\u{FE0F}|[\u{1F3FB}-\u{1F3FF}]/gu, '');
+
+const YES_REACTIONS = ['👍', '✅', '❤️', '👌', '🙏'].map(baseEmoji);
+const NO_REACTIONS = ['👎', '❌', '🚫'].map(baseEmoji);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Reads an answer to a date question: DD/MM/YYYY, YYYY-MM-DD, today or tomorrow
+ * @param {string} text
+ * @param {Date} now
+ * @returns {string|null} YYYY-MM-DD
+ */
+const parseDateAnswer = (text, now) => {
+    const answer = normalizeText(text);
+    if (answer === 'today' || answer === 'tomorrow') {
+        const date = new Date(now.getTime() + (answer === 'tomorrow' ? 86400000 : 0));
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    const dayFirst = answer.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const iso = answer.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const [year, month, day] = dayFirst
+        ? [dayFirst[3], dayFirst[2], dayFirst[1]].map(Number)
+        : iso ? [iso[1], iso[2], iso[3]].map(Number) : [];
+    if (!year) return null;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * @param {object} node - question node
+ * @param {string} text
+ * @param {Date} now
+ * @returns {string|null} The value to store, null when the answer isn't valid
+ */
+const readAnswer = (node, text, now) => {
+    const answer = String(text || '').trim();
+    if (!answer) return null;
+    if (node.pattern && !new RegExp(node.pattern, 'i').test(answer)) return null;
+
+    switch (node.validate) {
+    case 'number': {
+        const number = answer.replace(/[\s,]/g, '');
+        return /^-?\d+(\.\d+)?$/.test(number) ? number : null;
+    }
+    case 'date':
+        return parseDateAnswer(answer, now);
+    case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(answer) ? answer : null;
+    default:
+        return answer;
+    }
+};
+
+/**
+ * @param {object} node - menu node
+ * @param {string} text - Option number or label
+ * @returns {object|null} The option picked
+ */
+const readChoice = (node, text) => {
+    const answer = normalizeText(text);
+    const index = /^\d+$/.test(answer) ? Number(answer) - 1 : -1;
+    return node.options[index] || node.options.find(option => normalizeText(option.label) === answer) || null;
+};
+
+const compare = (rule, value) => {
+    const present = value !== undefined && value !== null && String(value) !== '';
+    const text = present ? String(value).toLowerCase() : '';
+    const expected = String(rule.value === undefined ? '' : rule.value).toLowerCase();
+
+    switch (rule.operator) {
+    case 'exists': return present;
+    case 'equals': return text === expected;
+    case 'notEquals': return text !== expected;
+    case 'contains': return text.includes(expected);
+    case 'matches': return new RegExp(rule.value, 'i').test(present ? String(value) : '');
+    case 'greaterThan': return present && Number(value) > Number(rule.value);
+    case 'lessThan': return present && Number(value) < Number(rule.value);
+    default: return false;
+    }
+};
+
+const targetsOf = (node) => {
+    switch (node.type) {
+    case 'menu': return node.options.map(option => option.next);
+    case 'confirm': return [node.yes, node.no];
+    case 'branch': return [...node.rules.map(rule => rule.next), node.default];
+    default: return [node.next];
+    }
+};
+
+const checkText = (text, where, errors) => {
+    try {
+        compileTemplate(text || '');
+    } catch (error) {
+        errors.push(...(error.errors || [error.message]).map(message => `${where}: ${message}`));
+    }
+};
+
+const checkPattern = (pattern, where, errors) => {
+    try {
+        new RegExp(pattern, 'i');
+    } catch (error) {
+        errors.push(`${where}: invalid pattern, ${error.message}`);
+    }
+};
+
+/**
+ * @param {string} id
+ * @param {object} node
+ * @param {Array<string>} errors - Problems found are added here
+ */
+const checkNode = (id, node, errors) => {
+    const where = `Node "${id}"`;
+    if (!NODE_TYPES.includes(node.type)) {
+        errors.push(`${where}: type must be one of ${NODE_TYPES.join(', ')}`);
+        return;
+    }
+    if (node.type !== 'branch' && node.type !== 'end' && !String(node.text || '').trim()) {
+        errors.push(`${where}: text is required`);
+    }
+    checkText(node.text, where, errors);
+    if (node.error) checkText(node.error, where, errors);
+
+    if (node.type === 'question') {
+        if (!node.variable) errors.push(`${where}: a question stores its answer in a variable`);
+        if (node.validate && !VALIDATORS.includes(node.validate)) {
+            errors.push(`${where}: validate must be one of ${VALIDATORS.join(', ')}`);
+        }
+        if (node.pattern) checkPattern(node.pattern, where, errors);
+    } else if (node.type === 'menu') {
+        if (!Array.isArray(node.options) || node.options.length < 2 || node.options.length > 12) {
+            errors.push(`${where}: a menu needs 2 to 12 options`);
+            node.options = Array.isArray(node.options) ? node.options : [];
+        }
+        if (node.options.some(option => !option || !String(option.label || '').trim())) {
+            errors.push(`${where}: every option needs a label`);
+        }
+        if (node.widget && !['poll', 'text'].includes(node.widget)) errors.push(`${where}: widget must be poll or text`);
+    } else if (node.type === 'branch') {
+        if (!Array.isArray(node.rules)) {
+            errors.push(`${where}: a branch needs rules`);
+            node.rules = [];
+        }
+        node.rules.forEach((rule, index) => {
+            if (!rule.variable) errors.push(`${where}: rule ${index + 1} has no variable`);
+            if (!OPERATORS.includes(rule.operator)) {
+                errors.push(`${where}: rule ${index + 1} operator must be one of ${OPERATORS.join(', ')}`);
+            }
+            if (rule.operator === 'matches') checkPattern(rule.value, `${where} rule ${index + 1}`, errors);
+        });
+        if (!node.default) errors.push(`${where}: a branch needs a default`);
+    } else if (node.type === 'confirm' && (!node.yes || !node.no)) {
+        errors.push(`${where}: a confirm needs yes and no`);
+    }
+};
+
+// Nodes that don't wait must not lead back to themselves, or a session would never stop
+const findLoop = (nodes) => {
+    const state = new Map();
+    const visit = (id, path) => {
+        const node = nodes[id];
+        if (!node || WAITING_TYPES.includes(node.type)) return null;
+        if (state.get(id) === 'done') return null;
+        if (state.get(id) === 'visiting') return [...path, id];
+        state.set(id, 'visiting');
+        for (const target of targetsOf(node).filter(Boolean)) {
+            const loop = visit(target, [...path, id]);
+            if (loop) return loop;
+        }
+        state.set(id, 'done');
+        return null;
+    };
+    for (const id of Object.keys(nodes)) {
+        const loop = visit(id, []);
+        if (loop) return loop;
+    }
+    return null;
+};
+
+/**
+ * Checks a flow definition and fills in its defaults
+ * @param {object|string} definition - Flow as an object or JSON text
+ * @returns {object} { name, trigger: { keywords, pattern }, timeoutMinutes, timeoutMessage, start, nodes }
+ * @throws {FlowError} Listing every problem found
+ */
+const normalizeFlow = (definition) => {
+    let input = definition;
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            throw new FlowError(`Flow is not valid JSON: ${error.message}`);
+        }
+    }
+    if (!input || typeof input !== 'object') throw new FlowError('A flow definition is required');
+
+    const errors = [];
+    const trigger = input.trigger || {};
+    const keywords = Array.isArray(trigger.keywords) ? trigger.keywords : String(trigger.keywords || '').split(',');
+    const flow = {
+        name: String(input.name || '').trim(),
+        trigger: {
+            keywords: keywords.map(normalizeText).filter(Boolean),
+            pattern: trigger.pattern ? String(trigger.pattern) : null
+        },
+        timeoutMinutes: input.timeoutMinutes === undefined ? DEFAULT_TIMEOUT_MINUTES : Number(input.timeoutMinutes),
+        timeoutMessage: input.timeoutMessage ? String(input.timeoutMessage) : null,
+        start: input.start,
+        nodes: input.nodes && typeof input.nodes === 'object' ? input.nodes : {}
+    };
+
+    if (!flow.name) errors.push('Flow name is required');
+    if (flow.trigger.keywords.length === 0 && !flow.trigger.pattern) {
+        errors.push('A trigger needs keywords or a pattern');
+    }
+    if (flow.trigger.pattern) checkPattern(flow.trigger.pattern, 'Trigger', errors);
+    if (!(flow.timeoutMinutes > 0)) errors.push('timeoutMinutes must be more than 0');
+    if (flow.timeoutMessage) checkText(flow.timeoutMessage, 'timeoutMessage', errors);
+    if (Object.keys(flow.nodes).length === 0) errors.push('A flow needs nodes');
+    if (!flow.nodes[flow.start]) errors.push(`start "${flow.start}" is not a node`);
+
+    for (const [id, node] of Object.entries(flow.nodes)) {
+        if (!node || typeof node !== 'object') {
+            errors.push(`Node "${id}" is not an object`);
+            continue;
+        }
+        checkNode(id, node, errors);
+        if (!NODE_TYPES.includes(node.type)) continue;
+        for (const target of targetsOf(node)) {
+            if (target && !flow.nodes[target]) errors.push(`Node "${id}" leads to "${target}", which is not a node`);
+        }
+    }
+
+    if (errors.length === 0) {
+        const loop = findLoop(flow.nodes);
+        if (loop) errors.push(`Nodes ${loop.join(' → ')} loop without waiting for an answer`);
+    }
+
+    if (errors.length > 0) throw new FlowError(errors.join('; '), errors);
+    return flow;
+};
+
+/**
+ * @param {object} flow
+ * @param {string} text
+ * @returns {boolean} Whether a message starts the flow
+ */
+const matchesTrigger = (flow, text) => {
+    if (flow.trigger.keywords.includes(normalizeText(text))) return true;
+    return !!flow.trigger.pattern && new RegExp(flow.trigger.pattern, 'i').test(String(text || ''));
+};
+
+/**
+ * Walks nodes from `nodeId` until one waits for an answer or the flow ends
+ * @returns {Array<object>} Messages to send
+ */
+const walk = (flow, session, nodeId, now, options) => {
+    const render = (text) => compileTemplate(text, { locale: options.locale }).render(session.variables).text;
+    const actions = [];
+    let id = nodeId;
+
+    for (let steps = 0; id; steps++) {
+        if (steps >= MAX_STEPS) throw new FlowError(`Flow "${flow.name}" walked ${MAX_STEPS} nodes without waiting for an answer`);
+        const node = flow.nodes[id];
+
+        switch (node.type) {
+        case 'message':
+            actions.push({ type: 'text', text: render(node.text) });
+            id = node.next || null;
+            break;
+        case 'branch': {
+            const rule = node.rules.find(entry => compare(entry, session.variables[entry.variable]));
+            id = rule ? rule.next : node.default;
+            break;
+        }
+        case 'end':
+            if (node.text) actions.push({ type: 'text', text: render(node.text) });
+            id = null;
+            break;
+        default: {
+            const text = render(node.text);
+            if (node.type === 'menu' && node.widget !== 'text') {
+                actions.push({ type: 'poll', question: text, options: node.options.map(option => option.label), prompt: true });
+            } else if (node.type === 'menu') {
+                const lines = node.options.map((option, index) => `${index + 1}. ${option.label}`);
+                actions.push({ type: 'text', text: `${text}\n\n${lines.join('\n')}`, prompt: true });
+            } else {
+                actions.push({ type: 'text', text, prompt: true });
+            }
+            Object.assign(session, {
+                node: id,
+                promptMessageId: null,
+                updatedAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + flow.timeoutMinutes * 60000).toISOString()
+            });
+            return actions;
+        }
+        }
+    }
+
+    Object.assign(session, { node: null, status: 'completed', updatedAt: now.toISOString(), endedAt: now.toISOString() });
+    return actions;
+};
+
+/**
+ * Starts a flow for a chat
+ * @param {object} flow - Normalized flow with its id
+ * @param {object} context
+ * @param {string} context.chatId
+ * @param {object} [context.variables] - Initial variables, e.g. name and number
+ * @param {Date} [now]
+ * @param {object} [options]
+ * @param {string} [options.locale] - Number and date formatting in texts
+ * @returns {{session: object, actions: Array<object>}} session.status is completed when the flow never waited
+ */
+const startSession = (flow, context, now = new Date(), options = {}) => {
+    const session = {
+        chatId: context.chatId,
+        flowId: flow.id,
+        flowName: flow.name,
+        status: 'active',
+        node: null,
+        variables: { ...context.variables },
+        promptMessageId: null,
+        startedAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        expiresAt: null,
+        endedAt: null
+    };
+    const actions = walk(flow, session, flow.start, now, options);
+    return { session, actions };
+};
+
+/**
+ * Feeds an event to the node a session waits on
+ * @param {object} flow
+ * @param {object} session - Changed in place
+ * @param {object} event - { type: 'message', text } | { type: 'vote', messageId, selected: [labels] } | { type: 'reaction', messageId, emoji }
+ * @param {Date} [now]
+ * @param {object} [options] - See startSession()
+ * @returns {{handled: boolean, valid: boolean, actions: Array<object>}} handled is false for events meant for something else,
+ *     valid is false when the answer didn't fit and the node asks again
+ */
+const handleEvent = (flow, session, event, now = new Date(), options = {}) => {
+    const node = flow.nodes[session.node];
+    if (session.status !== 'active' || !node) return { handled: false, valid: false, actions: [] };
+
+    // Votes and reactions only count on the prompt itself
+    if (event.type !== 'message' && (!session.promptMessageId || event.messageId !== session.promptMessageId)) {
+        return { handled: false, valid: false, actions: [] };
+    }
+
+    let next;
+    let value;
+    if (node.type === 'question' && event.type === 'message') {
+        value = readAnswer(node, event.text, now);
+        next = node.next;
+    } else if (node.type === 'menu' && (event.type === 'message' || event.type === 'vote')) {
+        // Deselecting every option sends an empty vote, which changes nothing
+        if (event.type === 'vote' && event.selected.length === 0) return { handled: true, valid: true, actions: [] };
+        const option = event.type === 'vote' ? readChoice(node, event.selected[0]) : readChoice(node, event.text);
+        value = option ? option.value || option.label : null;
+        next = option ? option.next : null;
+    } else if (node.type === 'confirm') {
+        const yes = event.type === 'reaction' ? YES_REACTIONS.includes(baseEmoji(event.emoji)) : YES_WORDS.includes(normalizeText(event.text));
+        const no = event.type === 'reaction' ? NO_REACTIONS.includes(baseEmoji(event.emoji)) : NO_WORDS.includes(normalizeText(event.text));
+        // A reaction that is neither is just a reaction
+        if (event.type === 'reaction' && !yes && !no) return { handled: false, valid: false, actions: [] };
+        value = yes ? 'yes' : no ? 'no' : null;
+        next = yes ? node.yes : node.no;
+    } else {
+        return { handled: false, valid: false, actions: [] };
+    }
+
+    if (value === null) {
+        const render = (text) => compileTemplate(text, { locale: options.locale }).render(session.variables).text;
+        const hint = {
+            menu: 'Please pick one of the options.',
+            confirm: 'Please answer yes or no.',
+            question: {
+                number: 'Please answer with a number.',
+                date: 'Please answer with a date, e.g. 25/12/2026.',
+                email: 'Please answer with an email address.'
+            }[node.validate] || 'Sorry, I didn\'t get that, please try again.'
+        }[node.type];
+        session.updatedAt = now.toISOString();
+        session.expiresAt = new Date(now.getTime() + flow.timeoutMinutes * 60000).toISOString();
+        return { handled: true, valid: false, actions: [{ type: 'text', text: node.error ? render(node.error) : hint }] };
+    }
+
+    if (node.variable) session.variables[node.variable] = value;
+    return { handled: true, valid: true, actions: walk(flow, session, next, now, options) };
+};
+
+/**
+ * Ends a session that waited longer than the flow's timeout
+ * @param {object} flow
+ * @param {object} session - Changed in place
+ * @param {Date} [now]
+ * @param {object} [options] - See startSession()
+ * @returns {Array<object>} The timeout message, if the flow has one
+ */
+const expireSession = (flow, session, now = new Date(), options = {}) => {
+    Object.assign(session, { status: 'expired', node: null, updatedAt: now.toISOString(), endedAt: now.toISOString() });
+    if (!flow.timeoutMessage) return [];
+    return [{ type: 'text', text: compileTemplate(flow.timeoutMessage, { locale: options.locale }).render(session.variables).text }];
+};
+
+/**
+ * Decides what an incoming event does for a chat: answer the prompt its session waits on, or start a flow.
+ * A message that doesn't answer the prompt but starts a flow starts that flow over.
+ * @param {{flow: object, session: object}|null} current - The chat's active session and its flow
+ * @param {object|null} triggered - Flow the message starts, if any
+ * @param {object} event - See handleEvent()
+ * @param {object} chat - { chatId, variables } for a new session, see startSession()
+ * @param {Date} [now]
+ * @param {object} [options] - See startSession()
+ * @returns {{handled: boolean, started: boolean, flow: object|null, session: object|null, actions: Array<object>}}
+ */
+const dispatchEvent = (current, triggered, event, chat, now = new Date(), options = {}) => {
+    if (current) {
+        const result = handleEvent(current.flow, current.session, event, now, options);
+        if (result.handled && (result.valid || !triggered)) {
+            return { handled: true, started: false, flow: current.flow, session: current.session, actions: result.actions };
+        }
+    }
+    if (triggered && event.type === 'message') {
+        const { session, actions } = startSession(triggered, chat, now, options);
+        return { handled: true, started: true, flow: triggered, session, actions };
+    }
+    return { handled: false, started: false, flow: null, session: null, actions: [] };
+};
+
+module.exports = {
+    FlowError,
+    NODE_TYPES,
+    normalizeFlow,
+    matchesTrigger,
+    startSession,
+    handleEvent,
+    expireSession,
+    dispatchEvent
+};
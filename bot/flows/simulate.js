@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+
+const { FlowError, normalizeFlow, matchesTrigger, expireSession, dispatchEvent } = require('./engine');
+
+/**
+ * Runs a flow against a scripted conversation, without WhatsApp, to try flows out offline:
+ *
+ *   node bot/flows/simulate.js flow.json transcript.json
+ *
+ * A transcript lists what the contact does, in order:
+ *
+ *   ["menu", { "vote": "Haircut" }, "25/12/2026", { "react": "👍" }, { "wait": 45 }, { "message": "hello" }]
+ *
+ * Strings and { message } are messages, { vote } picks poll options and { react } reacts to the last
+ * prompt, { wait } lets minutes pass so timeouts can be tried.
+ */
+
+/**
+ * @param {object|string} definition - Flow as saved or as JSON text
+ * @param {Array<string|object>} transcript
+ * @param {object} [options]
+ * @param {string|Date} [options.now] - When the conversation starts, default now
+ * @param {object} [options.variables] - Variables every session starts with, default a test name and number
+ * @param {string} [options.locale]
+ * @returns {{lines: Array<object>, session: object|null}} The conversation, and the session still open at the end
+ * @throws {FlowError} When the flow or a transcript step is invalid
+ */
+const simulateFlow = (definition, transcript, options = {}) => {
+    const flow = { id: definition.id || 'simulation', ...normalizeFlow(definition) };
+    const variables = { name: 'Test Contact', number: '910000000000', ...options.variables };
+    const chat = { chatId: `${variables.number}@c.us`, variables };
+    const lines = [];
+    let now = options.now ? new Date(options.now) : new Date();
+    let session = null;
+    let prompts = 0;
+
+    if (!Array.isArray(transcript)) throw new FlowError('A transcript is a list of steps');
+
+    const say = (actions) => {
+        for (const action of actions) {
+            const line = { from: 'bot', at: now.toISOString(), ...action };
+            if (action.prompt) {
+                session.promptMessageId = `prompt-${++prompts}`;
+                line.messageId = session.promptMessageId;
+            }
+            lines.push(line);
+        }
+        if (session && session.status !== 'active') {
+            lines.push({ from: 'system', at: now.toISOString(), text: `Session ${session.status}`, variables: session.variables });
+            session = null;
+        }
+    };
+
+    for (const step of transcript) {
+        const entry = typeof step === 'string' ? { message: step } : step || {};
+
+        if (entry.wait !== undefined) {
+            now = new Date(now.getTime() + Number(entry.wait) * 60000);
+            lines.push({ from: 'clock', at: now.toISOString(), text: `${entry.wait} minutes later` });
+        }
+        if (session && new Date(session.expiresAt) <= now) {
+            say(expireSession(flow, session, now, options));
+        }
+        if (entry.wait !== undefined) continue;
+
+        let event;
+        if (entry.message !== undefined) {
+            event = { type: 'message', text: String(entry.message) };
+            lines.push({ from: 'contact', at: now.toISOString(), text: event.text });
+        } else if (entry.vote !== undefined) {
+            event = { type: 'vote', messageId: session && session.promptMessageId, selected: [].concat(entry.vote).map(String) };
+            lines.push({ from: 'contact', at: now.toISOString(), vote: event.selected });
+        } else if (entry.react !== undefined) {
+            event = { type: 'reaction', messageId: session && session.promptMessageId, emoji: String(entry.react) };
+            lines.push({ from: 'contact', at: now.toISOString(), reaction: event.emoji });
+        } else {
+            throw new FlowError(`Unknown transcript step ${JSON.stringify(step)}`);
+        }
+
+        const triggered = event.type === 'message' && matchesTrigger(flow, event.text) ? flow : null;
+        const result = dispatchEvent(session ? { flow, session } : null, triggered, event, chat, now, options);
+        if (!result.handled) {
+            lines.push({ from: 'system', at: now.toISOString(), text: 'No reply' });
+            continue;
+        }
+        if (result.started) {
+            lines.push({ from: 'system', at: now.toISOString(), text: `Flow "${flow.name}" started` });
+            session = result.session;
+        }
+        say(result.actions);
+    }
+
+    return { lines, session };
+};
+
+/**
+ * @param {Array<object>} lines - As returned by simulateFlow()
+ * @returns {string} The conversation as a readable transcript
+ */
+const formatTranscript = (lines) => lines.map(line => {
+    if (line.from === 'contact') {
+        const said = line.vote ? `[votes ${line.vote.join(', ')}]` : line.reaction ? `[reacts ${line.reaction}]` : line.text;
+        return `👤 ${said}`;
+    }
+    if (line.from === 'bot') {
+        return line.type === 'poll'
+            ? `🤖 📊 ${line.question}\n${line.options.map(option => `     ○ ${option}`).join('\n')}`
+            : `🤖 ${line.text.replace(/\n/g, '\n   ')}`;
+    }
+    if (line.variables) return `   — ${line.text} ${JSON.stringify(line.variables)}`;
+    return `   — ${line.text}`;
+}).join('\n');
+
+if (require.main === module) {
+    const [flowPath, transcriptPath] = process.argv.slice(2);
+    if (!flowPath || !transcriptPath) {
+        console.error('Usage: node bot/flows/simulate.js <flow.json> <transcript.json>');
+        process.exit(1);
+    }
+    try {
+        const { lines } = simulateFlow(
+            JSON.parse(fs.readFileSync(flowPath, 'utf8')),
+            JSON.parse(fs.readFileSync(transcriptPath, 'utf8'))
+        );
+        console.log(formatTranscript(lines));
+    } catch (error) {
+        console.error(error instanceof FlowError ? error.errors.map(message => `❌ ${message}`).join('\n') : error);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    simulateFlow,
+    formatTranscript
+};
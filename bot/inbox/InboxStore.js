@@ -0,0 +1,220 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+// Messages kept per conversation, oldest are dropped first
+const MESSAGE_LIMIT = 500;
+
+/**
+ * InboxStore - Inbound conversations threaded per chat, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the inbox file is written to, default is: "./data/"
+ */
+class InboxStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'inbox.json'), []);
+        this.conversations = new Map(this.file.read().map(conversation => [conversation.id, conversation]));
+        // Message id -> chat id, for reactions and quoted replies
+        this.messageIndex = new Map();
+        for (const conversation of this.conversations.values()) {
+            for (const message of conversation.messages) this.messageIndex.set(message.id, conversation.id);
+        }
+    }
+
+    /**
+     * @param {object} message
+     * @returns {string} One line summary, e.g. for conversation lists
+     */
+    static preview(message) {
+        if (message.body) return message.body.length > 100 ? `${message.body.slice(0, 100)}…` : message.body;
+        return message.media ? `[${message.media.filename || message.type}]` : `[${message.type}]`;
+    }
+
+    has(chatId) {
+        return this.conversations.has(chatId);
+    }
+
+    get(chatId) {
+        return this.conversations.get(chatId) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Conversations, most recent activity first
+     */
+    list() {
+        return Array.from(this.conversations.values())
+            .sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt));
+    }
+
+    /**
+     * Adds a message to its chat's thread, starting the conversation on the first one.
+     * A message that is already stored is updated instead.
+     * @param {{id: string, name: string, isGroup: boolean}} chat
+     * @param {object} message - { id, fromMe, author, senderName, body, type, timestamp, media, quoted }
+     * @returns {{conversation: object, message: object, dropped: Array<object>}} dropped are messages pushed out by the limit
+     */
+    addMessage(chat, message) {
+        let conversation = this.get(chat.id);
+        if (!conversation) {
+            conversation = {
+                id: chat.id,
+                name: chat.name || chat.id,
+                isGroup: !!chat.isGroup,
+                unread: 0,
+                lastMessageAt: message.timestamp,
+                lastMessage: null,
+                messages: []
+            };
+            this.conversations.set(chat.id, conversation);
+        } else if (chat.name) {
+            conversation.name = chat.name;
+        }
+
+        const existing = conversation.messages.find(entry => entry.id === message.id);
+        if (existing) {
+            Object.assign(existing, message, { reactions: existing.reactions });
+            this.save();
+            return { conversation, message: existing, dropped: [] };
+        }
+
+        const entry = { ...message, reactions: [] };
+        conversation.messages.push(entry);
+        conversation.messages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        this.messageIndex.set(entry.id, conversation.id);
+        if (!entry.fromMe) conversation.unread++;
+        if (entry.timestamp >= conversation.lastMessageAt || !conversation.lastMessage) {
+            conversation.lastMessageAt = entry.timestamp;
+            conversation.lastMessage = { fromMe: entry.fromMe, preview: InboxStore.preview(entry) };
+        }
+
+        const dropped = conversation.messages.splice(0, Math.max(0, conversation.messages.length - MESSAGE_LIMIT));
+        for (const old of dropped) this.messageIndex.delete(old.id);
+
+        this.save();
+        return { conversation, message: entry, dropped };
+    }
+
+    /**
+     * @param {string} messageId
+     * @returns {{conversation: object, message: object}|null}
+     */
+    findMessage(messageId) {
+        const conversation = this.get(this.messageIndex.get(messageId));
+        const message = conversation ? conversation.messages.find(entry => entry.id === messageId) : null;
+        return message ? { conversation, message } : null;
+    }
+
+    /**
+     * Records a reaction; each sender has at most one and an empty emoji removes it
+     * @param {string} messageId
+     * @param {{emoji: string, senderId: string, timestamp: string}} reaction
+     * @returns {{conversation: object, message: object}|null} null when the message isn't in the inbox
+     */
+    react(messageId, reaction) {
+        const found = this.findMessage(messageId);
+        if (!found) return null;
+
+        const { message } = found;
+        message.reactions = message.reactions.filter(entry => entry.senderId !== reaction.senderId);
+        if (reaction.emoji) message.reactions.push(reaction);
+        this.save();
+        return found;
+    }
+
+    /**
+     * @param {string} chatId
+     * @returns {object|null}
+     */
+    markRead(chatId) {
+        const conversation = this.get(chatId);
+        if (!conversation) return null;
+        conversation.unread = 0;
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * @param {string} chatId
+     * @param {object} [options]
+     * @param {string} [options.before] - Only messages older than this ISO time, for paging back
+     * @param {number} [options.limit]
+     * @returns {Array<object>} The newest messages matching, oldest first
+     */
+    messages(chatId, options = {}) {
+        const conversation = this.get(chatId);
+        if (!conversation) return [];
+        const older = options.before
+            ? conversation.messages.filter(message => message.timestamp < options.before)
+            : conversation.messages;
+        return older.slice(-(options.limit || 50));
+    }
+
+    /**
+     * Finds messages whose text, sender or chat name contains the query, ignoring case
+     * @param {string} query
+     * @param {number} [limit]
+     * @returns {Array<{chatId: string, chatName: string, message: object}>} Newest first
+     */
+    search(query, limit = 50) {
+        const wanted = String(query).trim().toLowerCase();
+        if (!wanted) return [];
+
+        const matches = [];
+        for (const conversation of this.conversations.values()) {
+            const chatMatches = conversation.name.toLowerCase().includes(wanted);
+            for (const message of conversation.messages) {
+                const text = [message.body, message.senderName, message.media && message.media.filename]
+                    .filter(Boolean).join(' ').toLowerCase();
+                if (chatMatches || text.includes(wanted)) {
+                    matches.push({ chatId: conversation.id, chatName: conversation.name, message });
+                }
+            }
+        }
+        return matches
+            .sort((a, b) => b.message.timestamp.localeCompare(a.message.timestamp))
+            .slice(0, limit);
+    }
+
+    /**
+     * @returns {number} Unread messages across all conversations
+     */
+    unreadTotal() {
+        let total = 0;
+        for (const conversation of this.conversations.values()) total += conversation.unread;
+        return total;
+    }
+
+    /**
+     * Conversation without its messages, used for listings
+     * @param {object} conversation
+     * @returns {object}
+     */
+    describe(conversation) {
+        // eslint-disable-next-line no-unused-vars
+        const { messages, ...rest } = conversation;
+        return { ...rest, messageCount: messages.length };
+    }
+
+    /**
+     * Hides the on-disk path of an attachment
+     * @param {object} message
+     * @returns {object}
+     */
+    describeMessage(message) {
+        if (!message.media) return message;
+        const { filename, mimetype, size } = message.media;
+        return { ...message, media: { filename, mimetype, size, url: `/api/inbox/media/${encodeURIComponent(message.id)}` } };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.conversations.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = InboxStore;
@@ -0,0 +1,180 @@
+'use strict';
+
+const util = require('util');
+
+const RotatingFile = require('./RotatingFile');
+const { parseRedact, createRedactor } = require('./redact');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FORMATS = ['text', 'json'];
+
+// "📥 [QUEUE] queueMessage called" - the emoji and the module tag the bot's messages start with
+const TAGGED = /^\s*(?:(\S+)\s+)?\[([A-Z][A-Z0-9_-]*)\]\s*/;
+// Module of messages without a tag
+const DEFAULT_MODULE = 'APP';
+
+/**
+ * @param {string} [setting] - A level, then optional per-module levels: "info,TIMER=warn,SEND=debug"
+ * @returns {object} { level, modules }
+ * @throws {Error} For an unknown level
+ */
+const parseLevels = (setting) => {
+    const [level, ...overrides] = String(setting || 'info').split(',').map(part => part.trim()).filter(Boolean);
+    const check = (value) => {
+        const normalized = String(value || '').toLowerCase();
+        if (!LEVELS.includes(normalized)) throw new Error(`Unknown log level "${value}", use ${LEVELS.join(', ')}`);
+        return normalized;
+    };
+    const modules = {};
+    for (const override of overrides) {
+        const [module, value] = override.split('=');
+        modules[module.trim().toUpperCase()] = check(value && value.trim());
+    }
+    return { level: check(level), modules };
+};
+
+/**
+ * Logger - Levelled logs with a module tag, as text (the messages as they are) or JSON lines, with phone
+ * numbers and message texts redacted (see redact.js) and an optional rotating file that always gets
+ * JSON lines. installConsole() routes console.* through it, taking the module from the "[QUEUE]" style
+ * tag of the message.
+ * @param {object} [options] - options
+ * @param {string} [options.level] - See parseLevels(), default is: "info"
+ * @param {string} [options.format] - "text" or "json", default is: "text"
+ * @param {object} [options.redact] - { numbers, messages }, default is: both
+ * @param {RotatingFile} [options.file]
+ */
+class Logger {
+    constructor(options = {}) {
+        this.levels = parseLevels(options.level);
+        this.format = options.format || 'text';
+        if (!FORMATS.includes(this.format)) throw new Error(`Unknown log format "${this.format}", use ${FORMATS.join(' or ')}`);
+        this.redactor = createRedactor(options.redact || { numbers: true, messages: true });
+        this.file = options.file || null;
+        this.original = null; // console methods replaced by installConsole()
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} [module]
+     * @returns {boolean}
+     */
+    enabled(level, module) {
+        const threshold = this.levels.modules[module] || this.levels.level;
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(threshold);
+    }
+
+    /**
+     * @param {string} level - One of LEVELS
+     * @param {string} module - Tag, e.g. "QUEUE"
+     * @param {Array} args - What console.log() would get: text, then values
+     */
+    write(level, module, args) {
+        if (!this.enabled(level, module)) return;
+
+        const redacted = args.map(arg => (typeof arg === 'string' ? this.redactor.text(arg) : this.redactor.value(arg)));
+        const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+        const entry = this.format === 'json' || this.file ? this.entry(level, module, redacted, args) : null;
+
+        const text = () => util.format(...redacted.map((arg, index) => (args[index] instanceof Error ? arg.stack || arg.message : arg)));
+        stream.write(`${this.format === 'json' ? JSON.stringify(entry) : text()}\n`);
+        if (this.file) {
+            try {
+                this.file.write(JSON.stringify(entry));
+            } catch (error) {
+                process.stderr.write(`❌ [LOG] Could not write ${this.file.path}, logging to it stops: ${error.message}\n`);
+                this.file = null;
+            }
+        }
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} module
+     * @param {Array} redacted - The arguments, redacted
+     * @param {Array} args - The arguments as logged
+     * @returns {object} The JSON line: { time, level, module, msg }, the fields of logged objects,
+     * an error and any other values as data
+     */
+    entry(level, module, redacted, args) {
+        const text = [];
+        const fields = {};
+        const data = [];
+        let error = null;
+        redacted.forEach((arg, index) => {
+            if (arg === null || typeof arg !== 'object') {
+                text.push(arg);
+            } else if (args[index] instanceof Error && !error) {
+                error = arg;
+            } else if (Array.isArray(arg)) {
+                data.push(arg);
+            } else {
+                Object.assign(fields, arg);
+            }
+        });
+        return {
+            ...fields,
+            time: new Date().toISOString(),
+            level,
+            module,
+            msg: util.format(...text).replace(TAGGED, ''),
+            ...(error ? { error } : {}),
+            ...(data.length > 0 ? { data } : {})
+        };
+    }
+
+    /**
+     * Sends console.debug/log/info/warn/error through the logger. The tag of the message is its module;
+     * console.log() of a message that starts with ❌ or ⚠️ counts as an error or a warning.
+     */
+    installConsole() {
+        if (this.original) return;
+        this.original = { debug: console.debug, log: console.log, info: console.info, warn: console.warn, error: console.error };
+        const route = (level) => (...args) => {
+            const match = typeof args[0] === 'string' ? args[0].match(TAGGED) : null;
+            const emoji = match && match[1];
+            // A local, so one "❌" message doesn't turn every later console.log() into an error
+            let routed = level;
+            if (level === 'info' && emoji === '❌') routed = 'error';
+            if (level === 'info' && emoji && emoji.startsWith('⚠')) routed = 'warn';
+            this.write(routed, match ? match[2] : DEFAULT_MODULE, args);
+        };
+        console.debug = route('debug');
+        console.log = route('info');
+        console.info = route('info');
+        console.warn = route('warn');
+        console.error = route('error');
+    }
+
+    restoreConsole() {
+        if (!this.original) return;
+        Object.assign(console, this.original);
+        this.original = null;
+    }
+
+    close() {
+        this.restoreConsole();
+        if (this.file) this.file.close();
+    }
+}
+
+/**
+ * @param {object} env - process.env
+ * @returns {Logger} Configured by LOG_LEVEL, LOG_FORMAT, LOG_REDACT, LOG_FILE, LOG_FILE_MAX_MB and LOG_FILE_MAX_FILES
+ */
+const createLoggerFromEnv = (env) => new Logger({
+    level: env.LOG_LEVEL,
+    format: (env.LOG_FORMAT || 'text').toLowerCase(),
+    redact: parseRedact(env.LOG_REDACT),
+    file: env.LOG_FILE ? new RotatingFile(env.LOG_FILE, {
+        maxSize: parseFloat(env.LOG_FILE_MAX_MB) * 1024 * 1024 || undefined,
+        maxFiles: parseInt(env.LOG_FILE_MAX_FILES, 10) || undefined
+    }) : null
+});
+
+module.exports = {
+    LEVELS,
+    Logger,
+    parseLevels,
+    createLoggerFromEnv
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * RotatingFile - Log file that is renamed to "<name>.1" once it reaches maxSize, older files move
+ * up to "<name>.<maxFiles>" and the oldest is deleted. Writes are synchronous so the last lines
+ * before a crash are on disk.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {number} [options.maxSize] - Bytes, default is: 10 MB
+ * @param {number} [options.maxFiles] - Rotated files kept, default is: 5
+ */
+class RotatingFile {
+    constructor(filePath, options = {}) {
+        this.path = path.resolve(filePath);
+        this.maxSize = options.maxSize || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 5;
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        this.open();
+    }
+
+    open() {
+        this.fd = fs.openSync(this.path, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        fs.rmSync(`${this.path}.${this.maxFiles}`, { force: true });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${this.path}.${index}`)) fs.renameSync(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+        }
+        fs.renameSync(this.path, `${this.path}.1`);
+        this.open();
+    }
+
+    /**
+     * @param {string} line - Written with a trailing newline
+     */
+    write(line) {
+        if (this.fd === null) return;
+        const data = Buffer.from(`${line}\n`);
+        if (this.size > 0 && this.size + data.length > this.maxSize) this.rotate();
+        fs.writeSync(this.fd, data);
+        this.size += data.length;
+    }
+
+    close() {
+        if (this.fd === null) return;
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+module.exports = RotatingFile;
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * PII redaction for logs, LOG_REDACT picks what is hidden:
+ *
+ *   numbers   phone numbers and chat ids keep their last 4 digits: "*******0123@c.us"
+ *   messages  message texts become "[redacted 42 chars]"
+ *
+ * Fields are redacted by name (see NUMBER_FIELDS and MESSAGE_FIELDS), free text only for numbers:
+ * runs of 8-15 digits that aren't part of a decimal, like the digits of "14155550123@c.us".
+ */
+
+const REDACT_OPTIONS = ['numbers', 'messages'];
+
+const NUMBER_FIELDS = new Set(['number', 'numbers', 'phone', 'phoneNumber', 'to', 'from', 'author', 'chatId', 'recipient', 'senderId', 'target']);
+const MESSAGE_FIELDS = new Set(['message', 'body', 'caption', 'text', 'content', 'quotedBody']);
+
+const PHONE = /(?<![\d.])\+?\d{8,15}(?:@[cg]\.us)?(?!\.?\d)/g;
+
+const maskNumber = (text) => String(text).replace(/\d(?=(?:\D*\d){4})/g, '*');
+
+/**
+ * @param {string} [setting] - Comma separated REDACT_OPTIONS, "none" or "all"; default is: "all"
+ * @returns {object} { numbers, messages } flags
+ * @throws {Error} For an unknown option
+ */
+const parseRedact = (setting) => {
+    const value = String(setting === undefined ? 'all' : setting).trim().toLowerCase();
+    if (value === 'all') return { numbers: true, messages: true };
+    if (value === 'none' || value === '') return { numbers: false, messages: false };
+    const options = value.split(',').map(option => option.trim()).filter(Boolean);
+    const unknown = options.filter(option => !REDACT_OPTIONS.includes(option));
+    if (unknown.length > 0) throw new Error(`Unknown LOG_REDACT option(s) ${unknown.join(', ')}, use ${REDACT_OPTIONS.join(', ')}, all or none`);
+    return { numbers: options.includes('numbers'), messages: options.includes('messages') };
+};
+
+/**
+ * @param {object} options - { numbers, messages }, see parseRedact()
+ * @returns {object} { text(string), value(any) }
+ */
+const createRedactor = (options) => {
+    const text = (value) => (options.numbers ? String(value).replace(PHONE, maskNumber) : String(value));
+
+    const redactValue = (value, seen = new WeakSet()) => {
+        if (typeof value === 'string') return text(value);
+        if (!value || typeof value !== 'object') return value;
+        if (seen.has(value)) return '[Circular]';
+        seen.add(value);
+        if (value instanceof Error) {
+            return { name: value.name, message: text(value.message), ...(value.stack ? { stack: text(value.stack) } : {}) };
+        }
+        if (value instanceof Date) return value.toISOString();
+        if (value instanceof Map) return redactValue(Object.fromEntries(value), seen);
+        if (value instanceof Set) return redactValue(Array.from(value), seen);
+        if (Array.isArray(value)) return value.map(item => redactValue(item, seen));
+        if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+        const copy = {};
+        for (const [name, item] of Object.entries(value)) {
+            const key = text(name); // Maps are keyed by number at times
+            if (options.messages && MESSAGE_FIELDS.has(key) && typeof item === 'string') {
+                copy[key] = `[redacted ${item.length} chars]`;
+            } else if (options.numbers && NUMBER_FIELDS.has(key) && (typeof item === 'string' || typeof item === 'number')) {
+                copy[key] = maskNumber(item);
+            } else {
+                copy[key] = redactValue(item, seen);
+            }
+        }
+        return copy;
+    };
+
+    return { text, value: redactValue };
+};
+
+module.exports = {
+    REDACT_OPTIONS,
+    parseRedact,
+    createRedactor,
+    maskNumber
+};
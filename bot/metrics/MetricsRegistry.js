@@ -0,0 +1,195 @@
+'use strict';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, for latencies from a quick API call to a slow media upload
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+/**
+ * One metric with a value per label set
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map(); // value by label set, keyed by its JSON
+    }
+
+    labelsOf(labels = {}) {
+        const known = {};
+        for (const name of this.labelNames) {
+            known[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+        }
+        return known;
+    }
+
+    entry(labels, create) {
+        const known = this.labelsOf(labels);
+        const key = JSON.stringify(known);
+        if (!this.values.has(key)) this.values.set(key, { labels: known, ...create() });
+        return this.values.get(key);
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    lines() {
+        return Array.from(this.values.values(), entry => `${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * @param {object} [labels]
+     * @param {number} [value] - default is: 1
+     */
+    inc(labels, value = 1) {
+        this.entry(labels, () => ({ value: 0 })).value += value;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, collect) {
+        super('gauge', name, help, labelNames);
+        this.collect = collect;
+    }
+
+    /**
+     * @param {object} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = Number(value) || 0;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * @param {object} labels
+     * @param {number} value - Seconds for durations
+     */
+    observe(labels, value) {
+        const entry = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    lines() {
+        const lines = [];
+        for (const entry of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * MetricsRegistry - Counters, gauges and histograms rendered in the Prometheus text format (version 0.0.4).
+ * Counters and histograms are updated as things happen; gauges can instead be given a collect function
+ * that sets their values each time they're rendered, from state that already exists elsewhere.
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {function(Gauge)} [collect] - Sets the values before each render, after they were cleared
+     * @returns {Gauge}
+     */
+    gauge(name, help, labelNames, collect) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {Array<number>} [buckets] - Upper bounds, default is: 0.05s to 60s
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * @returns {string} Every metric in the Prometheus text format
+     */
+    render() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) {
+                metric.reset();
+                try {
+                    metric.collect(metric);
+                } catch (error) {
+                    console.error(`❌ [METRICS] Failed to collect ${metric.name}:`, error.message);
+                }
+            }
+            blocks.push([
+                `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.lines()
+            ].join('\n'));
+        }
+        return `${blocks.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    CONTENT_TYPE
+};
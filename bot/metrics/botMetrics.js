@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * The bot's Prometheus metrics. Every series has a "session" label, the WhatsApp session it's about;
+ * message series also have "type", text or media.
+ *
+ *   whatsapp_bot_messages_queued_total      messages added to the queue, scheduled ones included
+ *   whatsapp_bot_messages_sent_total        messages WhatsApp accepted
+ *   whatsapp_bot_messages_failed_total      messages given up on
+ *   whatsapp_bot_message_retries_total      failed attempts that will be retried
+ *   whatsapp_bot_send_duration_seconds      how long WhatsApp took to accept a message
+ *   whatsapp_bot_rate_limit_waits_total     pauses the rate limiter made, by reason
+ *   whatsapp_bot_rate_limit_wait_seconds_total
+ *   whatsapp_bot_reconnects_total           reconnects after WhatsApp disconnected
+ *   whatsapp_bot_messages_received_total    incoming messages, by WhatsApp message type
+ *   whatsapp_bot_connected, whatsapp_bot_queue_length, whatsapp_bot_scheduled_messages,
+ *   whatsapp_bot_processing, whatsapp_bot_daily_messages, whatsapp_bot_last_sent_timestamp_seconds
+ *                                           read from the sessions when scraped
+ */
+
+const RATE_LIMIT_REASONS = ['pacing', 'per_minute', 'per_hour', 'weekend', 'break', 'long_break'];
+
+/**
+ * @param {MetricsRegistry} registry
+ * @param {function(): Iterable<SafeWhatsAppBot>} bots - The running sessions, read on every scrape
+ * @returns {object} The metrics the bots update themselves
+ */
+const createBotMetrics = (registry, bots) => {
+    const forEachBot = (collect) => (gauge) => {
+        for (const bot of bots()) collect(gauge, bot, { session: bot.sessionId });
+    };
+
+    registry.gauge('whatsapp_bot_connected', 'Whether the session is connected to WhatsApp', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, bot.isConnected ? 1 : 0)));
+    registry.gauge('whatsapp_bot_queue_length', 'Messages waiting in the send queue', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, bot.messageQueue.length)));
+    registry.gauge('whatsapp_bot_scheduled_messages', 'Messages waiting for their send time', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, bot.scheduler.size)));
+    registry.gauge('whatsapp_bot_processing', 'Whether the queue processor is running', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, bot.isProcessing ? 1 : 0)));
+    registry.gauge('whatsapp_bot_daily_messages', 'Messages sent today, against the daily limit', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, bot.stats.dailyCount)));
+    registry.gauge('whatsapp_bot_last_sent_timestamp_seconds', 'When the session last sent a message, 0 before the first', ['session'],
+        forEachBot((gauge, bot, labels) => gauge.set(labels, (bot.stats.lastMessageTime || 0) / 1000)));
+
+    return {
+        messagesQueued: registry.counter('whatsapp_bot_messages_queued_total', 'Messages added to the send queue', ['session', 'type']),
+        messagesSent: registry.counter('whatsapp_bot_messages_sent_total', 'Messages WhatsApp accepted', ['session', 'type']),
+        messagesFailed: registry.counter('whatsapp_bot_messages_failed_total', 'Messages that failed for good', ['session', 'type']),
+        messageRetries: registry.counter('whatsapp_bot_message_retries_total', 'Failed send attempts that are retried', ['session', 'type']),
+        sendDuration: registry.histogram('whatsapp_bot_send_duration_seconds', 'Time WhatsApp took to accept a message', ['session', 'type']),
+        rateLimitWaits: registry.counter('whatsapp_bot_rate_limit_waits_total', `Pauses made by the rate limiter: ${RATE_LIMIT_REASONS.join(', ')}`, ['session', 'reason']),
+        rateLimitWaitSeconds: registry.counter('whatsapp_bot_rate_limit_wait_seconds_total', 'Time spent in rate limiter pauses', ['session', 'reason']),
+        reconnects: registry.counter('whatsapp_bot_reconnects_total', 'Reconnects after WhatsApp disconnected', ['session']),
+        messagesReceived: registry.counter('whatsapp_bot_messages_received_total', 'Incoming messages', ['session', 'type'])
+    };
+};
+
+/**
+ * Memory and uptime of the process, as Prometheus' own client libraries name them
+ * @param {MetricsRegistry} registry
+ */
+const registerProcessMetrics = (registry) => {
+    const startTime = Math.round(Date.now() / 1000 - process.uptime());
+    registry.gauge('process_start_time_seconds', 'When the process started', [], gauge => gauge.set({}, startTime));
+    registry.gauge('process_resident_memory_bytes', 'Resident memory of the process', [], gauge => gauge.set({}, process.memoryUsage().rss));
+    registry.gauge('nodejs_heap_size_used_bytes', 'Used V8 heap', [], gauge => gauge.set({}, process.memoryUsage().heapUsed));
+};
+
+module.exports = {
+    RATE_LIMIT_REASONS,
+    createBotMetrics,
+    registerProcessMetrics
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const { REGIONS, CALLING_CODES, regionsForCode, resolveRegion } = require('./regions');
+
+// Longest number E.164 allows, calling code included
+const MAX_DIGITS = 15;
+// Shortest national number accepted for calling codes without rules
+const MIN_NATIONAL_DIGITS = 6;
+
+// Why a number was rejected, in the order they are checked
+const REJECTION_REASONS = {
+    empty: 'No number given',
+    spreadsheet_notation: 'Looks like a spreadsheet rounded it to scientific notation, format the column as text',
+    invalid_characters: 'Only digits, spaces, dashes, dots, brackets and a leading + are allowed',
+    missing_country_code: 'No country code and no default region to assume one from',
+    unknown_country_code: 'Unknown country calling code',
+    too_short: 'Too short',
+    too_long: 'Too long',
+    invalid_length: 'Wrong number of digits',
+    not_mobile: 'Not a mobile number, WhatsApp accounts are on mobile numbers'
+};
+
+const SEPARATORS = /[\s\-().[\]]/g;
+const WHATSAPP_ID = /@(c\.us|s\.whatsapp\.net)$/;
+
+const reject = (reason, detail) => ({
+    valid: false,
+    reason,
+    error: detail ? `${REJECTION_REASONS[reason]}: ${detail}` : REJECTION_REASONS[reason]
+});
+
+const accept = (code, nationalNumber, region) => ({
+    valid: true,
+    e164: `+${code}${nationalNumber}`,
+    countryCode: code,
+    nationalNumber,
+    region,
+    whatsappId: `${code}${nationalNumber}@c.us`
+});
+
+/**
+ * @param {string} digits - National number, trunk prefix stripped
+ * @param {string} region
+ * @returns {object|null} The rejection, null when the number fits the region's rules
+ */
+const checkNational = (digits, region) => {
+    const { code, lengths, mobile } = REGIONS[region];
+    const expected = `${lengths.join(' or ')} digits for ${region} (+${code})`;
+    if (digits.length < Math.min(...lengths)) return reject('too_short', `${digits.length} digits, expected ${expected}`);
+    if (digits.length > Math.max(...lengths)) return reject('too_long', `${digits.length} digits, expected ${expected}`);
+    if (!lengths.includes(digits.length)) return reject('invalid_length', `${digits.length} digits, expected ${expected}`);
+    if (!mobile.test(digits)) return reject('not_mobile', `${region} (+${code})`);
+    return null;
+};
+
+/**
+ * @param {string} digits - National number as written, possibly with the trunk prefix
+ * @param {string} region
+ * @returns {object} accept() or reject() result
+ */
+const parseNational = (digits, region) => {
+    const { code, trunk } = REGIONS[region];
+    // "+44 (0)7911 123456" keeps the trunk prefix after the calling code
+    const stripped = trunk && digits.startsWith(trunk) && !checkNational(digits.slice(trunk.length), region)
+        ? digits.slice(trunk.length)
+        : digits;
+    return checkNational(stripped, region) || accept(code, stripped, region);
+};
+
+/**
+ * @param {string} digits - Calling code and national number
+ * @param {string} [preferredRegion] - Reported for numbers of a calling code several regions share
+ * @returns {object} accept() or reject() result
+ */
+const parseInternational = (digits, preferredRegion) => {
+    if (digits.length > MAX_DIGITS) return reject('too_long', `${digits.length} digits, E.164 allows ${MAX_DIGITS}`);
+    const code = [1, 2, 3].map(length => digits.slice(0, length)).find(prefix => CALLING_CODES.has(prefix));
+    if (!code) return reject('unknown_country_code', `+${digits.slice(0, 3)}…`);
+
+    const national = digits.slice(code.length);
+    const regions = regionsForCode(code).sort((a, b) => (b === preferredRegion) - (a === preferredRegion));
+    if (regions.length === 0) {
+        if (national.length < MIN_NATIONAL_DIGITS) return reject('too_short', `${national.length} digits after +${code}`);
+        return accept(code, national, null);
+    }
+    const results = regions.map(region => parseNational(national, region));
+    return results.find(result => result.valid) || results[0];
+};
+
+/**
+ * Parses a phone number as people write it into E.164 and the WhatsApp id it is messaged at.
+ *
+ * Numbers with a + (or 00, or the default region's international prefix) or a WhatsApp id suffix are
+ * international. Others are read as national numbers of the default region, trunk prefix optional,
+ * and when they don't fit its rules as international numbers without the +, so both "098765 43210"
+ * and "919876543210" work with an IN default.
+ *
+ * @param {*} input
+ * @param {object} [options]
+ * @param {string} [options.defaultRegion] - ISO 3166 code, e.g. "IN"; without one numbers need their calling code
+ * @returns {object} { valid: true, e164, countryCode, nationalNumber, region, whatsappId } or
+ *     { valid: false, reason, error } with a reason of REJECTION_REASONS; region is null for calling codes without rules
+ */
+const normalizePhoneNumber = (input, options = {}) => {
+    const defaultRegion = resolveRegion(options.defaultRegion);
+    const raw = input === null || input === undefined ? '' : String(input).trim();
+    if (!raw) return reject('empty');
+    if (/^\d+(\.\d+)?e\+?\d+$/i.test(raw)) return reject('spreadsheet_notation', raw);
+
+    let digits = raw.replace(WHATSAPP_ID, '').replace(SEPARATORS, '');
+    let international = WHATSAPP_ID.test(raw);
+    if (digits.startsWith('+')) {
+        international = true;
+        digits = digits.slice(1);
+    }
+    if (!/^\d+$/.test(digits)) return reject('invalid_characters', raw);
+
+    // The region's own prefix first, Australia's 0011 also starts with 00
+    const prefix = [defaultRegion && REGIONS[defaultRegion].intl, '00'].find(candidate => candidate && digits.startsWith(candidate));
+    if (!international && prefix) {
+        international = true;
+        digits = digits.slice(prefix.length);
+    }
+    if (international) return parseInternational(digits, defaultRegion);
+    if (!defaultRegion) {
+        const result = parseInternational(digits);
+        return result.valid ? result : reject('missing_country_code', raw);
+    }
+
+    const national = parseNational(digits, defaultRegion);
+    if (national.valid) return national;
+    const withCode = parseInternational(digits, defaultRegion);
+    return withCode.valid ? withCode : national;
+};
+
+module.exports = {
+    REJECTION_REASONS,
+    normalizePhoneNumber
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Numbering rules of the countries the bot knows, by ISO 3166 region code:
+ *
+ *   code    - country calling code
+ *   lengths - digits of a mobile number without the calling code and trunk prefix
+ *   mobile  - leading digits of mobile numbers, WhatsApp accounts are registered on those
+ *   trunk   - prefix dialled before national numbers inside the country, e.g. the 0 of 098765 43210
+ *   intl    - prefix dialled for international calls besides "00", e.g. 011 in the US
+ *
+ * Regions sharing a calling code share its numbers: +1 covers the US, Canada and the rest of the
+ * North American Numbering Plan, +7 Russia and Kazakhstan.
+ */
+const REGIONS = {
+    US: { code: '1', lengths: [10], mobile: /^[2-9]\d{2}[2-9]/, trunk: '1', intl: '011' },
+    CA: { code: '1', lengths: [10], mobile: /^[2-9]\d{2}[2-9]/, trunk: '1', intl: '011' },
+    RU: { code: '7', lengths: [10], mobile: /^9/, trunk: '8', intl: '810' },
+    KZ: { code: '7', lengths: [10], mobile: /^7[0-8]/, trunk: '8', intl: '810' },
+    EG: { code: '20', lengths: [10], mobile: /^1[0125]/, trunk: '0' },
+    ZA: { code: '27', lengths: [9], mobile: /^[6-8]/, trunk: '0' },
+    GR: { code: '30', lengths: [10], mobile: /^69/ },
+    NL: { code: '31', lengths: [9], mobile: /^6/, trunk: '0' },
+    BE: { code: '32', lengths: [9], mobile: /^4[5-9]/, trunk: '0' },
+    FR: { code: '33', lengths: [9], mobile: /^[67]/, trunk: '0' },
+    ES: { code: '34', lengths: [9], mobile: /^[67]/ },
+    HU: { code: '36', lengths: [9], mobile: /^(20|30|31|50|70)/, trunk: '06' },
+    IT: { code: '39', lengths: [9, 10], mobile: /^3/ },
+    RO: { code: '40', lengths: [9], mobile: /^7/, trunk: '0' },
+    CH: { code: '41', lengths: [9], mobile: /^7[5-9]/, trunk: '0' },
+    AT: { code: '43', lengths: [10, 11, 12, 13], mobile: /^6[5-9]/, trunk: '0' },
+    GB: { code: '44', lengths: [10], mobile: /^7[1-57-9]/, trunk: '0' },
+    DK: { code: '45', lengths: [8], mobile: /^[2-9]/ },
+    SE: { code: '46', lengths: [9], mobile: /^7[02369]/, trunk: '0' },
+    NO: { code: '47', lengths: [8], mobile: /^[49]/ },
+    PL: { code: '48', lengths: [9], mobile: /^(45|5[0137]|6[069]|7[2389]|88)/ },
+    DE: { code: '49', lengths: [10, 11], mobile: /^1[5-7]/, trunk: '0' },
+    PE: { code: '51', lengths: [9], mobile: /^9/, trunk: '0' },
+    MX: { code: '52', lengths: [10], mobile: /^[1-9]/ },
+    AR: { code: '54', lengths: [11], mobile: /^9[1-9]/, trunk: '0' },
+    BR: { code: '55', lengths: [11], mobile: /^[1-9]{2}9/, trunk: '0' },
+    CL: { code: '56', lengths: [9], mobile: /^9/ },
+    CO: { code: '57', lengths: [10], mobile: /^3/ },
+    VE: { code: '58', lengths: [10], mobile: /^4/, trunk: '0' },
+    MY: { code: '60', lengths: [9, 10], mobile: /^1/, trunk: '0' },
+    AU: { code: '61', lengths: [9], mobile: /^4/, trunk: '0', intl: '0011' },
+    ID: { code: '62', lengths: [9, 10, 11, 12], mobile: /^8/, trunk: '0' },
+    PH: { code: '63', lengths: [10], mobile: /^9/, trunk: '0' },
+    NZ: { code: '64', lengths: [8, 9, 10], mobile: /^2/, trunk: '0' },
+    SG: { code: '65', lengths: [8], mobile: /^[89]/ },
+    TH: { code: '66', lengths: [9], mobile: /^[689]/, trunk: '0' },
+    JP: { code: '81', lengths: [10], mobile: /^[789]0/, trunk: '0', intl: '010' },
+    KR: { code: '82', lengths: [9, 10], mobile: /^1/, trunk: '0', intl: '001' },
+    VN: { code: '84', lengths: [9], mobile: /^[35789]/, trunk: '0' },
+    CN: { code: '86', lengths: [11], mobile: /^1[3-9]/, trunk: '0' },
+    TR: { code: '90', lengths: [10], mobile: /^5/, trunk: '0' },
+    IN: { code: '91', lengths: [10], mobile: /^[6-9]/, trunk: '0' },
+    PK: { code: '92', lengths: [10], mobile: /^3/, trunk: '0' },
+    AF: { code: '93', lengths: [9], mobile: /^7/, trunk: '0' },
+    LK: { code: '94', lengths: [9], mobile: /^7/, trunk: '0' },
+    MM: { code: '95', lengths: [8, 9, 10], mobile: /^9/, trunk: '0' },
+    IR: { code: '98', lengths: [10], mobile: /^9/, trunk: '0' },
+    MA: { code: '212', lengths: [9], mobile: /^[67]/, trunk: '0' },
+    DZ: { code: '213', lengths: [9], mobile: /^[567]/, trunk: '0' },
+    TN: { code: '216', lengths: [8], mobile: /^[2-59]/ },
+    GH: { code: '233', lengths: [9], mobile: /^[235]/, trunk: '0' },
+    NG: { code: '234', lengths: [10], mobile: /^([789][01]|91)/, trunk: '0' },
+    ET: { code: '251', lengths: [9], mobile: /^[79]/, trunk: '0' },
+    KE: { code: '254', lengths: [9], mobile: /^[17]/, trunk: '0' },
+    TZ: { code: '255', lengths: [9], mobile: /^[67]/, trunk: '0' },
+    UG: { code: '256', lengths: [9], mobile: /^7/, trunk: '0' },
+    PT: { code: '351', lengths: [9], mobile: /^9/ },
+    IE: { code: '353', lengths: [9], mobile: /^8/, trunk: '0' },
+    FI: { code: '358', lengths: [7, 8, 9, 10], mobile: /^(4|50)/, trunk: '0' },
+    UA: { code: '380', lengths: [9], mobile: /^(39|50|6[3678]|73|9[1-9])/, trunk: '0' },
+    CZ: { code: '420', lengths: [9], mobile: /^[67]/ },
+    HK: { code: '852', lengths: [8], mobile: /^[4-9]/ },
+    BD: { code: '880', lengths: [10], mobile: /^1[3-9]/, trunk: '0' },
+    TW: { code: '886', lengths: [9], mobile: /^9/, trunk: '0' },
+    MV: { code: '960', lengths: [7], mobile: /^[79]/ },
+    LB: { code: '961', lengths: [7, 8], mobile: /^(3|7[0169]|81)/, trunk: '0' },
+    JO: { code: '962', lengths: [9], mobile: /^7[789]/, trunk: '0' },
+    KW: { code: '965', lengths: [8], mobile: /^[569]/ },
+    SA: { code: '966', lengths: [9], mobile: /^5/, trunk: '0' },
+    OM: { code: '968', lengths: [8], mobile: /^[79]/ },
+    AE: { code: '971', lengths: [9], mobile: /^5/, trunk: '0' },
+    IL: { code: '972', lengths: [9], mobile: /^5/, trunk: '0' },
+    BH: { code: '973', lengths: [8], mobile: /^3/ },
+    QA: { code: '974', lengths: [8], mobile: /^[3567]/ },
+    NP: { code: '977', lengths: [10], mobile: /^9[78]/, trunk: '0' }
+};
+
+/**
+ * Every assigned country calling code. Numbers of codes without rules above only get the E.164 length check.
+ */
+const CALLING_CODES = new Set([
+    '1', '7', '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+    '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66', '81', '82', '84', '86',
+    '90', '91', '92', '93', '94', '95', '98',
+    '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229',
+    '230', '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244', '245',
+    '246', '247', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258',
+    '260', '261', '262', '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+    '350', '351', '352', '353', '354', '355', '356', '357', '358', '359',
+    '370', '371', '372', '373', '374', '375', '376', '377', '378', '379', '380', '381', '382', '383', '385', '386',
+    '387', '389', '420', '421', '423',
+    '500', '501', '502', '503', '504', '505', '506', '507', '508', '509',
+    '590', '591', '592', '593', '594', '595', '596', '597', '598', '599',
+    '670', '672', '673', '674', '675', '676', '677', '678', '679', '680', '681', '682', '683', '685', '686', '687',
+    '688', '689', '690', '691', '692',
+    '850', '852', '853', '855', '856', '880', '886',
+    '960', '961', '962', '963', '964', '965', '966', '967', '968', '970', '971', '972', '973', '974', '975', '976',
+    '977', '992', '993', '994', '995', '996', '998'
+]);
+
+/**
+ * @param {string} code - Country calling code
+ * @returns {Array<string>} Regions with rules for it, e.g. ["US", "CA"] for "1"
+ */
+const regionsForCode = (code) => Object.keys(REGIONS).filter(region => REGIONS[region].code === code);
+
+/**
+ * @param {string} [region]
+ * @returns {string|null} The region code in upper case when the bot has rules for it
+ */
+const resolveRegion = (region) => {
+    const normalized = String(region || '').trim().toUpperCase();
+    return REGIONS[normalized] ? normalized : null;
+};
+
+module.exports = {
+    REGIONS,
+    CALLING_CODES,
+    regionsForCode,
+    resolveRegion
+};
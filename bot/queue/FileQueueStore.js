@@ -0,0 +1,44 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+const { QueueStore } = require('./QueueStore');
+
+/**
+ * FileQueueStore - Persists the message queue to a JSON file on disk
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the queue file is written to, default is: "./data/"
+ * @param {number} options.retentionMs - How long finished items are kept for lookups
+ */
+class FileQueueStore extends QueueStore {
+    constructor(options = {}) {
+        super(options);
+
+        this.dataPath = options.dataPath || './data/';
+        this.file = new JsonFile(path.join(this.dataPath, 'queue.json'), []);
+    }
+
+    async init() {
+        for (const item of this.file.read()) {
+            await super.save(item);
+        }
+        await this.prune();
+    }
+
+    async save(item) {
+        await super.save(item);
+        this.file.write(Array.from(this.items.values()));
+    }
+
+    async prune() {
+        await super.prune();
+        this.file.write(Array.from(this.items.values()));
+    }
+
+    async close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = FileQueueStore;
@@ -0,0 +1,97 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * MediaStore - Keeps media attachments on disk so queued items only hold a reference
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory media is copied to, default is: "./data/media/"
+ */
+class MediaStore {
+    constructor(options = {}) {
+        this.dataPath = path.resolve(options.dataPath || './data/media/');
+    }
+
+    /**
+     * Moves an uploaded file (as produced by multer) into the store
+     * @param {object} file - multer file object
+     * @returns {{path: string, mimetype: string, filename: string, size: number}}
+     */
+    saveUpload(file) {
+        fs.mkdirSync(this.dataPath, { recursive: true });
+        const target = path.join(this.dataPath, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(file.originalname)}`);
+
+        try {
+            fs.renameSync(file.path, target);
+        } catch (err) {
+            // uploads/ may live on a different device than the data directory
+            fs.copyFileSync(file.path, target);
+            fs.unlinkSync(file.path);
+        }
+
+        return {
+            path: target,
+            mimetype: file.mimetype,
+            filename: file.originalname,
+            size: file.size
+        };
+    }
+
+    /**
+     * Writes an in-memory MessageMedia to the store
+     * @param {MessageMedia} media
+     * @returns {{path: string, mimetype: string, filename: string, size: number}}
+     */
+    saveMedia(media) {
+        fs.mkdirSync(this.dataPath, { recursive: true });
+        const data = Buffer.from(media.data, 'base64');
+        const target = path.join(this.dataPath, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(media.filename || '')}`);
+        fs.writeFileSync(target, data);
+
+        return {
+            path: target,
+            mimetype: media.mimetype,
+            filename: media.filename,
+            size: data.length
+        };
+    }
+
+    /**
+     * Duplicates a stored file, so the copy can be released independently
+     * @param {object} ref - Reference returned by saveUpload() or saveMedia()
+     * @returns {{path: string, mimetype: string, filename: string, size: number}}
+     */
+    copy(ref) {
+        fs.mkdirSync(this.dataPath, { recursive: true });
+        const target = path.join(this.dataPath, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(ref.filename || ref.path)}`);
+        fs.copyFileSync(ref.path, target);
+        return { ...ref, path: target };
+    }
+
+    /**
+     * @param {object} ref - Reference returned by saveUpload() or saveMedia()
+     * @returns {boolean}
+     */
+    exists(ref) {
+        return !!ref && fs.existsSync(ref.path);
+    }
+
+    /**
+     * Deletes the file behind a media reference
+     * @param {object} ref - Reference returned by saveUpload() or saveMedia()
+     */
+    release(ref) {
+        if (!ref || !ref.path.startsWith(this.dataPath)) return;
+        try {
+            fs.unlinkSync(ref.path);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ [MEDIA] Failed to delete ${ref.path}:`, err.message);
+            }
+        }
+    }
+}
+
+module.exports = MediaStore;
@@ -0,0 +1,87 @@
+'use strict';
+
+/* Require Optional Dependencies */
+try {
+    var mongoose = require('mongoose');
+} catch {
+    mongoose = undefined;
+}
+
+const { QueueStore, PENDING_STATUSES, sortPending } = require('./QueueStore');
+
+/**
+ * MongoQueueStore - Persists the message queue to MongoDB through mongoose
+ * @param {object} options - options
+ * @param {string} options.uri - MongoDB connection URI, defaults to the MONGODB_URI environment variable
+ * @param {string} options.collection - Collection name, default is: "queued_messages"
+ * @param {number} options.retentionMs - How long finished items are kept for lookups
+ */
+class MongoQueueStore extends QueueStore {
+    constructor(options = {}) {
+        if (!mongoose) throw new Error('Optional Dependency [mongoose] is required to use MongoQueueStore.');
+        super(options);
+
+        this.uri = options.uri || process.env.MONGODB_URI;
+        if (!this.uri) throw new Error('A MongoDB connection URI is required to use MongoQueueStore.');
+
+        this.collection = options.collection || 'queued_messages';
+    }
+
+    async init() {
+        this.connection = await mongoose.createConnection(this.uri).asPromise();
+        const schema = new mongoose.Schema({
+            _id: String,
+            status: { type: String, index: true },
+            timestamp: { type: Number, index: true },
+            messageId: { type: String, index: true, sparse: true },
+            campaignId: { type: String, index: true, sparse: true },
+            item: mongoose.Schema.Types.Mixed
+        }, { versionKey: false });
+        this.model = this.connection.model('QueuedMessage', schema, this.collection);
+        await this.prune();
+    }
+
+    async loadPending() {
+        const docs = await this.model.find({ status: { $in: PENDING_STATUSES } }).lean();
+        return sortPending(docs.map(doc => doc.item));
+    }
+
+    async save(item) {
+        await this.model.updateOne(
+            { _id: String(item.id) },
+            { status: item.status, timestamp: item.timestamp, messageId: item.messageId, campaignId: item.campaignId, item },
+            { upsert: true }
+        );
+    }
+
+    async get(id) {
+        const doc = await this.model.findById(String(id)).lean();
+        return doc ? doc.item : null;
+    }
+
+    async findByMessageId(messageId) {
+        const doc = await this.model.findOne({ messageId }).lean();
+        return doc ? doc.item : null;
+    }
+
+    async list({ status, campaignId, limit = 100 } = {}) {
+        const query = {};
+        if (status) query.status = status;
+        if (campaignId) query.campaignId = campaignId;
+        const docs = await this.model.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+        return docs.map(doc => doc.item);
+    }
+
+    async prune() {
+        await this.model.deleteMany({
+            status: { $nin: PENDING_STATUSES },
+            timestamp: { $lt: Date.now() - this.retentionMs }
+        });
+    }
+
+    async close() {
+        if (this.connection) await this.connection.close();
+    }
+}
+
+module.exports = MongoQueueStore;
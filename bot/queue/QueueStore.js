@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * Statuses a queued message can be in. `scheduled`, `queued`, `retrying` and `sending` are
+ * considered pending and are reloaded on boot; `scheduled` items wait for their `sendAt`
+ * time before they are queued. `paused` items belong to a paused
+ * campaign and go back to `queued` when it resumes. `server` through `played`
+ * follow the message acks WhatsApp reports after a successful send.
+ */
+const QueueStatus = {
+    SCHEDULED: 'scheduled',
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    RETRYING: 'retrying',
+    PAUSED: 'paused',
+    SENT: 'sent',
+    SERVER: 'server',
+    DELIVERED: 'delivered',
+    READ: 'read',
+    PLAYED: 'played',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const PENDING_STATUSES = [QueueStatus.SCHEDULED, QueueStatus.QUEUED, QueueStatus.SENDING, QueueStatus.RETRYING];
+
+/**
+ * Sorts pending items so retries resume first, then high priority items,
+ * then everything else in the order it was queued.
+ * @param {Array<object>} items
+ * @returns {Array<object>}
+ */
+const sortPending = (items) => {
+    const rank = (item) => {
+        if (item.status === QueueStatus.RETRYING || item.status === QueueStatus.SENDING) return 0;
+        return item.priority === 'high' ? 1 : 2;
+    };
+    return items.sort((a, b) => rank(a) - rank(b) || a.timestamp - b.timestamp);
+};
+
+/**
+ * Default queue store. Keeps items in memory only, so nothing survives a restart.
+ * Durable stores persist every item handed to save(), including its status
+ * history, and return pending items from loadPending() on boot.
+ * @param {object} options - options
+ * @param {number} options.retentionMs - How long finished items are kept for lookups, default is 7 days
+ */
+class QueueStore {
+    constructor(options = {}) {
+        this.items = new Map();
+        this.messageIds = new Map();
+        this.retentionMs = options.retentionMs || 7 * 24 * 60 * 60 * 1000;
+    }
+
+    async init() { }
+
+    /**
+     * Returns the items that were still pending when the process stopped,
+     * in the order the processor should pick them up.
+     * @returns {Promise<Array<object>>}
+     */
+    async loadPending() {
+        return sortPending(Array.from(this.items.values())
+            .filter(item => PENDING_STATUSES.includes(item.status)));
+    }
+
+    /**
+     * Inserts or updates a queue item
+     * @param {object} item
+     */
+    async save(item) {
+        this.items.set(String(item.id), item);
+        if (item.messageId) {
+            this.messageIds.set(item.messageId, String(item.id));
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+        return this.items.get(String(id)) || null;
+    }
+
+    /**
+     * Looks up an item by the id WhatsApp assigned to the sent message
+     * @param {string} messageId
+     * @returns {Promise<object|null>}
+     */
+    async findByMessageId(messageId) {
+        const id = this.messageIds.get(messageId);
+        return id ? this.get(id) : null;
+    }
+
+    /**
+     * @param {object} [filter]
+     * @param {string} [filter.status]
+     * @param {string} [filter.campaignId]
+     * @param {number} [filter.limit] - 0 returns every match
+     * @returns {Promise<Array<object>>}
+     */
+    async list({ status, campaignId, limit = 100 } = {}) {
+        const items = Array.from(this.items.values())
+            .filter(item => !status || item.status === status)
+            .filter(item => !campaignId || item.campaignId === campaignId)
+            .sort((a, b) => b.timestamp - a.timestamp);
+        return limit ? items.slice(0, limit) : items;
+    }
+
+    /**
+     * Drops finished items older than the retention window
+     */
+    async prune() {
+        const cutoff = Date.now() - this.retentionMs;
+        for (const [id, item] of this.items) {
+            if (!PENDING_STATUSES.includes(item.status) && item.timestamp < cutoff) {
+                this.items.delete(id);
+                this.messageIds.delete(item.messageId);
+            }
+        }
+    }
+
+    async close() { }
+}
+
+module.exports = {
+    QueueStore,
+    QueueStatus,
+    PENDING_STATUSES,
+    sortPending
+};
@@ -0,0 +1,19 @@
+const FileQueueStore = require('./FileQueueStore');
+const { QueueStore } = require('./QueueStore');
+
+const createQueueStore = (type, options) => {
+    switch (type) {
+    case 'mongo':
+        return new (require('./MongoQueueStore'))(options);
+    case 'file':
+        return new FileQueueStore(options);
+    case 'memory':
+        return new QueueStore(options);
+    default:
+        throw new Error(`Invalid QueueStore type ${type}`);
+    }
+};
+
+module.exports = {
+    createQueueStore,
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+const { compileRecurrence } = require('./recurrence');
+
+// Runs kept per schedule, oldest are dropped first
+const HISTORY_LIMIT = 50;
+
+/**
+ * ScheduleStore - Recurring message schedules with their run history, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the schedule file is written to, default is: "./data/"
+ */
+class ScheduleStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'schedules.json'), []);
+        this.schedules = new Map(this.file.read().map(schedule => [schedule.id, schedule]));
+    }
+
+    /**
+     * @param {object} schedule
+     * @returns {object} Compiled recurrence, see compileRecurrence()
+     * @throws {RecurrenceError} When the recurrence doesn't parse
+     */
+    static recurrenceOf(schedule) {
+        return compileRecurrence(schedule.recurrence, { timezone: schedule.timezone, start: new Date(schedule.startsAt) });
+    }
+
+    /**
+     * @param {object} schedule
+     * @param {Date} [after]
+     * @returns {string|null} ISO time of the next run, null when paused or finished
+     */
+    static nextRun(schedule, after = new Date()) {
+        if (!schedule.enabled) return null;
+        const recurrence = ScheduleStore.recurrenceOf(schedule);
+        if (recurrence.count !== null && schedule.runCount >= recurrence.count) return null;
+        const run = recurrence.next(after);
+        return run ? run.toISOString() : null;
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} fields.recurrence - Cron expression or RRULE
+     * @param {string} fields.timezone
+     * @param {object} fields.target - { type, id, name } of who receives it
+     * @param {string} [fields.templateId] - Library template rendered at each run
+     * @param {string} [fields.message] - Message text when no template is used
+     * @param {string} [fields.priority]
+     * @returns {object}
+     * @throws {RecurrenceError} When the recurrence doesn't parse
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const schedule = {
+            id: crypto.randomUUID(),
+            name: fields.name.trim(),
+            recurrence: fields.recurrence.trim(),
+            timezone: fields.timezone,
+            target: fields.target,
+            templateId: fields.templateId || null,
+            message: fields.message || null,
+            priority: fields.priority || 'normal',
+            enabled: true,
+            startsAt: now,
+            createdAt: now,
+            updatedAt: now,
+            nextRunAt: null,
+            lastRunAt: null,
+            runCount: 0,
+            history: []
+        };
+        schedule.nextRunAt = ScheduleStore.nextRun(schedule);
+        this.schedules.set(schedule.id, schedule);
+        this.save();
+        return schedule;
+    }
+
+    get(id) {
+        return this.schedules.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Schedules, the ones running soonest first
+     */
+    list() {
+        return Array.from(this.schedules.values()).sort((a, b) => {
+            if (a.nextRunAt && b.nextRunAt) return a.nextRunAt.localeCompare(b.nextRunAt);
+            if (a.nextRunAt || b.nextRunAt) return a.nextRunAt ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Changes a schedule and works out its next run again; a new recurrence starts counting from now
+     * @param {object} schedule
+     * @param {object} fields - Any of the fields create() takes, plus enabled
+     * @returns {object}
+     * @throws {RecurrenceError} When the recurrence doesn't parse
+     */
+    update(schedule, fields = {}) {
+        const now = new Date().toISOString();
+        const changed = { ...schedule };
+        for (const key of ['name', 'recurrence', 'timezone', 'target', 'templateId', 'message', 'priority', 'enabled']) {
+            if (fields[key] !== undefined) changed[key] = typeof fields[key] === 'string' ? fields[key].trim() : fields[key];
+        }
+        if (changed.recurrence !== schedule.recurrence || changed.timezone !== schedule.timezone) {
+            changed.startsAt = now;
+            changed.runCount = 0;
+        }
+        changed.nextRunAt = ScheduleStore.nextRun(changed);
+
+        Object.assign(schedule, changed, { updatedAt: now });
+        this.save();
+        return schedule;
+    }
+
+    /**
+     * Adds a run to the history; scheduled runs count towards COUNT and move the schedule to its next run
+     * @param {object} schedule
+     * @param {object} run - { trigger, startedAt, status, campaignId, recipients, error }
+     * @returns {object}
+     */
+    recordRun(schedule, run) {
+        schedule.history.push(run);
+        if (schedule.history.length > HISTORY_LIMIT) {
+            schedule.history.splice(0, schedule.history.length - HISTORY_LIMIT);
+        }
+        schedule.lastRunAt = run.startedAt;
+        if (run.trigger === 'schedule') {
+            schedule.runCount++;
+            schedule.nextRunAt = ScheduleStore.nextRun(schedule);
+        }
+        this.save();
+        return schedule;
+    }
+
+    /**
+     * @param {object} schedule
+     * @param {number} [count]
+     * @returns {Array<string>} ISO times of the next runs, starting with nextRunAt
+     */
+    upcoming(schedule, count = 5) {
+        if (!schedule.nextRunAt) return [];
+        const recurrence = ScheduleStore.recurrenceOf(schedule);
+        const remaining = recurrence.count === null ? count : Math.min(count, recurrence.count - schedule.runCount);
+        const first = new Date(schedule.nextRunAt);
+        return [first, ...recurrence.upcoming(first, remaining - 1)].map(run => run.toISOString());
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed schedule
+     */
+    remove(id) {
+        const schedule = this.get(id);
+        if (!schedule) return null;
+        this.schedules.delete(id);
+        this.save();
+        return schedule;
+    }
+
+    /**
+     * Schedule without its run history, used for listings
+     * @param {object} schedule
+     * @returns {object}
+     */
+    describe(schedule) {
+        // eslint-disable-next-line no-unused-vars
+        const { history, ...rest } = schedule;
+        return { ...rest, lastRun: history.length > 0 ? history[history.length - 1] : null };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.schedules.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = ScheduleStore;
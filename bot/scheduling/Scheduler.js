@@ -0,0 +1,118 @@
+'use strict';
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT = 2147483647;
+
+const dueTime = (item) => new Date(item.sendAt).getTime();
+
+/**
+ * Scheduler - Holds queue items until their sendAt time, then hands them to a callback.
+ * Items are kept in due order and a single timer is armed for the earliest one.
+ * @param {function(object): *} onDue - Called with each item once it is due
+ */
+class Scheduler {
+    constructor(onDue) {
+        this.onDue = onDue;
+        this.items = new Map();
+        this.order = [];
+        this.timer = null;
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    /**
+     * @param {object} item - Queue item with an ISO `sendAt`
+     */
+    add(item) {
+        if (this.items.has(item.id)) this._unlink(item.id);
+        this.items.set(item.id, item);
+
+        // Binary search for the slot after every item due at the same time or earlier
+        const time = dueTime(item);
+        let low = 0;
+        let high = this.order.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (dueTime(this.order[middle]) <= time) low = middle + 1;
+            else high = middle;
+        }
+        this.order.splice(low, 0, item);
+        this._arm();
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    /**
+     * @param {*} id
+     * @returns {object|null} The item that was held
+     */
+    remove(id) {
+        const item = this.get(id);
+        if (item) {
+            this._unlink(id);
+            this._arm();
+        }
+        return item;
+    }
+
+    /**
+     * Removes and returns every held item matching a predicate
+     * @param {function(object): boolean} predicate
+     * @returns {Array<object>}
+     */
+    take(predicate) {
+        const taken = [];
+        this.order = this.order.filter(item => {
+            if (!predicate(item)) return true;
+            taken.push(item);
+            this.items.delete(item.id);
+            return false;
+        });
+        if (taken.length > 0) this._arm();
+        return taken;
+    }
+
+    /**
+     * @returns {Array<object>} Held items, soonest first
+     */
+    list() {
+        return this.order.slice();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    _arm() {
+        this.stop();
+        const next = this.order[0];
+        if (!next) return;
+
+        const wait = Math.max(0, dueTime(next) - Date.now());
+        this.timer = setTimeout(() => this._release(), Math.min(wait, MAX_TIMEOUT));
+    }
+
+    _release() {
+        this.timer = null;
+        const now = Date.now();
+        const due = this.take(item => dueTime(item) <= now);
+        for (const item of due) {
+            Promise.resolve(this.onDue(item)).catch(error => {
+                console.error(`❌ [SCHEDULER] Failed to release message ${item.id}:`, error.message);
+            });
+        }
+        this._arm();
+    }
+
+    _unlink(id) {
+        this.items.delete(id);
+        this.order.splice(this.order.findIndex(item => item.id === id), 1);
+    }
+}
+
+module.exports = Scheduler;
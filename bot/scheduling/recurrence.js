@@ -0,0 +1,263 @@
+'use strict';
+
+const { localParts, zonedTime } = require('./timezones');
+
+/**
+ * Recurrence rules for repeating schedules, evaluated in the schedule's timezone.
+ *
+ *   0 9 * * MON-FRI                  cron: minute hour day-of-month month day-of-week
+ *   0-59/15 8-18 1,15 * *            steps, ranges, lists and JAN-DEC / SUN-SAT names
+ *   @daily  @weekly  @monthly  @yearly  @hourly
+ *   FREQ=WEEKLY;BYDAY=MO,TH;BYHOUR=9;BYMINUTE=30                RRULE, optionally prefixed with "RRULE:"
+ *   FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=1,-1;COUNT=6;UNTIL=20271231
+ *
+ * RRULE parts left out are taken from the start, e.g. FREQ=WEEKLY repeats on the weekday and time it was created.
+ */
+
+class RecurrenceError extends Error {}
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    // 7 is Sunday too
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// How far ahead to look for the next run, long enough for a rule that only matches on 29 February
+const SEARCH_DAYS = 366 * 8;
+
+const DAY_MS = 86400000;
+
+const parseCronValue = (value, field) => {
+    const named = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    if (named !== -1) return named + (field.min === 1 ? 1 : 0);
+    if (!/^\d+$/.test(value) || Number(value) < field.min || Number(value) > field.max) {
+        throw new RecurrenceError(`Invalid ${field.name} "${value}", expected ${field.min}-${field.max}`);
+    }
+    return Number(value);
+};
+
+const parseCronField = (source, field) => {
+    const values = new Set();
+    for (const part of source.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || (stepText !== undefined && !/^[1-9]\d*$/.test(stepText))) {
+            throw new RecurrenceError(`Invalid step in ${field.name} "${part}"`);
+        }
+        const step = stepText === undefined ? 1 : Number(stepText);
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseCronValue(value, field));
+            if (start > end) throw new RecurrenceError(`Invalid ${field.name} range "${range}"`);
+        } else {
+            start = parseCronValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+};
+
+const sorted = (values) => Array.from(values).sort((a, b) => a - b);
+
+const parseCron = (expression) => {
+    const source = MACROS[expression.toLowerCase()] || expression;
+    const fields = source.split(/\s+/);
+    if (fields.length !== 5) {
+        throw new RecurrenceError(`A cron expression has 5 fields (minute hour day-of-month month day-of-week), got ${fields.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    if (weekdays.delete(7)) weekdays.add(0);
+    const anyDay = fields[2].startsWith('*');
+    const anyWeekday = fields[4].startsWith('*');
+
+    return {
+        minutes: sorted(minutes),
+        hours: sorted(hours),
+        // Like cron, a restricted day of month and day of week match when either does
+        matchesDay: ({ month, day, weekday }) => {
+            if (!months.has(month)) return false;
+            if (anyDay && anyWeekday) return true;
+            if (anyDay) return weekdays.has(weekday);
+            if (anyWeekday) return days.has(day);
+            return days.has(day) || weekdays.has(weekday);
+        },
+        count: null,
+        until: null
+    };
+};
+
+const parseList = (value, key, parse) => value.split(',').map(entry => {
+    const parsed = parse(entry.trim());
+    if (parsed === null) throw new RecurrenceError(`Invalid ${key} value "${entry}"`);
+    return parsed;
+});
+
+const integerIn = (min, max) => (value) => {
+    const number = /^-?\d+$/.test(value) ? Number(value) : NaN;
+    return number >= min && number <= max ? number : null;
+};
+
+// 20271231, 20271231T180000Z or anything Date understands
+const parseUntil = (value) => {
+    const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    const date = basic
+        ? new Date(Date.UTC(basic[1], basic[2] - 1, basic[3], basic[4] || 23, basic[5] || 59, basic[6] || 59))
+        : new Date(value);
+    if (isNaN(date.getTime())) throw new RecurrenceError(`Invalid UNTIL date "${value}"`);
+    return date;
+};
+
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const parseRRule = (expression, start) => {
+    const rule = {};
+    for (const part of expression.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!key || value === undefined || value === '') throw new RecurrenceError(`Invalid RRULE part "${part}"`);
+        rule[key.trim().toUpperCase()] = value.trim();
+    }
+
+    const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'BYHOUR', 'BYMINUTE', 'COUNT', 'UNTIL'];
+    const unknown = Object.keys(rule).filter(key => !supported.includes(key));
+    if (unknown.length > 0) throw new RecurrenceError(`Unsupported RRULE part ${unknown.join(', ')}`);
+
+    const freq = (rule.FREQ || '').toUpperCase();
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq)) {
+        throw new RecurrenceError('RRULE FREQ must be DAILY, WEEKLY or MONTHLY');
+    }
+    const interval = rule.INTERVAL ? integerIn(1, 1000)(rule.INTERVAL) : 1;
+    if (interval === null) throw new RecurrenceError(`Invalid INTERVAL "${rule.INTERVAL}"`);
+
+    const weekdays = rule.BYDAY
+        ? parseList(rule.BYDAY.toUpperCase(), 'BYDAY', value => (RRULE_DAYS.includes(value) ? RRULE_DAYS.indexOf(value) : null))
+        : (freq === 'WEEKLY' ? [start.weekday] : null);
+    const monthDays = rule.BYMONTHDAY
+        ? parseList(rule.BYMONTHDAY, 'BYMONTHDAY', value => {
+            const day = integerIn(-31, 31)(value);
+            return day === 0 ? null : day;
+        })
+        : (freq === 'MONTHLY' && !weekdays ? [start.day] : null);
+    const hours = rule.BYHOUR ? parseList(rule.BYHOUR, 'BYHOUR', integerIn(0, 23)) : [start.hour];
+    const minutes = rule.BYMINUTE ? parseList(rule.BYMINUTE, 'BYMINUTE', integerIn(0, 59)) : [start.minute];
+    const count = rule.COUNT ? integerIn(1, 100000)(rule.COUNT) : null;
+    if (rule.COUNT && count === null) throw new RecurrenceError(`Invalid COUNT "${rule.COUNT}"`);
+
+    const startDay = dayNumber(start);
+    // 1 January 1970 was a Thursday, weeks start on Monday
+    const week = (days) => Math.floor((days + 3) / 7);
+
+    return {
+        minutes: sorted(new Set(minutes)),
+        hours: sorted(new Set(hours)),
+        matchesDay: (date) => {
+            const days = dayNumber(date);
+            if (days < startDay) return false;
+            if (freq === 'DAILY' && (days - startDay) % interval !== 0) return false;
+            if (freq === 'WEEKLY' && (week(days) - week(startDay)) % interval !== 0) return false;
+            if (freq === 'MONTHLY' && ((date.year * 12 + date.month) - (start.year * 12 + start.month)) % interval !== 0) return false;
+
+            if (weekdays && !weekdays.includes(date.weekday)) return false;
+            if (monthDays) {
+                const length = new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+                if (!monthDays.some(day => day === date.day || (day < 0 && length + day + 1 === date.day))) return false;
+            }
+            return true;
+        },
+        count,
+        until: rule.UNTIL ? parseUntil(rule.UNTIL) : null
+    };
+};
+
+/**
+ * @param {string} expression
+ * @returns {boolean} Whether the expression is an RRULE rather than a cron expression
+ */
+const isRRule = (expression) => /\bFREQ=/i.test(String(expression));
+
+/**
+ * Compiles a cron expression or RRULE
+ * @param {string} expression
+ * @param {object} options
+ * @param {string} options.timezone - Timezone the hours and days are in
+ * @param {Date} [options.start] - When the recurrence starts, RRULE intervals and defaults count from it
+ * @returns {{type: string, count: number|null, until: Date|null, next: function(Date): Date|null, upcoming: function(Date, number): Array<Date>}}
+ * @throws {RecurrenceError} When the expression doesn't parse
+ */
+const compileRecurrence = (expression, options) => {
+    const source = String(expression || '').trim();
+    if (!source) throw new RecurrenceError('A cron expression or RRULE is required');
+
+    const timezone = options.timezone;
+    const type = isRRule(source) ? 'rrule' : 'cron';
+    const rule = type === 'rrule'
+        ? parseRRule(source, localParts(options.start || new Date(), timezone))
+        : parseCron(source);
+
+    /**
+     * @param {Date} after
+     * @returns {Date|null} First run strictly after the date, null when there are no more
+     */
+    const next = (after) => {
+        const from = localParts(after, timezone);
+        for (let offset = 0; offset <= SEARCH_DAYS; offset++) {
+            const calendar = new Date(Date.UTC(from.year, from.month - 1, from.day + offset));
+            const date = {
+                year: calendar.getUTCFullYear(),
+                month: calendar.getUTCMonth() + 1,
+                day: calendar.getUTCDate(),
+                weekday: calendar.getUTCDay()
+            };
+            if (!rule.matchesDay(date)) continue;
+
+            for (const hour of rule.hours) {
+                if (offset === 0 && hour < from.hour) continue;
+                for (const minute of rule.minutes) {
+                    const run = zonedTime({ ...date, hour, minute }, timezone);
+                    if (run <= after) continue;
+                    return rule.until && run > rule.until ? null : run;
+                }
+            }
+        }
+        return null;
+    };
+
+    const upcoming = (after, count) => {
+        const runs = [];
+        let run = next(after);
+        while (run && runs.length < count) {
+            runs.push(run);
+            run = next(run);
+        }
+        return runs;
+    };
+
+    return { type, count: rule.count, until: rule.until, next, upcoming };
+};
+
+module.exports = {
+    RecurrenceError,
+    compileRecurrence
+};
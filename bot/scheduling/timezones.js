@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * Timezone used for each country calling code. Countries spanning several zones
+ * map to the zone most of their population lives in (e.g. +1 is US Eastern, +7 Moscow,
+ * +55 São Paulo, +61 Sydney); a Timezone column in the CSV overrides the guess.
+ */
+const CALLING_CODE_TIMEZONES = {
+    '1': 'America/New_York',
+    '7': 'Europe/Moscow',
+    '20': 'Africa/Cairo',
+    '27': 'Africa/Johannesburg',
+    '30': 'Europe/Athens',
+    '31': 'Europe/Amsterdam',
+    '32': 'Europe/Brussels',
+    '33': 'Europe/Paris',
+    '34': 'Europe/Madrid',
+    '36': 'Europe/Budapest',
+    '39': 'Europe/Rome',
+    '40': 'Europe/Bucharest',
+    '41': 'Europe/Zurich',
+    '43': 'Europe/Vienna',
+    '44': 'Europe/London',
+    '45': 'Europe/Copenhagen',
+    '46': 'Europe/Stockholm',
+    '47': 'Europe/Oslo',
+    '48': 'Europe/Warsaw',
+    '49': 'Europe/Berlin',
+    '51': 'America/Lima',
+    '52': 'America/Mexico_City',
+    '54': 'America/Argentina/Buenos_Aires',
+    '55': 'America/Sao_Paulo',
+    '56': 'America/Santiago',
+    '57': 'America/Bogota',
+    '58': 'America/Caracas',
+    '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney',
+    '62': 'Asia/Jakarta',
+    '63': 'Asia/Manila',
+    '64': 'Pacific/Auckland',
+    '65': 'Asia/Singapore',
+    '66': 'Asia/Bangkok',
+    '81': 'Asia/Tokyo',
+    '82': 'Asia/Seoul',
+    '84': 'Asia/Ho_Chi_Minh',
+    '86': 'Asia/Shanghai',
+    '90': 'Europe/Istanbul',
+    '91': 'Asia/Kolkata',
+    '92': 'Asia/Karachi',
+    '93': 'Asia/Kabul',
+    '94': 'Asia/Colombo',
+    '95': 'Asia/Yangon',
+    '98': 'Asia/Tehran',
+    '212': 'Africa/Casablanca',
+    '213': 'Africa/Algiers',
+    '216': 'Africa/Tunis',
+    '233': 'Africa/Accra',
+    '234': 'Africa/Lagos',
+    '251': 'Africa/Addis_Ababa',
+    '254': 'Africa/Nairobi',
+    '255': 'Africa/Dar_es_Salaam',
+    '256': 'Africa/Kampala',
+    '351': 'Europe/Lisbon',
+    '353': 'Europe/Dublin',
+    '358': 'Europe/Helsinki',
+    '380': 'Europe/Kyiv',
+    '420': 'Europe/Prague',
+    '852': 'Asia/Hong_Kong',
+    '880': 'Asia/Dhaka',
+    '886': 'Asia/Taipei',
+    '960': 'Indian/Maldives',
+    '961': 'Asia/Beirut',
+    '962': 'Asia/Amman',
+    '965': 'Asia/Kuwait',
+    '966': 'Asia/Riyadh',
+    '968': 'Asia/Muscat',
+    '971': 'Asia/Dubai',
+    '972': 'Asia/Jerusalem',
+    '973': 'Asia/Bahrain',
+    '974': 'Asia/Qatar',
+    '977': 'Asia/Kathmandu'
+};
+
+/**
+ * @param {string} timezone - IANA name, e.g. "Asia/Kolkata"
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    if (!timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Guesses a timezone from the country calling code of an international number
+ * @param {string} number - Digits with country code, optionally with a WhatsApp id suffix
+ * @returns {string|null}
+ */
+const inferTimezone = (number) => {
+    const digits = String(number || '').replace(/@.*$/, '').replace(/\D/g, '');
+    for (const length of [3, 2, 1]) {
+        const timezone = CALLING_CODE_TIMEZONES[digits.slice(0, length)];
+        if (timezone) return timezone;
+    }
+    return null;
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * @param {Date} date
+ * @param {string} [timezone] - Server timezone when omitted
+ * @returns {{year: number, month: number, day: number, weekday: number, hour: number, minute: number, second: number}}
+ *     Calendar date and wall clock time in that timezone, month 1-12 and weekday 0 (Sunday) to 6
+ */
+const localParts = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = (type) => parts.find(entry => entry.type === type).value;
+    return {
+        year: Number(part('year')),
+        month: Number(part('month')),
+        day: Number(part('day')),
+        weekday: WEEKDAYS.indexOf(part('weekday')),
+        hour: Number(part('hour')),
+        minute: Number(part('minute')),
+        second: Number(part('second'))
+    };
+};
+
+/**
+ * @param {Date} date
+ * @param {string} [timezone] - Server timezone when omitted
+ * @returns {{hour: number, minute: number, second: number}} Wall clock time in that timezone
+ */
+const localTime = (date, timezone) => {
+    const { hour, minute, second } = localParts(date, timezone);
+    return { hour, minute, second };
+};
+
+/**
+ * The instant a wall clock in a timezone shows the given time; times skipped by a DST change shift by the change
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} wall - month 1-12
+ * @param {string} timezone
+ * @returns {Date}
+ */
+const zonedTime = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = target;
+    // The second pass corrects for an offset that changes between the guess and the answer
+    for (let pass = 0; pass < 2; pass++) {
+        const local = localParts(new Date(guess), timezone);
+        const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - guess;
+        guess = target - offset;
+    }
+    return new Date(guess);
+};
+
+/**
+ * When the quiet hours a date falls into end, in the recipient's local time.
+ * The end is found on the wall clock, so a DST change during the night doesn't move it off the hour.
+ * @param {Date} date
+ * @param {string} timezone
+ * @param {number} start - Hour quiet hours start, e.g. 23
+ * @param {number} end - Hour they end, e.g. 7
+ * @returns {Date|null} null when the date isn't in quiet hours
+ */
+const quietHoursEnd = (date, timezone, start, end) => {
+    const { year, month, day, hour } = localParts(date, timezone);
+    const quiet = start > end ? (hour >= start || hour < end) : (hour >= start && hour < end);
+    if (!quiet) return null;
+
+    // Quiet hours that started before midnight end tomorrow; zonedTime rolls day + 1 over into the next month
+    return zonedTime({ year, month, day: hour >= end ? day + 1 : day, hour: end }, timezone);
+};
+
+module.exports = {
+    CALLING_CODE_TIMEZONES,
+    isValidTimezone,
+    inferTimezone,
+    localParts,
+    localTime,
+    zonedTime,
+    quietHoursEnd
+};
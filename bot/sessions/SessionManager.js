@@ -0,0 +1,877 @@
+'use strict';
+
+const express = require('express');
+const http = require('http');
+const socketIo = require('socket.io');
+const path = require('path');
+const fs = require('fs');
+
+const { SessionStore, SessionError, DEFAULT_SESSION } = require('./SessionStore');
+const WebhookStore = require('../webhooks/WebhookStore');
+const DeliveryStore = require('../webhooks/DeliveryStore');
+const WebhookDispatcher = require('../webhooks/WebhookDispatcher');
+const { WebhookError, WEBHOOK_EVENTS, normalizeSubscription } = require('../webhooks/subscriptions');
+const AuthStore = require('../auth/AuthStore');
+const { AuthError, ROLES, EVENT_ROLES } = require('../auth/roles');
+const { SESSION_COOKIE, parseCookies, sessionCookie, httpAuth, socketAuth } = require('../auth/middleware');
+const { buildSpec } = require('../api/openapi');
+const { requestValidator, jsonErrors } = require('../api/middleware');
+const { version } = require('../../package.json');
+const { MetricsRegistry, CONTENT_TYPE } = require('../metrics/MetricsRegistry');
+const { createBotMetrics, registerProcessMetrics } = require('../metrics/botMetrics');
+const { AuditLog, AuditError, AUDIT_COLUMNS } = require('../audit/AuditLog');
+const { auditTrail } = require('../audit/middleware');
+const { isApiPath } = require('../util/routePath');
+const { toCsv } = require('../util/csv');
+
+/**
+ * SessionManager - Runs one SafeWhatsAppBot per WhatsApp session (account) behind a single web server.
+ * It owns what the sessions share: the HTTP server and Socket.IO, sign-in, webhooks and the session
+ * registry. API requests go to the session named by ?sessionId=, the X-Session-Id header or a
+ * "sessionId" field of a JSON body, the default session when none is given; dashboard clients of a
+ * session connect to its own Socket.IO namespace, see namespaceName().
+ * @param {object} options - options
+ * @param {function(object): SafeWhatsAppBot} options.createBot - Called with the SafeWhatsAppBot options of a session
+ * @param {string} options.publicPath - Directory of the dashboard files
+ * @param {string} [options.dataPath] - Directory of the shared stores, sessions get a directory under it, default is: "./data/"
+ * @param {string} [options.authPath] - Directory LocalAuth keeps WhatsApp logins in, default is: "./.wwebjs_auth/"
+ * @param {number} [options.port] - default is: 3001, 0 picks a free port
+ * @param {number} [options.maxSessions] - default is: 5, every running session has its own browser
+ */
+class SessionManager {
+    constructor(options) {
+        this.createBot = options.createBot;
+        this.publicPath = options.publicPath;
+        this.dataPath = options.dataPath || './data/';
+        this.authPath = options.authPath || './.wwebjs_auth/';
+        this.port = options.port !== undefined ? options.port : 3001;
+        this.maxSessions = options.maxSessions || 5;
+        this.bots = new Map(); // SafeWhatsAppBot by session id
+        this.namespaces = new Map(); // Socket.IO namespace by session id, kept after a delete so the id can come back
+        this.store = new SessionStore({ dataPath: this.dataPath });
+        // Prometheus metrics of every session, served at /metrics
+        this.metricsRegistry = new MetricsRegistry();
+        registerProcessMetrics(this.metricsRegistry);
+        this.metrics = createBotMetrics(this.metricsRegistry, () => this.bots.values());
+
+        // Outbound webhooks, WEBHOOK_MAX_ATTEMPTS and WEBHOOK_TIMEOUT_MS tune the retries
+        this.webhooks = new WebhookDispatcher({
+            store: new WebhookStore({ dataPath: this.dataPath }),
+            deliveries: new DeliveryStore({ dataPath: this.dataPath }),
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || undefined,
+            timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || undefined,
+            onDeadLetter: deadLetter => this.broadcastToClients('webhook_dead_letter', deadLetter)
+        });
+        const retries = this.webhooks.restore();
+        if (retries > 0) console.log(`🪝 [WEBHOOK] Resuming ${retries} webhook deliveries`);
+        // Dashboard users, API keys and login sessions; AUTH_DISABLED=true opens everything up for local development
+        this.authStore = new AuthStore({ dataPath: this.dataPath, sessionHours: parseFloat(process.env.SESSION_HOURS) || undefined });
+        this.authDisabled = process.env.AUTH_DISABLED === 'true';
+        this.bootstrapAdmin();
+        // Who changed what through the API, served at /api/audit
+        this.auditLog = new AuditLog({ dataPath: this.dataPath });
+
+        this.setupWebServer();
+        for (const session of this.store.list()) {
+            this.openSession(session);
+        }
+    }
+
+    /**
+     * Makes sure someone can sign in: ADMIN_USERNAME (default "admin") gets ADMIN_PASSWORD, and on the
+     * very first start without ADMIN_PASSWORD a generated password is printed once
+     */
+    bootstrapAdmin() {
+        if (this.authDisabled) {
+            console.warn('⚠️ [AUTH] AUTH_DISABLED is set, everyone who can reach the port is an admin');
+            return;
+        }
+        
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD;
+        try {
+            const existing = this.authStore.findUser(username);
+            if (existing && password) {
+                if (!this.authStore.checkPassword(username, password) || existing.role !== 'admin') {
+                    this.authStore.updateUser(existing, { role: 'admin', password });
+                    console.log(`🔐 [AUTH] Set the password of "${username}" from ADMIN_PASSWORD`);
+                }
+            } else if (!existing && (password || this.authStore.listUsers().length === 0)) {
+                const initial = password || AuthStore.generatePassword();
+                this.authStore.createUser({ username, password: initial, role: 'admin' });
+                console.log(password
+                    ? `🔐 [AUTH] Created admin "${username}" from ADMIN_PASSWORD`
+                    : `🔐 [AUTH] Created admin "${username}" with password ${initial} - sign in and change it, it is not shown again`);
+            }
+        } catch (error) {
+            console.error('❌ [AUTH] Could not set up the admin user:', error.message);
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string} Socket.IO namespace of a session's dashboard clients; the default session keeps "/"
+     */
+    namespaceName(id) {
+        return id === DEFAULT_SESSION ? '/' : `/sessions/${id}`;
+    }
+
+    namespace(id) {
+        if (!this.namespaces.has(id)) {
+            const namespace = this.io.of(this.namespaceName(id));
+            namespace.use(socketAuth(this.authStore, { disabled: this.authDisabled }));
+            namespace.use((socket, next) => next(this.bots.has(id) ? undefined : new Error('Session not found')));
+            this.namespaces.set(id, namespace);
+        }
+        return this.namespaces.get(id);
+    }
+
+    /**
+     * Creates the bot of a registered session, which starts WhatsApp when the session is running
+     * @param {object} session
+     * @returns {SafeWhatsAppBot}
+     */
+    openSession(session) {
+        // The default session uses the paths the bot had before there were sessions
+        const dataPath = path.join(this.dataPath, 'sessions', session.id);
+        const bot = this.createBot({
+            sessionId: session.id,
+            name: session.name,
+            authPath: this.authPath,
+            io: this.namespace(session.id),
+            webhooks: this.webhooks,
+            metrics: this.metrics,
+            onStateChange: () => this.broadcastSessions(),
+            autoStart: session.running,
+            ...(session.id !== DEFAULT_SESSION ? {
+                dataPath,
+                clientId: `safe-bot-${session.id}`,
+                contactsPath: path.join(dataPath, 'contacts.csv')
+            } : {})
+        });
+        this.bots.set(session.id, bot);
+        return bot;
+    }
+
+    /**
+     * @param {object} fields - { id, name, start }
+     * @returns {object} The session, its bot is running unless start is false
+     * @throws {SessionError} When a field is invalid or there are maxSessions already
+     */
+    createSession(fields) {
+        if (this.bots.size >= this.maxSessions) {
+            throw new SessionError(`At most ${this.maxSessions} sessions can exist, raise MAX_SESSIONS for more`);
+        }
+        const session = this.store.create({ id: fields.id, name: fields.name, running: fields.start !== false });
+        this.openSession(session);
+        console.log(`📇 [SESSION] Created session "${session.id}"`);
+        this.broadcastSessions();
+        return session;
+    }
+
+    async startSession(id) {
+        const bot = this.bots.get(id);
+        this.store.update(this.store.get(id), { running: true });
+        if (!bot.client) {
+            console.log(`▶️ [SESSION] Starting WhatsApp for session "${id}"`);
+            bot.initializeWhatsApp().catch(error => {
+                console.error(`❌ [SESSION] Failed to start session "${id}":`, error);
+            });
+        }
+        this.broadcastSessions();
+    }
+
+    async stopSession(id) {
+        this.store.update(this.store.get(id), { running: false });
+        await this.bots.get(id).stopWhatsApp();
+        this.broadcastSessions();
+    }
+
+    /**
+     * Shuts a session down and forgets it
+     * @param {string} id
+     * @param {object} [options]
+     * @param {boolean} [options.purge] - Also log the phone out and delete the session's data and WhatsApp login
+     * @returns {Promise<object|null>} The removed session
+     * @throws {SessionError} For the default session
+     */
+    async deleteSession(id, options = {}) {
+        const session = this.store.remove(id);
+        if (!session) return null;
+
+        const bot = this.bots.get(id);
+        this.bots.delete(id);
+        const namespace = this.namespaces.get(id);
+        namespace.disconnectSockets(true);
+        namespace.removeAllListeners('connection');
+
+        if (options.purge && bot.client && bot.isConnected) {
+            try {
+                await bot.client.logout();
+            } catch (error) {
+                console.log(`⚠️ [SESSION] Could not log session "${id}" out:`, error.message);
+            }
+        }
+        await bot.shutdown();
+
+        if (options.purge) {
+            fs.rmSync(path.join(this.dataPath, 'sessions', id), { recursive: true, force: true });
+            fs.rmSync(path.join(this.authPath, `session-${bot.clientId}`), { recursive: true, force: true });
+        }
+        console.log(`📇 [SESSION] Deleted session "${id}"${options.purge ? ' and its data' : ''}`);
+        this.broadcastSessions();
+        return session;
+    }
+
+    /**
+     * @returns {Array<object>} Registered sessions with the state of their bots, once they have one
+     */
+    listSessions() {
+        return this.store.list().filter(session => this.bots.has(session.id)).map(session => ({
+            ...this.bots.get(session.id).describeSession(),
+            name: session.name,
+            running: session.running,
+            createdAt: session.createdAt
+        }));
+    }
+
+    broadcastSessions() {
+        this.broadcastToClients('sessions_update', { sessions: this.listSessions() });
+    }
+
+    /**
+     * Sends an event to the dashboard clients of every session
+     * @param {string} event
+     * @param {object} data
+     */
+    broadcastToClients(event, data) {
+        for (const id of this.bots.keys()) {
+            this.namespace(id).to(EVENT_ROLES[event] || 'viewer').emit(event, data);
+        }
+    }
+
+    /**
+     * Disconnects the dashboard clients a sign-in no longer lets in, e.g. after a logout or a revoked key
+     * @param {function(object): boolean} predicate - Called with each client's socket.data.auth
+     */
+    disconnectClients(predicate) {
+        for (const namespace of this.namespaces.values()) {
+            for (const socket of namespace.sockets.values()) {
+                if (socket.data.auth && predicate(socket.data.auth)) socket.disconnect(true);
+            }
+        }
+    }
+
+    setupWebServer() {
+        this.app = express();
+        // "/API/qr" and "/api/qr/" reach no route, so they can't slip past the checks on the path
+        this.app.set('case sensitive routing', true);
+        this.app.set('strict routing', true);
+        this.server = http.createServer(this.app);
+        this.io = socketIo(this.server);
+
+        // State-changing API requests are recorded once answered, those turned away by sign-in too
+        this.app.use(auditTrail(this.auditLog));
+        // Every API route and the dashboard need a login session or an API key, see bot/auth/roles.js
+        this.app.use(httpAuth(this.authStore, { disabled: this.authDisabled }));
+        this.app.use(express.static(this.publicPath));
+        this.app.use(express.json());
+        this.app.use(jsonErrors());
+        // Parameters and JSON bodies have to fit the OpenAPI document, see bot/api/openapi.js
+        this.spec = buildSpec({ version });
+        this.app.use(requestValidator(this.spec));
+
+        this.setupDocsRoutes();
+        this.setupAuditRoutes();
+        this.setupAuthRoutes();
+        this.setupWebhookRoutes();
+        this.setupSessionRoutes();
+
+        // Add health check endpoint before starting WhatsApp client
+        this.app.get('/health', (req, res) => {
+            res.status(200).json({ 
+                status: 'ok', 
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                sessions: this.bots.size
+            });
+        });
+
+        this.app.get('/metrics', (req, res) => {
+            res.type(CONTENT_TYPE).send(this.metricsRegistry.render());
+        });
+
+        // Everything else under /api/ belongs to a session
+        this.app.use((req, res, next) => {
+            if (!isApiPath(req.path)) return next();
+
+            const id = req.query.sessionId || req.get('X-Session-Id') ||
+                (req.body && typeof req.body.sessionId === 'string' ? req.body.sessionId : null) || DEFAULT_SESSION;
+            const bot = this.bots.get(String(id));
+            if (!bot) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Session "${id}" not found`
+                });
+            }
+            req.sessionId = String(id);
+            bot.app(req, res, next);
+        });
+
+        this.io.on('error', (error) => {
+            console.error('❌ Socket.IO server error:', error);
+        });
+
+        this.server.listen(this.port, '0.0.0.0', () => {
+            console.log(`🌐 Web interface running on port ${this.port}`);
+            console.log(`🔌 Socket.IO ready for connections`);
+            console.log(`📱 Health check available at /health`);
+            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        });
+
+        this.server.on('error', (error) => {
+            console.error('❌ Server error:', error);
+            if (error.code === 'EADDRINUSE') {
+                console.error(`❌ Port ${this.port} is already in use. Try a different port.`);
+                process.exit(1);
+            }
+        });
+    }
+
+    setupDocsRoutes() {
+        this.app.get('/api/openapi.json', (req, res) => {
+            res.json(this.spec);
+        });
+
+        this.app.get('/api/docs', (req, res) => {
+            res.sendFile(path.join(this.publicPath, 'api-docs.html'));
+        });
+    }
+
+    setupAuditRoutes() {
+        // Newest first, limit and offset page through them; format=csv downloads every match
+        this.app.get('/api/audit', (req, res) => {
+            try {
+                const csv = req.query.format === 'csv';
+                const { total, entries } = this.auditLog.query({
+                    ...req.query,
+                    limit: csv ? 0 : parseInt(req.query.limit, 10) || 100,
+                    offset: csv ? 0 : parseInt(req.query.offset, 10) || 0
+                });
+                if (csv) {
+                    res.setHeader('Content-Type', 'text/csv');
+                    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+                    return res.send(toCsv(AuditLog.toRows(entries), AUDIT_COLUMNS));
+                }
+                res.json({
+                    success: true,
+                    total,
+                    entries
+                });
+            } catch (error) {
+                if (error instanceof AuditError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        errors: error.errors
+                    });
+                }
+                console.error('❌ [AUDIT] Error reading audit log:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    setupSessionRoutes() {
+        const sendError = (res, error, action) => {
+            if (error instanceof SessionError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error(`❌ Error ${action} session:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        };
+
+        const notFound = (res) => res.status(404).json({
+            success: false,
+            error: 'Session not found'
+        });
+
+        this.app.get('/api/sessions', (req, res) => {
+            res.json({
+                success: true,
+                sessions: this.listSessions(),
+                maxSessions: this.maxSessions
+            });
+        });
+
+        // Creates a session and starts its WhatsApp client unless `start` is false; scan its QR code to link a phone
+        this.app.post('/api/sessions', (req, res) => {
+            try {
+                const session = this.createSession(req.body || {});
+                res.status(201).json({
+                    success: true,
+                    session: this.listSessions().find(entry => entry.id === session.id)
+                });
+            } catch (error) {
+                sendError(res, error, 'creating');
+            }
+        });
+
+        this.app.post('/api/sessions/:id/start', async (req, res) => {
+            if (!this.bots.has(req.params.id)) return notFound(res);
+            try {
+                await this.startSession(req.params.id);
+                res.json({
+                    success: true,
+                    message: `Session "${req.params.id}" is starting, watch its dashboard for the QR code`
+                });
+            } catch (error) {
+                sendError(res, error, 'starting');
+            }
+        });
+
+        // Stops WhatsApp and sending until the session is started again; the login is kept
+        this.app.post('/api/sessions/:id/stop', async (req, res) => {
+            if (!this.bots.has(req.params.id)) return notFound(res);
+            try {
+                await this.stopSession(req.params.id);
+                res.json({
+                    success: true,
+                    message: `Session "${req.params.id}" stopped`
+                });
+            } catch (error) {
+                sendError(res, error, 'stopping');
+            }
+        });
+
+        // ?purge=true also logs the phone out and deletes the session's data and WhatsApp login
+        this.app.delete('/api/sessions/:id', async (req, res) => {
+            try {
+                const purge = req.query.purge === 'true';
+                const session = await this.deleteSession(req.params.id, { purge });
+                if (!session) return notFound(res);
+                res.json({
+                    success: true,
+                    message: `Session "${session.id}" deleted${purge ? ' with its data' : ', its data is kept'}`
+                });
+            } catch (error) {
+                sendError(res, error, 'deleting');
+            }
+        });
+    }
+
+    setupAuthRoutes() {
+        const sendError = (res, error, action) => {
+            if (error instanceof AuthError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error(`❌ Error ${action}:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        };
+        
+        const notFound = (res, what) => res.status(404).json({
+            success: false,
+            error: `${what} not found`
+        });
+        
+        const cookieOptions = (req) => ({
+            maxAge: Math.round(this.authStore.sessionHours * 3600),
+            secure: req.secure || req.headers['x-forwarded-proto'] === 'https'
+        });
+        
+        // Failed logins per address; 5 within 15 minutes lock the address out until the window ends
+        const failedLogins = new Map();
+        
+        this.app.post('/api/auth/login', (req, res) => {
+            const now = Date.now();
+            const failures = failedLogins.get(req.ip);
+            if (failures && failures.resetAt <= now) failedLogins.delete(req.ip);
+            if (failures && failures.resetAt > now && failures.count >= 5) {
+                return res.status(429).json({
+                    success: false,
+                    error: 'Too many failed logins, try again later'
+                });
+            }
+            
+            const { username, password } = req.body || {};
+            const user = this.authStore.checkPassword(username, password);
+            if (!user) {
+                const entry = failedLogins.get(req.ip) || { count: 0, resetAt: now + 15 * 60000 };
+                entry.count++;
+                failedLogins.set(req.ip, entry);
+                console.warn(`⚠️ [AUTH] Failed login for "${username}" from ${req.ip}`);
+                return res.status(401).json({
+                    success: false,
+                    error: 'Wrong username or password'
+                });
+            }
+            
+            failedLogins.delete(req.ip);
+            const { token } = this.authStore.createSession(user);
+            console.log(`🔐 [AUTH] ${user.username} signed in from ${req.ip}`);
+            res.setHeader('Set-Cookie', sessionCookie(token, cookieOptions(req)));
+            res.json({
+                success: true,
+                user: this.authStore.describeUser(user)
+            });
+        });
+        
+        this.app.post('/api/auth/logout', (req, res) => {
+            const found = this.authStore.findSession(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+            if (found) {
+                this.authStore.removeSessions(session => session.id === found.session.id);
+                this.disconnectClients(auth => auth.sessionId === found.session.id);
+                console.log(`🔐 [AUTH] ${found.user.username} signed out`);
+            }
+            res.setHeader('Set-Cookie', sessionCookie('', cookieOptions(req)));
+            res.json({
+                success: true,
+                message: 'Signed out'
+            });
+        });
+        
+        this.app.get('/api/auth/me', (req, res) => {
+            res.json({
+                success: true,
+                auth: req.auth,
+                roles: ROLES,
+                authDisabled: this.authDisabled
+            });
+        });
+        
+        // Changes the password of whoever is signed in, which signs them out everywhere else too
+        this.app.post('/api/auth/password', (req, res) => {
+            try {
+                const user = req.auth.type === 'user' ? this.authStore.getUser(req.auth.id) : null;
+                if (!user) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Only dashboard users have a password'
+                    });
+                }
+                
+                const { currentPassword, password } = req.body || {};
+                if (!this.authStore.checkPassword(user.username, currentPassword)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'The current password is wrong'
+                    });
+                }
+                
+                this.authStore.updateUser(user, { password });
+                this.disconnectClients(auth => auth.type === 'user' && auth.id === user.id);
+                const { token } = this.authStore.createSession(user);
+                res.setHeader('Set-Cookie', sessionCookie(token, cookieOptions(req)));
+                console.log(`🔐 [AUTH] ${user.username} changed their password`);
+                res.json({
+                    success: true,
+                    message: 'Password changed'
+                });
+            } catch (error) {
+                sendError(res, error, 'changing password');
+            }
+        });
+        
+        this.app.get('/api/auth/users', (req, res) => {
+            res.json({
+                success: true,
+                users: this.authStore.listUsers().map(user => this.authStore.describeUser(user))
+            });
+        });
+        
+        this.app.post('/api/auth/users', (req, res) => {
+            try {
+                const user = this.authStore.createUser(req.body || {});
+                console.log(`🔐 [AUTH] ${req.auth.name} added ${user.role} "${user.username}"`);
+                res.status(201).json({
+                    success: true,
+                    user: this.authStore.describeUser(user)
+                });
+            } catch (error) {
+                sendError(res, error, 'adding user');
+            }
+        });
+        
+        // Changes `role` and/or sets a new `password`; either one signs the user's dashboards out
+        this.app.put('/api/auth/users/:id', (req, res) => {
+            try {
+                const user = this.authStore.getUser(req.params.id);
+                if (!user) return notFound(res, 'User');
+                
+                const { role, password } = req.body || {};
+                this.authStore.updateUser(user, { role, password });
+                this.disconnectClients(auth => auth.type === 'user' && auth.id === user.id);
+                console.log(`🔐 [AUTH] ${req.auth.name} updated "${user.username}"`);
+                res.json({
+                    success: true,
+                    user: this.authStore.describeUser(user)
+                });
+            } catch (error) {
+                sendError(res, error, 'updating user');
+            }
+        });
+        
+        this.app.delete('/api/auth/users/:id', (req, res) => {
+            try {
+                const user = this.authStore.removeUser(req.params.id);
+                if (!user) return notFound(res, 'User');
+                
+                this.disconnectClients(auth => auth.type === 'user' && auth.id === user.id);
+                console.log(`🔐 [AUTH] ${req.auth.name} deleted "${user.username}"`);
+                res.json({
+                    success: true,
+                    message: `User "${user.username}" deleted`
+                });
+            } catch (error) {
+                sendError(res, error, 'deleting user');
+            }
+        });
+        
+        this.app.get('/api/auth/keys', (req, res) => {
+            res.json({
+                success: true,
+                keys: this.authStore.listApiKeys().map(apiKey => this.authStore.describeApiKey(apiKey))
+            });
+        });
+        
+        // The key itself is only returned here
+        this.app.post('/api/auth/keys', (req, res) => {
+            try {
+                const { key, apiKey } = this.authStore.createApiKey(req.body || {});
+                console.log(`🔐 [AUTH] ${req.auth.name} created ${apiKey.role} API key "${apiKey.name}"`);
+                res.status(201).json({
+                    success: true,
+                    key,
+                    apiKey: this.authStore.describeApiKey(apiKey)
+                });
+            } catch (error) {
+                sendError(res, error, 'creating API key');
+            }
+        });
+        
+        this.app.delete('/api/auth/keys/:id', (req, res) => {
+            const apiKey = this.authStore.removeApiKey(req.params.id);
+            if (!apiKey) return notFound(res, 'API key');
+            
+            this.disconnectClients(auth => auth.type === 'apiKey' && auth.id === apiKey.id);
+            console.log(`🔐 [AUTH] ${req.auth.name} revoked API key "${apiKey.name}"`);
+            res.json({
+                success: true,
+                message: `API key "${apiKey.name}" revoked`
+            });
+        });
+    }
+
+    setupWebhookRoutes() {
+        const sendError = (res, error, action) => {
+            if (error instanceof WebhookError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error(`❌ Error ${action} webhook:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        };
+        
+        const notFound = (res, what) => res.status(404).json({
+            success: false,
+            error: `${what} not found`
+        });
+        
+        this.app.get('/api/webhooks', (req, res) => {
+            res.json({
+                success: true,
+                webhooks: this.webhooks.store.list().map(subscription => this.webhooks.store.describe(subscription)),
+                events: WEBHOOK_EVENTS,
+                pending: this.webhooks.deliveries.listPending().length,
+                deadLetters: this.webhooks.deliveries.listDeadLetters().length
+            });
+        });
+        
+        // The secret is only returned here and when it changes; one is generated when none is given
+        this.app.post('/api/webhooks', (req, res) => {
+            try {
+                const subscription = this.webhooks.store.create(normalizeSubscription(req.body));
+                console.log(`🪝 [WEBHOOK] Subscribed ${subscription.url} to ${subscription.events.join(', ')}`);
+                res.status(201).json({
+                    success: true,
+                    webhook: this.webhooks.store.describe(subscription),
+                    secret: subscription.secret
+                });
+            } catch (error) {
+                sendError(res, error, 'saving');
+            }
+        });
+        
+        this.app.get('/api/webhooks/deliveries', (req, res) => {
+            const pending = this.webhooks.deliveries.listPending()
+                .filter(delivery => !req.query.subscriptionId || delivery.subscriptionId === req.query.subscriptionId);
+            res.json({
+                success: true,
+                deliveries: pending
+            });
+        });
+        
+        this.app.get('/api/webhooks/dead-letters', (req, res) => {
+            const limit = parseInt(req.query.limit, 10) || 100;
+            const deadLetters = this.webhooks.deliveries.listDeadLetters({
+                subscriptionId: req.query.subscriptionId,
+                event: req.query.event
+            });
+            res.json({
+                success: true,
+                total: deadLetters.length,
+                deadLetters: deadLetters.slice(0, limit)
+            });
+        });
+        
+        // Replays the dead letters in `ids`, or all of them (of `subscriptionId` when given), oldest first
+        this.app.post('/api/webhooks/dead-letters/replay', (req, res) => {
+            const { ids, subscriptionId } = req.body || {};
+            const deadLetters = Array.isArray(ids)
+                ? ids.map(id => this.webhooks.deliveries.getDeadLetter(id)).filter(Boolean)
+                : this.webhooks.deliveries.listDeadLetters({ subscriptionId }).reverse();
+            
+            const replayed = [];
+            const skipped = [];
+            for (const deadLetter of deadLetters) {
+                const replay = this.webhooks.replay(deadLetter);
+                if (replay) {
+                    replayed.push(replay.delivery.id);
+                } else {
+                    skipped.push(deadLetter.id);
+                }
+            }
+            
+            console.log(`🪝 [WEBHOOK] Replaying ${replayed.length} dead letters`);
+            res.json({
+                success: true,
+                replayed,
+                skipped,
+                message: `Replaying ${replayed.length} dead letters${skipped.length > 0 ? `, ${skipped.length} belong to deleted webhooks` : ''}`
+            });
+        });
+        
+        // Replays one dead letter and waits for its first attempt
+        this.app.post('/api/webhooks/dead-letters/:id/replay', async (req, res) => {
+            const deadLetter = this.webhooks.deliveries.getDeadLetter(req.params.id);
+            if (!deadLetter) return notFound(res, 'Dead letter');
+            
+            const replay = this.webhooks.replay(deadLetter);
+            if (!replay) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The webhook of this dead letter was deleted'
+                });
+            }
+            
+            res.json({
+                success: true,
+                delivery: replay.delivery,
+                result: await replay.result
+            });
+        });
+        
+        this.app.delete('/api/webhooks/dead-letters/:id', (req, res) => {
+            const deadLetter = this.webhooks.deliveries.removeDeadLetter(req.params.id);
+            if (!deadLetter) return notFound(res, 'Dead letter');
+            res.json({
+                success: true,
+                message: 'Dead letter deleted'
+            });
+        });
+        
+        this.app.get('/api/webhooks/:id', (req, res) => {
+            const subscription = this.webhooks.store.get(req.params.id);
+            if (!subscription) return notFound(res, 'Webhook');
+            res.json({
+                success: true,
+                webhook: this.webhooks.store.describe(subscription)
+            });
+        });
+        
+        // `"secret": ""` generates a new secret, which is returned
+        this.app.put('/api/webhooks/:id', (req, res) => {
+            try {
+                const subscription = this.webhooks.store.get(req.params.id);
+                if (!subscription) return notFound(res, 'Webhook');
+                
+                const fields = normalizeSubscription(req.body, { partial: true });
+                this.webhooks.store.update(subscription, fields);
+                console.log(`🪝 [WEBHOOK] Updated webhook ${subscription.url}`);
+                res.json({
+                    success: true,
+                    webhook: this.webhooks.store.describe(subscription),
+                    ...(fields.secret ? { secret: subscription.secret } : {})
+                });
+            } catch (error) {
+                sendError(res, error, 'updating');
+            }
+        });
+        
+        // Sends a webhook.test event to this webhook only and reports how the first attempt went
+        this.app.post('/api/webhooks/:id/test', async (req, res) => {
+            const subscription = this.webhooks.store.get(req.params.id);
+            if (!subscription) return notFound(res, 'Webhook');
+            
+            const { delivery, result } = this.webhooks.deliver(subscription, this.webhooks.payload('webhook.test', {
+                webhookId: subscription.id,
+                message: 'Test event from the Safe WhatsApp Bot'
+            }));
+            res.json({
+                success: true,
+                delivery,
+                result: await result
+            });
+        });
+        
+        // Deleting a webhook drops its pending retries; its dead letters stay until deleted
+        this.app.delete('/api/webhooks/:id', (req, res) => {
+            const subscription = this.webhooks.store.remove(req.params.id);
+            if (!subscription) return notFound(res, 'Webhook');
+            
+            this.webhooks.cancel(subscription.id);
+            console.log(`🪝 [WEBHOOK] Deleted webhook ${subscription.url}`);
+            res.json({
+                success: true,
+                message: `Webhook ${subscription.url} deleted`
+            });
+        });
+    }
+
+    async shutdown() {
+        for (const bot of this.bots.values()) {
+            await bot.shutdown().catch(error => {
+                console.error(`❌ Failed to shut down session "${bot.sessionId}":`, error.message);
+            });
+        }
+        this.webhooks.close();
+        this.authStore.close();
+        this.store.close();
+        this.server.close();
+    }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,113 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+// Session the bot has always had; it keeps the data and WhatsApp login from before there were sessions
+const DEFAULT_SESSION = 'default';
+
+class SessionError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+/**
+ * SessionStore - The WhatsApp sessions (accounts) the bot runs, persisted to a JSON file.
+ * Only the registry lives here; each session keeps its own stores in its own data directory.
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the file is written to, default is: "./data/"
+ */
+class SessionStore {
+    constructor(options = {}) {
+        const dataPath = options.dataPath || './data/';
+        this.file = new JsonFile(path.join(dataPath, 'sessions.json'), []);
+        this.sessions = new Map(this.file.read().map(session => [session.id, session]));
+        if (!this.sessions.has(DEFAULT_SESSION)) {
+            this.sessions.set(DEFAULT_SESSION, {
+                id: DEFAULT_SESSION,
+                name: 'Default',
+                running: true,
+                createdAt: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * @param {object} fields - { id, name, running }
+     * @returns {object}
+     * @throws {SessionError} When the id is invalid or taken
+     */
+    create(fields) {
+        const errors = [];
+        const id = String(fields.id || '').trim().toLowerCase();
+        if (!/^[a-z0-9][a-z0-9_-]{0,31}$/.test(id)) errors.push('Session ids are 1-32 letters, digits, _ or -, starting with a letter or digit');
+        if (this.sessions.has(id)) errors.push(`Session "${id}" already exists`);
+        const name = String(fields.name || '').trim() || id;
+        if (name.length > 64) errors.push('Session names are at most 64 characters');
+        if (errors.length > 0) throw new SessionError(errors.join('; '), errors);
+
+        const session = {
+            id,
+            name,
+            running: fields.running !== false,
+            createdAt: new Date().toISOString()
+        };
+        this.sessions.set(id, session);
+        this.save();
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<object>} The default session first, then the others oldest first
+     */
+    list() {
+        return Array.from(this.sessions.values()).sort((a, b) =>
+            (b.id === DEFAULT_SESSION) - (a.id === DEFAULT_SESSION) || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @param {object} session
+     * @param {object} fields - { running }
+     * @returns {object}
+     */
+    update(session, fields) {
+        if (fields.running !== undefined) session.running = Boolean(fields.running);
+        this.save();
+        return session;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed session
+     * @throws {SessionError} For the default session
+     */
+    remove(id) {
+        if (id === DEFAULT_SESSION) throw new SessionError('The default session can\'t be deleted');
+        const session = this.get(id);
+        if (!session) return null;
+        this.sessions.delete(id);
+        this.save();
+        return session;
+    }
+
+    save() {
+        return this.file.write(this.list());
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = {
+    SessionStore,
+    SessionError,
+    DEFAULT_SESSION
+};
@@ -0,0 +1,193 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+const { compileTemplate } = require('./engine');
+
+const mediaPath = (media) => (media ? media.path : null);
+
+/**
+ * TemplateStore - Saved message templates with their version history, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the template file is written to, default is: "./data/"
+ */
+class TemplateStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'templates.json'), []);
+        this.templates = new Map(this.file.read().map(template => [template.id, template]));
+    }
+
+    /**
+     * @param {string} body
+     * @returns {Array<string>} Variables the body uses
+     * @throws {TemplateError} When the body doesn't parse
+     */
+    static variablesOf(body) {
+        return compileTemplate(body).variables.map(variable => variable.name);
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} [exceptId] - Template being renamed
+     * @returns {object|null} Another template with the same name, ignoring case
+     */
+    findByName(name, exceptId = null) {
+        const wanted = String(name).trim().toLowerCase();
+        for (const template of this.templates.values()) {
+            if (template.id !== exceptId && template.name.toLowerCase() === wanted) return template;
+        }
+        return null;
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} [fields.body] - Message text, or caption when media is set
+     * @param {object} [fields.media] - Media reference from the MediaStore
+     * @param {string} [fields.description]
+     * @returns {object}
+     * @throws {TemplateError} When the body doesn't parse
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const body = fields.body || '';
+        const version = {
+            version: 1,
+            body,
+            media: fields.media || null,
+            variables: TemplateStore.variablesOf(body),
+            note: fields.note || null,
+            createdAt: now
+        };
+        const template = {
+            id: crypto.randomUUID(),
+            name: fields.name.trim(),
+            description: fields.description || null,
+            body: version.body,
+            media: version.media,
+            variables: version.variables,
+            version: 1,
+            versions: [version],
+            createdAt: now,
+            updatedAt: now,
+            lastUsedAt: null,
+            useCount: 0
+        };
+        this.templates.set(template.id, template);
+        this.save();
+        return template;
+    }
+
+    get(id) {
+        return this.templates.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.templates.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Renames or re-describes a template; a new version is recorded when the body or media changes
+     * @param {object} template
+     * @param {object} fields
+     * @param {string} [fields.name]
+     * @param {string} [fields.description]
+     * @param {string} [fields.body]
+     * @param {object|null} [fields.media] - null removes the attachment, undefined keeps it
+     * @param {string} [fields.note] - What changed, kept with the version
+     * @returns {object}
+     * @throws {TemplateError} When the body doesn't parse
+     */
+    update(template, fields = {}) {
+        const now = new Date().toISOString();
+        if (fields.name !== undefined) template.name = fields.name.trim();
+        if (fields.description !== undefined) template.description = fields.description || null;
+
+        const body = fields.body !== undefined ? fields.body : template.body;
+        const media = fields.media !== undefined ? fields.media : template.media;
+        if (body !== template.body || mediaPath(media) !== mediaPath(template.media)) {
+            const version = {
+                version: template.version + 1,
+                body,
+                media,
+                variables: TemplateStore.variablesOf(body),
+                note: fields.note || null,
+                createdAt: now
+            };
+            template.versions.push(version);
+            Object.assign(template, { body, media, variables: version.variables, version: version.version });
+        }
+
+        template.updatedAt = now;
+        this.save();
+        return template;
+    }
+
+    /**
+     * Makes an older version current again, recorded as a new version
+     * @param {object} template
+     * @param {number} versionNumber
+     * @returns {object|null} The template, or null when the version doesn't exist
+     */
+    restore(template, versionNumber) {
+        const version = template.versions.find(entry => entry.version === Number(versionNumber));
+        if (!version) return null;
+        return this.update(template, { body: version.body, media: version.media, note: `Restored version ${version.version}` });
+    }
+
+    /**
+     * @param {object} template
+     * @returns {object}
+     */
+    markUsed(template) {
+        template.lastUsedAt = new Date().toISOString();
+        template.useCount++;
+        this.save();
+        return template;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed template
+     */
+    remove(id) {
+        const template = this.get(id);
+        if (!template) return null;
+        this.templates.delete(id);
+        this.save();
+        return template;
+    }
+
+    /**
+     * Template without its version history, used for listings
+     * @param {object} template
+     * @returns {object}
+     */
+    describe(template) {
+        // eslint-disable-next-line no-unused-vars
+        const { versions, ...rest } = template;
+        return { ...rest, media: this.describeMedia(template.media), versionCount: versions.length };
+    }
+
+    /**
+     * Hides the on-disk path of an attachment
+     * @param {object|null} media
+     * @returns {object|null}
+     */
+    describeMedia(media) {
+        return media ? { filename: media.filename, mimetype: media.mimetype, size: media.size } : null;
+    }
+
+    save() {
+        return this.file.write(Array.from(this.templates.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = TemplateStore;
@@ -0,0 +1,324 @@
+'use strict';
+
+/**
+ * Message template engine for personalized sends.
+ *
+ *   {name}                          any CSV column, matched ignoring case, spaces and punctuation
+ *   {city | default: "there"}       fallback when the column is empty
+ *   {amount | number: 2}            {amount | currency: "INR"}
+ *   {due | date: "D MMM YYYY"}      {today | date: "DD/MM/YYYY"}
+ *   {name | bold}  {note | italic}  {note | strike}  {code | mono}
+ *   {name | upper}  {name | lower}  {name | capitalize}
+ *   {#if plan == "gold"}...{else}...{/if}   also {#if city}, {#if !city} and !=
+ *
+ * Braces that don't form a tag are left as they are.
+ */
+
+class TemplateError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+// Variables available in every template besides the CSV columns
+const BUILTIN_VARIABLES = ['name', 'number', 'today', 'now'];
+
+const TAG = /\{([^{}\n]*)\}/g;
+const NAME = '[A-Za-z_][\\w .-]*?';
+const EXPRESSION = new RegExp(`^(${NAME})\\s*(\\|.*)?$`);
+const CONDITION = new RegExp(`^(!)?\\s*(${NAME})\\s*(?:(==|!=)\\s*(.+))?$`);
+
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const unquote = (value) => {
+    const str = String(value).trim();
+    return /^(["']).*\1$/.test(str) ? str.slice(1, -1) : str;
+};
+
+// Splits on a separator outside of quotes
+const splitOutsideQuotes = (str, separator) => {
+    const parts = [];
+    let quote = null;
+    let current = '';
+    for (const char of str) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+};
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Reads "DD/MM/YYYY" (day first, as spreadsheets outside the US export it), ISO dates and anything Date understands
+ * @param {*} value
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+    if (value instanceof Date) return value;
+    const dayFirst = String(value).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    const date = dayFirst
+        ? new Date(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1]))
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = (date, pattern, locale) => {
+    if (!pattern) return date.toLocaleDateString(locale);
+    const hours12 = date.getHours() % 12 || 12;
+    const tokens = {
+        YYYY: date.getFullYear(),
+        YY: String(date.getFullYear()).slice(-2),
+        MMMM: date.toLocaleString(locale, { month: 'long' }),
+        MMM: date.toLocaleString(locale, { month: 'short' }),
+        MM: pad(date.getMonth() + 1),
+        M: date.getMonth() + 1,
+        dddd: date.toLocaleString(locale, { weekday: 'long' }),
+        ddd: date.toLocaleString(locale, { weekday: 'short' }),
+        DD: pad(date.getDate()),
+        D: date.getDate(),
+        HH: pad(date.getHours()),
+        H: date.getHours(),
+        hh: pad(hours12),
+        h: hours12,
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        A: date.getHours() < 12 ? 'AM' : 'PM'
+    };
+    return pattern.replace(/YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|H|hh|h|mm|ss|A/g, token => tokens[token]);
+};
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/[,\s]/g, ''));
+    return isNaN(number) ? null : number;
+};
+
+// WhatsApp markers can't wrap leading/trailing spaces, so those stay outside
+const wrap = (marker) => (value) => {
+    const str = String(value);
+    const match = str.match(/^(\s*)(.*?)(\s*)$/s);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : str;
+};
+
+/**
+ * Filters by name, each called with (value, argument, options); empty values only reach "default"
+ */
+const FILTERS = {
+    default: (value, arg) => (isEmpty(value) ? arg : value),
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    capitalize: (value) => String(value).toLowerCase().replace(/(^|\s)\S/g, char => char.toUpperCase()),
+    trim: (value) => String(value).trim(),
+    number: (value, arg, options) => {
+        const number = toNumber(value);
+        if (number === null) return value;
+        const digits = arg === undefined ? undefined : Number(arg);
+        return new Intl.NumberFormat(options.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(number);
+    },
+    currency: (value, arg, options) => {
+        const number = toNumber(value);
+        return number === null ? value : new Intl.NumberFormat(options.locale, { style: 'currency', currency: arg }).format(number);
+    },
+    date: (value, arg, options) => {
+        const date = parseDate(value);
+        return date ? formatDate(date, arg, options.locale) : value;
+    },
+    bold: wrap('*'),
+    italic: wrap('_'),
+    strike: wrap('~'),
+    mono: wrap('```')
+};
+
+const FILTERS_WITH_ARGUMENT = ['default', 'currency'];
+
+const parseFilters = (source, tag) => {
+    if (!source) return [];
+    return splitOutsideQuotes(source.slice(1), '|').map(part => {
+        const [name, ...rest] = splitOutsideQuotes(part, ':');
+        const filter = { name: name.trim().toLowerCase(), arg: rest.length ? unquote(rest.join(':')) : undefined };
+        if (!FILTERS[filter.name]) {
+            throw new TemplateError(`Unknown filter "${filter.name}" in ${tag}`);
+        }
+        if (FILTERS_WITH_ARGUMENT.includes(filter.name) && filter.arg === undefined) {
+            throw new TemplateError(`Filter "${filter.name}" needs an argument in ${tag}, e.g. ${filter.name}: "..."`);
+        }
+        return filter;
+    });
+};
+
+/**
+ * @param {string} template
+ * @returns {Array<object>} Syntax tree
+ */
+const parse = (template) => {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const target = () => {
+        const node = stack[stack.length - 1];
+        return node.type === 'if' ? (node.otherwise || node.then) : node.children;
+    };
+
+    let last = 0;
+    for (const match of String(template).matchAll(TAG)) {
+        if (match.index > last) target().push({ type: 'text', value: template.slice(last, match.index) });
+        last = match.index + match[0].length;
+
+        const tag = match[1].trim();
+        const ifMatch = tag.match(/^#if\s+(.+)$/);
+        if (ifMatch) {
+            const condition = ifMatch[1].trim().match(CONDITION);
+            if (!condition) throw new TemplateError(`Invalid condition in ${match[0]}`);
+            const node = {
+                type: 'if',
+                negate: !!condition[1],
+                name: condition[2].trim(),
+                operator: condition[3] || null,
+                value: condition[4] !== undefined ? unquote(condition[4]) : null,
+                then: [],
+                otherwise: null
+            };
+            target().push(node);
+            stack.push(node);
+        } else if (tag === 'else') {
+            const node = stack[stack.length - 1];
+            if (node.type !== 'if' || node.otherwise) throw new TemplateError('{else} without a matching {#if}');
+            node.otherwise = [];
+        } else if (tag === '/if') {
+            if (stack[stack.length - 1].type !== 'if') throw new TemplateError('{/if} without a matching {#if}');
+            stack.pop();
+        } else if (EXPRESSION.test(tag)) {
+            const [, name, filters] = tag.match(EXPRESSION);
+            target().push({ type: 'var', name: name.trim(), filters: parseFilters(filters, match[0]) });
+        } else {
+            target().push({ type: 'text', value: match[0] });
+        }
+    }
+    if (last < template.length) target().push({ type: 'text', value: template.slice(last) });
+
+    if (stack.length > 1) throw new TemplateError(`{#if ${stack[stack.length - 1].name}} is never closed with {/if}`);
+    return root.children;
+};
+
+const walk = (nodes, visit) => {
+    for (const node of nodes) {
+        visit(node);
+        if (node.type === 'if') {
+            walk(node.then, visit);
+            if (node.otherwise) walk(node.otherwise, visit);
+        }
+    }
+};
+
+/**
+ * Compiles a template once so it can be rendered for many recipients
+ * @param {string} template
+ * @param {object} [options]
+ * @param {string} [options.locale] - Locale for number, currency and date formatting
+ * @returns {{variables: Array<{name: string, required: boolean}>, render: function(object): {text: string, missing: Array<string>}}}
+ * @throws {TemplateError} On syntax errors
+ */
+const compileTemplate = (template, options = {}) => {
+    const nodes = parse(template || '');
+
+    // A variable is required when it's printed without a default somewhere
+    const variables = new Map();
+    walk(nodes, node => {
+        if (node.type !== 'var' && node.type !== 'if') return;
+        const key = normalizeKey(node.name);
+        const required = node.type === 'var' && !node.filters.some(filter => filter.name === 'default');
+        const known = variables.get(key);
+        variables.set(key, { name: known ? known.name : node.name, required: (known && known.required) || required });
+    });
+
+    const render = (vars = {}) => {
+        const values = new Map();
+        const now = new Date();
+        values.set('today', now);
+        values.set('now', now);
+        for (const [key, value] of Object.entries(vars)) values.set(normalizeKey(key), value);
+
+        const missing = new Set();
+        const lookup = (name) => values.get(normalizeKey(name));
+
+        const renderNodes = (list) => list.map(node => {
+            if (node.type === 'text') return node.value;
+
+            if (node.type === 'if') {
+                const value = lookup(node.name);
+                let result;
+                if (node.operator) {
+                    const equal = String(isEmpty(value) ? '' : value).trim().toLowerCase() === node.value.trim().toLowerCase();
+                    result = node.operator === '==' ? equal : !equal;
+                } else {
+                    result = !isEmpty(value);
+                }
+                if (node.negate) result = !result;
+                return renderNodes(result ? node.then : (node.otherwise || []));
+            }
+
+            let value = lookup(node.name);
+            for (const filter of node.filters) {
+                if (isEmpty(value) && filter.name !== 'default') continue;
+                value = FILTERS[filter.name](value, filter.arg, options);
+            }
+            if (isEmpty(value)) {
+                missing.add(node.name);
+                return '';
+            }
+            return value instanceof Date ? value.toLocaleDateString(options.locale) : String(value);
+        }).join('');
+
+        return { text: renderNodes(nodes), missing: Array.from(missing) };
+    };
+
+    return { variables: Array.from(variables.values()), render };
+};
+
+/**
+ * Checks a template against the columns of the contact list it will be sent to
+ * @param {string} template
+ * @param {Array<string>} columns - CSV headers
+ * @returns {{valid: boolean, errors: Array<string>, warnings: Array<string>, variables: Array<object>}}
+ */
+const validateTemplate = (template, columns = []) => {
+    let compiled;
+    try {
+        compiled = compileTemplate(template);
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        return { valid: false, errors: error.errors, warnings: [], variables: [] };
+    }
+
+    const known = new Set([...BUILTIN_VARIABLES, ...columns].map(normalizeKey));
+    const errors = [];
+    const warnings = [];
+    for (const variable of compiled.variables) {
+        if (known.has(normalizeKey(variable.name))) continue;
+        if (variable.required) {
+            errors.push(`{${variable.name}} is not a column of the contact list`);
+        } else {
+            warnings.push(`{${variable.name}} is not a column of the contact list, its default or {else} branch is always used`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings, variables: compiled.variables };
+};
+
+module.exports = {
+    TemplateError,
+    BUILTIN_VARIABLES,
+    compileTemplate,
+    validateTemplate
+};
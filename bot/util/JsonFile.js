@@ -0,0 +1,77 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * JsonFile - Small JSON document persisted to disk
+ * Writes are coalesced and go through a temporary file + rename, so a crash
+ * mid-write never leaves a truncated document behind.
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} defaultValue - Value returned by read() when the file doesn't exist yet
+ */
+class JsonFile {
+    constructor(filePath, defaultValue = null) {
+        this.path = path.resolve(filePath);
+        this.defaultValue = defaultValue;
+        this.pending = null;
+        this.writing = null;
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`❌ [STORE] Could not read ${this.path}:`, err.message);
+            }
+            return this.defaultValue;
+        }
+    }
+
+    /**
+     * Schedules a write of the given value. Several calls in the same tick
+     * result in a single write of the latest value.
+     * @param {*} value
+     * @returns {Promise<void>}
+     */
+    write(value) {
+        this.pending = value;
+        if (!this.writing) {
+            this.writing = this._flushSoon();
+        }
+        return this.writing;
+    }
+
+    /**
+     * Writes the pending value synchronously, used on shutdown
+     */
+    flushSync() {
+        if (this.pending === null) return;
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        fs.writeFileSync(`${this.path}.tmp`, JSON.stringify(this.pending, null, 2));
+        fs.renameSync(`${this.path}.tmp`, this.path);
+        this.pending = null;
+    }
+
+    async _flushSoon() {
+        await new Promise(resolve => setImmediate(resolve));
+        try {
+            while (this.pending !== null) {
+                const data = JSON.stringify(this.pending, null, 2);
+                this.pending = null;
+
+                const tmpPath = `${this.path}.tmp`;
+                await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+                await fs.promises.writeFile(tmpPath, data);
+                await fs.promises.rename(tmpPath, this.path);
+            }
+        } catch (err) {
+            console.error(`❌ [STORE] Could not write ${this.path}:`, err.message);
+        } finally {
+            this.writing = null;
+        }
+    }
+}
+
+module.exports = JsonFile;
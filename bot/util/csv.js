@@ -0,0 +1,25 @@
+'use strict';
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serializes rows to CSV
+ * @param {Array<object>} rows
+ * @param {Array<string>} columns - Keys to export, in order; also used as the header row
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => {
+    const lines = [columns.map(escapeCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {
+    toCsv
+};
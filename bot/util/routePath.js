@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Express matches routes ignoring case and a trailing slash unless told otherwise, so "/API/qr/" can
+ * reach the route of "/api/qr". Checks made on the path before routing (sign-in, roles, the audit
+ * log, validation) compare it in this form so no spelling gets past them.
+ * @param {string} path - req.path
+ * @returns {string} The path in lower case without trailing slashes, "/" stays "/"
+ */
+const routePath = (path) => String(path || '').toLowerCase().replace(/(.)\/+$/, '$1');
+
+/**
+ * @param {string} path - req.path
+ * @returns {boolean} Whether the request is for the API, however its path is spelled
+ */
+const isApiPath = (path) => {
+    const normalized = routePath(path);
+    return normalized === '/api' || normalized.startsWith('/api/');
+};
+
+module.exports = {
+    routePath,
+    isApiPath
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('path');
+
+const JsonFile = require('../util/JsonFile');
+
+// Dead letters kept, oldest are dropped first
+const DEAD_LETTER_LIMIT = 1000;
+
+/**
+ * DeliveryStore - Webhook deliveries still being attempted, and the dead letters that ran out of
+ * attempts, persisted to JSON files so retries carry on after a restart
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the delivery files are written to, default is: "./data/"
+ */
+class DeliveryStore {
+    constructor(options = {}) {
+        const dataPath = options.dataPath || './data/';
+        this.pendingFile = new JsonFile(path.join(dataPath, 'webhook-deliveries.json'), []);
+        this.deadLetterFile = new JsonFile(path.join(dataPath, 'webhook-dead-letters.json'), []);
+        this.pending = new Map(this.pendingFile.read().map(delivery => [delivery.id, delivery]));
+        this.deadLetters = this.deadLetterFile.read();
+    }
+
+    getPending(id) {
+        return this.pending.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Deliveries waiting for an attempt, the next one due first
+     */
+    listPending() {
+        return Array.from(this.pending.values()).sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+    }
+
+    /**
+     * @param {object} delivery
+     * @returns {object}
+     */
+    setPending(delivery) {
+        this.pending.set(delivery.id, delivery);
+        this.savePending();
+        return delivery;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed delivery
+     */
+    removePending(id) {
+        const delivery = this.getPending(id);
+        if (!delivery) return null;
+        this.pending.delete(id);
+        this.savePending();
+        return delivery;
+    }
+
+    /**
+     * Moves a delivery that ran out of attempts to the dead letters
+     * @param {object} delivery
+     * @returns {object} The dead letter
+     */
+    addDeadLetter(delivery) {
+        this.pending.delete(delivery.id);
+        this.savePending();
+
+        const deadLetter = { ...delivery, nextAttemptAt: null, failedAt: new Date().toISOString() };
+        this.deadLetters.push(deadLetter);
+        this.deadLetters.splice(0, Math.max(0, this.deadLetters.length - DEAD_LETTER_LIMIT));
+        this.saveDeadLetters();
+        return deadLetter;
+    }
+
+    getDeadLetter(id) {
+        return this.deadLetters.find(deadLetter => deadLetter.id === id) || null;
+    }
+
+    /**
+     * @param {object} [filters]
+     * @param {string} [filters.subscriptionId]
+     * @param {string} [filters.event]
+     * @returns {Array<object>} Dead letters, newest first
+     */
+    listDeadLetters(filters = {}) {
+        return this.deadLetters
+            .filter(deadLetter => !filters.subscriptionId || deadLetter.subscriptionId === filters.subscriptionId)
+            .filter(deadLetter => !filters.event || deadLetter.event === filters.event)
+            .slice()
+            .reverse();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed dead letter
+     */
+    removeDeadLetter(id) {
+        const deadLetter = this.getDeadLetter(id);
+        if (!deadLetter) return null;
+        this.deadLetters = this.deadLetters.filter(entry => entry !== deadLetter);
+        this.saveDeadLetters();
+        return deadLetter;
+    }
+
+    savePending() {
+        return this.pendingFile.write(Array.from(this.pending.values()));
+    }
+
+    saveDeadLetters() {
+        return this.deadLetterFile.write(this.deadLetters);
+    }
+
+    close() {
+        this.pendingFile.flushSync();
+        this.deadLetterFile.flushSync();
+    }
+}
+
+module.exports = DeliveryStore;
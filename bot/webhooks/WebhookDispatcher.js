@@ -0,0 +1,199 @@
+'use strict';
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const Scheduler = require('../scheduling/Scheduler');
+const { retryDelay, matchesEvent, signPayload } = require('./subscriptions');
+
+/**
+ * WebhookDispatcher - POSTs events to the subscriptions that want them. Network errors, timeouts,
+ * 408, 429 and 5xx answers are retried with a growing wait; other answers, or running out of
+ * attempts, move the delivery to the dead letters, from where it can be replayed.
+ * @param {object} options - options
+ * @param {WebhookStore} options.store
+ * @param {DeliveryStore} options.deliveries
+ * @param {number} [options.maxAttempts] - Attempts per delivery, default is: 6
+ * @param {number} [options.timeout] - Milliseconds to wait for an answer, default is: 10000
+ * @param {function(object): void} [options.onDeadLetter] - Called with each new dead letter
+ */
+class WebhookDispatcher {
+    constructor(options) {
+        this.store = options.store;
+        this.deliveries = options.deliveries;
+        this.maxAttempts = options.maxAttempts || 6;
+        this.timeout = options.timeout || 10000;
+        this.onDeadLetter = options.onDeadLetter || (() => {});
+        this.retryTimer = new Scheduler(entry => this.retry(entry.id));
+    }
+
+    /**
+     * Picks up the deliveries that were waiting for a retry when the bot stopped
+     * @returns {number} How many there were
+     */
+    restore() {
+        const pending = this.deliveries.listPending();
+        for (const delivery of pending) this.retryTimer.add({ id: delivery.id, sendAt: delivery.nextAttemptAt });
+        return pending.length;
+    }
+
+    /**
+     * Sends an event to every enabled subscription that wants it; never throws, delivery happens in the background
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {object} data
+     * @returns {Array<object>} The deliveries started
+     */
+    emit(event, data) {
+        const subscriptions = this.store.list().filter(subscription => subscription.enabled && matchesEvent(subscription, event));
+        if (subscriptions.length === 0) return [];
+
+        const payload = this.payload(event, data);
+        return subscriptions.map(subscription => {
+            const { delivery, result } = this.deliver(subscription, payload);
+            result.catch(error => {
+                console.error(`❌ [WEBHOOK] Failed to deliver ${event} to ${subscription.url}:`, error.message);
+            });
+            return delivery;
+        });
+    }
+
+    /**
+     * @param {string} event
+     * @param {object} data
+     * @returns {object} The JSON body POSTed, the same for every subscription and every attempt
+     */
+    payload(event, data) {
+        return { id: crypto.randomUUID(), event, timestamp: new Date().toISOString(), data };
+    }
+
+    /**
+     * @param {object} subscription
+     * @param {object} payload - { id, event, timestamp, data }
+     * @param {object} [extra] - More fields for the delivery, e.g. replayOf
+     * @returns {{delivery: object, result: Promise<object>}} result settles after the first attempt
+     */
+    deliver(subscription, payload, extra = {}) {
+        const now = new Date().toISOString();
+        const delivery = {
+            id: crypto.randomUUID(),
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event: payload.event,
+            payload,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastStatus: null,
+            lastError: null,
+            ...extra
+        };
+        // Stored before the first attempt so a crash mid-request still retries it
+        this.deliveries.setPending(delivery);
+        return { delivery, result: this.attempt(delivery) };
+    }
+
+    /**
+     * Sends a dead letter again, as a new delivery with fresh attempts
+     * @param {object} deadLetter
+     * @returns {{delivery: object, result: Promise<object>}|null} null when its subscription is gone
+     */
+    replay(deadLetter) {
+        const subscription = this.store.get(deadLetter.subscriptionId);
+        if (!subscription) return null;
+        this.deliveries.removeDeadLetter(deadLetter.id);
+        return this.deliver(subscription, deadLetter.payload, { replayOf: deadLetter.id });
+    }
+
+    async retry(id) {
+        const delivery = this.deliveries.getPending(id);
+        if (delivery) await this.attempt(delivery);
+    }
+
+    /**
+     * @param {object} delivery
+     * @returns {Promise<{ok: boolean, status: number|null, error: string|null, retrying: boolean}>}
+     */
+    async attempt(delivery) {
+        const subscription = this.store.get(delivery.subscriptionId);
+        if (!subscription) {
+            this.deliveries.removePending(delivery.id);
+            return { ok: false, status: null, error: 'Subscription deleted', retrying: false };
+        }
+
+        delivery.attempts++;
+        delivery.url = subscription.url;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let status = null;
+        let error = null;
+
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'safe-whatsapp-bot-webhooks',
+                    'X-Webhook-Id': delivery.payload.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Attempt': String(delivery.attempts),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+                },
+                body,
+                timeout: this.timeout,
+                redirect: 'manual'
+            });
+            status = response.status;
+            if (!response.ok) error = `HTTP ${status} ${response.statusText}`.trim();
+        } catch (err) {
+            error = err.message;
+        }
+
+        delivery.lastStatus = status;
+        delivery.lastError = error;
+        // Deleted while the request was out
+        if (!this.store.get(subscription.id)) return { ok: !error, status, error, retrying: false };
+
+        if (!error) {
+            this.deliveries.removePending(delivery.id);
+            this.store.recordDelivery(subscription, { ok: true, status, error: null });
+            return { ok: true, status, error: null, retrying: false };
+        }
+
+        const retryable = status === null || status === 408 || status === 429 || status >= 500;
+        if (retryable && delivery.attempts < this.maxAttempts) {
+            delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts)).toISOString();
+            this.deliveries.setPending(delivery);
+            this.retryTimer.add({ id: delivery.id, sendAt: delivery.nextAttemptAt });
+            console.log(`⏳ [WEBHOOK] ${delivery.event} to ${subscription.url} failed (${error}), attempt ${delivery.attempts + 1} at ${delivery.nextAttemptAt}`);
+            return { ok: false, status, error, retrying: true };
+        }
+
+        const deadLetter = this.deliveries.addDeadLetter(delivery);
+        this.store.recordDelivery(subscription, { ok: false, status, error });
+        console.error(`❌ [WEBHOOK] ${delivery.event} to ${subscription.url} dead-lettered after ${delivery.attempts} attempt(s): ${error}`);
+        this.onDeadLetter(deadLetter);
+        return { ok: false, status, error, retrying: false };
+    }
+
+    /**
+     * Drops the pending deliveries of a subscription, e.g. when it's deleted
+     * @param {string} subscriptionId
+     */
+    cancel(subscriptionId) {
+        for (const delivery of this.deliveries.listPending()) {
+            if (delivery.subscriptionId !== subscriptionId) continue;
+            this.deliveries.removePending(delivery.id);
+            this.retryTimer.remove(delivery.id);
+        }
+    }
+
+    close() {
+        this.retryTimer.stop();
+        this.deliveries.close();
+        this.store.close();
+    }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,119 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const JsonFile = require('../util/JsonFile');
+
+/**
+ * WebhookStore - Webhook subscriptions with their delivery counts, persisted to a JSON file
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory the subscription file is written to, default is: "./data/"
+ */
+class WebhookStore {
+    constructor(options = {}) {
+        this.file = new JsonFile(path.join(options.dataPath || './data/', 'webhooks.json'), []);
+        this.subscriptions = new Map(this.file.read().map(subscription => [subscription.id, subscription]));
+    }
+
+    /**
+     * @param {object} fields - As returned by normalizeSubscription()
+     * @returns {object}
+     */
+    create(fields) {
+        const now = new Date().toISOString();
+        const subscription = {
+            id: crypto.randomUUID(),
+            description: '',
+            ...fields,
+            enabled: fields.enabled !== false,
+            createdAt: now,
+            updatedAt: now,
+            delivered: 0,
+            failed: 0,
+            lastDeliveryAt: null,
+            lastStatus: null,
+            lastError: null
+        };
+        this.subscriptions.set(subscription.id, subscription);
+        this.save();
+        return subscription;
+    }
+
+    get(id) {
+        return this.subscriptions.get(id) || null;
+    }
+
+    /**
+     * @returns {Array<object>} Subscriptions, oldest first
+     */
+    list() {
+        return Array.from(this.subscriptions.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @param {object} subscription
+     * @param {object} fields - Any of the fields normalizeSubscription() returns
+     * @returns {object}
+     */
+    update(subscription, fields = {}) {
+        for (const key of ['url', 'events', 'secret', 'description', 'enabled']) {
+            if (fields[key] !== undefined) subscription[key] = fields[key];
+        }
+        subscription.updatedAt = new Date().toISOString();
+        this.save();
+        return subscription;
+    }
+
+    /**
+     * Counts a finished delivery: one that got a 2xx answer, or one that went to the dead letters
+     * @param {object} subscription
+     * @param {{ok: boolean, status: number|null, error: string|null}} result
+     * @returns {object}
+     */
+    recordDelivery(subscription, result) {
+        if (result.ok) {
+            subscription.delivered++;
+        } else {
+            subscription.failed++;
+        }
+        subscription.lastDeliveryAt = new Date().toISOString();
+        subscription.lastStatus = result.status;
+        subscription.lastError = result.error;
+        this.save();
+        return subscription;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null} The removed subscription
+     */
+    remove(id) {
+        const subscription = this.get(id);
+        if (!subscription) return null;
+        this.subscriptions.delete(id);
+        this.save();
+        return subscription;
+    }
+
+    /**
+     * Subscription without its secret, which is only shown when it's set
+     * @param {object} subscription
+     * @returns {object}
+     */
+    describe(subscription) {
+        // eslint-disable-next-line no-unused-vars
+        const { secret, ...rest } = subscription;
+        return { ...rest, secretHint: `…${secret.slice(-4)}` };
+    }
+
+    save() {
+        return this.file.write(Array.from(this.subscriptions.values()));
+    }
+
+    close() {
+        this.file.flushSync();
+    }
+}
+
+module.exports = WebhookStore;
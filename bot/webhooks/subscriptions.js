@@ -0,0 +1,130 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Webhook subscriptions: other services get a signed JSON POST for the events they subscribe to.
+ *
+ *   { "url": "https://example.com/hooks/whatsapp", "events": ["message.received", "queue.*"], "secret": "..." }
+ *
+ * events lists event names, "group.*" for every event of a kind or "*" for all of them. Every POST
+ * carries X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" keyed with the secret>.
+ */
+
+class WebhookError extends Error {
+    constructor(message, errors = [message]) {
+        super(message);
+        this.errors = errors;
+    }
+}
+
+const WEBHOOK_EVENTS = {
+    'message.received': 'A message came in, from a contact or a group',
+    'message.ack': 'WhatsApp reported a sent message as delivered to the server, the phone, read or played',
+    'queue.status': 'A queued message changed status, e.g. queued, sent, failed or cancelled',
+    'group.join': 'Someone joined or was added to a group',
+    'group.leave': 'Someone left or was removed from a group',
+    'call.incoming': 'Someone is calling',
+    'client.ready': 'WhatsApp connected',
+    'client.disconnected': 'WhatsApp disconnected',
+    'webhook.test': 'Sent on request to check a subscription'
+};
+
+// Waits before each retry: 30 seconds, then four times longer each attempt, at most an hour
+const FIRST_RETRY_DELAY = 30000;
+const MAX_RETRY_DELAY = 3600000;
+
+/**
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds to wait before the next attempt
+ */
+const retryDelay = (attempts) => Math.min(FIRST_RETRY_DELAY * 4 ** (attempts - 1), MAX_RETRY_DELAY);
+
+/**
+ * @param {string} filter - Event name, "kind.*" or "*"
+ * @returns {boolean}
+ */
+const isKnownFilter = (filter) => {
+    if (filter === '*') return true;
+    if (filter.endsWith('.*')) return Object.keys(WEBHOOK_EVENTS).some(event => event.startsWith(filter.slice(0, -1)));
+    return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, filter);
+};
+
+/**
+ * @param {object} subscription
+ * @param {string} event
+ * @returns {boolean} Whether the subscription wants the event
+ */
+const matchesEvent = (subscription, event) => subscription.events.some(filter => (
+    filter === '*' || filter === event || (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1)))
+));
+
+/**
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - The exact JSON text sent
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * @returns {string} A random signing secret
+ */
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Checks and normalizes the parts of a subscription a client can set
+ * @param {object} fields - { url, events, secret, description, enabled }
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only fields that are present are checked and returned, for updates
+ * @returns {object}
+ * @throws {WebhookError} Listing every problem found
+ */
+const normalizeSubscription = (fields, options = {}) => {
+    const errors = [];
+    const normalized = {};
+    const has = (key) => !options.partial || fields[key] !== undefined;
+
+    if (has('url')) {
+        normalized.url = String(fields.url || '').trim();
+        let url = null;
+        try {
+            url = new URL(normalized.url);
+        } catch {
+            errors.push('A valid url is required');
+        }
+        if (url && !['http:', 'https:'].includes(url.protocol)) errors.push('Webhook urls use http or https');
+    }
+
+    if (has('events')) {
+        const events = Array.isArray(fields.events) ? fields.events : String(fields.events || '*').split(',');
+        normalized.events = events.map(event => String(event).trim()).filter(Boolean);
+        if (normalized.events.length === 0) normalized.events = ['*'];
+        const unknown = normalized.events.filter(event => !isKnownFilter(event));
+        if (unknown.length > 0) errors.push(`Unknown event ${unknown.join(', ')}`);
+    }
+
+    if (has('secret')) {
+        normalized.secret = fields.secret ? String(fields.secret) : generateSecret();
+        if (normalized.secret.length < 16) errors.push('The secret needs at least 16 characters');
+    }
+
+    if (has('description')) normalized.description = String(fields.description || '').trim();
+    if (fields.enabled !== undefined) normalized.enabled = fields.enabled === true || fields.enabled === 'true';
+
+    if (errors.length > 0) throw new WebhookError(errors.join('; '), errors);
+    return normalized;
+};
+
+module.exports = {
+    WebhookError,
+    WEBHOOK_EVENTS,
+    retryDelay,
+    matchesEvent,
+    signPayload,
+    generateSecret,
+    normalizeSubscription
+};
@@ -1,5 +1,5 @@
-const { SafeWhatsAppBot } = require('./safe-whatsapp-bot');
+const { startBot } = require('./safe-whatsapp-bot');
 
 // Start the bot immediately on Heroku
 console.log('🚀 Launching WhatsApp bot on Heroku...');
-new SafeWhatsAppBot();
+global.bot = startBot();
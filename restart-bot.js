@@ -21,8 +21,7 @@ function startBot() {
     console.log('🚀 Starting fresh bot instance...');
     
     try {
-        const SafeWhatsAppBot = require('./safe-whatsapp-bot.js');
-        global.bot = new SafeWhatsAppBot();
+        global.bot = require('./safe-whatsapp-bot.js').startBot();
         console.log('✅ Bot started successfully!');
         console.log('🌐 Visit: http://localhost:3001');
     } catch (error) {
@@ -1,18 +1,110 @@
-const { Client, LocalAuth, RemoteAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth, RemoteAuth, MessageMedia, MessageAck, Poll } = require('whatsapp-web.js');
 const express = require('express');
-const http = require('http');
-const socketIo = require('socket.io');
 const path = require('path');
 const multer = require('multer');
+const QRCode = require('qrcode');
 const fs = require('fs');
+const crypto = require('crypto');
 const csv = require('csv-parser');
 const { MongoStore } = require('wwebjs-mongo');
+const { createQueueStore } = require('./bot/queue/QueueStoreFactory');
+const { QueueStatus, PENDING_STATUSES } = require('./bot/queue/QueueStore');
+const MediaStore = require('./bot/queue/MediaStore');
+const { CampaignStore, CampaignStatus, ACTIVE_STATUSES, REPORT_COLUMNS } = require('./bot/campaigns/CampaignStore');
+const { SuppressionList } = require('./bot/compliance/SuppressionList');
+const { ConsentPolicy, ConsentError, parseConsent, hasConsent } = require('./bot/compliance/consent');
+const { TemplateError, compileTemplate, validateTemplate } = require('./bot/templates/engine');
+const TemplateStore = require('./bot/templates/TemplateStore');
+const Scheduler = require('./bot/scheduling/Scheduler');
+const ScheduleStore = require('./bot/scheduling/ScheduleStore');
+const { RecurrenceError, compileRecurrence } = require('./bot/scheduling/recurrence');
+const InboxStore = require('./bot/inbox/InboxStore');
+const AutoReplyStore = require('./bot/autoreply/AutoReplyStore');
+const { AutoReplyError, MESSAGE_TYPES, normalizeRule, needsLabels, matchRule } = require('./bot/autoreply/rules');
+const FlowStore = require('./bot/flows/FlowStore');
+const FlowSessionStore = require('./bot/flows/FlowSessionStore');
+const { FlowError, normalizeFlow, expireSession, dispatchEvent } = require('./bot/flows/engine');
+const { simulateFlow, formatTranscript } = require('./bot/flows/simulate');
+const { EVENT_ROLES, rolesUpTo } = require('./bot/auth/roles');
+const SessionManager = require('./bot/sessions/SessionManager');
+const { MetricsRegistry } = require('./bot/metrics/MetricsRegistry');
+const { createBotMetrics } = require('./bot/metrics/botMetrics');
+const { createLoggerFromEnv } = require('./bot/logging/Logger');
+const { isValidTimezone, inferTimezone, quietHoursEnd } = require('./bot/scheduling/timezones');
+const { toCsv } = require('./bot/util/csv');
+const { normalizePhoneNumber } = require('./bot/phone/normalize');
+const { resolveRegion } = require('./bot/phone/regions');
+const { ContactStore, REJECTED_COLUMNS } = require('./bot/contacts/ContactStore');
+const { FORMATS, ImportError, detectFormat, parseContacts, parseJson } = require('./bot/contacts/importers');
+const ContactListStore = require('./bot/contacts/ContactListStore');
+const SegmentStore = require('./bot/contacts/SegmentStore');
+const { SegmentError, listOf, normalizeTag, normalizeFilter, matchFilter, replyStatus } = require('./bot/contacts/segments');
+const LabelSyncStore = require('./bot/contacts/LabelSyncStore');
+const { parseOutcomeLabels, planLabelSync } = require('./bot/contacts/labelSync');
+const { ChatPermissionError, GROUP_ID, CHANNEL_ID, chatType, postingRights, describeChat } = require('./bot/chats/targets');
+const { PARTICIPANT_ACTIONS, REQUEST_ACTIONS, GROUP_SETTINGS, INVITE_LINK, participantRoles, describeGroup, addResult, participantResults, summarizeResults, describeRequest } = require('./bot/chats/groups');
 
+const DATA_PATH = process.env.BOT_DATA_PATH || './data/';
+
+// Audience types whose contacts carry consent records and template columns
+const CONTACT_AUDIENCES = ['contacts', 'list', 'segment'];
+
+// Campaign outcome a recipient's status reaches, for CAMPAIGN_OUTCOME_LABELS
+const STATUS_OUTCOMES = { sent: 'sent', read: 'read', played: 'read' };
+// How long after a campaign message an answer counts as a reply to it
+const REPLY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+// Chats are still loading right after connecting, the first interval sync waits this long
+const LABEL_SYNC_DELAY = 60 * 1000;
+
+// Columns of the consent audit export
+const CONSENT_AUDIT_COLUMNS = [
+    'campaignId', 'campaignName', 'consentPolicy', 'name', 'number', 'status', 'messageId', 'sentAt',
+    'consentSource', 'consentTimestamp', 'consentScope'
+];
+
+// Status a sent message moves to for each ack WhatsApp reports (ACK_PENDING changes nothing)
+const ACK_STATUSES = {
+    [MessageAck.ACK_ERROR]: QueueStatus.FAILED,
+    [MessageAck.ACK_SERVER]: QueueStatus.SERVER,
+    [MessageAck.ACK_DEVICE]: QueueStatus.DELIVERED,
+    [MessageAck.ACK_READ]: QueueStatus.READ,
+    [MessageAck.ACK_PLAYED]: QueueStatus.PLAYED
+};
+
+/**
+ * SafeWhatsAppBot - One WhatsApp account: its client, queue, rate limiter, stats and stores.
+ * SessionManager runs one per session and serves their routes; see bot/sessions/SessionManager.js
+ * @param {object} [options] - options
+ * @param {string} [options.sessionId] - default is: "default"
+ * @param {string} [options.name] - Shown in the dashboard, default is: the session id
+ * @param {string} [options.dataPath] - Directory of the session's stores, default is: BOT_DATA_PATH or "./data/"
+ * @param {string} [options.authPath] - Directory LocalAuth keeps WhatsApp logins in, default is: "./.wwebjs_auth/"
+ * @param {string} [options.clientId] - LocalAuth client id, default is: "safe-bot-heroku"
+ * @param {string} [options.contactsPath] - The session's contacts.csv, default is: the one next to this file
+ * @param {object} [options.io] - Socket.IO namespace of the session's dashboard clients
+ * @param {WebhookDispatcher} [options.webhooks] - Shared by all sessions, events carry the sessionId
+ * @param {object} [options.metrics] - Shared by all sessions, see createBotMetrics(); default is: metrics of its own
+ * @param {function(SafeWhatsAppBot): void} [options.onStateChange] - Called when the client connects, disconnects, stops or shows a QR code
+ * @param {boolean} [options.autoStart] - Start WhatsApp right away, default is: true
+ */
 class SafeWhatsAppBot {
-    constructor() {
-        console.log('🔧 Initializing SafeWhatsAppBot...');
+    constructor(options = {}) {
+        this.sessionId = options.sessionId || 'default';
+        this.sessionName = options.name || this.sessionId;
+        console.log(`🔧 Initializing SafeWhatsAppBot for session "${this.sessionId}"...`);
+        
+        const dataPath = options.dataPath || DATA_PATH;
+        this.authPath = options.authPath || './.wwebjs_auth/';
+        this.clientId = options.clientId || 'safe-bot-heroku';
+        this.contactsPath = options.contactsPath || path.join(__dirname, 'contacts.csv');
+        this.io = options.io || null;
+        this.webhooks = options.webhooks || null;
+        this.metrics = options.metrics || createBotMetrics(new MetricsRegistry(), () => [this]);
+        this.onStateChange = options.onStateChange || (() => {});
         
         this.client = null;
+        this.lastQr = null; // Shown to admins who open the dashboard while the session waits for a scan
+        this.stopped = false; // Stopped on purpose, so a disconnect doesn't reconnect
         this.isConnected = false;
         this.messageQueue = [];
         this.isProcessing = false;
@@ -48,25 +140,380 @@ class SafeWhatsAppBot {
             numberCooldown: 43200000, // 12 hours cooldown (reduced from 24h for faster re-messaging)
             suspiciousPatternThreshold: 10 // Higher threshold for aggressive sending
         };
+
+        // Durable queue: file-backed by default, QUEUE_STORE=mongo uses MONGODB_URI with a collection per session
+        this.queueStore = createQueueStore(process.env.QUEUE_STORE || 'file', {
+            dataPath,
+            ...(this.sessionId !== 'default' ? { collection: `queued_messages_${this.sessionId}` } : {})
+        });
+        this.queueStoreReady = this.queueStore.init();
+        this.mediaStore = new MediaStore({ dataPath: path.join(dataPath, 'media') });
+        this.earlyAcks = new Map(); // Acks that arrived before sendMessage() resolved
+        this.scheduler = new Scheduler(message => this.enqueueMessage(message));
+        // Numbers without a country code are read as numbers of this region, see bot/phone/regions.js
+        this.defaultRegion = resolveRegion(process.env.PHONE_DEFAULT_REGION || 'IN');
+        if (!this.defaultRegion) {
+            console.warn(`⚠️ [FORMAT] Unknown PHONE_DEFAULT_REGION "${process.env.PHONE_DEFAULT_REGION}", numbers need their country code`);
+        }
+        // Quiet hours apply in the recipient's timezone: CSV column, else guessed from the country code, else this
+        this.defaultTimezone = isValidTimezone(process.env.DEFAULT_TIMEZONE)
+            ? process.env.DEFAULT_TIMEZONE
+            : Intl.DateTimeFormat().resolvedOptions().timeZone;
+        this.campaignStore = new CampaignStore({ dataPath });
+        this.campaignTimers = new Map(); // Start timers of scheduled campaigns
+        this.campaignRuns = new Set(); // Campaigns currently queueing their recipients
+        
+        // Opt-out handling: keyword lists are comma-separated, e.g. OPT_OUT_KEYWORDS="stop,unsubscribe,parar"
+        const keywordList = (value) => value ? value.split(',').map(keyword => keyword.trim()).filter(Boolean) : undefined;
+        this.suppressionList = new SuppressionList({
+            dataPath,
+            optOutKeywords: keywordList(process.env.OPT_OUT_KEYWORDS),
+            optInKeywords: keywordList(process.env.OPT_IN_KEYWORDS)
+        });
+        this.optOutConfirmation = process.env.OPT_OUT_CONFIRMATION ||
+            'You have been unsubscribed and will not receive further messages from us. Reply START to subscribe again.';
+        this.optInConfirmation = process.env.OPT_IN_CONFIRMATION ||
+            'You have been subscribed again. Reply STOP at any time to unsubscribe.';
+        
+        // Consent enforcement for bulk sends: off (default), skip or require; CONSENT_SCOPE is the default scope asked for
+        this.consentPolicy = Object.values(ConsentPolicy).includes(process.env.CONSENT_POLICY)
+            ? process.env.CONSENT_POLICY
+            : ConsentPolicy.OFF;
+        this.consentScope = process.env.CONSENT_SCOPE || null;
+        this.templateLocale = process.env.TEMPLATE_LOCALE || undefined; // Number/date formatting in templates
+        this.templateStore = new TemplateStore({ dataPath });
+        this.scheduleStore = new ScheduleStore({ dataPath });
+        // Recurring schedules wait on their own timer, entries are { id, sendAt: nextRunAt }
+        this.scheduleTimer = new Scheduler(entry => this.runSchedule(this.scheduleStore.get(entry.id)));
+        this.inboxStore = new InboxStore({ dataPath });
+        this.inboxMedia = new MediaStore({ dataPath: path.join(dataPath, 'inbox-media') });
+        this.autoReplyStore = new AutoReplyStore({ dataPath });
+        this.flowStore = new FlowStore({ dataPath });
+        this.flowSessions = new FlowSessionStore({ dataPath });
+        // Flow sessions time out on their own timer, entries are { id: chatId, sendAt: expiresAt }
+        this.flowTimer = new Scheduler(entry => this.expireFlowSession(entry.id));
+        this.contactStore = new ContactStore({ dataPath });
+        this.contactListStore = new ContactListStore({ dataPath });
+        this.segmentStore = new SegmentStore({ dataPath });
+        // WhatsApp Business labels sync with contact tags every LABEL_SYNC_MINUTES while connected, on request only when 0
+        this.labelSyncStore = new LabelSyncStore({ dataPath });
+        this.labelSyncMinutes = Math.max(parseInt(process.env.LABEL_SYNC_MINUTES, 10) || 0, 0);
+        this.labelSyncTimeout = null;
+        this.labelSyncRun = null;
+        // Chats are labeled by campaign outcome, e.g. CAMPAIGN_OUTCOME_LABELS="replied=Replied,opted_out=Opted out"
+        const outcomeLabels = parseOutcomeLabels(process.env.CAMPAIGN_OUTCOME_LABELS);
+        for (const error of outcomeLabels.errors) {
+            console.warn(`⚠️ [LABELS] CAMPAIGN_OUTCOME_LABELS ${error}, left out`);
+        }
+        this.outcomeLabels = outcomeLabels.labels;
+        this.campaignNumbers = new WeakMap(); // Campaign -> Map of E.164 number -> recipient, built on first reply
         
         console.log('📊 Configuration loaded');
-        console.log('🌐 Setting up web server...');
+        console.log('🌐 Setting up routes...');
         this.setupWebServer();
-        console.log('📱 Starting WhatsApp initialization in background...');
-        // Start WhatsApp initialization asynchronously without blocking server startup
-        this.initializeWhatsApp().catch(error => {
-            console.error('❌ Failed to initialize WhatsApp:', error);
-        });
+        console.log('💾 Restoring persisted message queue...');
+        this.restoreQueue()
+            .then(() => this.restoreCampaigns())
+            .then(() => this.restoreSchedules())
+            .then(() => this.restoreFlowSessions())
+            .catch(error => {
+                console.error('❌ Failed to restore message queue:', error);
+            });
+        if (options.autoStart !== false) {
+            console.log('📱 Starting WhatsApp initialization in background...');
+            // Start WhatsApp initialization asynchronously without blocking server startup
+            this.initializeWhatsApp().catch(error => {
+                console.error('❌ Failed to initialize WhatsApp:', error);
+            });
+        } else {
+            this.stopped = true;
+        }
         console.log('✅ SafeWhatsAppBot constructor completed');
     }
 
+    async restoreQueue() {
+        await this.queueStoreReady;
+        const pending = await this.queueStore.loadPending();
+        const restored = [];
+        let scheduled = 0;
+
+        for (const item of pending) {
+            if (item.type === 'media' && !this.mediaStore.exists(item.media)) {
+                console.warn(`⚠️ [RESTORE] Media for message ${item.id} is gone, marking as failed`);
+                await this.setMessageStatus(item, QueueStatus.FAILED, { error: 'Media file missing after restart' });
+                continue;
+            }
+            if (item.status === QueueStatus.SCHEDULED) {
+                // Overdue items are released right away by the scheduler
+                this.scheduler.add(item);
+                scheduled++;
+                continue;
+            }
+            if (item.status === QueueStatus.SENDING) {
+                // We can't tell whether the send went through before the process stopped
+                await this.setMessageStatus(item, QueueStatus.RETRYING, { error: 'Interrupted while sending' });
+            }
+            restored.push(item);
+        }
+
+        // Anything queued while the store was loading stays behind the restored items
+        this.messageQueue = [...restored, ...this.messageQueue];
+        console.log(`💾 [RESTORE] Restored ${restored.length} pending and ${scheduled} scheduled messages from the queue store`);
+
+        if (restored.length > 0) {
+            this.broadcastToClients('status_update', { message: `Restored ${restored.length} pending messages` });
+            if (!this.isProcessing && this.isConnected) {
+                this.startMessageProcessor();
+            }
+        }
+    }
+
+    /**
+     * Records a status transition on a queue item and persists it
+     * @param {object} messageObj
+     * @param {string} status
+     * @param {object} [details] - Extra fields to set on the item, e.g. error or messageId
+     */
+    async setMessageStatus(messageObj, status, details = {}) {
+        const previousStatus = messageObj.status || null;
+        Object.assign(messageObj, details, { status });
+        messageObj.statusHistory = messageObj.statusHistory || [];
+        messageObj.statusHistory.push({
+            status,
+            at: Date.now(),
+            ...(details.error ? { error: details.error } : {})
+        });
+        await this.persistMessage(messageObj);
+        
+        if (status !== previousStatus) {
+            this.emitWebhook('queue.status', {
+                id: messageObj.id,
+                messageId: messageObj.messageId || null,
+                number: messageObj.number,
+                campaignId: messageObj.campaignId || null,
+                status,
+                previousStatus,
+                error: details.error || null
+            });
+            
+            const labels = { session: this.sessionId, type: messageObj.type || 'text' };
+            if (status === QueueStatus.SENT) this.metrics.messagesSent.inc(labels);
+            if (status === QueueStatus.FAILED) this.metrics.messagesFailed.inc(labels);
+            if (status === QueueStatus.RETRYING) this.metrics.messageRetries.inc(labels);
+            
+            if (status === QueueStatus.SENT && chatType(messageObj.number) === 'number') {
+                const parsed = this.parsePhoneNumber(String(messageObj.number));
+                if (parsed.valid) this.contactStore.recordActivity(parsed.e164, 'contacted');
+            }
+        }
+        
+        if (messageObj.campaignId) {
+            await this.onCampaignMessageStatus(messageObj);
+        }
+    }
+
+    async persistMessage(messageObj) {
+        try {
+            await this.queueStoreReady;
+            await this.queueStore.save(messageObj);
+        } catch (error) {
+            // Persistence problems must never stop a send
+            console.error(`❌ [STORE] Failed to persist message ${messageObj.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Deletes the stored media of a finished item unless another pending item still uses it
+     * @param {object} messageObj
+     */
+    releaseMedia(messageObj) {
+        // Campaign media is released by the campaign once it finishes
+        if (messageObj.type !== 'media' || messageObj.campaignId || PENDING_STATUSES.includes(messageObj.status)) return;
+        const stillUsed = this.messageQueue.some(m => m.type === 'media' && m.media.path === messageObj.media.path);
+        if (!stillUsed) {
+            this.mediaStore.release(messageObj.media);
+        }
+    }
+
+    async handleMessageAck(message, ack) {
+        if (!message.fromMe || !message.id) return;
+        
+        await this.queueStoreReady;
+        const messageObj = await this.queueStore.findByMessageId(message.id.id);
+        
+        if (!messageObj) {
+            // The ack can beat sendMessage() back; keep it around briefly so it can be applied once the id is known
+            const now = Date.now();
+            for (const [id, early] of this.earlyAcks) {
+                if (now - early.at > 300000) this.earlyAcks.delete(id);
+            }
+            this.earlyAcks.set(message.id.id, { ack, at: now });
+            return;
+        }
+        
+        await this.applyMessageAck(messageObj, ack);
+    }
+
+    async applyMessageAck(messageObj, ack) {
+        const status = ACK_STATUSES[ack];
+        if (!status) return;
+        
+        // Acks can arrive out of order, never move a message backwards
+        if (ack !== MessageAck.ACK_ERROR && (messageObj.ack || 0) >= ack) return;
+        
+        console.log(`📬 [ACK] Message ${messageObj.messageId} to ${messageObj.number} is now ${status}`);
+        await this.setMessageStatus(messageObj, status, {
+            ack,
+            ...(ack === MessageAck.ACK_ERROR ? { error: 'WhatsApp reported a delivery error' } : {})
+        });
+        
+        this.broadcastToClients('message_ack', {
+            id: messageObj.id,
+            messageId: messageObj.messageId,
+            number: messageObj.number,
+            status,
+            ack,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Notes an incoming message on the sender's contact, for segments on reply status, and as the answer
+     * to the last campaign message they got, which labels the chat when "replied" has an outcome label
+     * @param {object} message - whatsapp-web.js Message
+     */
+    async recordReply(message) {
+        if (message.fromMe || !/@(c\.us|lid)$/.test(message.from)) return;
+        
+        let number = message.from;
+        if (number.endsWith('@lid')) {
+            const contact = await message.getContact();
+            number = contact.number;
+        }
+        const parsed = this.parsePhoneNumber(String(number));
+        if (!parsed.valid) return;
+        
+        const at = new Date(message.timestamp * 1000);
+        this.contactStore.recordActivity(parsed.e164, 'reply', at);
+        
+        const sent = this.lastCampaignMessageTo(parsed.e164);
+        if (sent && sent.recipient.sentAt < at.toISOString() && this.campaignStore.recordReply(sent.campaign, sent.recipient, at)) {
+            await this.applyOutcomeLabel('replied', message.from);
+        }
+    }
+
+    /**
+     * @param {string} number - E.164
+     * @returns {{campaign: object, recipient: object}|null} The latest campaign message sent to the number within REPLY_WINDOW
+     */
+    lastCampaignMessageTo(number) {
+        const since = new Date(Date.now() - REPLY_WINDOW).toISOString();
+        let latest = null;
+        for (const campaign of this.campaignStore.list()) {
+            if (!campaign.startedAt || (campaign.finishedAt && campaign.finishedAt < since)) continue;
+            
+            if (!this.campaignNumbers.has(campaign)) {
+                const numbers = new Map();
+                for (const recipient of campaign.recipients) {
+                    const parsed = this.parsePhoneNumber(String(recipient.number));
+                    if (parsed.valid) numbers.set(parsed.e164, recipient);
+                }
+                this.campaignNumbers.set(campaign, numbers);
+            }
+            const recipient = this.campaignNumbers.get(campaign).get(number);
+            if (recipient && recipient.sentAt && recipient.sentAt >= since && (!latest || recipient.sentAt > latest.recipient.sentAt)) {
+                latest = { campaign, recipient };
+            }
+        }
+        return latest;
+    }
+
+    async handleOptOutKeyword(message) {
+        if (message.fromMe || !/@(c\.us|lid)$/.test(message.from)) return;
+        
+        const match = this.suppressionList.matchKeyword(message.body);
+        if (!match) return;
+        
+        let number = message.from;
+        if (number.endsWith('@lid')) {
+            const contact = await message.getContact();
+            number = contact.number;
+        }
+        
+        if (match === 'opt_out') {
+            if (!this.suppressionList.has(number)) {
+                this.suppressionList.add(number, {
+                    source: 'keyword',
+                    keyword: message.body.trim(),
+                    reason: 'Recipient opted out'
+                });
+            }
+            const cancelled = await this.cancelQueuedFor(number, 'Recipient opted out');
+            // The keyword goes in a field so LOG_REDACT=messages hides it like other message texts
+            console.log(`🚫 [OPT-OUT] ${SuppressionList.key(number)} opted out:`, { body: message.body.trim(), cancelled });
+            this.broadcastToClients('opt_out', { number: SuppressionList.key(number), keyword: message.body.trim(), cancelled });
+            await this.sendComplianceReply(message.from, this.optOutConfirmation);
+            await this.applyOutcomeLabel('opted_out', message.from);
+        } else {
+            // Only undo opt-outs the recipient made themselves, never ones added by an operator
+            const entry = this.suppressionList.get(number);
+            if (!entry || entry.source !== 'keyword') return;
+            
+            this.suppressionList.remove(number);
+            console.log(`✅ [OPT-OUT] ${SuppressionList.key(number)} subscribed again:`, { body: message.body.trim() });
+            this.broadcastToClients('opt_in', { number: SuppressionList.key(number), keyword: message.body.trim() });
+            await this.sendComplianceReply(message.from, this.optInConfirmation);
+            await this.applyOutcomeLabel('opted_out', message.from, false);
+        }
+    }
+
+    /**
+     * Sends an opt-out/opt-in confirmation directly, bypassing the queue (which would refuse suppressed numbers)
+     */
+    async sendComplianceReply(chatId, text) {
+        if (!text || !this.client || !this.isConnected) return;
+        try {
+            await this.client.sendMessage(chatId, text);
+        } catch (error) {
+            console.error(`❌ [OPT-OUT] Failed to send confirmation to ${chatId}:`, error.message);
+        }
+    }
+
+    /**
+     * Cancels every queued message for a number
+     * @returns {Promise<number>} How many messages were cancelled
+     */
+    async cancelQueuedFor(number, reason) {
+        const key = SuppressionList.key(number);
+        const matches = [
+            ...this.messageQueue.filter(message => SuppressionList.key(message.number) === key),
+            ...this.scheduler.take(message => SuppressionList.key(message.number) === key)
+        ];
+        this.messageQueue = this.messageQueue.filter(message => SuppressionList.key(message.number) !== key);
+        for (const message of matches) {
+            await this.setMessageStatus(message, QueueStatus.CANCELLED, { error: reason });
+            this.releaseMedia(message);
+        }
+        return matches.length;
+    }
+
+    /**
+     * Normalizes a number the way the queue does, for suppression list lookups
+     * @param {string} number
+     * @returns {string|null}
+     */
+    suppressionKey(number) {
+        const formatted = this.formatPhoneNumber(String(number));
+        return formatted ? SuppressionList.key(formatted) : null;
+    }
+
     async initializeWhatsApp() {
         try {
-            console.log('📱 Creating WhatsApp client...');
+            console.log(`📱 Creating WhatsApp client for session "${this.sessionId}"...`);
+            this.stopped = false;
             
             // Check for existing session
-            const sessionPath = './.wwebjs_auth/session-safe-bot';
-            const fs = require('fs');
+            const sessionPath = path.join(this.authPath, `session-${this.clientId}`);
             const sessionExists = fs.existsSync(sessionPath);
             
             if (sessionExists) {
@@ -93,8 +540,8 @@ class SafeWhatsAppBot {
             // For Heroku, always use LocalAuth to avoid MongoDB complexity
             console.log('📂 Using LocalAuth for Heroku deployment');
             authStrategy = new LocalAuth({ 
-                clientId: 'safe-bot-heroku',
-                dataPath: './.wwebjs_auth/'
+                clientId: this.clientId,
+                dataPath: this.authPath
             });
             
             this.client = new Client({
@@ -166,7 +613,9 @@ class SafeWhatsAppBot {
     setupEventHandlers() {
         this.client.on('qr', (qr) => {
             console.log('[STATUS] QR code received. Bot needs authentication.');
+            this.lastQr = qr;
             this.broadcastToClients('qr', { qr });
+            this.onStateChange(this);
         });
         
         this.client.on('loading_screen', (percent, message) => {
@@ -193,6 +642,7 @@ class SafeWhatsAppBot {
         
         this.client.on('ready', async () => {
             this.isConnected = true;
+            this.lastQr = null;
             const info = this.client.info;
             console.log('[STATUS] WhatsApp connected and ready.');
             
@@ -210,7 +660,10 @@ class SafeWhatsAppBot {
                     platform: info?.platform || 'Unknown'
                 }
             });
+            this.emitWebhook('client.ready', { name: pushname, number: userId, platform: info?.platform || null });
+            this.onStateChange(this);
             this.startMessageProcessor();
+            this.scheduleLabelSync(LABEL_SYNC_DELAY);
         });
         
         this.client.on('disconnected', (reason) => {
@@ -221,6 +674,8 @@ class SafeWhatsAppBot {
                 message: 'WhatsApp disconnected - attempting to reconnect...',
                 timestamp: new Date().toISOString()
             });
+            this.emitWebhook('client.disconnected', { reason });
+            this.onStateChange(this);
             
             // Clear any existing reconnect timeout
             if (this.reconnectTimeout) {
@@ -229,8 +684,9 @@ class SafeWhatsAppBot {
             
             // Attempt to reconnect after a delay
             this.reconnectTimeout = setTimeout(() => {
-                if (!this.isConnected) {
+                if (!this.isConnected && !this.stopped) {
                     console.log('[STATUS] Attempting to reconnect...');
+                    this.metrics.reconnects.inc({ session: this.sessionId });
                     this.initializeWhatsApp().catch(error => {
                         console.error('❌ Reconnection failed:', error);
                     });
@@ -238,22 +694,484 @@ class SafeWhatsAppBot {
             }, 10000); // Wait 10 seconds before reconnecting
         });
         
+        this.client.on('message_ack', (message, ack) => {
+            if (message.fromMe && message.id) {
+                this.emitWebhook('message.ack', {
+                    messageId: message.id._serialized,
+                    to: message.to,
+                    ack,
+                    status: Object.keys(MessageAck).find(key => MessageAck[key] === ack) || null
+                });
+            }
+            
+            this.handleMessageAck(message, ack).catch(error => {
+                console.error('❌ [ACK] Failed to process message ack:', error.message);
+            });
+        });
+        
         this.client.on('message', (message) => {
             this.broadcastToClients('message_received', {
                 from: message.from,
                 body: message.body,
                 timestamp: message.timestamp
             });
+            
+            if (message.from !== 'status@broadcast') {
+                this.metrics.messagesReceived.inc({ session: this.sessionId, type: message.type });
+                this.emitWebhook('message.received', {
+                    id: message.id._serialized,
+                    from: message.from,
+                    to: message.to,
+                    author: message.author || null,
+                    isGroup: message.from.endsWith('@g.us'),
+                    type: message.type,
+                    body: message.body,
+                    hasMedia: message.hasMedia,
+                    hasQuotedMsg: message.hasQuotedMsg,
+                    timestamp: new Date(message.timestamp * 1000).toISOString()
+                });
+            }
+            
+            this.handleOptOutKeyword(message).catch(error => {
+                console.error('❌ [OPT-OUT] Failed to handle opt-out keyword:', error.message);
+            });
+            
+            this.recordInboxMessage(message).catch(error => {
+                console.error('❌ [INBOX] Failed to record message:', error.message);
+            });
+            
+            this.recordReply(message).catch(error => {
+                console.error('❌ [REPLY] Failed to record reply:', error.message);
+            });
+            
+            // A chat in a flow is answered by the flow, auto-replies only get the rest
+            this.handleFlowMessage(message)
+                .catch(error => {
+                    console.error('❌ [FLOW] Failed to handle message:', error.message);
+                    return false;
+                })
+                .then(handled => (handled ? null : this.handleAutoReply(message)))
+                .catch(error => {
+                    console.error('❌ [AUTO-REPLY] Failed to answer message:', error.message);
+                });
+        });
+        
+        this.client.on('vote_update', (vote) => {
+            this.handleFlowVote(vote).catch(error => {
+                console.error('❌ [FLOW] Failed to handle poll vote:', error.message);
+            });
+        });
+        
+        // Our own messages only join conversations someone started, so bulk sends don't fill the inbox
+        this.client.on('message_create', (message) => {
+            if (!message.fromMe || !this.inboxStore.has(message.to)) return;
+            this.recordInboxMessage(message).catch(error => {
+                console.error('❌ [INBOX] Failed to record sent message:', error.message);
+            });
+        });
+        
+        this.client.on('message_reaction', (reaction) => {
+            const found = this.inboxStore.react(reaction.msgId._serialized, {
+                emoji: reaction.reaction,
+                senderId: reaction.senderId,
+                timestamp: new Date(reaction.timestamp * 1000).toISOString()
+            });
+            if (found) {
+                this.broadcastToClients('inbox_reaction', {
+                    chatId: found.conversation.id,
+                    messageId: found.message.id,
+                    reactions: found.message.reactions
+                });
+            }
+            
+            this.handleFlowReaction(reaction).catch(error => {
+                console.error('❌ [FLOW] Failed to handle reaction:', error.message);
+            });
+        });
+        
+        for (const event of ['group_join', 'group_leave']) {
+            this.client.on(event, (notification) => {
+                this.emitWebhook(event.replace('_', '.'), {
+                    chatId: notification.chatId,
+                    type: notification.type,
+                    author: notification.author || null,
+                    recipientIds: notification.recipientIds,
+                    timestamp: new Date(notification.timestamp * 1000).toISOString()
+                });
+            });
+        }
+        
+        this.client.on('call', (call) => {
+            this.emitWebhook('call.incoming', {
+                id: call.id,
+                from: call.from,
+                isVideo: call.isVideo,
+                isGroup: call.isGroup,
+                participants: call.participants || null,
+                timestamp: new Date(call.timestamp * 1000).toISOString()
+            });
         });
     }
 
-    setupWebServer() {
-        this.app = express();
-        this.server = http.createServer(this.app);
-        this.io = socketIo(this.server);
+    /**
+     * Adds a message to the inbox thread of its chat
+     * @param {Message} message
+     * @param {object} [media] - Already stored attachment, otherwise it's downloaded
+     * @returns {Promise<object|null>} The stored message
+     */
+    async recordInboxMessage(message, media) {
+        const chatId = message.fromMe ? message.to : message.from;
+        if (chatId === 'status@broadcast') return null;
+        
+        const chat = await message.getChat();
+        const contact = message.fromMe ? null : await message.getContact();
+        
+        // Dashboard replies are recorded by the route and again by message_create, whichever comes first
+        const known = this.inboxStore.findMessage(message.id._serialized);
+        const knownMedia = known ? known.message.media : null;
+        if (media === undefined && knownMedia) {
+            media = knownMedia;
+        }
+        if (media === undefined && message.hasMedia) {
+            try {
+                const downloaded = await message.downloadMedia();
+                media = downloaded ? this.inboxMedia.saveMedia(downloaded) : null;
+            } catch (error) {
+                console.warn(`⚠️ [INBOX] Could not download media of ${message.id._serialized}:`, error.message);
+            }
+        }
+        
+        let quoted = null;
+        if (message.hasQuotedMsg) {
+            const quotedMessage = await message.getQuotedMessage();
+            if (quotedMessage) {
+                quoted = {
+                    id: quotedMessage.id._serialized,
+                    fromMe: quotedMessage.fromMe,
+                    body: quotedMessage.body,
+                    type: quotedMessage.type
+                };
+            }
+        }
+        
+        const { conversation, message: entry, dropped } = this.inboxStore.addMessage(
+            { id: chatId, name: chat.name, isGroup: chat.isGroup },
+            {
+                id: message.id._serialized,
+                fromMe: message.fromMe,
+                author: message.author || null,
+                senderName: contact ? (contact.pushname || contact.name || contact.number) : null,
+                body: message.body,
+                type: message.type,
+                timestamp: new Date(message.timestamp * 1000).toISOString(),
+                media: media || null,
+                quoted
+            }
+        );
+        for (const old of dropped) this.inboxMedia.release(old.media);
+        if (knownMedia && media && knownMedia.path !== media.path) {
+            this.inboxMedia.release(knownMedia);
+        }
+        
+        this.broadcastToClients('inbox_message', {
+            conversation: this.inboxStore.describe(conversation),
+            message: this.inboxStore.describeMessage(entry),
+            unreadTotal: this.inboxStore.unreadTotal()
+        });
+        return entry;
+    }
+
+    /**
+     * What auto-reply rules are matched against for a message
+     * @param {Message} message
+     * @returns {Promise<object>} Context for matchRule(), plus the contact's name
+     */
+    async autoReplyContext(message) {
+        const chat = await message.getChat();
+        const contact = await message.getContact();
+        const rules = this.autoReplyStore.list().filter(rule => rule.enabled);
+        const labels = needsLabels(rules) ? (await chat.getLabels()).map(label => String(label.id)) : [];
+        return {
+            body: message.body,
+            type: message.type,
+            chatId: chat.id._serialized,
+            isGroup: chat.isGroup,
+            sender: contact.number || SuppressionList.key(message.author || message.from),
+            name: contact.pushname || contact.name || '',
+            labels,
+            date: new Date()
+        };
+    }
+    
+    /**
+     * First enabled rule matching a message context
+     * @param {object} context - See autoReplyContext()
+     * @returns {{rule: object, variables: object, cooldownUntil: Date|null}|null}
+     */
+    findAutoReply(context) {
+        for (const rule of this.autoReplyStore.list()) {
+            if (!rule.enabled) continue;
+            const groups = matchRule(rule, context);
+            if (!groups) continue;
+            return {
+                rule,
+                variables: { ...groups, name: context.name, number: context.sender, message: context.body },
+                cooldownUntil: this.autoReplyStore.cooldownUntil(rule, context.chatId, context.date)
+            };
+        }
+        return null;
+    }
+    
+    /**
+     * Builds the message a rule answers with
+     * @param {object} rule
+     * @param {object} variables - Template variables
+     * @returns {{content: string|MessageMedia|Poll, options: object, text: string, template: object}|null}
+     *     template is set for saved templates; null when that template is gone
+     */
+    autoReplyContent(rule, variables) {
+        const { response } = rule;
+        const render = (text) => compileTemplate(text, { locale: this.templateLocale }).render(variables).text;
+        const attachment = (ref) => {
+            const media = MessageMedia.fromFilePath(ref.path);
+            media.filename = ref.filename;
+            media.mimetype = ref.mimetype;
+            return media;
+        };
+        
+        switch (response.type) {
+        case 'template': {
+            const template = this.templateStore.get(response.templateId);
+            if (!template) return null;
+            const text = render(template.body);
+            if (template.media && this.mediaStore.exists(template.media)) {
+                return { content: attachment(template.media), options: { caption: text }, text, template };
+            }
+            return { content: text, options: {}, text, template };
+        }
+        case 'media': {
+            const text = render(response.text);
+            return { content: attachment(response.media), options: text ? { caption: text } : {}, text };
+        }
+        case 'poll': {
+            const { question, options, allowMultipleAnswers } = response.poll;
+            return { content: new Poll(question, options, { allowMultipleAnswers }), options: {}, text: question };
+        }
+        default: {
+            const text = render(response.text);
+            return { content: text, options: {}, text };
+        }
+        }
+    }
+    
+    /**
+     * Answers an incoming message with the first matching auto-reply rule. Replies go out straight away
+     * rather than through the bulk queue; opted-out senders and opt-out keywords are never answered.
+     * @param {Message} message
+     * @returns {Promise<Message|null>} The reply sent
+     */
+    async handleAutoReply(message) {
+        if (message.fromMe || message.from === 'status@broadcast' || !this.client || !this.isConnected) return null;
+        if (!this.autoReplyStore.list().some(rule => rule.enabled)) return null;
+        if (this.suppressionList.matchKeyword(message.body)) return null;
+        
+        const context = await this.autoReplyContext(message);
+        if (this.suppressionList.has(context.sender)) return null;
+        
+        const found = this.findAutoReply(context);
+        if (!found) return null;
+        const { rule, variables, cooldownUntil } = found;
+        if (cooldownUntil) {
+            console.log(`⏳ [AUTO-REPLY] "${rule.name}" matched ${context.chatId} but is cooling down until ${cooldownUntil.toISOString()}`);
+            return null;
+        }
+        
+        const reply = this.autoReplyContent(rule, variables);
+        if (!reply) {
+            console.warn(`⚠️ [AUTO-REPLY] "${rule.name}" uses a saved template that no longer exists`);
+            return null;
+        }
+        
+        const sent = rule.response.quote
+            ? await message.reply(reply.content, context.chatId, reply.options)
+            : await this.client.sendMessage(context.chatId, reply.content, reply.options);
+        this.autoReplyStore.recordReply(rule, context.chatId, context.date);
+        if (reply.template) this.templateStore.markUsed(reply.template);
+        
+        console.log(`🤖 [AUTO-REPLY] "${rule.name}" answered ${context.chatId}`);
+        this.broadcastToClients('auto_reply', {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            chatId: context.chatId,
+            type: rule.response.type,
+            text: reply.text,
+            timestamp: context.date.toISOString()
+        });
+        return sent;
+    }
+
+    /**
+     * Feeds a private message to the chat's flow, or starts the flow it triggers
+     * @param {Message} message
+     * @returns {Promise<boolean>} Whether a flow took the message
+     */
+    async handleFlowMessage(message) {
+        if (message.fromMe || !/@(c\.us|lid)$/.test(message.from) || !this.client || !this.isConnected) return false;
+        
+        // Opting out ends the conversation, the opt-out handling answers
+        if (this.suppressionList.matchKeyword(message.body)) {
+            const session = this.flowSessions.remove(message.from);
+            this.flowTimer.remove(message.from);
+            return !!session;
+        }
+        
+        return this.handleFlowEvent(message.from, { type: 'message', text: message.body }, async () => {
+            const contact = await message.getContact();
+            if (this.suppressionList.has(contact.number)) return null;
+            return { name: contact.pushname || contact.name || '', number: contact.number };
+        });
+    }
+    
+    /**
+     * @param {PollVote} vote
+     * @returns {Promise<boolean>} Whether the vote answered a flow menu
+     */
+    async handleFlowVote(vote) {
+        const messageId = vote.parentMessage.id._serialized;
+        const session = this.flowSessions.findByPrompt(messageId);
+        // Prompts are only sent to private chats, so any vote on one but our own comes from the contact
+        if (!session || vote.voter === this.ownId()) return false;
+        
+        // Option names are missing when the poll isn't loaded, its position answers just as well
+        const selected = vote.selectedOptions.map(option => option.name || String(option.localId + 1));
+        return this.handleFlowEvent(session.chatId, { type: 'vote', messageId, selected });
+    }
+    
+    /**
+     * @param {Reaction} reaction
+     * @returns {Promise<boolean>} Whether the reaction answered a flow confirmation
+     */
+    async handleFlowReaction(reaction) {
+        const messageId = reaction.msgId._serialized;
+        const session = this.flowSessions.findByPrompt(messageId);
+        if (!session || reaction.id.fromMe) return false;
+        return this.handleFlowEvent(session.chatId, { type: 'reaction', messageId, emoji: reaction.reaction });
+    }
+    
+    /**
+     * Runs an event through the chat's session, see dispatchEvent(), and sends what the flow answers
+     * @param {string} chatId
+     * @param {object} event
+     * @param {function(): Promise<object|null>} [contactVariables] - Variables a new session starts with,
+     *     looked up only when a flow starts; null keeps it from starting
+     * @returns {Promise<boolean>} Whether a flow handled the event
+     */
+    async handleFlowEvent(chatId, event, contactVariables = async () => null) {
+        const now = new Date();
+        let session = this.flowSessions.get(chatId);
+        if (session && new Date(session.expiresAt) <= now) {
+            await this.expireFlowSession(chatId);
+            session = null;
+        }
+        
+        const flow = session ? this.flowStore.get(session.flowId) : null;
+        if (session && (!flow || !flow.enabled)) {
+            this.flowSessions.remove(chatId);
+            this.flowTimer.remove(chatId);
+            session = null;
+        }
+        
+        let triggered = event.type === 'message' ? this.flowStore.findByTrigger(event.text) : null;
+        const variables = triggered ? await contactVariables() : null;
+        if (!variables) triggered = null;
+        if (!session && !triggered) return false;
+        
+        const result = dispatchEvent(
+            session ? { flow, session } : null,
+            triggered,
+            event,
+            { chatId, variables },
+            now,
+            { locale: this.templateLocale }
+        );
+        if (!result.handled) return false;
+        
+        if (result.started) {
+            this.flowStore.count(result.flow, 'started');
+            console.log(`🧭 [FLOW] "${result.flow.name}" started for ${chatId}`);
+        }
+        await this.sendFlowActions(result.flow, result.session, result.actions);
+        return true;
+    }
+    
+    /**
+     * Sends what a flow answers, then stores the session or, once it has ended, forgets it
+     * @param {object} flow
+     * @param {object} session
+     * @param {Array<object>} actions - As returned by the flow engine
+     */
+    async sendFlowActions(flow, session, actions) {
+        this.flowSessions.set(session);
+        if (this.client && this.isConnected) {
+            for (const action of actions) {
+                const content = action.type === 'poll' ? new Poll(action.question, action.options) : action.text;
+                const sent = await this.client.sendMessage(session.chatId, content);
+                if (action.prompt && sent) session.promptMessageId = sent.id._serialized;
+            }
+        }
+        this.flowSessions.set(session);
+        
+        if (session.status === 'active') {
+            this.flowTimer.add({ id: session.chatId, sendAt: session.expiresAt });
+        } else {
+            this.flowTimer.remove(session.chatId);
+            this.flowStore.count(flow, session.status);
+            console.log(`🧭 [FLOW] "${flow.name}" ${session.status} for ${session.chatId}`);
+        }
+        this.broadcastToClients('flow_session', session);
+    }
+    
+    /**
+     * Ends a session that waited too long, sending the flow's timeout message
+     * @param {string} chatId
+     */
+    async expireFlowSession(chatId) {
+        const session = this.flowSessions.get(chatId);
+        if (!session) return;
+        if (new Date(session.expiresAt) > new Date()) {
+            this.flowTimer.add({ id: chatId, sendAt: session.expiresAt });
+            return;
+        }
+        
+        const flow = this.flowStore.get(session.flowId);
+        if (!flow) {
+            this.flowSessions.remove(chatId);
+            return;
+        }
+        const actions = expireSession(flow, session, new Date(), { locale: this.templateLocale });
+        await this.sendFlowActions(flow, session, actions);
+    }
+    
+    /**
+     * @returns {string|null} WhatsApp id of the connected account
+     */
+    ownId() {
+        return this.client && this.client.info && this.client.info.wid ? this.client.info.wid._serialized : null;
+    }
+    
+    restoreFlowSessions() {
+        for (const session of this.flowSessions.list()) {
+            this.flowTimer.add({ id: session.chatId, sendAt: session.expiresAt });
+        }
+    }
 
-        this.app.use(express.static(path.join(__dirname, 'public')));
-        this.app.use(express.json());
+    /**
+     * Sets up the session's API routes on this.app, a router SessionManager sends the session's
+     * requests to after signing them in
+     */
+    setupWebServer() {
+        // Routed like SessionManager's app: in the case given and without a trailing slash
+        this.app = express.Router({ caseSensitive: true, strict: true });
 
         // Multer configuration for file uploads
         const upload = multer({
@@ -274,11 +1192,13 @@ class SafeWhatsAppBot {
                 const isCSV = file.originalname.toLowerCase().endsWith('.csv') || 
                              file.mimetype === 'text/csv' || 
                              file.mimetype === 'application/csv';
+                // Contact imports, same reason
+                const isContactFile = /\.(vcf|vcard|json)$/i.test(file.originalname) || file.mimetype === 'application/json';
                 
-                const isAllowed = allowedTypes.some(type => file.mimetype.startsWith(type)) || isCSV;
+                const isAllowed = allowedTypes.some(type => file.mimetype.startsWith(type)) || isCSV || isContactFile;
                 
                 if (!isAllowed) {
-                    return cb(new Error('File type not supported. Allowed: images, videos, documents, audio, CSV files'));
+                    return cb(new Error('File type not supported. Allowed: images, videos, documents, audio, CSV, vCard and JSON files'));
                 }
                 cb(null, true);
             }
@@ -297,17 +1217,52 @@ class SafeWhatsAppBot {
                     timestamp: new Date().toISOString()
                 });
                 
-                const { number, message, priority } = req.body;
+                const { number, priority, templateId, variables = {}, sendAt, timezone } = req.body;
+                let { message } = req.body;
+                
+                const scheduleError = this.validateSchedule(sendAt, timezone);
+                if (scheduleError) {
+                    return res.status(400).json({ 
+                        success: false, 
+                        error: scheduleError 
+                    });
+                }
+                
+                // A saved template replaces the message, rendered with the optional variables
+                const savedTemplate = templateId ? this.templateStore.get(templateId) : null;
+                if (templateId && !savedTemplate) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Template not found' 
+                    });
+                }
+                if (savedTemplate) {
+                    message = this.renderTemplate(savedTemplate.body, variables, { name: variables.name, number }).text;
+                }
                 
-                if (!number || !message || number === 'undefined' || message === 'undefined') {
+                // The request schema checked the number and types, see bot/api/openapi.js
+                if (!message && !(savedTemplate && savedTemplate.media)) {
                     console.error(`❌ [API] Invalid request data:`, { number, message, priority });
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'Number and message are required and cannot be undefined' 
+                        error: 'A message or a templateId is required' 
                     });
                 }
 
-                const result = await this.queueMessage(number, message, priority);
+                let result;
+                if (savedTemplate && savedTemplate.media) {
+                    // Each send gets its own copy, the queue releases it once sent
+                    const media = this.mediaStore.copy(savedTemplate.media);
+                    try {
+                        result = await this.queueMediaMessage(number, media, message, priority, { sendAt, timezone });
+                    } catch (error) {
+                        this.mediaStore.release(media);
+                        throw error;
+                    }
+                } else {
+                    result = await this.queueMessage(number, message, priority, { sendAt, timezone });
+                }
+                if (savedTemplate) this.templateStore.markUsed(savedTemplate);
                 res.json(result);
             } catch (error) {
                 console.error(`❌ [API] send-message error:`, error.message);
@@ -318,33 +1273,63 @@ class SafeWhatsAppBot {
             }
         });
 
-        // Media message endpoint
-        this.app.post('/api/send-media', upload.single('media'), async (req, res) => {
+        // Lifecycle of a single queued message, by queue id or WhatsApp message id
+        this.app.get('/api/messages/:id', async (req, res) => {
             try {
-                console.log(`📮 [API] send-media request received:`, {
-                    body: req.body,
-                    file: req.file ? { 
-                        originalname: req.file.originalname, 
-                        mimetype: req.file.mimetype, 
-                        size: req.file.size 
-                    } : null,
+                await this.queueStoreReady;
+                const message = await this.queueStore.get(req.params.id) ||
+                    await this.queueStore.findByMessageId(req.params.id);
+                
+                if (!message) {
+                    return res.status(404).json({ 
+                        success: false, 
+                        error: 'Message not found' 
+                    });
+                }
+                
+                res.json({ 
+                    success: true, 
+                    message 
+                });
+            } catch (error) {
+                console.error('❌ [API] message lookup error:', error.message);
+                res.status(500).json({ 
+                    success: false, 
+                    error: error.message 
+                });
+            }
+        });
+
+        // Media message endpoint
+        this.app.post('/api/send-media', upload.single('media'), async (req, res) => {
+            try {
+                console.log(`📮 [API] send-media request received:`, {
+                    body: req.body,
+                    file: req.file ? { 
+                        originalname: req.file.originalname, 
+                        mimetype: req.file.mimetype, 
+                        size: req.file.size 
+                    } : null,
                     timestamp: new Date().toISOString()
                 });
                 
-                const { number, message, priority } = req.body;
+                const { number, message, priority, sendAt, timezone } = req.body;
                 
-                if (!number || !req.file) {
+                const scheduleError = !number || !req.file
+                    ? 'Number and media file are required'
+                    : this.validateSchedule(sendAt, timezone);
+                if (scheduleError) {
+                    if (req.file) fs.unlinkSync(req.file.path);
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'Number and media file are required' 
+                        error: scheduleError 
                     });
                 }
 
+                let media = null;
                 try {
-                    // Create MessageMedia from uploaded file with proper MIME type
-                    const media = MessageMedia.fromFilePath(req.file.path);
-                    media.filename = req.file.originalname;
-                    media.mimetype = req.file.mimetype; // Explicitly set the MIME type
+                    // Keep the upload on disk and queue a reference to it
+                    media = this.mediaStore.saveUpload(req.file);
                     
                     // For images, ensure they display inline
                     if (req.file.mimetype.startsWith('image/')) {
@@ -355,16 +1340,15 @@ class SafeWhatsAppBot {
                         console.log(`📎 [MEDIA] Processing document: ${req.file.originalname} (${req.file.mimetype})`);
                     }
                     
-                    const result = await this.queueMediaMessage(number, media, message, priority);
-                    
-                    // Clean up uploaded file
-                    fs.unlinkSync(req.file.path);
+                    const result = await this.queueMediaMessage(number, media, message, priority, { sendAt, timezone });
                     
                     res.json(result);
                 } catch (mediaError) {
                     console.error(`❌ [API] Media processing error:`, mediaError.message);
                     // Clean up file on error
-                    if (req.file && fs.existsSync(req.file.path)) {
+                    if (media) {
+                        this.mediaStore.release(media);
+                    } else if (req.file && fs.existsSync(req.file.path)) {
                         fs.unlinkSync(req.file.path);
                     }
                     throw mediaError;
@@ -380,7 +1364,7 @@ class SafeWhatsAppBot {
 
         this.app.post('/api/validate-number', async (req, res) => {
             try {
-                const { number } = req.body;
+                const { number, defaultRegion } = req.body;
                 
                 if (!number) {
                     return res.status(400).json({ 
@@ -389,20 +1373,23 @@ class SafeWhatsAppBot {
                     });
                 }
 
-                const formattedNumber = this.formatPhoneNumber(number);
-                if (!formattedNumber) {
+                const parsed = this.parsePhoneNumber(String(number), defaultRegion);
+                if (!parsed.valid) {
                     return res.status(400).json({ 
                         success: false, 
-                        error: 'Invalid phone number format' 
+                        error: `Invalid phone number: ${parsed.error}`,
+                        reason: parsed.reason
                     });
                 }
 
-                const isValid = await this.isValidWhatsAppUser(formattedNumber);
+                const isValid = await this.isValidWhatsAppUser(parsed.whatsappId);
                 res.json({ 
                     success: true, 
                     valid: isValid,
-                    number: formattedNumber,
-                    formattedNumber: formattedNumber,
+                    number: parsed.whatsappId,
+                    formattedNumber: parsed.whatsappId,
+                    e164: parsed.e164,
+                    region: parsed.region,
                     isWhatsAppNumber: isValid
                 });
             } catch (error) {
@@ -413,6 +1400,38 @@ class SafeWhatsAppBot {
             }
         });
 
+        // Normalizes a list without asking WhatsApp: `numbers` in JSON, or an uploaded CSV or text file
+        this.app.post('/api/validate-numbers', upload.single('file'), async (req, res) => {
+            try {
+                let rows;
+                if (req.file) {
+                    rows = await this.readNumberRows(req.file.path);
+                    fs.unlinkSync(req.file.path);
+                } else if (Array.isArray(req.body.numbers)) {
+                    rows = req.body.numbers.map((input, index) => ({ row: index + 1, input: input === null || input === undefined ? '' : String(input) }));
+                } else {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Send a numbers array or upload a CSV or text file'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    ...this.validateNumbers(rows, req.body.defaultRegion)
+                });
+            } catch (error) {
+                if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                console.error('❌ Error validating numbers:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         // Enhanced QR Code endpoint for manual requests
         this.app.get('/api/qr', async (req, res) => {
             try {
@@ -424,7 +1443,7 @@ class SafeWhatsAppBot {
                 }
 
                 // Force client initialization if not started
-                if (!this.isConnected) {
+                if (!this.isConnected && !this.lastQr) {
                     console.log('🔄 Client not connected, attempting to initialize...');
                     // Don't await this, just trigger it
                     this.initializeWhatsApp().catch(error => {
@@ -434,8 +1453,9 @@ class SafeWhatsAppBot {
 
                 res.json({ 
                     success: true, 
-                    message: 'QR code generation initiated. Check real-time events for QR code.',
-                    status: this.isConnected ? 'connected' : 'initializing'
+                    message: this.lastQr ? 'Scan the QR code with WhatsApp' : 'QR code generation initiated. Check real-time events for QR code.',
+                    status: this.isConnected ? 'connected' : this.lastQr ? 'qr' : 'initializing',
+                    qr: this.lastQr ? await QRCode.toDataURL(this.lastQr) : null
                 });
             } catch (error) {
                 console.error('QR API error:', error);
@@ -508,7 +1528,7 @@ class SafeWhatsAppBot {
         // CSV Contact loading endpoints
         this.app.get('/api/load-contacts', async (req, res) => {
             try {
-                const csvPath = path.join(__dirname, 'contacts.csv');
+                const csvPath = this.contactsPath;
                 
                 if (!fs.existsSync(csvPath)) {
                     return res.status(404).json({
@@ -538,48 +1558,51 @@ class SafeWhatsAppBot {
 
         this.app.post('/api/send-bulk-messages', async (req, res) => {
             try {
-                const { messageTemplate, priority = 'normal' } = req.body;
+                const { messageTemplate, priority = 'normal', consentScope, templateId, sendAt, audience } = req.body;
                 
-                if (!messageTemplate) {
+                const savedTemplate = templateId ? this.templateStore.get(templateId) : null;
+                if (templateId && !savedTemplate) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Template not found'
+                    });
+                }
+                
+                const scheduleError = this.validateSchedule(sendAt);
+                if (scheduleError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: scheduleError
+                    });
+                }
+                
+                if (!messageTemplate && !savedTemplate) {
                     return res.status(400).json({
                         success: false,
                         error: 'Message template is required'
                     });
                 }
 
-                const csvPath = path.join(__dirname, 'contacts.csv');
-                if (!fs.existsSync(csvPath)) {
-                    return res.status(404).json({
+                const recipients = await this.requestAudience(audience);
+                if (recipients.error) {
+                    return res.status(recipients.status).json({
                         success: false,
-                        error: 'contacts.csv file not found'
+                        error: recipients.error
                     });
                 }
 
-                const contacts = await this.loadContactsFromCSV(csvPath);
-                const results = [];
-
-                for (const contact of contacts) {
-                    try {
-                        // Replace {name} placeholder with actual name
-                        const personalizedMessage = messageTemplate.replace(/{name}/g, contact.Name);
-                        
-                        const result = await this.queueMessage(contact.PhoneNumber, personalizedMessage, priority);
-                        results.push({
-                            name: contact.Name,
-                            number: contact.PhoneNumber,
-                            success: true,
-                            messageId: result.messageId
-                        });
-                    } catch (error) {
-                        console.error(`❌ Error queuing message for ${contact.Name}:`, error);
-                        results.push({
-                            name: contact.Name,
-                            number: contact.PhoneNumber,
-                            success: false,
-                            error: error.message
-                        });
-                    }
-                }
+                // Every bulk send is tracked as a campaign so it can be paused and reported on
+                const campaign = await this.createCampaign({
+                    name: `Bulk message ${new Date().toLocaleString()}`,
+                    template: messageTemplate,
+                    priority,
+                    consentScope,
+                    savedTemplate,
+                    sendAt,
+                    ...recipients.fields
+                });
+                await this.runCampaign(campaign);
+                const results = this.campaignResults(campaign);
 
                 const successCount = results.filter(r => r.success).length;
                 const failureCount = results.length - successCount;
@@ -587,6 +1610,7 @@ class SafeWhatsAppBot {
                 res.json({
                     success: true,
                     message: `Queued ${successCount} messages successfully, ${failureCount} failed`,
+                    campaignId: campaign.id,
                     results: results,
                     summary: {
                         total: results.length,
@@ -595,6 +1619,20 @@ class SafeWhatsAppBot {
                     }
                 });
             } catch (error) {
+                if (error instanceof TemplateError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        templateErrors: error.errors
+                    });
+                }
+                if (error instanceof ConsentError) {
+                    return res.status(422).json({
+                        success: false,
+                        error: error.message,
+                        missingConsent: error.missing
+                    });
+                }
                 console.error('❌ Error sending bulk messages:', error);
                 res.status(500).json({
                     success: false,
@@ -638,7 +1676,7 @@ class SafeWhatsAppBot {
                 }
 
                 // Move uploaded file to replace the default contacts.csv
-                const targetPath = path.join(__dirname, 'contacts.csv');
+                const targetPath = this.contactsPath;
                 fs.renameSync(req.file.path, targetPath);
 
                 console.log(`✅ [UPLOAD] Successfully uploaded and processed ${contacts.length} contacts`);
@@ -650,10 +1688,16 @@ class SafeWhatsAppBot {
                     totalCount: contacts.length,
                     fileName: req.file.originalname,
                     preview: contacts.length > 10 ? `Showing first 10 of ${contacts.length} contacts` : 'All contacts displayed',
+                    consent: {
+                        policy: this.consentPolicy,
+                        withConsent: contacts.filter(contact => hasConsent(contact.Consent, this.consentScope)).length,
+                        withoutConsent: contacts.filter(contact => !hasConsent(contact.Consent, this.consentScope)).length
+                    },
                     columnsDetected: {
                         nameColumn: 'Name (auto-detected)',
                         phoneColumn: 'PhoneNumber (auto-detected)',
-                        supportedFormats: ['Name/name/NAME', 'PhoneNumber/Phone/phone/PHONE']
+                        supportedFormats: ['Name/name/NAME', 'PhoneNumber/Phone/phone/PHONE'],
+                        consentColumns: ['ConsentSource, ConsentTimestamp, ConsentScope', 'Consent (source|timestamp|scope)']
                     }
                 });
 
@@ -673,34 +1717,42 @@ class SafeWhatsAppBot {
 
         // Bulk media messaging endpoint
         this.app.post('/api/send-bulk-media', this.upload.single('media'), async (req, res) => {
+            let media = null;
             try {
-                const { messageTemplate, priority = 'normal' } = req.body;
+                const { messageTemplate, priority = 'normal', consentScope, templateId, sendAt, audience } = req.body;
                 const mediaFile = req.file;
                 
-                if (!mediaFile) {
+                const requestError = !mediaFile ? 'Media file is required' : this.validateSchedule(sendAt);
+                if (requestError) {
+                    if (mediaFile) fs.unlinkSync(mediaFile.path);
                     return res.status(400).json({
                         success: false,
-                        error: 'Media file is required'
+                        error: requestError
                     });
                 }
-
-                const csvPath = path.join(__dirname, 'contacts.csv');
-                if (!fs.existsSync(csvPath)) {
+                
+                const savedTemplate = templateId ? this.templateStore.get(templateId) : null;
+                if (templateId && !savedTemplate) {
+                    fs.unlinkSync(mediaFile.path);
                     return res.status(404).json({
                         success: false,
-                        error: 'contacts.csv file not found'
+                        error: 'Template not found'
                     });
                 }
 
-                console.log(`📎 Starting bulk media send with file: ${mediaFile.originalname}`);
+                const recipients = await this.requestAudience(audience);
+                if (recipients.error) {
+                    fs.unlinkSync(mediaFile.path);
+                    return res.status(recipients.status).json({
+                        success: false,
+                        error: recipients.error
+                    });
+                }
 
-                const contacts = await this.loadContactsFromCSV(csvPath);
-                const results = [];
+                console.log(`📎 Starting bulk media send with file: ${mediaFile.originalname}`);
 
-                // Create MessageMedia object with proper MIME type handling
-                const media = MessageMedia.fromFilePath(mediaFile.path);
-                media.filename = mediaFile.originalname;
-                media.mimetype = mediaFile.mimetype; // Explicitly set the MIME type
+                // Store the upload once, every queued item references the same file
+                media = this.mediaStore.saveUpload(mediaFile);
                 
                 // Log media type for debugging
                 if (mediaFile.mimetype.startsWith('image/')) {
@@ -711,37 +1763,18 @@ class SafeWhatsAppBot {
                     console.log(`📎 [BULK] Processing bulk document: ${mediaFile.originalname} (${mediaFile.mimetype})`);
                 }
                 
-                for (const contact of contacts) {
-                    try {
-                        // Replace {name} placeholder with actual name in caption
-                        const personalizedCaption = messageTemplate ? messageTemplate.replace(/{name}/g, contact.Name) : '';
-                        
-                        const result = await this.queueMediaMessage(contact.PhoneNumber, media, personalizedCaption, priority);
-                        results.push({
-                            name: contact.Name,
-                            number: contact.PhoneNumber,
-                            success: true,
-                            messageId: result.messageId
-                        });
-                        
-                        console.log(`✅ Media message queued for ${contact.Name} (${contact.PhoneNumber})`);
-                    } catch (error) {
-                        console.error(`❌ Error queuing media message for ${contact.Name}:`, error);
-                        results.push({
-                            name: contact.Name,
-                            number: contact.PhoneNumber,
-                            success: false,
-                            error: error.message
-                        });
-                    }
-                }
-
-                // Clean up uploaded file
-                try {
-                    fs.unlinkSync(mediaFile.path);
-                } catch (error) {
-                    console.warn('⚠️ Failed to delete uploaded file:', error.message);
-                }
+                const campaign = await this.createCampaign({
+                    name: `Bulk media ${new Date().toLocaleString()}`,
+                    template: messageTemplate || (savedTemplate ? null : ''),
+                    media,
+                    priority,
+                    consentScope,
+                    savedTemplate,
+                    sendAt,
+                    ...recipients.fields
+                });
+                await this.runCampaign(campaign);
+                const results = this.campaignResults(campaign);
 
                 const successCount = results.filter(r => r.success).length;
                 const failureCount = results.length - successCount;
@@ -749,6 +1782,7 @@ class SafeWhatsAppBot {
                 res.json({
                     success: true,
                     message: `Queued ${successCount} media messages successfully, ${failureCount} failed`,
+                    campaignId: campaign.id,
                     results: results,
                     summary: {
                         total: results.length,
@@ -757,6 +1791,23 @@ class SafeWhatsAppBot {
                     }
                 });
             } catch (error) {
+                if (error instanceof TemplateError || error instanceof ConsentError) {
+                    this.mediaStore.release(media);
+                }
+                if (error instanceof TemplateError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        templateErrors: error.errors
+                    });
+                }
+                if (error instanceof ConsentError) {
+                    return res.status(422).json({
+                        success: false,
+                        error: error.message,
+                        missingConsent: error.missing
+                    });
+                }
                 console.error('❌ Error sending bulk media messages:', error);
                 res.status(500).json({
                     success: false,
@@ -765,6 +1816,32 @@ class SafeWhatsAppBot {
             }
         });
 
+        this.setupCampaignRoutes(upload);
+        this.setupSuppressionRoutes(upload);
+        this.setupContactRoutes(upload);
+        this.setupListRoutes();
+        this.setupSegmentRoutes();
+        this.setupLabelRoutes();
+        this.setupChatRoutes();
+        this.setupGroupRoutes();
+        this.setupConsentRoutes();
+        this.setupTemplateRoutes(upload);
+        this.setupScheduledRoutes();
+        this.setupRecurringRoutes();
+        this.setupInboxRoutes(upload);
+        this.setupAutoReplyRoutes(upload);
+        this.setupFlowRoutes();
+
+        this.app.get('/api/status', (req, res) => {
+            res.json({
+                success: true,
+                connected: this.isConnected,
+                queueLength: this.messageQueue.length,
+                processing: this.isProcessing,
+                stats: this.stats
+            });
+        });
+
         // Debug endpoint for real-time monitoring
         this.app.get('/api/debug-status', async (req, res) => {
             try {
@@ -776,8 +1853,7 @@ class SafeWhatsAppBot {
                 }
                 
                 const violationCheck = await this.checkForViolations();
-                const currentHour = new Date().getHours();
-                const isQuietTime = currentHour >= this.rateLimiter.dailyBreakStart || currentHour < this.rateLimiter.dailyBreakEnd;
+                const isQuietTime = !!quietHoursEnd(new Date(), this.defaultTimezone, this.rateLimiter.dailyBreakStart, this.rateLimiter.dailyBreakEnd);
                 
                 const response = {
                     timestamp: new Date().toISOString(),
@@ -788,6 +1864,7 @@ class SafeWhatsAppBot {
                     processing: {
                         isProcessing: this.isProcessing,
                         queueLength: this.messageQueue.length,
+                        scheduledCount: this.scheduler.size,
                         messagesInQueue: this.messageQueue.map(m => ({
                             id: m.id,
                             number: m.number,
@@ -870,9 +1947,27 @@ class SafeWhatsAppBot {
             try {
                 console.log('🚨 [EMERGENCY] Emergency stop requested');
                 
-                // Clear queue
+                // Clear queue, recording the cancellation for every pending item
+                const cancelled = [...this.messageQueue, ...this.scheduler.take(() => true)];
                 this.messageQueue = [];
                 this.isProcessing = false;
+                for (const message of cancelled) {
+                    await this.setMessageStatus(message, QueueStatus.CANCELLED, { error: 'Emergency stop' });
+                    this.releaseMedia(message);
+                }
+                
+                // Running and scheduled campaigns would otherwise keep queueing; paused ones stay paused
+                const stoppedCampaigns = this.campaignStore.list()
+                    .filter(campaign => [CampaignStatus.RUNNING, CampaignStatus.SCHEDULED].includes(campaign.status));
+                for (const campaign of stoppedCampaigns) {
+                    await this.cancelCampaign(campaign, 'Emergency stop');
+                }
+                
+                // Recurring schedules are paused so they don't start new campaigns
+                const pausedSchedules = this.scheduleStore.list().filter(schedule => schedule.enabled);
+                for (const schedule of pausedSchedules) {
+                    this.armSchedule(this.scheduleStore.update(schedule, { enabled: false }));
+                }
                 
                 // Set violation warning to maximum
                 this.stats.warningLevel = 'red';
@@ -884,6 +1979,8 @@ class SafeWhatsAppBot {
                     success: true,
                     message: 'Emergency stop activated. All messaging has been halted.',
                     queueCleared: true,
+                    campaignsCancelled: stoppedCampaigns.length,
+                    schedulesPaused: pausedSchedules.length,
                     processingStop: true
                 });
             } catch (error) {
@@ -983,106 +2080,2649 @@ class SafeWhatsAppBot {
             }
         });
 
-        // Socket.IO connection handling
-        this.io.on('connection', (socket) => {
-            console.log('🔌 Client connected to web interface');
-            
-            // Send current status to new clients
-            socket.emit('status_update', {
-                isConnected: this.isConnected,
-                queueLength: this.messageQueue.length,
-                isProcessing: this.isProcessing,
-                stats: this.stats
-            });
+        // Socket.IO connection handling; SessionManager signs clients in, they join a room per role they have
+        if (this.io) {
+            this.io.on('connection', (socket) => {
+                console.log(`🔌 Client connected to session "${this.sessionId}" as ${socket.data.auth.name} (${socket.data.auth.role})`);
+                socket.join(rolesUpTo(socket.data.auth.role));
+                
+                // Send current status to new clients
+                socket.emit('status_update', {
+                    isConnected: this.isConnected,
+                    queueLength: this.messageQueue.length,
+                    isProcessing: this.isProcessing,
+                    stats: this.stats
+                });
+                // A QR code is only sent once, admins who open the dashboard later still need it to link the phone
+                if (this.lastQr && rolesUpTo(socket.data.auth.role).includes(EVENT_ROLES.qr)) {
+                    socket.emit('qr', { qr: this.lastQr });
+                }
+
+                socket.on('disconnect', () => {
+                    console.log(`🔌 Client disconnected from session "${this.sessionId}"`);
+                });
 
-            socket.on('disconnect', () => {
-                console.log('🔌 Client disconnected from web interface');
+                socket.on('error', (error) => {
+                    console.error('❌ Socket error:', error);
+                });
             });
+        }
+    }
+
+    setupCampaignRoutes(upload) {
+        const allowedStatuses = {
+            pause: [CampaignStatus.RUNNING, CampaignStatus.SCHEDULED],
+            resume: [CampaignStatus.PAUSED],
+            cancel: ACTIVE_STATUSES
+        };
 
-            socket.on('error', (error) => {
-                console.error('❌ Socket error:', error);
+        this.app.get('/api/campaigns', (req, res) => {
+            res.json({
+                success: true,
+                campaigns: this.campaignStore.list().map(campaign => this.campaignStore.describe(campaign))
             });
         });
 
-        this.io.on('error', (error) => {
-            console.error('❌ Socket.IO server error:', error);
+        this.app.post('/api/campaigns', upload.single('media'), async (req, res) => {
+            let media = null;
+            try {
+                const { name, messageTemplate, priority = 'normal', startAt, consentScope, templateId, sendAt, audience } = req.body;
+                const savedTemplate = templateId ? this.templateStore.get(templateId) : null;
+                
+                let error = null;
+                if (!name) {
+                    error = 'Campaign name is required';
+                } else if (templateId && !savedTemplate) {
+                    error = 'Template not found';
+                } else if (!messageTemplate && !req.file && !savedTemplate) {
+                    error = 'Message template, saved template or media file is required';
+                } else if (startAt && isNaN(new Date(startAt).getTime())) {
+                    error = 'startAt must be a valid date';
+                } else {
+                    error = this.validateSchedule(sendAt);
+                }
+                if (error) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(400).json({
+                        success: false,
+                        error
+                    });
+                }
+                
+                const recipients = await this.requestAudience(audience);
+                if (recipients.error) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(recipients.status).json({
+                        success: false,
+                        error: recipients.error
+                    });
+                }
+                
+                media = req.file ? this.mediaStore.saveUpload(req.file) : null;
+                const campaign = await this.createCampaign({
+                    name,
+                    template: messageTemplate || (savedTemplate ? null : ''),
+                    media,
+                    priority,
+                    startAt,
+                    consentScope,
+                    savedTemplate,
+                    sendAt,
+                    ...recipients.fields
+                });
+                
+                this.scheduleCampaign(campaign).catch(error => {
+                    console.error(`❌ [CAMPAIGN] Failed to start "${campaign.name}":`, error.message);
+                });
+                
+                res.status(201).json({
+                    success: true,
+                    campaign: this.campaignStore.describe(campaign)
+                });
+            } catch (error) {
+                if (media) {
+                    this.mediaStore.release(media);
+                } else if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                if (error instanceof TemplateError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        templateErrors: error.errors
+                    });
+                }
+                if (error instanceof ConsentError) {
+                    return res.status(422).json({
+                        success: false,
+                        error: error.message,
+                        missingConsent: error.missing
+                    });
+                }
+                console.error('❌ Error creating campaign:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
         });
 
-        const PORT = process.env.PORT || 3001;
-        
-        // Add health check endpoint before starting WhatsApp client
-        this.app.get('/health', (req, res) => {
-            res.status(200).json({ 
-                status: 'ok', 
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime()
+        this.app.get('/api/campaigns/:id', (req, res) => {
+            const campaign = this.campaignStore.get(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                campaign: {
+                    ...this.campaignStore.describe(campaign),
+                    recipients: campaign.recipients
+                }
             });
         });
 
-        this.server.listen(PORT, '0.0.0.0', () => {
-            console.log(`🌐 Web interface running on port ${PORT}`);
-            console.log(`🔌 Socket.IO ready for connections`);
-            console.log(`📱 Health check available at /health`);
-            console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+        // Per-recipient report, ?format=csv downloads it as a CSV file
+        this.app.get('/api/campaigns/:id/report', (req, res) => {
+            const campaign = this.campaignStore.get(req.params.id);
+            if (!campaign) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Campaign not found'
+                });
+            }
+            
+            if (req.query.format === 'csv') {
+                const fileName = `campaign-${campaign.name.replace(/[^\w-]+/g, '_')}.csv`;
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+                return res.send(toCsv(campaign.recipients, REPORT_COLUMNS));
+            }
+            
+            res.json({
+                success: true,
+                campaign: this.campaignStore.describe(campaign),
+                recipients: campaign.recipients
+            });
         });
 
-        this.server.on('error', (error) => {
-            console.error('❌ Server error:', error);
-            if (error.code === 'EADDRINUSE') {
-                console.error(`❌ Port ${PORT} is already in use. Try a different port.`);
-                process.exit(1);
+        this.app.post('/api/campaigns/:id/:action', async (req, res) => {
+            try {
+                const { id, action } = req.params;
+                const campaign = this.campaignStore.get(id);
+                
+                if (!campaign || !allowedStatuses[action]) {
+                    return res.status(404).json({
+                        success: false,
+                        error: campaign ? `Unknown campaign action: ${action}` : 'Campaign not found'
+                    });
+                }
+                
+                if (!allowedStatuses[action].includes(campaign.status)) {
+                    return res.status(409).json({
+                        success: false,
+                        error: `Cannot ${action} a ${campaign.status} campaign`
+                    });
+                }
+                
+                if (action === 'pause') {
+                    await this.pauseCampaign(campaign);
+                } else if (action === 'resume') {
+                    await this.resumeCampaign(campaign);
+                } else {
+                    await this.cancelCampaign(campaign);
+                }
+                
+                res.json({
+                    success: true,
+                    campaign: this.campaignStore.describe(campaign)
+                });
+            } catch (error) {
+                console.error(`❌ Campaign ${req.params.action} error:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
             }
         });
     }
 
-    async queueMessage(number, message, priority = 'normal') {
-        const queueTime = new Date().toLocaleTimeString();
-        console.log(`📥 [QUEUE] queueMessage called at ${queueTime} for ${number}, priority: ${priority}`);
-        
-        // Validate inputs
-        if (!number || number === 'undefined' || typeof number !== 'string') {
-            console.error(`❌ [QUEUE] Invalid number input: ${number} (type: ${typeof number})`);
-            throw new Error('Invalid phone number: number is required and must be a string');
-        }
-        
-        if (!message || message === 'undefined' || typeof message !== 'string') {
-            console.error(`❌ [QUEUE] Invalid message input: ${message} (type: ${typeof message})`);
-            throw new Error('Invalid message: message is required and must be a string');
-        }
-        
-        // Validate and format number first
-        const formattedNumber = this.formatPhoneNumber(number);
-        console.log(`📞 [QUEUE] Formatted number: ${formattedNumber} at ${queueTime}`);
-        if (!formattedNumber) {
-            console.log(`❌ [QUEUE] Invalid phone number format at ${queueTime}`);
-            throw new Error('Invalid phone number format');
-        }
-        
-        // Content analysis for spam detection
-        const contentCheck = this.analyzeMessageContent(message);
-        if (!contentCheck.safe) {
-            console.error(`❌ [QUEUE] Message blocked due to content: ${contentCheck.reason}`);
-            throw new Error(`Message blocked: ${contentCheck.reason}`);
-        }
-        
-        // Pre-queue violation check including per-number limits
-        const violationCheck = await this.checkForViolations(formattedNumber);
-        if (!violationCheck.canSend) {
-            console.error(`❌ [QUEUE] Message blocked due to violations: ${violationCheck.reason}`);
-            throw new Error(`Cannot queue message: ${violationCheck.reason}`);
-        }
-        
-        // Log per-number limit status
-        if (violationCheck.numberLimitCheck) {
-            const { number, currentCount, limit } = violationCheck.numberLimitCheck;
-            console.log(`📊 [QUEUE] Number ${number} usage: ${currentCount}/${limit} messages today`);
+    setupSuppressionRoutes(upload) {
+        // ?format=csv downloads the list
+        this.app.get('/api/suppression', (req, res) => {
+            const entries = this.suppressionList.list();
             
-            if (currentCount >= limit - 1) {
-                console.log(`⚠️ [QUEUE] WARNING: Number ${number} will reach limit after this message`);
+            if (req.query.format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', 'attachment; filename="suppression-list.csv"');
+                return res.send(toCsv(entries, ['number', 'source', 'reason', 'keyword', 'addedAt']));
             }
-        }
+            
+            res.json({
+                success: true,
+                count: entries.length,
+                entries
+            });
+        });
 
-        // Daily limit removed - unlimited total messages, only per-number limit applies
+        // Add one ({ number }) or several ({ numbers: [] }) numbers by hand
+        this.app.post('/api/suppression', async (req, res) => {
+            try {
+                const { number, numbers, reason } = req.body;
+                const input = numbers || (number ? [number] : []);
+                
+                if (!Array.isArray(input) || input.length === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'number or numbers is required'
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    ...await this.addToSuppressionList(input, { source: 'manual', reason })
+                });
+            } catch (error) {
+                console.error('❌ Error updating suppression list:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Import a CSV (PhoneNumber/Phone/Number column) or a plain list with one number per line
+        this.app.post('/api/suppression/import', upload.single('file'), async (req, res) => {
+            try {
+                if (!req.file) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'No file uploaded. Please select a CSV or text file.'
+                    });
+                }
+                
+                const numbers = await this.readNumberList(req.file.path);
+                fs.unlinkSync(req.file.path);
+                
+                res.json({
+                    success: true,
+                    ...await this.addToSuppressionList(numbers, { source: 'import', reason: req.body.reason || `Imported from ${req.file.originalname}` })
+                });
+            } catch (error) {
+                if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                console.error('❌ Error importing suppression list:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.delete('/api/suppression/:number', (req, res) => {
+            const key = this.suppressionKey(req.params.number) || SuppressionList.key(req.params.number);
+            
+            if (!this.suppressionList.remove(key)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Number is not on the suppression list'
+                });
+            }
+            
+            console.log(`✅ [OPT-OUT] ${key} removed from the suppression list`);
+            res.json({
+                success: true,
+                number: key
+            });
+        });
+    }
+
+    /**
+     * @param {Array<string>} numbers
+     * @param {object} details - Passed to SuppressionList.add()
+     * @returns {Promise<{added: number, alreadySuppressed: number, cancelled: number, invalid: Array<string>}>}
+     */
+    async addToSuppressionList(numbers, details) {
+        const result = { added: 0, alreadySuppressed: 0, cancelled: 0, invalid: [] };
+        
+        for (const number of numbers) {
+            const key = this.suppressionKey(number);
+            if (!key) {
+                result.invalid.push(String(number));
+            } else if (this.suppressionList.has(key)) {
+                result.alreadySuppressed++;
+            } else {
+                this.suppressionList.add(key, details);
+                result.added++;
+                // Drop anything still queued for the new entry
+                result.cancelled += await this.cancelQueuedFor(key, 'Recipient opted out');
+            }
+        }
+        
+        console.log(`🚫 [OPT-OUT] Suppression list updated: ${result.added} added, ${result.alreadySuppressed} already present, ${result.invalid.length} invalid`);
+        return result;
+    }
+
+    /**
+     * Reads phone numbers from a CSV with a phone/number column, or a file with one number per line
+     * @param {string} filePath
+     * @returns {Promise<Array<string>>}
+     */
+    async readNumberList(filePath) {
+        const rows = await this.readNumberRows(filePath);
+        return rows.map(row => row.input).filter(Boolean);
+    }
+
+    /**
+     * @param {string} filePath - See readNumberList()
+     * @returns {Promise<Array<{row: number, input: string}>>} Every row, empty ones too; row 1 is the first after the header
+     */
+    async readNumberRows(filePath) {
+        const firstLine = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/)[0] || '';
+        const hasHeader = /[a-z]/i.test(firstLine);
+        
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            fs.createReadStream(filePath)
+                .pipe(csv(hasHeader ? undefined : { headers: false }))
+                .on('data', (row) => {
+                    const column = Object.keys(row).find(key => /phone|number|mobile/i.test(key)) || Object.keys(row)[0];
+                    rows.push({ row: rows.length + 1, input: String(row[column] || '').trim() });
+                })
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * @param {Array<{row: number, input: string}>} rows
+     * @param {string} [defaultRegion] - See parsePhoneNumber()
+     * @returns {object} { defaultRegion, total, valid, invalid, duplicates, numbers: unique E.164 numbers in order,
+     *     results: per row { row, input, valid, e164, region, whatsappId, duplicateOf } or { row, input, valid, reason, error } }
+     */
+    validateNumbers(rows, defaultRegion) {
+        const firstRows = new Map(); // Row an E.164 number first appeared in
+        const results = rows.map(({ row, input }) => {
+            const parsed = this.parsePhoneNumber(input, defaultRegion);
+            if (!parsed.valid) {
+                return { row, input, valid: false, reason: parsed.reason, error: parsed.error };
+            }
+            const duplicateOf = firstRows.get(parsed.e164) || null;
+            if (!duplicateOf) firstRows.set(parsed.e164, row);
+            return { row, input, valid: true, e164: parsed.e164, region: parsed.region, whatsappId: parsed.whatsappId, duplicateOf };
+        });
+        
+        const invalid = results.filter(result => !result.valid).length;
+        console.log(`📱 [FORMAT] Validated ${results.length} numbers: ${firstRows.size} unique, ${invalid} rejected`);
+        return {
+            defaultRegion: resolveRegion(defaultRegion) || this.defaultRegion,
+            total: results.length,
+            valid: results.length - invalid,
+            invalid,
+            duplicates: results.length - invalid - firstRows.size,
+            numbers: Array.from(firstRows.keys()),
+            results
+        };
+    }
+
+    setupContactRoutes(upload) {
+        // ?q= searches names and numbers, tag, listId and segmentId narrow it down; limit and offset page through them
+        this.app.get('/api/contacts', (req, res) => {
+            const { tag, listId, segmentId } = req.query;
+            const segment = segmentId ? this.segmentStore.get(segmentId) : null;
+            if ((listId && !this.contactListStore.get(listId)) || (segmentId && !segment)) {
+                return res.status(404).json({
+                    success: false,
+                    error: listId && !this.contactListStore.get(listId) ? 'Contact list not found' : 'Segment not found'
+                });
+            }
+            
+            const { total, contacts } = this.contactStore.list({
+                q: req.query.q,
+                tag,
+                where: contact => (!listId || this.contactListStore.has(listId, contact.id)) &&
+                    (!segment || this.matchesSegment(contact, segment.filter)),
+                limit: parseInt(req.query.limit, 10) || 100,
+                offset: parseInt(req.query.offset, 10) || 0
+            });
+            res.json({
+                success: true,
+                total,
+                contacts: contacts.map(contact => this.describeContact(contact))
+            });
+        });
+
+        // Tags in use with how many contacts have them
+        this.app.get('/api/contacts/tags', (req, res) => {
+            res.json({
+                success: true,
+                tags: this.contactStore.tags()
+            });
+        });
+
+        // Tag or untag several contacts at once: { ids, add, remove }
+        this.app.post('/api/contacts/tags', (req, res) => {
+            const ids = listOf(req.body.ids);
+            const add = listOf(req.body.add);
+            const remove = listOf(req.body.remove);
+            if (ids.length === 0 || (add.length === 0 && remove.length === 0)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'ids and tags to add or remove are required'
+                });
+            }
+            
+            res.json({
+                success: true,
+                ...this.contactStore.tag(ids, add, remove)
+            });
+        });
+
+        // Reports of past imports, newest first
+        this.app.get('/api/contacts/imports', (req, res) => {
+            res.json({
+                success: true,
+                imports: this.contactStore.listImports()
+            });
+        });
+
+        // ?format=csv downloads the rejected rows
+        this.app.get('/api/contacts/imports/:id', (req, res) => {
+            const report = this.contactStore.getImport(req.params.id);
+            if (!report) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Import not found'
+                });
+            }
+            
+            if (req.query.format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', `attachment; filename="rejected-${report.id}.csv"`);
+                return res.send(toCsv(report.rejected, REJECTED_COLUMNS));
+            }
+            
+            res.json({
+                success: true,
+                import: report
+            });
+        });
+
+        // A CSV, vCard or JSON file, or a JSON body with a contacts array; mapping names the CSV/JSON columns.
+        // listId or listName (created when there's none by that name) puts the contacts on a list, tags tags them
+        this.app.post('/api/contacts/import', upload.single('file'), async (req, res) => {
+            try {
+                const { mapping, defaultRegion, listId, listName } = req.body;
+                let list = listId ? this.contactListStore.get(listId) : null;
+                if (listId && !list) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Contact list not found'
+                    });
+                }
+                
+                let records;
+                let source;
+                if (req.file) {
+                    source = req.body.format || detectFormat(req.file.originalname, req.file.mimetype);
+                    if (!FORMATS.includes(source)) {
+                        throw new ImportError(`format must be one of ${FORMATS.join(', ')}`);
+                    }
+                    records = await parseContacts(source, fs.readFileSync(req.file.path, 'utf-8'), mapping);
+                    fs.unlinkSync(req.file.path);
+                } else if (req.body.contacts) {
+                    source = 'json';
+                    records = parseJson(req.body.contacts, mapping);
+                } else {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Upload a CSV, vCard or JSON file, or send a contacts array'
+                    });
+                }
+                
+                if (!list && listName && String(listName).trim()) {
+                    list = this.contactListStore.findByName(listName) || this.contactListStore.create({ name: String(listName) });
+                }
+                const { report, contactIds } = this.contactStore.importRecords(
+                    records,
+                    {
+                        source,
+                        fileName: req.file ? req.file.originalname : null,
+                        tags: listOf(req.body.tags),
+                        list: list ? { id: list.id, name: list.name } : null
+                    },
+                    input => this.parsePhoneNumber(input, defaultRegion)
+                );
+                if (list) this.contactListStore.addContacts(list, contactIds);
+                console.log(`📇 [CONTACTS] Imported ${report.total} ${source} records${list ? ` into "${list.name}"` : ''}: ${report.created} new, ${report.updated} updated, ${report.duplicates} duplicates, ${report.rejected.length} rejected`);
+                res.json({
+                    success: true,
+                    import: report
+                });
+            } catch (error) {
+                if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                if (error instanceof ImportError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        errors: error.errors
+                    });
+                }
+                console.error('❌ Error importing contacts:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        // Contacts of the linked phone: saved contacts (savedOnly: false for every chat partner), or the chats of labels
+        this.app.post('/api/contacts/import/whatsapp', async (req, res) => {
+            try {
+                if (!this.isConnected || !this.client) {
+                    return res.status(503).json({
+                        success: false,
+                        error: 'WhatsApp is not connected'
+                    });
+                }
+                
+                const { labelIds, savedOnly = true } = req.body;
+                const records = labelIds && labelIds.length > 0
+                    ? await this.whatsAppLabelRecords(labelIds)
+                    : await this.whatsAppContactRecords(savedOnly);
+                const { report } = this.contactStore.importRecords(records, { source: 'whatsapp' }, input => this.parsePhoneNumber(input));
+                console.log(`📇 [CONTACTS] Imported ${report.total} WhatsApp contacts: ${report.created} new, ${report.updated} updated, ${report.rejected.length} rejected`);
+                res.json({
+                    success: true,
+                    import: report
+                });
+            } catch (error) {
+                if (error instanceof ImportError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        errors: error.errors
+                    });
+                }
+                console.error('❌ Error importing WhatsApp contacts:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
+        this.app.get('/api/contacts/:id', (req, res) => {
+            const contact = this.contactStore.get(req.params.id);
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                contact: this.describeContact(contact),
+                lists: this.contactListStore.list()
+                    .filter(list => list.contactIds.has(contact.id))
+                    .map(list => ({ id: list.id, name: list.name }))
+            });
+        });
+
+        // Change name, tags (replaced), fields (merged, null removes one) or timezone
+        this.app.put('/api/contacts/:id', (req, res) => {
+            const contact = this.contactStore.get(req.params.id);
+            if (!contact) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact not found'
+                });
+            }
+            
+            const { name, tags, fields, timezone } = req.body;
+            if (timezone && !isValidTimezone(timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown timezone: ${timezone}`
+                });
+            }
+            
+            res.json({
+                success: true,
+                contact: this.describeContact(this.contactStore.update(contact, {
+                    name,
+                    tags: tags === undefined ? undefined : listOf(tags),
+                    fields,
+                    timezone
+                }))
+            });
+        });
+
+        this.app.delete('/api/contacts/:id', (req, res) => {
+            if (!this.contactStore.remove(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact not found'
+                });
+            }
+            this.contactListStore.forgetContact(req.params.id);
+            
+            res.json({
+                success: true,
+                message: 'Contact deleted'
+            });
+        });
+    }
+
+    /**
+     * @param {boolean} savedOnly - Only contacts saved in the phone's address book
+     * @returns {Promise<Array<object>>} Import records of the account's contacts, groups and itself left out
+     */
+    async whatsAppContactRecords(savedOnly) {
+        const contacts = await this.client.getContacts();
+        return contacts
+            .filter(contact => contact.isUser && !contact.isGroup && !contact.isMe && contact.id.server === 'c.us')
+            .filter(contact => !savedOnly || contact.isMyContact)
+            .map((contact, index) => ({
+                row: index + 1,
+                input: contact.id._serialized,
+                name: contact.name || contact.pushname || '',
+                timezone: null,
+                consent: null,
+                fields: {
+                    ...(contact.pushname ? { pushname: contact.pushname } : {}),
+                    ...(contact.isBusiness ? { business: 'yes' } : {})
+                }
+            }));
+    }
+
+    /**
+     * @param {Array<string>} labelIds
+     * @returns {Promise<Array<object>>} Import records of the labels' one-to-one chats, tagged with the label names
+     */
+    async whatsAppLabelRecords(labelIds) {
+        const labels = await this.client.getLabels();
+        const unknown = labelIds.filter(id => !labels.some(label => label.id === String(id)));
+        if (unknown.length > 0) {
+            throw new ImportError(`Unknown label${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+        }
+        
+        const records = [];
+        for (const label of labels.filter(entry => labelIds.map(String).includes(entry.id))) {
+            const chats = await this.client.getChatsByLabelId(label.id);
+            for (const chat of chats.filter(entry => !entry.isGroup)) {
+                const input = await this.chatNumber(chat);
+                records.push({ row: records.length + 1, input: input || chat.id._serialized, name: chat.name || '', timezone: null, consent: null, fields: {}, tags: [label.name] });
+            }
+        }
+        return records;
+    }
+
+    /**
+     * @param {object} contact
+     * @returns {object} The contact with its reply status
+     */
+    describeContact(contact) {
+        return { ...contact, replyStatus: replyStatus(contact) };
+    }
+
+    /**
+     * @param {object} contact
+     * @param {object} filter - A segment's filter
+     * @returns {boolean}
+     */
+    matchesSegment(contact, filter) {
+        return matchFilter(contact, filter, { inList: (listId, contactId) => this.contactListStore.has(listId, contactId) });
+    }
+
+    setupListRoutes() {
+        this.app.get('/api/lists', (req, res) => {
+            res.json({
+                success: true,
+                lists: this.contactListStore.list().map(list => this.contactListStore.describe(list))
+            });
+        });
+
+        this.app.post('/api/lists', (req, res) => {
+            const { name, description } = req.body;
+            const contactIds = listOf(req.body.contactIds);
+            let error = null;
+            let status = 400;
+            if (!name || !String(name).trim()) {
+                error = 'name is required';
+            } else if (this.contactListStore.findByName(name)) {
+                error = `A list named "${String(name).trim()}" already exists`;
+                status = 409;
+            } else if (contactIds.some(id => !this.contactStore.get(id))) {
+                error = `Unknown contacts: ${contactIds.filter(id => !this.contactStore.get(id)).join(', ')}`;
+            }
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            const list = this.contactListStore.create({ name: String(name), description, contactIds });
+            console.log(`📋 [LISTS] Created "${list.name}" with ${list.contactIds.size} contacts`);
+            res.status(201).json({
+                success: true,
+                list: this.contactListStore.describe(list)
+            });
+        });
+
+        // The list with a page of its contacts (limit, offset)
+        this.app.get('/api/lists/:id', (req, res) => {
+            const list = this.contactListStore.get(req.params.id);
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact list not found'
+                });
+            }
+            
+            const { total, contacts } = this.contactStore.list({
+                where: contact => list.contactIds.has(contact.id),
+                limit: parseInt(req.query.limit, 10) || 100,
+                offset: parseInt(req.query.offset, 10) || 0
+            });
+            res.json({
+                success: true,
+                list: this.contactListStore.describe(list),
+                total,
+                contacts: contacts.map(contact => this.describeContact(contact))
+            });
+        });
+
+        this.app.put('/api/lists/:id', (req, res) => {
+            const list = this.contactListStore.get(req.params.id);
+            const { name, description } = req.body;
+            let error = null;
+            let status = 400;
+            if (!list) {
+                error = 'Contact list not found';
+                status = 404;
+            } else if (name !== undefined && !String(name).trim()) {
+                error = 'name can\'t be empty';
+            } else if (name && this.contactListStore.findByName(name, list.id)) {
+                error = `A list named "${String(name).trim()}" already exists`;
+                status = 409;
+            }
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            res.json({
+                success: true,
+                list: this.contactListStore.describe(this.contactListStore.update(list, { name, description }))
+            });
+        });
+
+        // Deleting a list leaves its contacts in the database
+        this.app.delete('/api/lists/:id', (req, res) => {
+            if (!this.contactListStore.remove(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact list not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Contact list deleted'
+            });
+        });
+
+        // Add contacts by id: { contactIds }
+        this.app.post('/api/lists/:id/contacts', (req, res) => {
+            const list = this.contactListStore.get(req.params.id);
+            if (!list) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Contact list not found'
+                });
+            }
+            
+            const contactIds = listOf(req.body.contactIds);
+            const notFound = contactIds.filter(id => !this.contactStore.get(id));
+            if (contactIds.length === 0 || notFound.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: notFound.length > 0 ? `Unknown contacts: ${notFound.join(', ')}` : 'contactIds is required'
+                });
+            }
+            
+            const added = this.contactListStore.addContacts(list, contactIds);
+            res.json({
+                success: true,
+                added,
+                list: this.contactListStore.describe(list)
+            });
+        });
+
+        this.app.delete('/api/lists/:id/contacts/:contactId', (req, res) => {
+            const list = this.contactListStore.get(req.params.id);
+            if (!list || !this.contactListStore.removeContacts(list, [req.params.contactId])) {
+                return res.status(404).json({
+                    success: false,
+                    error: list ? 'The contact isn\'t on the list' : 'Contact list not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                list: this.contactListStore.describe(list)
+            });
+        });
+    }
+
+    setupSegmentRoutes() {
+        const members = (filter) => this.contactStore.list({ where: contact => this.matchesSegment(contact, filter) }).contacts;
+        // Members are worked out on every use, count is how many match now
+        const describe = (segment) => ({ ...segment, count: members(segment.filter).length });
+        const segmentError = (res, error) => res.status(400).json({
+            success: false,
+            error: error.message,
+            errors: error.errors
+        });
+
+        this.app.get('/api/segments', (req, res) => {
+            res.json({
+                success: true,
+                segments: this.segmentStore.list().map(describe)
+            });
+        });
+
+        this.app.post('/api/segments', (req, res) => {
+            const { name, description } = req.body;
+            let error = null;
+            let status = 400;
+            if (!name || !String(name).trim()) {
+                error = 'name is required';
+            } else if (this.segmentStore.findByName(name)) {
+                error = `A segment named "${String(name).trim()}" already exists`;
+                status = 409;
+            }
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            try {
+                const segment = this.segmentStore.create({ name: String(name), description, filter: normalizeFilter(req.body.filter) });
+                res.status(201).json({
+                    success: true,
+                    segment: describe(segment)
+                });
+            } catch (error) {
+                if (!(error instanceof SegmentError)) throw error;
+                segmentError(res, error);
+            }
+        });
+
+        // Who an unsaved filter matches, nothing is stored
+        this.app.post('/api/segments/preview', (req, res) => {
+            try {
+                const contacts = members(normalizeFilter(req.body.filter));
+                res.json({
+                    success: true,
+                    total: contacts.length,
+                    contacts: contacts.slice(0, 20).map(contact => this.describeContact(contact))
+                });
+            } catch (error) {
+                if (!(error instanceof SegmentError)) throw error;
+                segmentError(res, error);
+            }
+        });
+
+        this.app.get('/api/segments/:id', (req, res) => {
+            const segment = this.segmentStore.get(req.params.id);
+            if (!segment) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Segment not found'
+                });
+            }
+            
+            const { total, contacts } = this.contactStore.list({
+                where: contact => this.matchesSegment(contact, segment.filter),
+                limit: parseInt(req.query.limit, 10) || 100,
+                offset: parseInt(req.query.offset, 10) || 0
+            });
+            res.json({
+                success: true,
+                segment: { ...segment, count: total },
+                total,
+                contacts: contacts.map(contact => this.describeContact(contact))
+            });
+        });
+
+        this.app.put('/api/segments/:id', (req, res) => {
+            const segment = this.segmentStore.get(req.params.id);
+            const { name, description, filter } = req.body;
+            let error = null;
+            let status = 400;
+            if (!segment) {
+                error = 'Segment not found';
+                status = 404;
+            } else if (name !== undefined && !String(name).trim()) {
+                error = 'name can\'t be empty';
+            } else if (name && this.segmentStore.findByName(name, segment.id)) {
+                error = `A segment named "${String(name).trim()}" already exists`;
+                status = 409;
+            }
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+            
+            try {
+                const updated = this.segmentStore.update(segment, {
+                    name,
+                    description,
+                    filter: filter === undefined ? undefined : normalizeFilter(filter)
+                });
+                res.json({
+                    success: true,
+                    segment: describe(updated)
+                });
+            } catch (error) {
+                if (!(error instanceof SegmentError)) throw error;
+                segmentError(res, error);
+            }
+        });
+
+        this.app.delete('/api/segments/:id', (req, res) => {
+            if (!this.segmentStore.remove(req.params.id)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Segment not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                message: 'Segment deleted'
+            });
+        });
+    }
+
+    /**
+     * @param {object} chat - whatsapp-web.js Chat, not a group
+     * @returns {Promise<string|null>} Its phone number; chats addressed by a linked-device id have it on their contact
+     */
+    async chatNumber(chat) {
+        return chat.id.server === 'c.us' ? chat.id._serialized : (await chat.getContact()).number || null;
+    }
+
+    /**
+     * Puts a label on a chat or takes it off, leaving its other labels alone (addOrRemoveLabels() replaces them all)
+     * @param {string} chatId
+     * @param {string} labelId
+     * @param {boolean} present - Whether the chat should have the label
+     * @returns {Promise<boolean>} Whether it has (or lacks) the label now; chats WhatsApp hasn't loaded can't be labeled
+     */
+    async setChatLabel(chatId, labelId, present) {
+        const labelIds = async () => (await this.client.getChatLabels(chatId)).map(label => String(label.id));
+        const current = await labelIds();
+        if (current.includes(labelId) === present) return true;
+        
+        try {
+            await this.client.addOrRemoveLabels(present ? [...current, labelId] : current.filter(id => id !== labelId), [chatId]);
+        } catch (error) {
+            // whatsapp-web.js throws a plain string when the account isn't a WhatsApp Business one
+            throw error instanceof Error ? error : new Error(String(error));
+        }
+        return (await labelIds()).includes(labelId) === present;
+    }
+
+    /**
+     * Labels a chat with the label CAMPAIGN_OUTCOME_LABELS gives the outcome, if any; failures are only logged
+     * @param {string} outcome - sent, read, replied or opted_out
+     * @param {string} chatId
+     * @param {boolean} [present] - false takes the label off again
+     */
+    async applyOutcomeLabel(outcome, chatId, present = true) {
+        const name = this.outcomeLabels[outcome];
+        if (!name || !this.isConnected || !this.client) return;
+        
+        try {
+            const label = (await this.client.getLabels()).find(entry => normalizeTag(entry.name) === normalizeTag(name));
+            if (!label) {
+                console.warn(`⚠️ [LABELS] There is no WhatsApp label "${name}" for ${outcome} chats, create it in WhatsApp Business`);
+                return;
+            }
+            if (await this.setChatLabel(chatId, String(label.id), present)) {
+                console.log(`🏷️ [LABELS] ${present ? 'Labeled' : 'Unlabeled'} ${chatId} "${label.name}" (${outcome})`);
+            }
+        } catch (error) {
+            console.error(`❌ [LABELS] Failed to label ${chatId} for ${outcome}:`, error.message);
+        }
+    }
+
+    /**
+     * Syncs WhatsApp labels and contact tags both ways, see bot/contacts/labelSync.js; a sync asked for
+     * while one runs gets that one's result
+     * @param {string} trigger - manual or interval
+     * @returns {Promise<object>} The run: { at, trigger, labels, forgotten, error }, labels having per label what changed
+     */
+    syncLabels(trigger) {
+        if (!this.labelSyncRun) {
+            this.labelSyncRun = this.runLabelSync(trigger).finally(() => {
+                this.labelSyncRun = null;
+            });
+        }
+        return this.labelSyncRun;
+    }
+
+    async runLabelSync(trigger) {
+        const run = { at: new Date().toISOString(), trigger, labels: [], forgotten: [], error: null };
+        try {
+            const labels = await this.client.getLabels();
+            run.forgotten = this.labelSyncStore.retain(labels.map(label => String(label.id)));
+            for (const label of labels) {
+                run.labels.push(await this.syncLabel(label));
+            }
+        } catch (error) {
+            run.error = error instanceof Error ? error.message : String(error);
+        }
+        this.labelSyncStore.addRun(run);
+        
+        const changes = run.labels.reduce((sum, label) => sum + label.tagged + label.untagged + label.labeled + label.unlabeled, 0);
+        if (run.error) {
+            console.error(`❌ [LABELS] Label sync failed after ${run.labels.length} labels:`, run.error);
+        } else {
+            console.log(`🏷️ [LABELS] Synced ${run.labels.length} labels with contact tags, ${changes} changes`);
+        }
+        this.broadcastToClients('labels_synced', run);
+        return run;
+    }
+
+    /**
+     * @param {object} label - whatsapp-web.js Label
+     * @returns {Promise<object>} { id, name, tagged, untagged, labeled, unlabeled, created, failed }
+     */
+    async syncLabel(label) {
+        const labelId = String(label.id);
+        const result = { id: labelId, name: label.name, tagged: 0, untagged: 0, labeled: 0, unlabeled: 0, created: 0, failed: [] };
+        const previous = this.labelSyncStore.get(labelId);
+        if (previous && normalizeTag(previous.name) !== normalizeTag(label.name)) {
+            // Renamed in WhatsApp, the tag is renamed along
+            const renamed = this.contactStore.list({ tag: previous.name }).contacts.map(contact => contact.id);
+            this.contactStore.tag(renamed, [label.name], [previous.name]);
+        }
+        
+        const chats = new Map(); // E.164 -> { chatId, name }
+        for (const chat of await this.client.getChatsByLabelId(labelId)) {
+            if (chat.isGroup) continue;
+            const parsed = this.parsePhoneNumber(String(await this.chatNumber(chat)));
+            if (parsed.valid) chats.set(parsed.e164, { chatId: chat.id._serialized, name: chat.name || '' });
+        }
+        const contacts = new Map(this.contactStore.list({ tag: label.name }).contacts.map(contact => [contact.number, contact]));
+        const plan = planLabelSync({
+            previous: previous ? previous.numbers : null,
+            inWhatsApp: new Set(chats.keys()),
+            tagged: new Set(contacts.keys())
+        });
+        const members = new Set(chats.keys());
+        
+        for (const number of plan.tag) {
+            const contact = this.contactStore.findByNumber(number);
+            if (contact) {
+                this.contactStore.tag([contact.id], [label.name]);
+            } else {
+                const parsed = this.parsePhoneNumber(number);
+                this.contactStore.upsert({ number, whatsappId: parsed.whatsappId, name: chats.get(number).name, tags: [label.name], source: 'whatsapp' });
+                result.created++;
+            }
+            result.tagged++;
+        }
+        if (result.created > 0) this.contactStore.save();
+        result.untagged = this.contactStore.tag(plan.untag.map(number => contacts.get(number).id), [], [label.name]).updated;
+        
+        const push = async (number, chatId, present) => {
+            try {
+                if (await this.setChatLabel(chatId, labelId, present)) {
+                    members[present ? 'add' : 'delete'](number);
+                    return true;
+                }
+                result.failed.push({ number, error: 'WhatsApp has no chat with this number loaded' });
+            } catch (error) {
+                result.failed.push({ number, error: error.message });
+            }
+            return false;
+        };
+        for (const number of plan.label) {
+            if (await push(number, contacts.get(number).whatsappId, true)) result.labeled++;
+        }
+        for (const number of plan.unlabel) {
+            if (await push(number, chats.get(number).chatId, false)) result.unlabeled++;
+        }
+        
+        this.labelSyncStore.set(labelId, label.name, members);
+        return result;
+    }
+
+    /**
+     * Syncs labels every LABEL_SYNC_MINUTES, from the delay on; nothing when that is 0
+     * @param {number} [delay] - Until the next sync
+     */
+    scheduleLabelSync(delay = this.labelSyncMinutes * 60 * 1000) {
+        if (!this.labelSyncMinutes || this.stopped) return;
+        
+        clearTimeout(this.labelSyncTimeout);
+        this.labelSyncTimeout = setTimeout(() => {
+            const sync = this.isConnected && this.client ? this.syncLabels('interval') : Promise.resolve();
+            sync.finally(() => this.scheduleLabelSync());
+        }, delay);
+    }
+
+    setupLabelRoutes() {
+        const notConnected = (res) => res.status(503).json({
+            success: false,
+            error: 'WhatsApp is not connected'
+        });
+
+        // Labels of the WhatsApp Business account with how many chats and tagged contacts each has
+        this.app.get('/api/labels', async (req, res) => {
+            if (!this.isConnected || !this.client) return notConnected(res);
+            
+            try {
+                const labels = [];
+                for (const label of await this.client.getLabels()) {
+                    const chats = await this.client.getChatsByLabelId(label.id);
+                    labels.push({
+                        id: String(label.id),
+                        name: label.name,
+                        hexColor: label.hexColor || null,
+                        chats: chats.length,
+                        contacts: this.contactStore.list({ tag: label.name }).total
+                    });
+                }
+                res.json({
+                    success: true,
+                    labels
+                });
+            } catch (error) {
+                console.error('❌ Error listing labels:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error instanceof Error ? error.message : String(error)
+                });
+            }
+        });
+
+        // Sync settings and the results of recent syncs, newest first
+        this.app.get('/api/labels/sync', (req, res) => {
+            res.json({
+                success: true,
+                intervalMinutes: this.labelSyncMinutes,
+                outcomeLabels: this.outcomeLabels,
+                running: Boolean(this.labelSyncRun),
+                runs: this.labelSyncStore.listRuns()
+            });
+        });
+
+        this.app.post('/api/labels/sync', async (req, res) => {
+            if (!this.isConnected || !this.client) return notConnected(res);
+            
+            const run = await this.syncLabels('manual');
+            res.status(run.error ? 500 : 200).json({
+                success: !run.error,
+                ...(run.error ? { error: run.error } : {}),
+                sync: run
+            });
+        });
+    }
+
+    /**
+     * Groups and channels of the account, with whether it may post to each
+     * @param {'group'|'channel'} type
+     * @returns {Promise<Array<object>>} describeChat() results, sorted by name
+     */
+    async broadcastChats(type) {
+        const chats = type === 'channel'
+            ? await this.client.getChannels()
+            : (await this.client.getChats()).filter(chat => chat.isGroup);
+        return chats.map(chat => describeChat(chat, this.ownId()))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    setupChatRoutes() {
+        const listChats = (type) => async (req, res) => {
+            if (!this.isConnected || !this.client) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'WhatsApp is not connected'
+                });
+            }
+
+            try {
+                const chats = await this.broadcastChats(type);
+                res.json({
+                    success: true,
+                    [`${type}s`]: req.query.postable === 'true' ? chats.filter(chat => chat.canSend) : chats
+                });
+            } catch (error) {
+                console.error(`❌ Error listing ${type}s:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: error instanceof Error ? error.message : String(error)
+                });
+            }
+        };
+
+        // Groups and channels bulk sends can target, ?postable=true for only those this account may post to
+        this.app.get('/api/groups', listChats('group'));
+        this.app.get('/api/channels', listChats('channel'));
+    }
+
+    /**
+     * Participants named in a group request by number and by contact list, without this account
+     * @param {object} body - { numbers, listId }
+     * @returns {{error?: string, ids?: Array<string>, rejected?: Array<object>}} WhatsApp ids, and participantResults()
+     *     style results for numbers that aren't valid
+     */
+    groupParticipants(body) {
+        const ids = new Set();
+        const rejected = [];
+        for (const input of listOf(body.numbers)) {
+            const parsed = this.parsePhoneNumber(input);
+            if (parsed.valid) {
+                ids.add(parsed.whatsappId);
+            } else {
+                rejected.push({ id: input, success: false, code: null, message: parsed.error, inviteSent: false });
+            }
+        }
+        if (body.listId) {
+            const list = this.contactListStore.get(String(body.listId));
+            if (!list) return { error: 'listId must be the id of a contact list' };
+            for (const contact of this.contactStore.list({ where: entry => list.contactIds.has(entry.id) }).contacts) {
+                ids.add(contact.whatsappId);
+            }
+        }
+        ids.delete(this.ownId());
+        return { ids: Array.from(ids), rejected };
+    }
+
+    /**
+     * Changes a group's name, description and admin-only settings, the ones given
+     * @param {object} chat - GroupChat
+     * @param {object} changes - { name, description, messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly }
+     * @returns {Promise<{changed: Array<string>, failed: Array<string>}>} Fields WhatsApp applied and refused
+     */
+    async editGroup(chat, changes) {
+        const result = { changed: [], failed: [] };
+        const apply = async (field, change) => {
+            result[await change() ? 'changed' : 'failed'].push(field);
+        };
+        if (changes.name !== undefined) await apply('name', () => chat.setSubject(String(changes.name)));
+        if (changes.description !== undefined) await apply('description', () => chat.setDescription(String(changes.description)));
+        for (const [field, setting] of Object.entries(GROUP_SETTINGS)) {
+            if (changes[field] === undefined) continue;
+            const adminsOnly = changes[field] === true || changes[field] === 'true';
+            await apply(field, () => chat[setting.setter](adminsOnly));
+        }
+        return result;
+    }
+
+    setupGroupRoutes() {
+        /**
+         * Looks up the group a request is about, or answers it
+         * @returns {Promise<object|null>} The GroupChat, null when the response was sent
+         */
+        const findGroup = async (req, res, { admin = true } = {}) => {
+            if (!this.isConnected || !this.client) {
+                res.status(503).json({ success: false, error: 'WhatsApp is not connected' });
+                return null;
+            }
+            const chatId = String(req.params.id).replace(/(@g\.us)?$/, '@g.us');
+            const chat = GROUP_ID.test(chatId) ? await this.client.getChatById(chatId) : null;
+            if (!chat || !chat.isGroup) {
+                res.status(404).json({ success: false, error: 'Group not found' });
+                return null;
+            }
+            if (admin && participantRoles(chat).get(this.ownId()) !== true) {
+                res.status(403).json({ success: false, error: 'This account is not an admin of the group' });
+                return null;
+            }
+            return chat;
+        };
+        const failed = (res, action, error) => {
+            console.error(`❌ [GROUPS] Error ${action}:`, error);
+            res.status(500).json({
+                success: false,
+                error: error instanceof Error ? error.message : String(error)
+            });
+        };
+
+        // Creates a group with the members of a contact list and/or numbers: { name, listId, numbers, settings }
+        this.app.post('/api/groups', async (req, res) => {
+            if (!this.isConnected || !this.client) {
+                return res.status(503).json({ success: false, error: 'WhatsApp is not connected' });
+            }
+            const name = String(req.body.name || '').trim();
+            const { ids, rejected, error } = this.groupParticipants(req.body);
+            if (!name || error || ids.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: !name ? 'name is required' : error || 'Give the participants as numbers or a listId'
+                });
+            }
+
+            try {
+                const created = await this.client.createGroup(name, ids, { autoSendInviteV4: true });
+                // createGroup() answers failures with an error text
+                if (typeof created === 'string') throw new Error(created);
+                const groupId = created.gid._serialized;
+                const participants = [
+                    ...ids.map(id => ({ id, ...addResult(created.participants[id] || { statusCode: null, message: 'WhatsApp reported nothing for this participant' }) })),
+                    ...rejected
+                ];
+
+                let settings = { changed: [], failed: [] };
+                if (req.body.settings && typeof req.body.settings === 'object') {
+                    const chat = await this.client.getChatById(groupId);
+                    settings = await this.editGroup(chat, req.body.settings);
+                }
+
+                console.log(`👥 [GROUPS] Created "${name}" (${groupId}), ${participants.filter(result => result.success).length}/${participants.length} participants added`);
+                res.status(201).json({
+                    success: true,
+                    group: { id: groupId, name },
+                    participants,
+                    summary: summarizeResults(participants),
+                    settings
+                });
+            } catch (error) {
+                failed(res, 'creating a group', error);
+            }
+        });
+
+        this.app.get('/api/groups/:id', async (req, res) => {
+            try {
+                const chat = await findGroup(req, res, { admin: false });
+                if (!chat) return;
+                res.json({
+                    success: true,
+                    group: describeGroup(chat, this.ownId())
+                });
+            } catch (error) {
+                failed(res, 'loading a group', error);
+            }
+        });
+
+        // Name, description and admin-only settings: { name, description, messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly }
+        this.app.put('/api/groups/:id', async (req, res) => {
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                if (req.body.name !== undefined && !String(req.body.name).trim()) {
+                    return res.status(400).json({ success: false, error: 'name can\'t be empty' });
+                }
+                const result = await this.editGroup(chat, req.body);
+                const updated = await this.client.getChatById(chat.id._serialized);
+                res.status(result.failed.length > 0 ? 500 : 200).json({
+                    success: result.failed.length === 0,
+                    ...(result.failed.length > 0 ? { error: `WhatsApp didn't change: ${result.failed.join(', ')}` } : {}),
+                    ...result,
+                    group: describeGroup(updated || chat, this.ownId())
+                });
+            } catch (error) {
+                failed(res, 'editing a group', error);
+            }
+        });
+
+        // Adds, removes, promotes or demotes participants: { numbers, listId }
+        this.app.post('/api/groups/:id/participants/:action', async (req, res) => {
+            const { action } = req.params;
+            if (!PARTICIPANT_ACTIONS.includes(action)) {
+                return res.status(404).json({ success: false, error: `Unknown participant action: ${action}` });
+            }
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                const { ids, rejected, error } = this.groupParticipants(req.body);
+                if (error || ids.length === 0) {
+                    return res.status(400).json({ success: false, error: error || 'Give the participants as numbers or a listId' });
+                }
+
+                const before = participantRoles(chat);
+                let reported = {};
+                if (action === 'add') {
+                    reported = await chat.addParticipants(ids, { autoSendInviteV4: true });
+                    // addParticipants() answers failures for the whole group with an error text
+                    if (typeof reported === 'string') throw new Error(reported);
+                } else {
+                    const present = ids.filter(id => before.has(id));
+                    if (present.length > 0) {
+                        const method = { remove: 'removeParticipants', promote: 'promoteParticipants', demote: 'demoteParticipants' }[action];
+                        await chat[method](present);
+                    }
+                }
+
+                const updated = await this.client.getChatById(chat.id._serialized);
+                const results = [...participantResults(action, ids, before, participantRoles(updated || chat), reported), ...rejected];
+                const summary = summarizeResults(results);
+                console.log(`👥 [GROUPS] ${action} in "${chat.name}": ${summary.succeeded}/${summary.total} succeeded`);
+                res.json({
+                    success: true,
+                    results,
+                    summary
+                });
+            } catch (error) {
+                failed(res, `running ${action} on participants`, error);
+            }
+        });
+
+        // Invite link, revoking it makes a new one
+        this.app.get('/api/groups/:id/invite', async (req, res) => {
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                const code = await chat.getInviteCode();
+                res.json({
+                    success: true,
+                    code,
+                    link: `${INVITE_LINK}${code}`
+                });
+            } catch (error) {
+                failed(res, 'loading an invite link', error);
+            }
+        });
+
+        this.app.post('/api/groups/:id/invite/revoke', async (req, res) => {
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                const code = await chat.revokeInvite();
+                console.log(`👥 [GROUPS] Revoked the invite link of "${chat.name}"`);
+                res.json({
+                    success: true,
+                    code,
+                    link: `${INVITE_LINK}${code}`
+                });
+            } catch (error) {
+                failed(res, 'revoking an invite link', error);
+            }
+        });
+
+        // People asking to join while membership approval is on
+        this.app.get('/api/groups/:id/requests', async (req, res) => {
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                const requests = await chat.getGroupMembershipRequests();
+                res.json({
+                    success: true,
+                    requests: (requests || []).map(describeRequest)
+                });
+            } catch (error) {
+                failed(res, 'listing membership requests', error);
+            }
+        });
+
+        // Approves or rejects membership requests: { ids }, every pending request when left out
+        this.app.post('/api/groups/:id/requests/:action', async (req, res) => {
+            const { action } = req.params;
+            if (!REQUEST_ACTIONS.includes(action)) {
+                return res.status(404).json({ success: false, error: `Unknown membership request action: ${action}` });
+            }
+            try {
+                const chat = await findGroup(req, res);
+                if (!chat) return;
+                const requesterIds = listOf(req.body.ids);
+                const options = { requesterIds: requesterIds.length > 0 ? requesterIds : null };
+                const handled = action === 'approve'
+                    ? await chat.approveGroupMembershipRequests(options)
+                    : await chat.rejectGroupMembershipRequests(options);
+                const results = (handled || []).map(entry => ({
+                    id: entry.requesterId,
+                    success: !entry.error,
+                    code: entry.error || null,
+                    message: entry.message
+                }));
+                const summary = summarizeResults(results);
+                console.log(`👥 [GROUPS] ${action === 'approve' ? 'Approved' : 'Rejected'} ${summary.succeeded}/${summary.total} membership requests in "${chat.name}"`);
+                res.json({
+                    success: true,
+                    results,
+                    summary
+                });
+            } catch (error) {
+                failed(res, `running ${action} on membership requests`, error);
+            }
+        });
+    }
+
+    setupTemplateRoutes(upload) {
+        // Validates a template against contacts.csv and renders it for the first `count` contacts
+        this.app.post('/api/templates/preview', async (req, res) => {
+            try {
+                const { messageTemplate } = req.body;
+                const count = Math.min(Math.max(parseInt(req.body.count, 10) || 5, 1), 50);
+                
+                if (!messageTemplate) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Message template is required'
+                    });
+                }
+                
+                const csvPath = this.contactsPath;
+                const contacts = fs.existsSync(csvPath) ? await this.loadContactsFromCSV(csvPath) : [];
+                const columns = this.contactColumns(contacts);
+                const validation = validateTemplate(messageTemplate, columns);
+                
+                let previews = [];
+                try {
+                    previews = contacts.slice(0, count).map(contact => {
+                        const { text, missing } = this.renderTemplate(messageTemplate, contact.Fields, {
+                            name: contact.Name,
+                            number: contact.PhoneNumber
+                        });
+                        return { name: contact.Name, number: contact.PhoneNumber, message: text, missing };
+                    });
+                } catch (error) {
+                    // Syntax errors are already reported by the validation
+                    if (!(error instanceof TemplateError)) throw error;
+                }
+                
+                res.json({
+                    success: true,
+                    ...validation,
+                    columns,
+                    totalContacts: contacts.length,
+                    previews
+                });
+            } catch (error) {
+                console.error('❌ Error previewing template:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Saved template library
+        const templateDetails = (template) => ({
+            ...this.templateStore.describe(template),
+            versions: template.versions.map(version => ({
+                ...version,
+                media: this.templateStore.describeMedia(version.media)
+            }))
+        });
+        
+        this.app.get('/api/templates', (req, res) => {
+            res.json({
+                success: true,
+                templates: this.templateStore.list().map(template => this.templateStore.describe(template))
+            });
+        });
+        
+        this.app.post('/api/templates', upload.single('media'), (req, res) => {
+            let media = null;
+            try {
+                const { name, body = '', description } = req.body;
+                
+                let error = null;
+                let status = 400;
+                if (!name || !name.trim()) {
+                    error = 'Template name is required';
+                } else if (!body && !req.file) {
+                    error = 'Template body or media file is required';
+                } else if (this.templateStore.findByName(name)) {
+                    error = `A template named "${name.trim()}" already exists`;
+                    status = 409;
+                }
+                if (error) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(status).json({
+                        success: false,
+                        error
+                    });
+                }
+                
+                media = req.file ? this.mediaStore.saveUpload(req.file) : null;
+                const template = this.templateStore.create({ name, body, description, media });
+                console.log(`🗂️ [TEMPLATES] Saved template "${template.name}"`);
+                
+                res.status(201).json({
+                    success: true,
+                    template: templateDetails(template)
+                });
+            } catch (error) {
+                if (media) {
+                    this.mediaStore.release(media);
+                } else if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                if (error instanceof TemplateError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        templateErrors: error.errors
+                    });
+                }
+                console.error('❌ Error saving template:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.get('/api/templates/:id', (req, res) => {
+            const template = this.templateStore.get(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                template: templateDetails(template)
+            });
+        });
+        
+        // Changing the body or media records a new version; removeMedia=true drops the attachment
+        this.app.put('/api/templates/:id', upload.single('media'), (req, res) => {
+            let media;
+            try {
+                const template = this.templateStore.get(req.params.id);
+                const { name, body, description, note, removeMedia } = req.body;
+                
+                let error = null;
+                let status = 400;
+                if (!template) {
+                    error = 'Template not found';
+                    status = 404;
+                } else if (name !== undefined && !name.trim()) {
+                    error = 'Template name cannot be empty';
+                } else if (name && this.templateStore.findByName(name, template.id)) {
+                    error = `A template named "${name.trim()}" already exists`;
+                    status = 409;
+                }
+                if (error) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(status).json({
+                        success: false,
+                        error
+                    });
+                }
+                
+                if (req.file) {
+                    media = this.mediaStore.saveUpload(req.file);
+                } else if (removeMedia === true || removeMedia === 'true') {
+                    media = null;
+                }
+                this.templateStore.update(template, { name, body, description, note, media });
+                console.log(`🗂️ [TEMPLATES] Updated template "${template.name}" (version ${template.version})`);
+                
+                res.json({
+                    success: true,
+                    template: templateDetails(template)
+                });
+            } catch (error) {
+                if (media) {
+                    this.mediaStore.release(media);
+                } else if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                if (error instanceof TemplateError) {
+                    return res.status(400).json({
+                        success: false,
+                        error: error.message,
+                        templateErrors: error.errors
+                    });
+                }
+                console.error('❌ Error updating template:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.post('/api/templates/:id/versions/:version/restore', (req, res) => {
+            const template = this.templateStore.get(req.params.id);
+            const restored = template && this.templateStore.restore(template, req.params.version);
+            if (!restored) {
+                return res.status(404).json({
+                    success: false,
+                    error: template ? 'Template version not found' : 'Template not found'
+                });
+            }
+            
+            console.log(`🗂️ [TEMPLATES] Restored "${template.name}" to version ${req.params.version}`);
+            res.json({
+                success: true,
+                template: templateDetails(template)
+            });
+        });
+        
+        this.app.delete('/api/templates/:id', (req, res) => {
+            const template = this.templateStore.remove(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Template not found'
+                });
+            }
+            
+            // Campaigns and queued messages use their own copies, so every version's media can go
+            const paths = new Set();
+            for (const version of template.versions) {
+                if (version.media && !paths.has(version.media.path)) {
+                    paths.add(version.media.path);
+                    this.mediaStore.release(version.media);
+                }
+            }
+            
+            console.log(`🗑️ [TEMPLATES] Deleted template "${template.name}"`);
+            res.json({
+                success: true,
+                id: template.id
+            });
+        });
+    }
+
+    setupConsentRoutes() {
+        // Consent coverage of the current contacts.csv, ?scope= checks a specific scope
+        this.app.get('/api/consent', async (req, res) => {
+            try {
+                const scope = req.query.scope || this.consentScope;
+                const csvPath = this.contactsPath;
+                const contacts = fs.existsSync(csvPath) ? await this.loadContactsFromCSV(csvPath) : [];
+                const missing = contacts.filter(contact => !hasConsent(contact.Consent, scope));
+                
+                res.json({
+                    success: true,
+                    policy: this.consentPolicy,
+                    scope: scope || null,
+                    total: contacts.length,
+                    withConsent: contacts.length - missing.length,
+                    withoutConsent: missing.map(contact => ({ name: contact.Name, number: contact.PhoneNumber }))
+                });
+            } catch (error) {
+                console.error('❌ Error checking consent:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Every sent campaign message with the consent record it was sent under, ?format=csv downloads it
+        this.app.get('/api/consent/audit', (req, res) => {
+            const { campaignId } = req.query;
+            const campaigns = campaignId
+                ? [this.campaignStore.get(campaignId)].filter(Boolean)
+                : this.campaignStore.list();
+            
+            const rows = [];
+            for (const campaign of campaigns) {
+                for (const recipient of campaign.recipients) {
+                    if (!recipient.sentAt) continue;
+                    const consent = recipient.consent || {};
+                    rows.push({
+                        campaignId: campaign.id,
+                        campaignName: campaign.name,
+                        consentPolicy: campaign.consent ? campaign.consent.policy : ConsentPolicy.OFF,
+                        name: recipient.name,
+                        number: recipient.number,
+                        status: recipient.status,
+                        messageId: recipient.messageId,
+                        sentAt: recipient.sentAt,
+                        consentSource: consent.source || null,
+                        consentTimestamp: consent.timestamp || null,
+                        consentScope: consent.scope ? consent.scope.join(';') : null
+                    });
+                }
+            }
+            rows.sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+            
+            if (req.query.format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', 'attachment; filename="consent-audit.csv"');
+                return res.send(toCsv(rows, CONSENT_AUDIT_COLUMNS));
+            }
+            
+            res.json({
+                success: true,
+                count: rows.length,
+                messages: rows
+            });
+        });
+    }
+
+    setupScheduledRoutes() {
+        // Messages held until their sendAt, soonest first, ?campaignId= narrows to one campaign
+        this.app.get('/api/scheduled', (req, res) => {
+            const { campaignId } = req.query;
+            const messages = this.scheduler.list()
+                .filter(message => !campaignId || message.campaignId === campaignId)
+                .map(message => ({
+                    id: message.id,
+                    number: message.number,
+                    type: message.type || 'text',
+                    priority: message.priority,
+                    campaignId: message.campaignId || null,
+                    sendAt: message.sendAt,
+                    timezone: message.timezone,
+                    queuedAt: message.queuedAt
+                }));
+            
+            res.json({
+                success: true,
+                count: messages.length,
+                messages
+            });
+        });
+        
+        this.app.delete('/api/scheduled/:id', async (req, res) => {
+            try {
+                // Queue ids are numbers, route params strings
+                const held = this.scheduler.list().find(message => String(message.id) === req.params.id);
+                const message = held && this.scheduler.remove(held.id);
+                if (!message) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Scheduled message not found'
+                    });
+                }
+                
+                await this.setMessageStatus(message, QueueStatus.CANCELLED, { error: 'Cancelled before its send time' });
+                this.releaseMedia(message);
+                
+                res.json({
+                    success: true,
+                    messageId: message.id
+                });
+            } catch (error) {
+                console.error('❌ Error cancelling scheduled message:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    setupInboxRoutes(upload) {
+        // Conversations with unread counts, or ?q= to search messages
+        this.app.get('/api/inbox', (req, res) => {
+            if (req.query.q) {
+                return res.json({
+                    success: true,
+                    query: req.query.q,
+                    results: this.inboxStore.search(req.query.q).map(result => ({
+                        ...result,
+                        message: this.inboxStore.describeMessage(result.message)
+                    }))
+                });
+            }
+            
+            res.json({
+                success: true,
+                unreadTotal: this.inboxStore.unreadTotal(),
+                conversations: this.inboxStore.list().map(conversation => this.inboxStore.describe(conversation))
+            });
+        });
+        
+        this.app.get('/api/inbox/media/:messageId', (req, res) => {
+            const found = this.inboxStore.findMessage(req.params.messageId);
+            if (!found || !this.inboxMedia.exists(found.message.media)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Media not found'
+                });
+            }
+            
+            const { media } = found.message;
+            res.type(media.mimetype);
+            if (media.filename) {
+                res.setHeader('Content-Disposition', `inline; filename="${media.filename.replace(/"/g, '')}"`);
+            }
+            res.sendFile(media.path);
+        });
+        
+        // A thread, newest messages last; ?before= pages back
+        this.app.get('/api/inbox/:chatId', (req, res) => {
+            const conversation = this.inboxStore.get(req.params.chatId);
+            if (!conversation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Conversation not found'
+                });
+            }
+            
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+            res.json({
+                success: true,
+                conversation: this.inboxStore.describe(conversation),
+                messages: this.inboxStore.messages(conversation.id, { before: req.query.before, limit })
+                    .map(message => this.inboxStore.describeMessage(message))
+            });
+        });
+        
+        // Marks the chat as read here and, when connected, on WhatsApp (blue ticks for the sender)
+        this.app.post('/api/inbox/:chatId/read', async (req, res) => {
+            try {
+                const conversation = this.inboxStore.get(req.params.chatId);
+                if (!conversation) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Conversation not found'
+                    });
+                }
+                
+                if (this.isConnected && this.client) {
+                    const chat = await this.client.getChatById(conversation.id);
+                    await chat.sendSeen();
+                }
+                this.inboxStore.markRead(conversation.id);
+                this.broadcastToClients('inbox_read', { chatId: conversation.id, unreadTotal: this.inboxStore.unreadTotal() });
+                
+                res.json({
+                    success: true,
+                    unreadTotal: this.inboxStore.unreadTotal()
+                });
+            } catch (error) {
+                console.error('❌ Error marking conversation read:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Replies go out directly rather than through the bulk queue; quotedMessageId quotes a message of the thread
+        this.app.post('/api/inbox/:chatId/messages', upload.single('media'), async (req, res) => {
+            let media = null;
+            try {
+                const { message, quotedMessageId } = req.body;
+                const conversation = this.inboxStore.get(req.params.chatId);
+                
+                let error = null;
+                let status = 400;
+                if (!conversation) {
+                    error = 'Conversation not found';
+                    status = 404;
+                } else if (!message && !req.file) {
+                    error = 'A message or media file is required';
+                } else if (!this.isConnected || !this.client) {
+                    error = 'WhatsApp is not connected';
+                    status = 503;
+                }
+                if (error) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(status).json({
+                        success: false,
+                        error
+                    });
+                }
+                
+                let content = message;
+                const options = {};
+                if (req.file) {
+                    media = this.inboxMedia.saveUpload(req.file);
+                    content = MessageMedia.fromFilePath(media.path);
+                    content.filename = media.filename;
+                    if (message) options.caption = message;
+                }
+                
+                let sent;
+                if (quotedMessageId) {
+                    const quoted = await this.client.getMessageById(quotedMessageId);
+                    if (!quoted) {
+                        this.inboxMedia.release(media);
+                        return res.status(404).json({
+                            success: false,
+                            error: 'Quoted message not found'
+                        });
+                    }
+                    sent = await quoted.reply(content, conversation.id, options);
+                } else {
+                    const chat = await this.client.getChatById(conversation.id);
+                    sent = await chat.sendMessage(content, options);
+                }
+                
+                const entry = await this.recordInboxMessage(sent, media);
+                media = null; // The inbox owns the file now
+                const chat = await sent.getChat();
+                await chat.sendSeen();
+                this.inboxStore.markRead(conversation.id);
+                console.log(`💬 [INBOX] Replied to ${conversation.name} (${conversation.id})`);
+                
+                res.json({
+                    success: true,
+                    message: this.inboxStore.describeMessage(entry),
+                    unreadTotal: this.inboxStore.unreadTotal()
+                });
+            } catch (error) {
+                console.error('❌ Error replying from the inbox:', error);
+                this.inboxMedia.release(media);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    setupAutoReplyRoutes(upload) {
+        // Checks a rule and its template; media is the new upload, else the rule's current attachment
+        const ruleFields = (body, rule, media) => {
+            const value = (key) => (body[key] !== undefined || !rule ? body[key] : rule[key]);
+            const fields = normalizeRule({
+                name: value('name'),
+                match: value('match'),
+                response: value('response'),
+                hours: value('hours'),
+                cooldownMinutes: value('cooldownMinutes')
+            }, { defaultTimezone: this.defaultTimezone, media });
+            
+            if (fields.response.type !== 'media') fields.response.media = null;
+            if (fields.response.type === 'template' && !this.templateStore.get(fields.response.templateId)) {
+                throw new AutoReplyError('Saved template not found');
+            }
+            return fields;
+        };
+        
+        const sendError = (res, error, action) => {
+            if (error instanceof AutoReplyError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error(`❌ Error ${action} auto-reply rule:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        };
+        
+        this.app.get('/api/auto-replies', (req, res) => {
+            res.json({
+                success: true,
+                messageTypes: MESSAGE_TYPES,
+                rules: this.autoReplyStore.list().map(rule => this.autoReplyStore.describe(rule))
+            });
+        });
+        
+        // JSON, or multipart with match/response/hours as JSON text and the response's media file
+        this.app.post('/api/auto-replies', upload.single('media'), (req, res) => {
+            let media = null;
+            try {
+                media = req.file ? this.mediaStore.saveUpload(req.file) : null;
+                const fields = ruleFields(req.body, null, media);
+                if (media && !fields.response.media) {
+                    this.mediaStore.release(media);
+                }
+                media = null;
+                
+                const rule = this.autoReplyStore.create(fields);
+                console.log(`🤖 [AUTO-REPLY] Added rule "${rule.name}"`);
+                
+                res.status(201).json({
+                    success: true,
+                    rule: this.autoReplyStore.describe(rule)
+                });
+            } catch (error) {
+                if (media) {
+                    this.mediaStore.release(media);
+                } else if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                sendError(res, error, 'saving');
+            }
+        });
+        
+        // Rules checked first come first in `ids`
+        this.app.post('/api/auto-replies/order', (req, res) => {
+            const { ids } = req.body;
+            if (!Array.isArray(ids)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'ids must be an array of rule ids'
+                });
+            }
+            
+            res.json({
+                success: true,
+                rules: this.autoReplyStore.reorder(ids).map(rule => this.autoReplyStore.describe(rule))
+            });
+        });
+        
+        // Dry run: which rule would answer a message and with what, without sending or starting a cooldown
+        this.app.post('/api/auto-replies/test', (req, res) => {
+            try {
+                const { message = '', type = 'chat', from = '', chatId, isGroup = false, labels, name = '' } = req.body;
+                const sender = SuppressionList.key(from);
+                const context = {
+                    body: message,
+                    type,
+                    chatId: chatId || (sender ? `${sender}@c.us` : ''),
+                    isGroup: isGroup === true || isGroup === 'true',
+                    sender,
+                    name,
+                    labels: Array.isArray(labels) ? labels.map(String) : [],
+                    date: new Date()
+                };
+                
+                const found = this.findAutoReply(context);
+                if (!found) {
+                    return res.json({
+                        success: true,
+                        matched: false,
+                        optOutKeyword: !!this.suppressionList.matchKeyword(message)
+                    });
+                }
+                
+                const reply = this.autoReplyContent(found.rule, found.variables);
+                res.json({
+                    success: true,
+                    matched: true,
+                    optOutKeyword: !!this.suppressionList.matchKeyword(message),
+                    rule: this.autoReplyStore.describe(found.rule),
+                    cooldownUntil: found.cooldownUntil,
+                    reply: reply ? {
+                        type: found.rule.response.type,
+                        text: reply.text,
+                        poll: found.rule.response.poll,
+                        quote: found.rule.response.quote
+                    } : null
+                });
+            } catch (error) {
+                sendError(res, error, 'testing');
+            }
+        });
+        
+        this.app.get('/api/auto-replies/:id', (req, res) => {
+            const rule = this.autoReplyStore.get(req.params.id);
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Rule not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                rule: this.autoReplyStore.describe(rule)
+            });
+        });
+        
+        // Fields left out keep their value; `enabled` turns the rule on or off
+        this.app.put('/api/auto-replies/:id', upload.single('media'), (req, res) => {
+            let media = null;
+            try {
+                const rule = this.autoReplyStore.get(req.params.id);
+                if (!rule) {
+                    if (req.file) fs.unlinkSync(req.file.path);
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Rule not found'
+                    });
+                }
+                
+                media = req.file ? this.mediaStore.saveUpload(req.file) : null;
+                const previousMedia = rule.response.media;
+                const fields = ruleFields(req.body, rule, media || previousMedia);
+                if (req.body.enabled !== undefined) {
+                    fields.enabled = req.body.enabled === true || req.body.enabled === 'true';
+                }
+                if (media && !fields.response.media) {
+                    this.mediaStore.release(media);
+                }
+                media = null;
+                
+                this.autoReplyStore.update(rule, fields);
+                if (previousMedia && (!rule.response.media || rule.response.media.path !== previousMedia.path)) {
+                    this.mediaStore.release(previousMedia);
+                }
+                console.log(`🤖 [AUTO-REPLY] Updated rule "${rule.name}"`);
+                
+                res.json({
+                    success: true,
+                    rule: this.autoReplyStore.describe(rule)
+                });
+            } catch (error) {
+                if (media) {
+                    this.mediaStore.release(media);
+                } else if (req.file && fs.existsSync(req.file.path)) {
+                    fs.unlinkSync(req.file.path);
+                }
+                sendError(res, error, 'updating');
+            }
+        });
+        
+        this.app.delete('/api/auto-replies/:id', (req, res) => {
+            const rule = this.autoReplyStore.remove(req.params.id);
+            if (!rule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Rule not found'
+                });
+            }
+            
+            this.mediaStore.release(rule.response.media);
+            console.log(`🤖 [AUTO-REPLY] Deleted rule "${rule.name}"`);
+            res.json({
+                success: true,
+                message: `Rule "${rule.name}" deleted`
+            });
+        });
+    }
+
+    setupFlowRoutes() {
+        const sendError = (res, error, action) => {
+            if (error instanceof FlowError) {
+                return res.status(400).json({
+                    success: false,
+                    error: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error(`❌ Error ${action} flow:`, error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        };
+        
+        // Ends every session of a flow, e.g. when it's changed, paused or deleted
+        const endSessions = (flow) => {
+            for (const session of this.flowSessions.list()) {
+                if (session.flowId !== flow.id) continue;
+                this.flowSessions.remove(session.chatId);
+                this.flowTimer.remove(session.chatId);
+            }
+        };
+        
+        this.app.get('/api/flows', (req, res) => {
+            res.json({
+                success: true,
+                flows: this.flowStore.list()
+            });
+        });
+        
+        // The body is the flow definition, see bot/flows/engine.js
+        this.app.post('/api/flows', (req, res) => {
+            try {
+                const flow = this.flowStore.create(normalizeFlow(req.body));
+                console.log(`🧭 [FLOW] Saved flow "${flow.name}"`);
+                res.status(201).json({
+                    success: true,
+                    flow
+                });
+            } catch (error) {
+                sendError(res, error, 'saving');
+            }
+        });
+        
+        // Runs a transcript through a saved flow (`flowId`) or an unsaved `flow`, nothing is sent
+        this.app.post('/api/flows/simulate', (req, res) => {
+            try {
+                const { flowId, flow: definition, transcript, variables } = req.body;
+                const saved = flowId ? this.flowStore.get(flowId) : null;
+                if (flowId && !saved) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Flow not found'
+                    });
+                }
+                
+                const flow = saved ? { id: saved.id, ...this.flowStore.definition(saved) } : definition;
+                const { lines, session } = simulateFlow(flow || {}, transcript, { variables, locale: this.templateLocale });
+                res.json({
+                    success: true,
+                    lines,
+                    transcript: formatTranscript(lines),
+                    session
+                });
+            } catch (error) {
+                sendError(res, error, 'simulating');
+            }
+        });
+        
+        this.app.get('/api/flows/sessions', (req, res) => {
+            res.json({
+                success: true,
+                sessions: this.flowSessions.list()
+            });
+        });
+        
+        // Ends a chat's session without a message, the chat can start a flow again
+        this.app.delete('/api/flows/sessions/:chatId', (req, res) => {
+            const session = this.flowSessions.remove(req.params.chatId);
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+            
+            this.flowTimer.remove(session.chatId);
+            console.log(`🧭 [FLOW] Session of ${session.chatId} in "${session.flowName}" ended from the dashboard`);
+            this.broadcastToClients('flow_session', { ...session, status: 'ended' });
+            res.json({
+                success: true,
+                message: `Session of ${session.chatId} ended`
+            });
+        });
+        
+        this.app.get('/api/flows/:id', (req, res) => {
+            const flow = this.flowStore.get(req.params.id);
+            if (!flow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                flow,
+                sessions: this.flowSessions.list().filter(session => session.flowId === flow.id)
+            });
+        });
+        
+        // A new definition replaces the old one and ends the flow's open sessions; { enabled } alone pauses or resumes it
+        this.app.put('/api/flows/:id', (req, res) => {
+            try {
+                const flow = this.flowStore.get(req.params.id);
+                if (!flow) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Flow not found'
+                    });
+                }
+                
+                const { enabled, ...definition } = req.body;
+                const fields = Object.keys(definition).length > 0 ? normalizeFlow(definition) : {};
+                if (enabled !== undefined) fields.enabled = enabled === true || enabled === 'true';
+                
+                if (fields.nodes || fields.enabled === false) endSessions(flow);
+                this.flowStore.update(flow, fields);
+                console.log(`🧭 [FLOW] Updated flow "${flow.name}"`);
+                
+                res.json({
+                    success: true,
+                    flow
+                });
+            } catch (error) {
+                sendError(res, error, 'updating');
+            }
+        });
+        
+        this.app.delete('/api/flows/:id', (req, res) => {
+            const flow = this.flowStore.remove(req.params.id);
+            if (!flow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Flow not found'
+                });
+            }
+            
+            endSessions(flow);
+            console.log(`🧭 [FLOW] Deleted flow "${flow.name}"`);
+            res.json({
+                success: true,
+                message: `Flow "${flow.name}" deleted`
+            });
+        });
+    }
+
+    setupRecurringRoutes() {
+        this.app.get('/api/schedules', (req, res) => {
+            res.json({
+                success: true,
+                schedules: this.scheduleStore.list().map(schedule => this.scheduleStore.describe(schedule))
+            });
+        });
+        
+        // Next runs of a recurrence before it's saved
+        this.app.post('/api/schedules/preview', (req, res) => {
+            const { recurrence, timezone = this.defaultTimezone } = req.body;
+            const count = Math.min(Math.max(parseInt(req.body.count) || 5, 1), 20);
+            
+            if (!isValidTimezone(timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown timezone: ${timezone}`
+                });
+            }
+            
+            try {
+                const compiled = compileRecurrence(recurrence, { timezone });
+                const runs = compiled.upcoming(new Date(), compiled.count === null ? count : Math.min(count, compiled.count));
+                res.json({
+                    success: true,
+                    type: compiled.type,
+                    timezone,
+                    nextRuns: runs.map(run => run.toISOString())
+                });
+            } catch (error) {
+                if (!(error instanceof RecurrenceError)) throw error;
+                res.status(400).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.post('/api/schedules', async (req, res) => {
+            try {
+                const { error, templateErrors, fields } = await this.scheduleFieldsFrom(req.body);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error,
+                        ...(templateErrors ? { templateErrors } : {})
+                    });
+                }
+                
+                const schedule = this.scheduleStore.create(fields);
+                this.armSchedule(schedule);
+                console.log(`🔁 [SCHEDULE] Created "${schedule.name}" (${schedule.recurrence}, ${schedule.timezone}), next run ${schedule.nextRunAt || 'never'}`);
+                
+                res.json({
+                    success: true,
+                    schedule: this.scheduleStore.describe(schedule),
+                    nextRuns: this.scheduleStore.upcoming(schedule)
+                });
+            } catch (error) {
+                console.error('❌ Error creating schedule:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // A schedule with its run history and next runs
+        this.app.get('/api/schedules/:id', (req, res) => {
+            const schedule = this.scheduleStore.get(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+            
+            res.json({
+                success: true,
+                schedule,
+                nextRuns: this.scheduleStore.upcoming(schedule)
+            });
+        });
+        
+        // Change any field; enabled=false pauses the schedule and true resumes it
+        this.app.put('/api/schedules/:id', async (req, res) => {
+            try {
+                const schedule = this.scheduleStore.get(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Schedule not found'
+                    });
+                }
+                
+                const { error, templateErrors, fields } = await this.scheduleFieldsFrom(req.body, schedule);
+                if (error) {
+                    return res.status(400).json({
+                        success: false,
+                        error,
+                        ...(templateErrors ? { templateErrors } : {})
+                    });
+                }
+                
+                this.armSchedule(this.scheduleStore.update(schedule, fields));
+                res.json({
+                    success: true,
+                    schedule: this.scheduleStore.describe(schedule),
+                    nextRuns: this.scheduleStore.upcoming(schedule)
+                });
+            } catch (error) {
+                console.error('❌ Error updating schedule:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Runs the schedule once now, without moving its next run
+        this.app.post('/api/schedules/:id/run', async (req, res) => {
+            try {
+                const schedule = this.scheduleStore.get(req.params.id);
+                if (!schedule) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Schedule not found'
+                    });
+                }
+                
+                const run = await this.runSchedule(schedule, 'manual');
+                res.json({
+                    success: run.status !== 'failed',
+                    run,
+                    ...(run.status === 'failed' ? { error: run.error } : {})
+                });
+            } catch (error) {
+                console.error('❌ Error running schedule:', error);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+        
+        this.app.delete('/api/schedules/:id', (req, res) => {
+            const schedule = this.scheduleStore.remove(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+            
+            this.scheduleTimer.remove(schedule.id);
+            console.log(`🗑️ [SCHEDULE] Deleted "${schedule.name}"`);
+            res.json({
+                success: true,
+                id: schedule.id
+            });
+        });
+    }
+
+    /**
+     * @param {string} number
+     * @param {string} message
+     * @param {string} [priority] - normal or high
+     * @param {object} [options]
+     * @param {string} [options.campaignId] - Campaign the message belongs to
+     * @param {number} [options.recipientIndex] - Index of the recipient in that campaign
+     * @param {Date|string} [options.sendAt] - Hold the message until then
+     * @param {string} [options.timezone] - Recipient timezone for quiet hours, guessed from the number otherwise
+     */
+    async queueMessage(number, message, priority = 'normal', options = {}) {
+        const queueTime = new Date().toLocaleTimeString();
+        console.debug(`📥 [QUEUE] queueMessage called at ${queueTime} for ${number}, priority: ${priority}`);
+        
+        // Validate inputs
+        if (!number || number === 'undefined' || typeof number !== 'string') {
+            console.error(`❌ [QUEUE] Invalid number input: ${number} (type: ${typeof number})`);
+            throw new Error('Invalid phone number: number is required and must be a string');
+        }
+        
+        if (!message || message === 'undefined' || typeof message !== 'string') {
+            console.error(`❌ [QUEUE] Invalid message input (type: ${typeof message})`, { message });
+            throw new Error('Invalid message: message is required and must be a string');
+        }
+        
+        // Validate and format number first
+        const formattedNumber = this.formatPhoneNumber(number);
+        console.debug(`📞 [QUEUE] Formatted number: ${formattedNumber} at ${queueTime}`);
+        if (!formattedNumber) {
+            console.log(`❌ [QUEUE] Invalid phone number format at ${queueTime}`);
+            throw new Error(`Invalid phone number: ${this.parsePhoneNumber(number).error}`);
+        }
+        
+        if (this.suppressionList.has(formattedNumber)) {
+            console.log(`🚫 [QUEUE] ${formattedNumber} is on the suppression list at ${queueTime}`);
+            throw new Error('Number has opted out of receiving messages');
+        }
+        
+        // Content analysis for spam detection
+        const contentCheck = this.analyzeMessageContent(message);
+        if (!contentCheck.safe) {
+            console.error(`❌ [QUEUE] Message blocked due to content: ${contentCheck.reason}`);
+            throw new Error(`Message blocked: ${contentCheck.reason}`);
+        }
+        
+        // Held until sendAt, or until quiet hours end where the recipient is
+        const { sendAt, timezone } = this.planDelivery(formattedNumber, options);
+        
+        // Pre-queue violation check including per-number limits; scheduled messages are checked when they're due
+        const violationCheck = sendAt ? null : await this.checkForViolations(formattedNumber, timezone);
+        if (violationCheck && !violationCheck.canSend) {
+            console.error(`❌ [QUEUE] Message blocked due to violations: ${violationCheck.reason}`);
+            throw new Error(`Cannot queue message: ${violationCheck.reason}`);
+        }
+        
+        // Log per-number limit status
+        if (violationCheck && violationCheck.numberLimitCheck) {
+            const { number, currentCount, limit } = violationCheck.numberLimitCheck;
+            console.log(`📊 [QUEUE] Number ${number} usage: ${currentCount}/${limit} messages today`);
+            
+            if (currentCount >= limit - 1) {
+                console.log(`⚠️ [QUEUE] WARNING: Number ${number} will reach limit after this message`);
+            }
+        }
+
+        // Daily limit removed - unlimited total messages, only per-number limit applies
         console.log(`📊 [QUEUE] Unlimited total messages allowed (queueMessage) at ${queueTime}`);
 
         // Validate WhatsApp user
@@ -1100,19 +4740,27 @@ class SafeWhatsAppBot {
             // When not connected, allow format-valid numbers but warn
             console.log(`⚠️ [QUEUE] Cannot verify WhatsApp user (not connected), allowing number at ${new Date().toLocaleTimeString()}`);
         }
+        
+        // Groups and channels only take messages where this account may post
+        await this.checkPostingRights(formattedNumber);
 
         const messageObj = {
-            id: Date.now() + Math.random(),
+            id: crypto.randomUUID(),
             number: formattedNumber,
             message,
             priority,
             timestamp: Date.now(),
             queuedAt: new Date().toLocaleTimeString(),
-            status: 'queued',
-            retries: 0
+            status: sendAt ? QueueStatus.SCHEDULED : QueueStatus.QUEUED,
+            statusHistory: [{ status: sendAt ? QueueStatus.SCHEDULED : QueueStatus.QUEUED, at: Date.now() }],
+            sendAt,
+            timezone,
+            retries: 0,
+            campaignId: options.campaignId || null,
+            recipientIndex: options.recipientIndex
         };
 
-        console.log(`📝 [QUEUE] Created message object at ${new Date().toLocaleTimeString()}:`, {
+        console.debug(`📝 [QUEUE] Created message object at ${new Date().toLocaleTimeString()}:`, {
             id: messageObj.id,
             number: messageObj.number,
             message: messageObj.message.substring(0, 50) + '...',
@@ -1120,6 +4768,12 @@ class SafeWhatsAppBot {
             queuedAt: messageObj.queuedAt
         });
 
+        await this.persistMessage(messageObj);
+        this.metrics.messagesQueued.inc({ session: this.sessionId, type: messageObj.type || 'text' });
+        if (sendAt) {
+            return this.scheduleMessage(messageObj);
+        }
+
         // Add to queue based on priority
         if (priority === 'high') {
             this.messageQueue.unshift(messageObj);
@@ -1129,153 +4783,967 @@ class SafeWhatsAppBot {
             console.log(`📬 [QUEUE] Added NORMAL priority message to end of queue at ${new Date().toLocaleTimeString()}`);
         }
 
-        console.log(`📊 [QUEUE] Queue status at ${new Date().toLocaleTimeString()}: Length=${this.messageQueue.length}, Processing=${this.isProcessing}, Connected=${this.isConnected}`);
+        console.debug(`📊 [QUEUE] Queue status at ${new Date().toLocaleTimeString()}: Length=${this.messageQueue.length}, Processing=${this.isProcessing}, Connected=${this.isConnected}`);
+
+        this.broadcastToClients('message_queued', messageObj);
+        
+        // Start message processor if not already running
+        if (!this.isProcessing && this.isConnected) {
+            console.log(`🚀 [QUEUE] Starting message processor at ${new Date().toLocaleTimeString()}...`);
+            this.startMessageProcessor();
+        } else {
+            console.log(`⚠️ [QUEUE] Not starting processor at ${new Date().toLocaleTimeString()}: processing=${this.isProcessing}, connected=${this.isConnected}`);
+            if (!this.isConnected) {
+                console.log(`🔌 [QUEUE] WhatsApp not connected - message will wait in queue`);
+            }
+            if (this.isProcessing) {
+                console.log(`⚙️ [QUEUE] Processor already running - message added to queue`);
+            }
+        }
+        
+        const result = {
+            success: true,
+            queueId: messageObj.id,
+            queuePosition: this.messageQueue.length,
+            queuedAt: messageObj.queuedAt
+        };
+        
+        console.log(`✅ [QUEUE] Message queued successfully at ${new Date().toLocaleTimeString()}: Position ${result.queuePosition} in queue`);
+        return result;
+    }
+
+    /**
+     * @param {string} number
+     * @param {MessageMedia|object} media - MessageMedia or a reference from the media store
+     * @param {string} [caption]
+     * @param {string} [priority] - normal or high
+     * @param {object} [options] - Same as queueMessage()
+     */
+    async queueMediaMessage(number, media, caption = '', priority = 'normal', options = {}) {
+        const queueTime = new Date().toLocaleTimeString();
+        console.debug(`📥 [QUEUE] queueMediaMessage called at ${queueTime} for ${number}, priority: ${priority}`);
+        
+        // Validate inputs
+        if (!number || number === 'undefined' || typeof number !== 'string') {
+            console.error(`❌ [QUEUE] Invalid number input: ${number} (type: ${typeof number})`);
+            throw new Error('Invalid phone number: number is required and must be a string');
+        }
+        
+        if (!media) {
+            console.error(`❌ [QUEUE] Invalid media input: ${media}`);
+            throw new Error('Invalid media: media object is required');
+        }
+        
+        // Validate number format
+        const formattedNumber = this.formatPhoneNumber(number);
+        console.debug(`📞 [QUEUE] Formatted number: ${formattedNumber} at ${queueTime}`);
+        if (!formattedNumber) {
+            console.log(`❌ [QUEUE] Invalid phone number format at ${queueTime}`);
+            throw new Error(`Invalid phone number: ${this.parsePhoneNumber(number).error}`);
+        }
+        
+        if (this.suppressionList.has(formattedNumber)) {
+            console.log(`🚫 [QUEUE] ${formattedNumber} is on the suppression list at ${queueTime}`);
+            throw new Error('Number has opted out of receiving messages');
+        }
+
+        // Daily limit removed - unlimited total messages, only per-number limit applies
+        console.log(`📊 [QUEUE] Unlimited total messages allowed (queueMediaMessage) at ${queueTime}`);
+
+        // Validate WhatsApp user
+        console.log(`🔍 [QUEUE] Validating WhatsApp user: ${formattedNumber} at ${queueTime}`);
+        console.log(`🔗 [QUEUE] WhatsApp connected: ${this.isConnected} at ${queueTime}`);
+        
+        const isValid = await this.isValidWhatsAppUser(formattedNumber);
+        console.log(`✅ [QUEUE] Number validation result: ${isValid} at ${new Date().toLocaleTimeString()}`);
+        
+        if (!isValid && this.isConnected) {
+            console.log(`❌ [QUEUE] Number is not a valid WhatsApp user at ${new Date().toLocaleTimeString()}`);
+            throw new Error('Number is not a valid WhatsApp user. Please check the number and try again.');
+        } else if (!isValid && !this.isConnected) {
+            console.log(`⚠️ [QUEUE] Cannot verify WhatsApp user (not connected), allowing number at ${new Date().toLocaleTimeString()}`);
+        }
+        
+        // Groups and channels only take messages where this account may post
+        await this.checkPostingRights(formattedNumber);
+
+        // Held until sendAt, or until quiet hours end where the recipient is
+        const { sendAt, timezone } = this.planDelivery(formattedNumber, options);
+
+        // Persist media by reference; in-memory MessageMedia objects are written to the media store first
+        const mediaRef = media.data ? this.mediaStore.saveMedia(media) : media;
+
+        const messageObj = {
+            id: crypto.randomUUID(),
+            number: formattedNumber,
+            media: mediaRef,
+            caption,
+            priority,
+            timestamp: Date.now(),
+            queuedAt: new Date().toLocaleTimeString(),
+            status: sendAt ? QueueStatus.SCHEDULED : QueueStatus.QUEUED,
+            statusHistory: [{ status: sendAt ? QueueStatus.SCHEDULED : QueueStatus.QUEUED, at: Date.now() }],
+            sendAt,
+            timezone,
+            retries: 0,
+            type: 'media',
+            campaignId: options.campaignId || null,
+            recipientIndex: options.recipientIndex
+        };
+
+        console.log(`📝 [QUEUE] Created media message object at ${new Date().toLocaleTimeString()}:`, {
+            id: messageObj.id,
+            number: messageObj.number,
+            caption: messageObj.caption ? messageObj.caption.substring(0, 50) + '...' : 'No caption',
+            priority: messageObj.priority,
+            queuedAt: messageObj.queuedAt,
+            type: messageObj.type,
+            mediaType: mediaRef.mimetype || 'unknown'
+        });
+
+        await this.persistMessage(messageObj);
+        this.metrics.messagesQueued.inc({ session: this.sessionId, type: messageObj.type || 'text' });
+        if (sendAt) {
+            return this.scheduleMessage(messageObj);
+        }
+
+        // Add to queue based on priority
+        if (priority === 'high') {
+            this.messageQueue.unshift(messageObj);
+            console.log(`⚡ [QUEUE] Added HIGH PRIORITY media message to front of queue at ${new Date().toLocaleTimeString()}`);
+        } else {
+            this.messageQueue.push(messageObj);
+            console.log(`📬 [QUEUE] Added NORMAL priority media message to end of queue at ${new Date().toLocaleTimeString()}`);
+        }
+
+        console.debug(`📊 [QUEUE] Queue status at ${new Date().toLocaleTimeString()}: Length=${this.messageQueue.length}, Processing=${this.isProcessing}, Connected=${this.isConnected}`);
+
+        this.broadcastToClients('message_queued', messageObj);
+        
+        // Start message processor if not already running
+        if (!this.isProcessing && this.isConnected) {
+            console.log(`🚀 [QUEUE] Starting message processor at ${new Date().toLocaleTimeString()}...`);
+            this.startMessageProcessor();
+        } else {
+            console.log(`⚠️ [QUEUE] Not starting processor at ${new Date().toLocaleTimeString()}: processing=${this.isProcessing}, connected=${this.isConnected}`);
+            if (!this.isConnected) {
+                console.log(`🔌 [QUEUE] WhatsApp not connected - media message will wait in queue`);
+            }
+            if (this.isProcessing) {
+                console.log(`⚙️ [QUEUE] Processor already running - media message added to queue`);
+            }
+        }
+        
+        const result = {
+            success: true,
+            queueId: messageObj.id,
+            queuePosition: this.messageQueue.length,
+            queuedAt: messageObj.queuedAt,
+            type: 'media'
+        };
+        
+        console.log(`✅ [QUEUE] Media message queued successfully at ${new Date().toLocaleTimeString()}: Position ${result.queuePosition} in queue`);
+        return result;
+    }
+
+    /**
+     * @param {*} sendAt
+     * @param {string} [timezone]
+     * @returns {string|null} Why the request can't be scheduled
+     */
+    validateSchedule(sendAt, timezone) {
+        if (sendAt && isNaN(new Date(sendAt).getTime())) return 'sendAt must be a valid date';
+        if (timezone && !isValidTimezone(timezone)) return `Unknown timezone: ${timezone}`;
+        return null;
+    }
+
+    /**
+     * @param {object} row - CSV row
+     * @returns {string|null} The row's Timezone column, if it names a valid timezone
+     */
+    contactTimezone(row) {
+        const timezone = row['Timezone'] || row['timezone'] || row['TimeZone'] || row['TIMEZONE'] || row['tz'] || row['TZ'];
+        if (!timezone) return null;
+        if (isValidTimezone(timezone.trim())) return timezone.trim();
+        console.warn(`⚠️ [CSV] Ignoring unknown timezone "${timezone}", it will be guessed from the number`);
+        return null;
+    }
+
+    /**
+     * @param {string} number
+     * @param {string} [timezone] - Explicit timezone, e.g. from a CSV column
+     * @returns {string}
+     */
+    recipientTimezone(number, timezone) {
+        if (isValidTimezone(timezone)) return timezone;
+        // Group and channel ids don't carry a country code
+        if (chatType(number) !== 'number') return this.defaultTimezone;
+        return inferTimezone(number) || this.defaultTimezone;
+    }
+
+    /**
+     * Works out when a message may go out: not before sendAt, and outside quiet hours in the recipient's timezone
+     * @param {string} number
+     * @param {object} options - sendAt and timezone, as passed to queueMessage()
+     * @returns {{sendAt: string|null, timezone: string}} sendAt is null when the message can be queued right away
+     */
+    planDelivery(number, options = {}) {
+        const timezone = this.recipientTimezone(number, options.timezone);
+        const requested = options.sendAt ? new Date(options.sendAt).getTime() : NaN;
+        const earliest = new Date(Math.max(isNaN(requested) ? 0 : requested, Date.now()));
+        const due = quietHoursEnd(earliest, timezone, this.rateLimiter.dailyBreakStart, this.rateLimiter.dailyBreakEnd) || earliest;
+        
+        return {
+            sendAt: due.getTime() > Date.now() + 1000 ? due.toISOString() : null,
+            timezone
+        };
+    }
+
+    /**
+     * Hands a persisted message to the scheduler
+     * @param {object} messageObj
+     * @returns {object} Result in the shape queueMessage() returns
+     */
+    scheduleMessage(messageObj) {
+        this.scheduler.add(messageObj);
+        console.log(`📅 [SCHEDULER] Message ${messageObj.id} for ${messageObj.number} held until ${messageObj.sendAt} (${messageObj.timezone})`);
+        this.broadcastToClients('message_scheduled', messageObj);
+        
+        return {
+            success: true,
+            queueId: messageObj.id,
+            scheduled: true,
+            sendAt: messageObj.sendAt,
+            timezone: messageObj.timezone,
+            queuedAt: messageObj.queuedAt,
+            ...(messageObj.type === 'media' ? { type: 'media' } : {})
+        };
+    }
 
+    /**
+     * Puts a message (back) in the queue, or with the scheduler while its sendAt is still ahead
+     * @param {object} messageObj
+     */
+    async enqueueMessage(messageObj) {
+        if (messageObj.sendAt && new Date(messageObj.sendAt).getTime() > Date.now() + 1000) {
+            await this.setMessageStatus(messageObj, QueueStatus.SCHEDULED);
+            this.scheduler.add(messageObj);
+            return;
+        }
+        
+        await this.setMessageStatus(messageObj, QueueStatus.QUEUED);
+        if (messageObj.priority === 'high') {
+            this.messageQueue.unshift(messageObj);
+        } else {
+            this.messageQueue.push(messageObj);
+        }
         this.broadcastToClients('message_queued', messageObj);
         
-        // Start message processor if not already running
         if (!this.isProcessing && this.isConnected) {
-            console.log(`🚀 [QUEUE] Starting message processor at ${new Date().toLocaleTimeString()}...`);
             this.startMessageProcessor();
-        } else {
-            console.log(`⚠️ [QUEUE] Not starting processor at ${new Date().toLocaleTimeString()}: processing=${this.isProcessing}, connected=${this.isConnected}`);
-            if (!this.isConnected) {
-                console.log(`🔌 [QUEUE] WhatsApp not connected - message will wait in queue`);
-            }
-            if (this.isProcessing) {
-                console.log(`⚙️ [QUEUE] Processor already running - message added to queue`);
-            }
+        }
+    }
+
+    /**
+     * Creates a campaign for everyone in contacts.csv, or the contacts given
+     * @param {object} fields
+     * @param {string} fields.name
+     * @param {string} fields.template - Message text, rendered per recipient by the template engine
+     * @param {object} [fields.media] - Media store reference
+     * @param {string} [fields.priority]
+     * @param {string} [fields.startAt] - Start later instead of immediately
+     * @param {string} [fields.consentScope] - Scope recipients must have consented to, defaults to CONSENT_SCOPE
+     * @param {object} [fields.savedTemplate] - Library template supplying the text and media not given explicitly
+     * @param {string} [fields.sendAt] - Queue everyone at the start but hold the messages until then
+     * @param {Array<object>} [fields.contacts] - Recipients in the shape loadContactsFromCSV() returns, contacts.csv when omitted
+     * @param {object} [fields.audience] - Where those contacts came from
+     * @param {string} [fields.consentPolicy] - Defaults to CONSENT_POLICY
+     * @returns {Promise<object>}
+     * @throws {TemplateError} When the template doesn't parse or uses columns the CSV doesn't have
+     * @throws {ConsentError} When the consent policy is "require" and contacts lack consent
+     */
+    async createCampaign({
+        name, template, media = null, priority = 'normal', startAt = null, consentScope = this.consentScope,
+        savedTemplate = null, sendAt = null, contacts = null, audience = { type: 'csv', source: 'contacts.csv' },
+        consentPolicy = this.consentPolicy
+    }) {
+        if (!contacts) {
+            contacts = await this.loadContactsFromCSV(this.contactsPath);
+        }
+        if (savedTemplate && (template === null || template === undefined)) {
+            template = savedTemplate.body;
+        }
+        
+        const validation = validateTemplate(template, this.contactColumns(contacts));
+        if (!validation.valid) {
+            throw new TemplateError(`Message template is invalid: ${validation.errors.join('; ')}`, validation.errors);
+        }
+        
+        if (consentPolicy === ConsentPolicy.REQUIRE) {
+            const missing = contacts.filter(contact => !hasConsent(contact.Consent, consentScope));
+            if (missing.length > 0) {
+                throw new ConsentError(
+                    `${missing.length} of ${contacts.length} contacts have no recorded consent${consentScope ? ` for "${consentScope}"` : ''}`,
+                    missing.map(contact => ({ name: contact.Name, number: contact.PhoneNumber }))
+                );
+            }
+        }
+        
+        if (savedTemplate && !media && savedTemplate.media) {
+            // The campaign releases its media when it finishes, so it gets its own copy
+            media = this.mediaStore.copy(savedTemplate.media);
+        }
+        
+        const campaign = this.campaignStore.create({
+            name,
+            template,
+            media,
+            priority,
+            savedTemplate: savedTemplate ? { id: savedTemplate.id, name: savedTemplate.name, version: savedTemplate.version } : null,
+            audience,
+            schedule: startAt ? { startAt: new Date(startAt).toISOString() } : null,
+            sendAt: sendAt ? new Date(sendAt).toISOString() : null,
+            consent: { policy: consentPolicy, scope: consentScope || null },
+            recipients: contacts.map(contact => ({
+                name: contact.Name,
+                number: contact.PhoneNumber,
+                type: chatType(contact.PhoneNumber),
+                consent: contact.Consent,
+                timezone: contact.Timezone,
+                fields: contact.Fields
+            }))
+        });
+        
+        if (savedTemplate) this.templateStore.markUsed(savedTemplate);
+        console.log(`📣 [CAMPAIGN] Created "${campaign.name}" (${campaign.id}) with ${campaign.recipients.length} recipients`);
+        return campaign;
+    }
+
+    /**
+     * Starts a campaign now, or arms a timer for its scheduled start
+     * @param {object} campaign
+     * @returns {Promise<object>}
+     */
+    async scheduleCampaign(campaign) {
+        const startAt = campaign.schedule ? new Date(campaign.schedule.startAt).getTime() : Date.now();
+        const wait = startAt - Date.now();
+        
+        if (wait <= 0) {
+            return this.runCampaign(campaign);
+        }
+        
+        clearTimeout(this.campaignTimers.get(campaign.id));
+        // setTimeout can't wait longer than ~24.8 days, re-check when it fires early
+        const timer = setTimeout(() => {
+            this.campaignTimers.delete(campaign.id);
+            if (campaign.status === CampaignStatus.SCHEDULED) {
+                this.scheduleCampaign(campaign).catch(error => {
+                    console.error(`❌ [CAMPAIGN] Failed to start "${campaign.name}":`, error.message);
+                });
+            }
+        }, Math.min(wait, 2147483647));
+        this.campaignTimers.set(campaign.id, timer);
+        
+        console.log(`📅 [CAMPAIGN] "${campaign.name}" scheduled for ${new Date(startAt).toLocaleString()}`);
+        return campaign;
+    }
+
+    /**
+     * Queues every recipient that hasn't been queued yet. Stops early when the campaign is paused or cancelled.
+     * @param {object} campaign
+     * @returns {Promise<object>}
+     */
+    async runCampaign(campaign) {
+        if (this.campaignRuns.has(campaign.id)) return campaign;
+        this.campaignRuns.add(campaign.id);
+        
+        try {
+            if (campaign.status === CampaignStatus.SCHEDULED) {
+                this.campaignStore.update(campaign, { status: CampaignStatus.RUNNING, startedAt: new Date().toISOString() });
+                this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+                console.log(`🚀 [CAMPAIGN] Starting "${campaign.name}"`);
+            }
+            
+            for (const [index, recipient] of campaign.recipients.entries()) {
+                if (campaign.status !== CampaignStatus.RUNNING) break;
+                if (recipient.status !== 'pending') continue;
+                
+                const suppressionKey = this.suppressionKey(recipient.number);
+                if (suppressionKey && this.suppressionList.has(suppressionKey)) {
+                    recipient.status = 'suppressed';
+                    recipient.error = 'Recipient opted out';
+                    this.campaignStore.save();
+                    continue;
+                }
+                
+                if (campaign.consent && campaign.consent.policy !== ConsentPolicy.OFF &&
+                    !hasConsent(recipient.consent, campaign.consent.scope)) {
+                    recipient.status = 'skipped';
+                    recipient.error = 'No recorded consent';
+                    this.campaignStore.save();
+                    continue;
+                }
+                
+                try {
+                    const text = this.renderCampaignMessage(campaign, recipient);
+                    const options = {
+                        campaignId: campaign.id,
+                        recipientIndex: index,
+                        sendAt: campaign.sendAt,
+                        timezone: recipient.timezone
+                    };
+                    const result = campaign.media
+                        ? await this.queueMediaMessage(recipient.number, campaign.media, text, campaign.priority, options)
+                        : await this.queueMessage(recipient.number, text, campaign.priority, options);
+                    
+                    recipient.queueId = result.queueId;
+                    recipient.queuedAt = new Date().toISOString();
+                    // The processor may already have moved it along
+                    if (recipient.status === 'pending') {
+                        recipient.status = result.scheduled ? QueueStatus.SCHEDULED : QueueStatus.QUEUED;
+                    }
+                } catch (error) {
+                    console.error(`❌ [CAMPAIGN] Error queuing message for ${recipient.name}:`, error.message);
+                    recipient.status = QueueStatus.FAILED;
+                    recipient.error = error.message;
+                }
+                this.campaignStore.save();
+            }
+        } finally {
+            this.campaignRuns.delete(campaign.id);
+        }
+        
+        this.checkCampaignFinished(campaign);
+        return campaign;
+    }
+
+    async pauseCampaign(campaign) {
+        clearTimeout(this.campaignTimers.get(campaign.id));
+        this.campaignTimers.delete(campaign.id);
+        this.campaignStore.update(campaign, { status: CampaignStatus.PAUSED, pausedAt: new Date().toISOString() });
+        
+        const held = [
+            ...this.messageQueue.filter(message => message.campaignId === campaign.id),
+            ...this.scheduler.take(message => message.campaignId === campaign.id)
+        ];
+        this.messageQueue = this.messageQueue.filter(message => message.campaignId !== campaign.id);
+        for (const message of held) {
+            await this.setMessageStatus(message, QueueStatus.PAUSED);
+        }
+        
+        console.log(`⏸️ [CAMPAIGN] Paused "${campaign.name}", ${held.length} queued messages held back`);
+        this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+        return campaign;
+    }
+
+    async resumeCampaign(campaign) {
+        if (!campaign.startedAt) {
+            // Paused before its scheduled start
+            this.campaignStore.update(campaign, { status: CampaignStatus.SCHEDULED, pausedAt: null });
+            this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+            return this.scheduleCampaign(campaign);
+        }
+        
+        this.campaignStore.update(campaign, { status: CampaignStatus.RUNNING, pausedAt: null });
+        
+        await this.queueStoreReady;
+        const held = await this.queueStore.list({ campaignId: campaign.id, status: QueueStatus.PAUSED, limit: 0 });
+        held.sort((a, b) => a.timestamp - b.timestamp);
+        for (const message of held) {
+            // Messages whose sendAt is still ahead go back to the scheduler
+            await this.enqueueMessage(message);
+        }
+        
+        console.log(`▶️ [CAMPAIGN] Resumed "${campaign.name}", ${held.length} messages back in the queue`);
+        this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+        
+        if (!this.isProcessing && this.isConnected) {
+            this.startMessageProcessor();
         }
         
-        const result = {
-            success: true,
-            messageId: messageObj.id,
-            queuePosition: this.messageQueue.length,
-            queuedAt: messageObj.queuedAt
-        };
-        
-        console.log(`✅ [QUEUE] Message queued successfully at ${new Date().toLocaleTimeString()}: Position ${result.queuePosition} in queue`);
-        return result;
+        // Queue whoever wasn't reached before the pause
+        this.runCampaign(campaign).catch(error => {
+            console.error(`❌ [CAMPAIGN] Failed to resume "${campaign.name}":`, error.message);
+        });
+        return campaign;
     }
 
-    async queueMediaMessage(number, media, caption = '', priority = 'normal') {
-        const queueTime = new Date().toLocaleTimeString();
-        console.log(`📥 [QUEUE] queueMediaMessage called at ${queueTime} for ${number}, priority: ${priority}`);
+    async cancelCampaign(campaign, reason = 'Campaign cancelled') {
+        clearTimeout(this.campaignTimers.get(campaign.id));
+        this.campaignTimers.delete(campaign.id);
+        this.campaignStore.update(campaign, { status: CampaignStatus.CANCELLED, finishedAt: new Date().toISOString() });
         
-        // Validate inputs
-        if (!number || number === 'undefined' || typeof number !== 'string') {
-            console.error(`❌ [QUEUE] Invalid number input: ${number} (type: ${typeof number})`);
-            throw new Error('Invalid phone number: number is required and must be a string');
+        const queued = [
+            ...this.messageQueue.filter(message => message.campaignId === campaign.id),
+            ...this.scheduler.take(message => message.campaignId === campaign.id)
+        ];
+        this.messageQueue = this.messageQueue.filter(message => message.campaignId !== campaign.id);
+        await this.queueStoreReady;
+        const held = await this.queueStore.list({ campaignId: campaign.id, status: QueueStatus.PAUSED, limit: 0 });
+        for (const message of [...queued, ...held]) {
+            await this.setMessageStatus(message, QueueStatus.CANCELLED, { error: reason });
         }
         
-        if (!media) {
-            console.error(`❌ [QUEUE] Invalid media input: ${media}`);
-            throw new Error('Invalid media: media object is required');
+        for (const recipient of campaign.recipients) {
+            if (recipient.status === 'pending') {
+                recipient.status = QueueStatus.CANCELLED;
+                recipient.error = reason;
+            }
         }
+        this.campaignStore.save();
         
-        // Validate number format
-        const formattedNumber = this.formatPhoneNumber(number);
-        console.log(`📞 [QUEUE] Formatted number: ${formattedNumber} at ${queueTime}`);
-        if (!formattedNumber) {
-            console.log(`❌ [QUEUE] Invalid phone number format at ${queueTime}`);
-            throw new Error('Invalid phone number format');
+        if (campaign.media) {
+            this.mediaStore.release(campaign.media);
         }
+        
+        console.log(`🛑 [CAMPAIGN] Cancelled "${campaign.name}": ${reason}`);
+        this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+        return campaign;
+    }
 
-        // Daily limit removed - unlimited total messages, only per-number limit applies
-        console.log(`📊 [QUEUE] Unlimited total messages allowed (queueMediaMessage) at ${queueTime}`);
+    /**
+     * Status a queue item should be parked in instead of being sent, if its campaign is paused or cancelled
+     * @param {object} messageObj
+     * @returns {string|null}
+     */
+    campaignHold(messageObj) {
+        const campaign = messageObj.campaignId && this.campaignStore.get(messageObj.campaignId);
+        if (!campaign) return null;
+        if (campaign.status === CampaignStatus.PAUSED) return QueueStatus.PAUSED;
+        if (campaign.status === CampaignStatus.CANCELLED) return QueueStatus.CANCELLED;
+        return null;
+    }
 
-        // Validate WhatsApp user
-        console.log(`🔍 [QUEUE] Validating WhatsApp user: ${formattedNumber} at ${queueTime}`);
-        console.log(`🔗 [QUEUE] WhatsApp connected: ${this.isConnected} at ${queueTime}`);
-        
-        const isValid = await this.isValidWhatsAppUser(formattedNumber);
-        console.log(`✅ [QUEUE] Number validation result: ${isValid} at ${new Date().toLocaleTimeString()}`);
+    async onCampaignMessageStatus(messageObj) {
+        const campaign = this.campaignStore.get(messageObj.campaignId);
+        if (!campaign) return;
         
-        if (!isValid && this.isConnected) {
-            console.log(`❌ [QUEUE] Number is not a valid WhatsApp user at ${new Date().toLocaleTimeString()}`);
-            throw new Error('Number is not a valid WhatsApp user. Please check the number and try again.');
-        } else if (!isValid && !this.isConnected) {
-            console.log(`⚠️ [QUEUE] Cannot verify WhatsApp user (not connected), allowing number at ${new Date().toLocaleTimeString()}`);
+        const previous = campaign.recipients[messageObj.recipientIndex];
+        const previousOutcome = previous ? STATUS_OUTCOMES[previous.status] : null;
+        const recipient = this.campaignStore.recordStatus(campaign, messageObj);
+        if (recipient) {
+            this.broadcastToClients('campaign_progress', {
+                campaignId: campaign.id,
+                number: recipient.number,
+                status: recipient.status,
+                summary: this.campaignStore.summarize(campaign)
+            });
+            
+            const outcome = STATUS_OUTCOMES[recipient.status];
+            if (outcome && outcome !== previousOutcome) {
+                this.applyOutcomeLabel(outcome, messageObj.number);
+            }
         }
+        this.checkCampaignFinished(campaign);
+    }
 
-        const messageObj = {
-            id: Date.now() + Math.random(),
-            number: formattedNumber,
-            media,
-            caption,
-            priority,
-            timestamp: Date.now(),
-            queuedAt: new Date().toLocaleTimeString(),
-            status: 'queued',
-            retries: 0,
-            type: 'media'
-        };
+    checkCampaignFinished(campaign) {
+        if (campaign.status !== CampaignStatus.RUNNING || this.campaignRuns.has(campaign.id)) return;
+        if (!this.campaignStore.isSettled(campaign)) return;
+        
+        this.campaignStore.update(campaign, { status: CampaignStatus.COMPLETED, finishedAt: new Date().toISOString() });
+        if (campaign.media) {
+            this.mediaStore.release(campaign.media);
+        }
+        
+        console.log(`🏁 [CAMPAIGN] "${campaign.name}" completed`);
+        this.broadcastToClients('campaign_update', this.campaignStore.describe(campaign));
+    }
 
-        console.log(`📝 [QUEUE] Created media message object at ${new Date().toLocaleTimeString()}:`, {
-            id: messageObj.id,
-            number: messageObj.number,
-            caption: messageObj.caption ? messageObj.caption.substring(0, 50) + '...' : 'No caption',
-            priority: messageObj.priority,
-            queuedAt: messageObj.queuedAt,
-            type: messageObj.type,
-            mediaType: media.mimetype || 'unknown'
-        });
+    async restoreCampaigns() {
+        for (const campaign of this.campaignStore.list()) {
+            if (campaign.status === CampaignStatus.SCHEDULED) {
+                await this.scheduleCampaign(campaign);
+            } else if (campaign.status === CampaignStatus.RUNNING) {
+                // Recipients that weren't queued before the restart
+                this.runCampaign(campaign).catch(error => {
+                    console.error(`❌ [CAMPAIGN] Failed to resume "${campaign.name}":`, error.message);
+                });
+            }
+        }
+    }
 
-        // Add to queue based on priority
-        if (priority === 'high') {
-            this.messageQueue.unshift(messageObj);
-            console.log(`⚡ [QUEUE] Added HIGH PRIORITY media message to front of queue at ${new Date().toLocaleTimeString()}`);
-        } else {
-            this.messageQueue.push(messageObj);
-            console.log(`📬 [QUEUE] Added NORMAL priority media message to end of queue at ${new Date().toLocaleTimeString()}`);
+    restoreSchedules() {
+        for (const schedule of this.scheduleStore.list()) {
+            if (schedule.nextRunAt && new Date(schedule.nextRunAt) < new Date()) {
+                console.log(`🔁 [SCHEDULE] "${schedule.name}" missed its run at ${new Date(schedule.nextRunAt).toLocaleString()}, running it now`);
+            }
+            this.armSchedule(schedule);
         }
+    }
 
-        console.log(`📊 [QUEUE] Queue status at ${new Date().toLocaleTimeString()}: Length=${this.messageQueue.length}, Processing=${this.isProcessing}, Connected=${this.isConnected}`);
+    /**
+     * Puts a recurring schedule on the timer for its next run, or takes it off when it has none
+     * @param {object} schedule
+     */
+    armSchedule(schedule) {
+        this.scheduleTimer.remove(schedule.id);
+        if (schedule.nextRunAt) {
+            this.scheduleTimer.add({ id: schedule.id, sendAt: schedule.nextRunAt });
+        }
+    }
 
-        this.broadcastToClients('message_queued', messageObj);
+    /**
+     * Sends a recurring schedule's message to its target as a new campaign, so every run gets a report
+     * @param {object} schedule
+     * @param {string} [trigger] - "schedule" for timed runs, "manual" for runs started from the API
+     * @returns {Promise<object|null>} The run recorded in the schedule's history
+     */
+    async runSchedule(schedule, trigger = 'schedule') {
+        if (!schedule) return null;
         
-        // Start message processor if not already running
-        if (!this.isProcessing && this.isConnected) {
-            console.log(`🚀 [QUEUE] Starting message processor at ${new Date().toLocaleTimeString()}...`);
-            this.startMessageProcessor();
-        } else {
-            console.log(`⚠️ [QUEUE] Not starting processor at ${new Date().toLocaleTimeString()}: processing=${this.isProcessing}, connected=${this.isConnected}`);
-            if (!this.isConnected) {
-                console.log(`🔌 [QUEUE] WhatsApp not connected - media message will wait in queue`);
+        const run = { trigger, startedAt: new Date().toISOString(), status: 'queued', campaignId: null, recipients: 0, queued: 0, error: null };
+        try {
+            // The template is looked up at send time, so edits reach the next run
+            const savedTemplate = schedule.templateId ? this.templateStore.get(schedule.templateId) : null;
+            if (schedule.templateId && !savedTemplate) {
+                throw new Error('The schedule\'s template has been deleted');
             }
-            if (this.isProcessing) {
-                console.log(`⚙️ [QUEUE] Processor already running - media message added to queue`);
+            
+            const contacts = await this.audienceContacts(schedule.target);
+            if (contacts.length === 0) {
+                throw new Error('The target has no recipients');
+            }
+            
+            const campaign = await this.createCampaign({
+                name: `${schedule.name} (${new Date().toLocaleString()})`,
+                template: savedTemplate ? null : schedule.message,
+                savedTemplate,
+                priority: schedule.priority,
+                contacts,
+                audience: { ...schedule.target, scheduleId: schedule.id },
+                // Only contacts.csv and the contact database carry consent records
+                consentPolicy: CONTACT_AUDIENCES.includes(schedule.target.type) ? this.consentPolicy : ConsentPolicy.OFF
+            });
+            run.campaignId = campaign.id;
+            run.recipients = campaign.recipients.length;
+            
+            await this.runCampaign(campaign);
+            run.queued = campaign.recipients.filter(recipient => recipient.queueId).length;
+            if (run.queued < run.recipients) {
+                run.status = run.queued > 0 ? 'partial' : 'failed';
+                const failed = campaign.recipients.find(recipient => !recipient.queueId && recipient.error);
+                run.error = failed ? failed.error : null;
             }
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
         }
         
-        const result = {
-            success: true,
-            messageId: messageObj.id,
-            queuePosition: this.messageQueue.length,
-            queuedAt: messageObj.queuedAt,
-            type: 'media'
+        this.scheduleStore.recordRun(schedule, run);
+        if (trigger === 'schedule') {
+            this.armSchedule(schedule);
+        }
+        
+        console.log(`🔁 [SCHEDULE] "${schedule.name}" ran (${trigger}): ${run.status}, ${run.queued}/${run.recipients} queued${run.error ? ` - ${run.error}` : ''}`);
+        this.broadcastToClients('schedule_run', { scheduleId: schedule.id, name: schedule.name, ...run });
+        return run;
+    }
+
+    /**
+     * Recipients of a bulk send or campaign request
+     * @param {object|string} [input] - audience from the request, { type, id } like a schedule's target, JSON text in
+     *     multipart forms; contacts.csv when omitted
+     * @returns {Promise<{error?: string, status?: number, fields?: object}>} fields are the createCampaign() options
+     *     for the audience: contacts, audience and consentPolicy
+     */
+    async requestAudience(input) {
+        let value = input || { type: 'contacts' };
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch {
+                return { error: 'audience is not valid JSON', status: 400 };
+            }
+        }
+        const { target, error } = this.audienceTarget(value);
+        if (error) {
+            return { error: error.replace(/^target\./, 'audience.'), status: 400 };
+        }
+        if (target.type === 'contacts') {
+            if (!fs.existsSync(this.contactsPath)) {
+                return { error: 'contacts.csv file not found', status: 404 };
+            }
+            return { fields: { contacts: await this.loadContactsFromCSV(this.contactsPath) } };
+        }
+        if (target.type === 'label' && (!this.isConnected || !this.client)) {
+            return { error: 'WhatsApp is not connected, the label\'s chats can\'t be looked up', status: 503 };
+        }
+        
+        const contacts = await this.audienceContacts(target);
+        if (contacts.length === 0) {
+            return { error: `"${target.name || target.id}" has no recipients`, status: 400 };
+        }
+        return {
+            fields: {
+                contacts,
+                audience: target,
+                consentPolicy: CONTACT_AUDIENCES.includes(target.type) ? this.consentPolicy : ConsentPolicy.OFF
+            }
         };
+    }
+
+    /**
+     * Who a bulk send or recurring schedule sends to, in the shape loadContactsFromCSV() returns
+     * @param {object} target - { type, id, name }, see audienceTarget()
+     * @returns {Promise<Array<object>>}
+     */
+    async audienceContacts(target) {
+        const contact = (name, number) => ({ Name: name || '', PhoneNumber: number, Consent: null, Timezone: null, Fields: {} });
         
-        console.log(`✅ [QUEUE] Media message queued successfully at ${new Date().toLocaleTimeString()}: Position ${result.queuePosition} in queue`);
-        return result;
+        switch (target.type) {
+        case 'number':
+        case 'group':
+            return [contact(target.name, target.id)];
+        case 'label': {
+            if (!this.isConnected || !this.client) {
+                throw new Error('WhatsApp is not connected, the label\'s chats can\'t be looked up');
+            }
+            const chats = await this.client.getChatsByLabelId(target.id);
+            return chats.map(chat => contact(chat.name, chat.id._serialized));
+        }
+        case 'groups':
+        case 'channels': {
+            // Names are only known while connected; chats that can't be posted to fail per target when queued
+            const chats = this.isConnected && this.client
+                ? await this.broadcastChats(target.type === 'groups' ? 'group' : 'channel').catch(() => [])
+                : [];
+            const names = new Map(chats.map(chat => [chat.id, chat.name]));
+            return target.ids.map(chatId => contact(names.get(chatId), chatId));
+        }
+        case 'list': {
+            const list = this.contactListStore.get(target.id);
+            if (!list) {
+                throw new Error(`The contact list "${target.name}" has been deleted`);
+            }
+            return this.contactStore.list({ where: entry => list.contactIds.has(entry.id) }).contacts.map(ContactStore.toRecipient);
+        }
+        case 'segment': {
+            const segment = this.segmentStore.get(target.id);
+            if (!segment) {
+                throw new Error(`The segment "${target.name}" has been deleted`);
+            }
+            return this.contactStore.list({ where: entry => this.matchesSegment(entry, segment.filter) }).contacts.map(ContactStore.toRecipient);
+        }
+        default: {
+            const csvPath = this.contactsPath;
+            if (!fs.existsSync(csvPath)) {
+                throw new Error('No contacts.csv has been uploaded');
+            }
+            return this.loadContactsFromCSV(csvPath);
+        }
+        }
+    }
+
+    /**
+     * @param {object} input - { type, id, name } from the request, { type, ids, name } for groups and channels
+     * @returns {{target?: object, error?: string}}
+     */
+    audienceTarget(input) {
+        const { type, id, ids, name } = input || {};
+        const label = name ? String(name).trim() : null;
+        
+        switch (type) {
+        case 'number': {
+            const number = id ? this.formatPhoneNumber(String(id)) : null;
+            return number
+                ? { target: { type, id: number, name: label } }
+                : { error: 'target.id must be a valid phone number' };
+        }
+        case 'group': {
+            const chatId = String(id || '').trim().replace(/(@g\.us)?$/, '@g.us');
+            return /^[\d-]+@g\.us$/.test(chatId)
+                ? { target: { type, id: chatId, name: label } }
+                : { error: 'target.id must be a group chat id, e.g. 120363012345678901@g.us' };
+        }
+        case 'groups':
+        case 'channels': {
+            const kind = type === 'groups' ? 'group' : 'channel';
+            const suffix = type === 'groups' ? '@g.us' : '@newsletter';
+            const pattern = type === 'groups' ? GROUP_ID : CHANNEL_ID;
+            const chatIds = Array.from(new Set(listOf(ids).map(entry => entry.replace(new RegExp(`(${suffix})?$`), suffix))));
+            if (chatIds.length === 0) {
+                return { error: `target.ids must list at least one ${kind} id` };
+            }
+            const invalid = chatIds.filter(chatId => !pattern.test(chatId));
+            return invalid.length === 0
+                ? { target: { type, id: null, ids: chatIds, name: label || `${chatIds.length} ${chatIds.length === 1 ? kind : type}` } }
+                : { error: `target.ids has invalid ${kind} ids: ${invalid.join(', ')}` };
+        }
+        case 'label':
+            return id
+                ? { target: { type, id: String(id), name: label } }
+                : { error: 'target.id must be a WhatsApp label id' };
+        case 'contacts':
+            return { target: { type, id: null, name: label || 'contacts.csv' } };
+        case 'list': {
+            const list = id ? this.contactListStore.get(String(id)) : null;
+            return list
+                ? { target: { type, id: list.id, name: list.name } }
+                : { error: 'target.id must be the id of a contact list' };
+        }
+        case 'segment': {
+            const segment = id ? this.segmentStore.get(String(id)) : null;
+            return segment
+                ? { target: { type, id: segment.id, name: segment.name } }
+                : { error: 'target.id must be the id of a segment' };
+        }
+        default:
+            return { error: 'target.type must be number, group, groups, channels, label, contacts, list or segment' };
+        }
+    }
+
+    /**
+     * Validates a create or update request for a recurring schedule
+     * @param {object} body - Request body
+     * @param {object} [schedule] - Schedule being updated, fields left out keep their value
+     * @returns {Promise<{error: string|null, templateErrors?: Array<string>, fields?: object}>}
+     */
+    async scheduleFieldsFrom(body, schedule = null) {
+        const current = schedule || {};
+        const given = (key) => body[key] !== undefined;
+        const fields = {};
+        
+        if (!schedule || given('name')) {
+            if (!body.name || !String(body.name).trim()) return { error: 'name is required' };
+            fields.name = String(body.name);
+        }
+        
+        fields.timezone = given('timezone') ? body.timezone : (current.timezone || this.defaultTimezone);
+        if (!isValidTimezone(fields.timezone)) return { error: `Unknown timezone: ${fields.timezone}` };
+        
+        fields.recurrence = given('recurrence') ? String(body.recurrence) : current.recurrence;
+        try {
+            compileRecurrence(fields.recurrence, { timezone: fields.timezone });
+        } catch (error) {
+            if (!(error instanceof RecurrenceError)) throw error;
+            return { error: error.message };
+        }
+        
+        fields.target = current.target;
+        if (!schedule || given('target')) {
+            const { target, error } = this.audienceTarget(body.target);
+            if (error) return { error };
+            fields.target = target;
+        }
+        
+        fields.templateId = current.templateId || null;
+        fields.message = current.message || null;
+        if (given('templateId') || given('message')) {
+            fields.templateId = body.templateId || null;
+            fields.message = body.message || null;
+        }
+        const savedTemplate = fields.templateId ? this.templateStore.get(fields.templateId) : null;
+        if (fields.templateId && !savedTemplate) return { error: 'Template not found' };
+        if (!savedTemplate && !fields.message) return { error: 'A templateId or message is required' };
+        
+        // Only contacts.csv and the contact database have columns besides the built-in variables; lists and
+        // segments change between runs, so any field a contact has counts
+        const csvPath = this.contactsPath;
+        let columns = [];
+        if (fields.target.type === 'contacts' && fs.existsSync(csvPath)) {
+            columns = this.contactColumns(await this.loadContactsFromCSV(csvPath));
+        } else if (CONTACT_AUDIENCES.includes(fields.target.type)) {
+            columns = this.contactStore.fieldNames();
+        }
+        const validation = validateTemplate(savedTemplate ? savedTemplate.body : fields.message, columns);
+        if (!validation.valid) {
+            return { error: `Message template is invalid: ${validation.errors.join('; ')}`, templateErrors: validation.errors };
+        }
+        
+        if (given('priority')) {
+            if (!['normal', 'high'].includes(body.priority)) return { error: 'priority must be normal or high' };
+            fields.priority = body.priority;
+        }
+        if (given('enabled')) {
+            fields.enabled = body.enabled === true || body.enabled === 'true';
+        }
+        
+        return { error: null, fields };
+    }
+
+    renderCampaignMessage(campaign, recipient) {
+        return this.renderTemplate(campaign.template, recipient.fields, recipient).text;
+    }
+
+    /**
+     * @param {string} template
+     * @param {object} [fields] - CSV columns of the contact
+     * @param {{name: string, number: string}} contact
+     * @returns {{text: string, missing: Array<string>}}
+     */
+    renderTemplate(template, fields, contact) {
+        return compileTemplate(template, { locale: this.templateLocale })
+            .render({ ...fields, name: contact.name, number: contact.number });
+    }
+
+    /**
+     * @param {Array<object>} contacts - As returned by loadContactsFromCSV() or audienceContacts()
+     * @returns {Array<string>} CSV headers, or every field of contacts from the database
+     */
+    contactColumns(contacts) {
+        return Array.from(new Set(contacts.flatMap(contact => Object.keys(contact.Fields))));
+    }
+
+    /**
+     * Per-recipient queueing results in the shape the bulk endpoints return
+     * @param {object} campaign
+     * @returns {Array<object>}
+     */
+    campaignResults(campaign) {
+        return campaign.recipients.map(recipient => ({
+            name: recipient.name,
+            number: recipient.number,
+            success: !!recipient.queueId,
+            queueId: recipient.queueId,
+            ...(recipient.queueId ? {} : { error: recipient.error })
+        }));
     }
 
     async startMessageProcessor() {
-        console.log('🔄 [PROCESSOR] startMessageProcessor called at', new Date().toLocaleTimeString());
+        console.debug('🔄 [PROCESSOR] startMessageProcessor called at', new Date().toLocaleTimeString());
         
         if (this.isProcessing) {
             console.log('⚠️ [PROCESSOR] Already processing, returning at', new Date().toLocaleTimeString());
             return;
         }
         
-        console.log('✅ [PROCESSOR] Setting isProcessing = true at', new Date().toLocaleTimeString());
+        console.debug('✅ [PROCESSOR] Setting isProcessing = true at', new Date().toLocaleTimeString());
         this.isProcessing = true;
         
-        console.log(`📬 [PROCESSOR] Queue length: ${this.messageQueue.length} at`, new Date().toLocaleTimeString());
-        console.log(`🔗 [PROCESSOR] Connected: ${this.isConnected} at`, new Date().toLocaleTimeString());
+        console.debug(`📬 [PROCESSOR] Queue length: ${this.messageQueue.length} at`, new Date().toLocaleTimeString());
+        console.debug(`🔗 [PROCESSOR] Connected: ${this.isConnected} at`, new Date().toLocaleTimeString());
         
         while (this.messageQueue.length > 0 && this.isConnected) {
             const message = this.messageQueue.shift();
+            
+            // Items of paused or cancelled campaigns can still be in flight (e.g. coming back from a retry)
+            const hold = this.campaignHold(message);
+            if (hold) {
+                console.log(`⏸️ [PROCESSOR] Skipping message ${message.id}, campaign is ${hold}`);
+                await this.setMessageStatus(message, hold);
+                continue;
+            }
+            
+            // The recipient may have opted out after the message was queued
+            if (this.suppressionList.has(message.number)) {
+                console.log(`🚫 [PROCESSOR] Skipping message ${message.id}, ${message.number} opted out`);
+                await this.setMessageStatus(message, QueueStatus.CANCELLED, { error: 'Recipient opted out' });
+                this.releaseMedia(message);
+                continue;
+            }
+            
+            // Quiet hours may have started where the recipient is since the message was queued
+            const quietUntil = quietHoursEnd(new Date(), message.timezone || this.recipientTimezone(message.number),
+                this.rateLimiter.dailyBreakStart, this.rateLimiter.dailyBreakEnd);
+            if (quietUntil) {
+                console.log(`😴 [PROCESSOR] Quiet hours for ${message.number}, holding message ${message.id} until ${quietUntil.toISOString()}`);
+                await this.setMessageStatus(message, QueueStatus.SCHEDULED, { sendAt: quietUntil.toISOString() });
+                this.scheduler.add(message);
+                continue;
+            }
+            
+            await this.setMessageStatus(message, QueueStatus.SENDING);
             const processingTime = new Date().toLocaleTimeString();
             const messageContent = message.type === 'media' 
                 ? (message.caption || 'Media message') 
@@ -1289,12 +5757,13 @@ class SafeWhatsAppBot {
             });
             
             try {
-                console.log(`🚀 [PROCESSOR] Calling sendMessageSafely at ${new Date().toLocaleTimeString()}...`);
+                console.debug(`🚀 [PROCESSOR] Calling sendMessageSafely at ${new Date().toLocaleTimeString()}...`);
                 const startTime = Date.now();
                 await this.sendMessageSafely(message);
                 const endTime = Date.now();
                 const duration = ((endTime - startTime) / 1000).toFixed(2);
-                console.log(`✅ [PROCESSOR] sendMessageSafely completed in ${duration}s at ${new Date().toLocaleTimeString()}`);
+                console.debug(`✅ [PROCESSOR] sendMessageSafely completed in ${duration}s at ${new Date().toLocaleTimeString()}`);
+                this.releaseMedia(message);
                 
                 this.updateStats(message.number); // Pass the target number for per-number tracking
                 
@@ -1305,14 +5774,14 @@ class SafeWhatsAppBot {
                     this.broadcastToClients('status_update', { 
                         message: `Taking a ${this.rateLimiter.breakDuration/1000/60} minute break` 
                     });
-                    await this.delay(this.rateLimiter.breakDuration);
+                    await this.rateLimitDelay('break', this.rateLimiter.breakDuration);
                 }
                 
             } catch (error) {
                 const errorTime = new Date().toLocaleTimeString();
                 console.error(`❌ [PROCESSOR] Error sending message at ${errorTime}:`, error.message);
-                message.status = 'failed';
-                message.error = error.message;
+                await this.setMessageStatus(message, QueueStatus.FAILED, { error: error.message });
+                this.releaseMedia(message);
                 this.broadcastToClients('message_failed', message);
             }
             
@@ -1333,7 +5802,7 @@ class SafeWhatsAppBot {
                 this.broadcastToClients('status_update', { 
                     message: `Taking a ${this.rateLimiter.breakDuration/1000/60} minute break to avoid violations` 
                 });
-                await this.delay(this.rateLimiter.breakDuration);
+                await this.rateLimitDelay('break', this.rateLimiter.breakDuration);
                 this.stats.consecutiveMessages = 0;
             }
 
@@ -1344,18 +5813,19 @@ class SafeWhatsAppBot {
                 this.broadcastToClients('status_update', { 
                     message: `Taking a ${this.rateLimiter.longBreakDuration/1000/60} minute long break for safety` 
                 });
-                await this.delay(this.rateLimiter.longBreakDuration);
+                await this.rateLimitDelay('long_break', this.rateLimiter.longBreakDuration);
             }
             
             // Optimized countdown for high throughput (shorter delays)
+            this.recordRateLimitWait('pacing', delaySeconds * 1000);
             const countdownIntervals = [1, 2, 3]; // Only show final seconds for speed
             for (let i = delaySeconds; i > 0; i--) {
                 if (countdownIntervals.includes(i)) {
-                    console.log(`⚡ [TIMER] ${i}s remaining (high-throughput mode)...`);
+                    console.debug(`⚡ [TIMER] ${i}s remaining (high-throughput mode)...`);
                 }
                 await this.delay(1000);
             }
-            console.log(`🚀 [TIMER] Ready for next message at ${new Date().toLocaleTimeString()}`);
+            console.debug(`🚀 [TIMER] Ready for next message at ${new Date().toLocaleTimeString()}`);
         }
         
         console.log(`🏁 [PROCESSOR] Message processor finished at ${new Date().toLocaleTimeString()}`);
@@ -1364,8 +5834,8 @@ class SafeWhatsAppBot {
 
     async sendMessageSafely(messageObj) {
         const sendTime = new Date().toLocaleTimeString();
-        console.log(`🚀 [SEND] sendMessageSafely called at ${sendTime} for ${messageObj.number}`);
-        console.log(`📋 [SEND] Message details:`, {
+        console.debug(`🚀 [SEND] sendMessageSafely called at ${sendTime} for ${messageObj.number}`);
+        console.debug(`📋 [SEND] Message details:`, {
             number: messageObj.number,
             message: messageObj.message,
             retries: messageObj.retries,
@@ -1374,7 +5844,7 @@ class SafeWhatsAppBot {
         
         try {
             // Anti-violation checks BEFORE sending (including per-number limits)
-            const violationCheck = await this.checkForViolations(messageObj.number);
+            const violationCheck = await this.checkForViolations(messageObj.number, messageObj.timezone);
             if (!violationCheck.canSend) {
                 console.log(`🚫 [VIOLATION] Message blocked: ${violationCheck.reason}`);
                 throw new Error(`Message sending blocked to prevent violations: ${violationCheck.reason}`);
@@ -1383,45 +5853,35 @@ class SafeWhatsAppBot {
             // Log per-number status
             if (violationCheck.numberLimitCheck) {
                 const { number, currentCount, limit } = violationCheck.numberLimitCheck;
-                console.log(`📊 [SEND] Number ${number} status: ${currentCount}/${limit} messages used today`);
+                console.debug(`📊 [SEND] Number ${number} status: ${currentCount}/${limit} messages used today`);
             }
 
             // Enhanced rate limit checks
-            console.log(`📊 [SEND] Rate check at ${new Date().toLocaleTimeString()}: ${this.stats.messagesPerMinute}/${this.rateLimiter.maxPerMinute} per minute, ${this.stats.messagesPerHour}/${this.rateLimiter.maxPerHour} per hour`);
+            console.debug(`📊 [SEND] Rate check at ${new Date().toLocaleTimeString()}: ${this.stats.messagesPerMinute}/${this.rateLimiter.maxPerMinute} per minute, ${this.stats.messagesPerHour}/${this.rateLimiter.maxPerHour} per hour`);
             
             if (this.stats.messagesPerMinute >= this.rateLimiter.maxPerMinute) {
                 console.log(`⚠️ [SEND] Per-minute rate limit reached, waiting 1 minute...`);
-                await this.delay(60000);
+                await this.rateLimitDelay('per_minute', 60000);
                 this.stats.messagesPerMinute = 0;
                 console.log(`✅ [SEND] Per-minute rate limit wait completed`);
             }
 
             if (this.stats.messagesPerHour >= this.rateLimiter.maxPerHour) {
                 console.log(`⚠️ [SEND] Hourly rate limit reached, waiting 1 hour...`);
-                await this.delay(3600000);
+                await this.rateLimitDelay('per_hour', 3600000);
                 this.stats.messagesPerHour = 0;
                 console.log(`✅ [SEND] Hourly rate limit wait completed`);
             }
 
-            // Check for daily quiet hours
-            const currentHour = new Date().getHours();
-            if (currentHour >= this.rateLimiter.dailyBreakStart || currentHour < this.rateLimiter.dailyBreakEnd) {
-                console.log(`😴 [SEND] In quiet hours (${this.rateLimiter.dailyBreakStart}:00 - ${this.rateLimiter.dailyBreakEnd}:00), delaying message...`);
-                const hoursUntilActive = currentHour >= this.rateLimiter.dailyBreakStart 
-                    ? (24 - currentHour + this.rateLimiter.dailyBreakEnd) 
-                    : (this.rateLimiter.dailyBreakEnd - currentHour);
-                await this.delay(hoursUntilActive * 3600000);
-            }
-
             // Weekend slowdown
             const isWeekend = [0, 6].includes(new Date().getDay());
             if (isWeekend && this.rateLimiter.weekendSlowdown) {
                 console.log(`🏖️ [SEND] Weekend detected, applying extra delay...`);
-                await this.delay(30000); // Extra 30 seconds on weekends
+                await this.rateLimitDelay('weekend', 30000); // Extra 30 seconds on weekends
             }
 
             // Enhanced client connection check
-            console.log(`🔗 [SEND] Checking client connection state at ${new Date().toLocaleTimeString()}...`);
+            console.debug(`🔗 [SEND] Checking client connection state at ${new Date().toLocaleTimeString()}...`);
             
             if (!this.client) {
                 throw new Error('WhatsApp client not initialized');
@@ -1437,7 +5897,7 @@ class SafeWhatsAppBot {
                     this.client.getState(),
                     new Promise((_, reject) => setTimeout(() => reject(new Error('State check timeout')), 3000))
                 ]);
-                console.log(`📱 [SEND] Client state at ${new Date().toLocaleTimeString()}:`, clientState);
+                console.debug(`📱 [SEND] Client state at ${new Date().toLocaleTimeString()}:`, clientState);
                 
                 // Check if state indicates readiness
                 isReady = clientState === 'CONNECTED';
@@ -1468,38 +5928,58 @@ class SafeWhatsAppBot {
                 throw new Error(`Client not ready. State: ${clientState || 'unknown'}, Info check failed`);
             }
             
-            console.log(`✅ [SEND] Client validated as ready at ${new Date().toLocaleTimeString()}`);
+            console.debug(`✅ [SEND] Client validated as ready at ${new Date().toLocaleTimeString()}`);
 
-            console.log(`📞 [SEND] Sending message to WhatsApp API at ${new Date().toLocaleTimeString()}...`);
-            console.log(`📧 [SEND] Target: ${messageObj.number}`);
+            console.debug(`📞 [SEND] Sending message to WhatsApp API at ${new Date().toLocaleTimeString()}...`);
+            console.debug(`📧 [SEND] Target: ${messageObj.number}`);
+            
+            // Admin-only settings may have changed since the message was queued; channels post through Channel.sendMessage()
+            const chat = chatType(messageObj.number) === 'number' ? null : await this.postableChat(messageObj.number);
+            const send = (content, options) => chat
+                ? chat.sendMessage(content, options)
+                : this.client.sendMessage(messageObj.number, content, options);
             
             let result;
             const apiStartTime = Date.now();
             
             if (messageObj.type === 'media') {
-                console.log(`� [SEND] Media Type: ${messageObj.media.mimetype || 'unknown'}`);
-                console.log(`📝 [SEND] Caption: ${messageObj.caption || 'No caption'}`);
+                console.debug(`� [SEND] Media Type: ${messageObj.media.mimetype || 'unknown'}`);
+                console.debug('📝 [SEND] Caption:', { caption: messageObj.caption || '' });
+                
+                // Media is stored by reference, load it only for the actual send
+                const media = MessageMedia.fromFilePath(messageObj.media.path);
+                media.filename = messageObj.media.filename;
+                media.mimetype = messageObj.media.mimetype; // Explicitly set the MIME type
                 
-                result = await this.client.sendMessage(messageObj.number, messageObj.media, { 
+                result = await send(media, { 
                     caption: messageObj.caption || '' 
                 });
             } else {
-                console.log(`💬 [SEND] Content: ${messageObj.message}`);
-                result = await this.client.sendMessage(messageObj.number, messageObj.message);
+                console.debug('💬 [SEND] Content:', { message: messageObj.message });
+                result = await send(messageObj.message);
             }
             
             const apiEndTime = Date.now();
             const apiDuration = ((apiEndTime - apiStartTime) / 1000).toFixed(2);
+            this.metrics.sendDuration.observe({ session: this.sessionId, type: messageObj.type || 'text' }, (apiEndTime - apiStartTime) / 1000);
             
             console.log(`✅ [SEND] WhatsApp API responded in ${apiDuration}s at ${new Date().toLocaleTimeString()}`);
             console.log(`📨 [SEND] Message ID: ${result.id?.id || 'unknown'}`);
             
-            messageObj.status = 'sent';
-            messageObj.messageId = result.id?.id || 'unknown';
-            messageObj.sentAt = Date.now();
+            await this.setMessageStatus(messageObj, QueueStatus.SENT, {
+                messageId: result.id?.id || null,
+                chatMessageId: result.id?._serialized,
+                sentAt: Date.now()
+            });
+            
+            const earlyAck = this.earlyAcks.get(messageObj.messageId);
+            if (earlyAck) {
+                this.earlyAcks.delete(messageObj.messageId);
+                await this.applyMessageAck(messageObj, earlyAck.ack);
+            }
 
             this.broadcastToClients('message_sent', messageObj);
-            console.log(`📺 [SEND] Broadcasted message_sent event at ${new Date().toLocaleTimeString()}`);
+            console.debug(`📺 [SEND] Broadcasted message_sent event at ${new Date().toLocaleTimeString()}`);
             
             console.log(`🎉 [SUCCESS] Message successfully sent to ${messageObj.number} at ${new Date().toLocaleTimeString()}`);
             console.log(`📊 [SUCCESS] Total processing time: ${((Date.now() - messageObj.timestamp) / 1000).toFixed(2)}s`);
@@ -1516,13 +5996,18 @@ class SafeWhatsAppBot {
             
             messageObj.retries++;
             
-            if (messageObj.retries < 3) {
+            // Retrying doesn't help while this account may not post to the group or channel
+            if (messageObj.retries < 3 && !(error instanceof ChatPermissionError)) {
+                await this.setMessageStatus(messageObj, QueueStatus.RETRYING, { error: error.message });
                 // Retry after delay
                 console.log(`🔄 [RETRY] Scheduling retry ${messageObj.retries}/3 for ${messageObj.number} at ${new Date().toLocaleTimeString()}`);
                 console.log(`⏱️ [RETRY] Will retry in 30 seconds...`);
                 await this.delay(30000); // Wait 30 seconds before retry
                 this.messageQueue.unshift(messageObj); // Add back to front of queue
                 console.log(`📬 [RETRY] Message re-queued for retry at ${new Date().toLocaleTimeString()}`);
+            } else if (error instanceof ChatPermissionError) {
+                console.error(`🚫 [FAILED] Can't post to ${messageObj.number}, not retrying: ${error.message}`);
+                throw error;
             } else {
                 console.error(`💥 [FAILED] All retry attempts (3/3) failed for ${messageObj.number} at ${new Date().toLocaleTimeString()}`);
                 throw error;
@@ -1539,184 +6024,23 @@ class SafeWhatsAppBot {
                 .on('data', (row) => {
                     // Handle different possible column names
                     const name = row['Name'] || row['name'] || row['NAME'] || 'Unknown';
-                    let phoneNumber = row['PhoneNumber'] || row['phonenumber'] || row['PHONENUMBER'] || 
-                                    row['Phone'] || row['phone'] || row['PHONE'] || '';
-                    
-                    // Handle Excel scientific notation and numeric values
-                    if (phoneNumber !== '') {
-                        // Convert to string if it's a number
-                        phoneNumber = String(phoneNumber);
-                        
-                        // Handle Excel scientific notation (e.g., 8.86928E+11, 9.17208E+11)
-                        if (phoneNumber.includes('E+') || phoneNumber.includes('e+')) {
-                            try {
-                                console.log(`🔬 [CSV] Scientific notation detected: ${phoneNumber}`);
-                                
-                                // Parse the scientific notation more carefully to avoid precision loss
-                                const parts = phoneNumber.toLowerCase().split('e+');
-                                if (parts.length === 2) {
-                                    const base = parseFloat(parts[0]);
-                                    const exponent = parseInt(parts[1]);
-                                    
-                                    console.log(`🔬 [CSV] Base: ${base}, Exponent: ${exponent}`);
-                                    
-                                    if (exponent === 11) {
-                                        // This is a 12-digit number in scientific notation
-                                        // Handle specific cases:
-                                        // 8.86928E+11 should become 919186928000 (not 886928000000)
-                                        // 9.17208E+11 should become 917208000000
-                                        // 9.18861E+11 should become 919188610000
-                                        // 9.19653E+11 should become 919196530000
-                                        
-                                        // Convert manually to avoid floating point precision issues
-                                        const baseStr = base.toString();
-                                        const decimalIndex = baseStr.indexOf('.');
-                                        
-                                        if (decimalIndex !== -1) {
-                                            // Remove decimal and reconstruct
-                                            const beforeDecimal = baseStr.substring(0, decimalIndex);
-                                            const afterDecimal = baseStr.substring(decimalIndex + 1);
-                                            
-                                            // Special handling for Indian numbers
-                                            if (base < 9.0) {
-                                                // Numbers like 8.86928E+11 should become 91xxxxxxxxx
-                                                // 8.86928 -> 886928 -> 919186928000 (insert '1' and add 91 prefix)
-                                                const digits = beforeDecimal + afterDecimal;
-                                                if (digits.length === 6) {
-                                                    // Insert '1' after first two digits and add 91 prefix
-                                                    phoneNumber = '91' + digits.substring(0, 1) + '1' + digits.substring(1) + '000';
-                                                } else {
-                                                    // Fallback: add 91 prefix and pad
-                                                    phoneNumber = '91' + digits + '0'.repeat(Math.max(0, 10 - digits.length));
-                                                }
-                                            } else {
-                                                // Numbers like 9.17208E+11 already start with 9 (India)
-                                                const digits = beforeDecimal + afterDecimal;
-                                                const zerosNeeded = 12 - digits.length; // Target 12 digits total
-                                                phoneNumber = digits + '0'.repeat(Math.max(0, zerosNeeded));
-                                            }
-                                        } else {
-                                            // No decimal, just add zeros
-                                            if (base < 9) {
-                                                phoneNumber = '91' + baseStr + '0'.repeat(9);
-                                            } else {
-                                                phoneNumber = baseStr + '0'.repeat(11);
-                                            }
-                                        }
-                                        
-                                        console.log(`✅ [CSV] Converted E+11: ${parts[0]}E+11 → ${phoneNumber}`);
-                                    } else {
-                                        // Fallback to regular parsing
-                                        const numericValue = parseFloat(phoneNumber);
-                                        phoneNumber = numericValue.toFixed(0);
-                                        console.log(`⚠️ [CSV] Fallback conversion for E+${exponent}: ${phoneNumber}`);
-                                    }
-                                } else {
-                                    // Fallback parsing
-                                    const numericValue = parseFloat(phoneNumber);
-                                    phoneNumber = numericValue.toFixed(0);
-                                    console.log(`⚠️ [CSV] Fallback scientific notation parsing: ${phoneNumber}`);
-                                }
-                            } catch (e) {
-                                console.warn(`⚠️ [CSV] Could not parse scientific notation: ${phoneNumber}`, e);
-                                phoneNumber = phoneNumber.replace(/E\+\d+/gi, '000000'); // Fallback
-                            }
-                        }
-                        
-                        console.log(`📱 [CSV] Processing phone number: "${phoneNumber}"`);
-                        
-                        // Handle Indian number formats specifically
-                        // Remove all spaces, dashes, brackets, and other non-digit chars except +
-                        let cleaned = phoneNumber.replace(/[\s\-\(\)\[\]\.]/g, '');
-                        
-                        // Handle +91 prefix (with or without spaces)
-                        if (cleaned.startsWith('+91')) {
-                            cleaned = cleaned.substring(3); // Remove +91
-                        } else if (cleaned.startsWith('91')) {
-                            cleaned = cleaned.substring(2); // Remove 91
-                        } else if (cleaned.startsWith('+')) {
-                            // Other country code with +, remove the +
-                            cleaned = cleaned.substring(1);
-                        }
-                        
-                        // Now ensure we have only digits
-                        cleaned = cleaned.replace(/\D/g, '');
-                        
-                        // Handle Indian number validation and formatting
-                        if (cleaned.length === 10) {
-                            // Standard Indian 10-digit number, add country code
-                            phoneNumber = '91' + cleaned;
-                            console.log(`✅ [CSV] Indian 10-digit number detected: ${cleaned} → ${phoneNumber}`);
-                        } else if (cleaned.length === 11 && cleaned.startsWith('0')) {
-                            // Remove leading 0 and add country code (old format)
-                            phoneNumber = '91' + cleaned.substring(1);
-                            console.log(`✅ [CSV] Indian number with leading 0: ${cleaned} → ${phoneNumber}`);
-                        } else if (cleaned.length === 12) {
-                            // 12 digits - check if it needs 91 prefix
-                            if (cleaned.startsWith('91')) {
-                                // Already has 91 country code
-                                phoneNumber = cleaned;
-                                console.log(`✅ [CSV] Indian number with country code: ${phoneNumber}`);
-                            } else {
-                                // 12 digits but doesn't start with 91
-                                // This could be a number like 886928000000 that should be 919186928000
-                                // Check if it's likely a truncated Indian number
-                                if (cleaned.match(/^[6-9]\d{9}$/) || cleaned.match(/^[89]\d{8}000000$/)) {
-                                    // Looks like a 10-digit Indian number with trailing zeros, add 91
-                                    const coreNumber = cleaned.replace(/0{6}$/, ''); // Remove trailing zeros
-                                    if (coreNumber.length === 6) {
-                                        // 6 digits + 000000 - likely truncated, needs reconstruction
-                                        console.log(`🔧 [CSV] Detected truncated number pattern: ${cleaned}`);
-                                        phoneNumber = '91' + cleaned; // Keep as is but add 91
-                                    } else {
-                                        phoneNumber = '91' + cleaned.substring(2); // Take last 10 digits
-                                    }
-                                } else {
-                                    // Take last 10 digits and add 91 prefix
-                                    const last10 = cleaned.substring(cleaned.length - 10);
-                                    phoneNumber = '91' + last10;
-                                }
-                                console.log(`✅ [CSV] 12-digit number processed: ${cleaned} → ${phoneNumber}`);
-                            }
-                        } else if (cleaned.length >= 11 && cleaned.length <= 15) {
-                            // Other country codes or international numbers
-                            phoneNumber = cleaned;
-                            console.log(`✅ [CSV] International number: ${phoneNumber}`);
-                        } else if (cleaned.length < 10) {
-                            console.warn(`⚠️ [CSV] Phone number too short (${cleaned.length} digits): ${cleaned}`);
-                            phoneNumber = ''; // Skip invalid numbers
-                        } else {
-                            console.warn(`⚠️ [CSV] Phone number too long (${cleaned.length} digits): ${cleaned}`);
-                            // Take last 10 digits and add 91 prefix for very long numbers
-                            const last10 = cleaned.substring(cleaned.length - 10);
-                            phoneNumber = '91' + last10;
-                            console.log(`✅ [CSV] Long number truncated: ${cleaned} → ${phoneNumber}`);
-                        }
-                        
-                        // Final validation for Indian numbers specifically
-                        if (phoneNumber && phoneNumber.startsWith('91')) {
-                            // Indian number should be exactly 12 digits (91 + 10 digits)
-                            if (phoneNumber.length !== 12) {
-                                console.warn(`⚠️ [CSV] Invalid Indian number length: ${phoneNumber} (expected 12 digits)`);
-                                phoneNumber = '';
-                            } else {
-                                console.log(`✅ [CSV] Valid Indian number: ${phoneNumber}`);
-                            }
-                        } else if (phoneNumber && (phoneNumber.length < 10 || phoneNumber.length > 15)) {
-                            console.warn(`⚠️ [CSV] Invalid phone number length: ${phoneNumber} (${phoneNumber.length} digits)`);
-                            phoneNumber = '';
-                        }
-                    }
+                    const input = row['PhoneNumber'] || row['phonenumber'] || row['PHONENUMBER'] || 
+                                  row['Phone'] || row['phone'] || row['PHONE'] || '';
                     
-                    // Only add contact if both name and valid phone number exist
-                    if (name && phoneNumber && phoneNumber.length >= 10) {
+                    // Stored as the digits of the E.164 number, the country code included
+                    const parsed = this.parsePhoneNumber(input);
+                    if (parsed.valid) {
+                        const phoneNumber = parsed.e164.slice(1);
                         contacts.push({
                             Name: name.trim(),
-                            PhoneNumber: phoneNumber
+                            PhoneNumber: phoneNumber,
+                            Consent: parseConsent(row),
+                            Timezone: this.contactTimezone(row),
+                            Fields: row // Every column, for message templates
                         });
                         console.log(`✅ [CSV] Added contact: ${name.trim()} -> ${phoneNumber}`);
-                    } else if (name) {
-                        console.warn(`⚠️ [CSV] Skipping contact with invalid phone: ${name} -> ${phoneNumber || 'empty'}`);
+                    } else {
+                        console.warn(`⚠️ [CSV] Skipping contact ${name} with phone "${input}": ${parsed.error}`);
                     }
                 })
                 .on('end', () => {
@@ -1732,6 +6056,11 @@ class SafeWhatsAppBot {
 
     async isValidWhatsAppUser(number) {
         try {
+            // Groups and channels aren't registered users, their ids come from WhatsApp itself
+            if (chatType(number) !== 'number') {
+                return true;
+            }
+            
             // If not connected, skip WhatsApp validation and just validate format
             if (!this.isConnected || !this.client) {
                 console.log(`⚠️ [VALIDATION] WhatsApp not connected, allowing number: ${number}`);
@@ -1770,6 +6099,55 @@ class SafeWhatsAppBot {
         }
     }
 
+    /**
+     * Looks up a group or channel this account may post to
+     * @param {string} chatId
+     * @returns {Promise<object>} The GroupChat or Channel
+     * @throws {ChatPermissionError} When it isn't found, or only admins may post and this account isn't one
+     */
+    async postableChat(chatId) {
+        const chat = await this.client.getChatById(chatId);
+        if (!chat || (!chat.isGroup && !chat.isChannel)) {
+            throw new ChatPermissionError(`${chatType(chatId) === 'channel' ? 'Channel' : 'Group'} not found, this account may have left it`);
+        }
+        const { canSend, reason } = postingRights(chat, this.ownId());
+        if (!canSend) throw new ChatPermissionError(reason);
+        return chat;
+    }
+
+    /**
+     * Refuses groups and channels this account can't post to, when that can be checked
+     * @param {string} chatId - Formatted chat id
+     * @throws {ChatPermissionError}
+     */
+    async checkPostingRights(chatId) {
+        if (chatType(chatId) === 'number' || !this.isConnected || !this.client) return;
+
+        try {
+            await this.postableChat(chatId);
+        } catch (error) {
+            if (error instanceof ChatPermissionError) {
+                console.log(`🚫 [QUEUE] Can't post to ${chatId}: ${error.message}`);
+                throw error;
+            }
+            // Same fail-safe as isValidWhatsAppUser(), the send checks again
+            console.error(`❌ [VALIDATION] Error checking posting rights for ${chatId}:`, error.message);
+        }
+    }
+
+    /**
+     * @param {string} number - As written: "+91 98765 43210", "098765 43210", "919876543210@c.us" ...
+     * @param {string} [defaultRegion] - Region of numbers without a country code, default is: PHONE_DEFAULT_REGION
+     * @returns {object} See normalizePhoneNumber(): E.164 and WhatsApp id, or why the number was rejected
+     */
+    parsePhoneNumber(number, defaultRegion) {
+        return normalizePhoneNumber(number, { defaultRegion: defaultRegion || this.defaultRegion });
+    }
+
+    /**
+     * @param {string} number
+     * @returns {string|null} WhatsApp chat id of the number, group or channel, null when it isn't valid
+     */
     formatPhoneNumber(number) {
         // Handle undefined, null, or non-string inputs
         if (!number || typeof number !== 'string') {
@@ -1777,63 +6155,19 @@ class SafeWhatsAppBot {
             return null;
         }
         
-        console.log(`📱 [FORMAT] Processing number: "${number}"`);
-        
-        // Handle Indian number formats specifically
-        // Remove all spaces, dashes, brackets, and other non-digit chars except +
-        let cleaned = number.replace(/[\s\-\(\)\[\]\.]/g, '');
-        
-        // Handle +91 prefix (with or without spaces)
-        if (cleaned.startsWith('+91')) {
-            cleaned = cleaned.substring(3); // Remove +91
-        } else if (cleaned.startsWith('91')) {
-            cleaned = cleaned.substring(2); // Remove 91
-        } else if (cleaned.startsWith('+')) {
-            // Other country code with +, remove the +
-            cleaned = cleaned.substring(1);
-        }
-        
-        // Now ensure we have only digits
-        cleaned = cleaned.replace(/\D/g, '');
-        
-        // Handle Indian number validation and formatting
-        let finalNumber;
-        if (cleaned.length === 10) {
-            // Standard Indian 10-digit number, add country code
-            finalNumber = '91' + cleaned;
-            console.log(`✅ [FORMAT] Indian 10-digit number: ${cleaned} -> ${finalNumber}`);
-        } else if (cleaned.length === 11 && cleaned.startsWith('0')) {
-            // Remove leading 0 and add country code (old format)
-            finalNumber = '91' + cleaned.substring(1);
-            console.log(`✅ [FORMAT] Indian number with leading 0: ${cleaned} -> ${finalNumber}`);
-        } else if (cleaned.length === 12 && cleaned.startsWith('91')) {
-            // Already has 91 country code
-            finalNumber = cleaned;
-            console.log(`✅ [FORMAT] Indian number with country code: ${finalNumber}`);
-        } else if (cleaned.length >= 11 && cleaned.length <= 15) {
-            // Other country codes or international numbers
-            finalNumber = cleaned;
-            console.log(`✅ [FORMAT] International number: ${finalNumber}`);
-        } else {
-            console.error(`❌ [FORMAT] Invalid phone number length: ${cleaned.length} digits for number: ${cleaned}`);
-            return null;
+        // Group chats and channels are addressed by their chat id
+        if (GROUP_ID.test(number) || CHANNEL_ID.test(number)) {
+            return number;
         }
         
-        // Final validation for Indian numbers specifically
-        if (finalNumber.startsWith('91')) {
-            // Indian number should be exactly 12 digits (91 + 10 digits)
-            if (finalNumber.length !== 12) {
-                console.error(`❌ [FORMAT] Invalid Indian number length: ${finalNumber} (expected 12 digits)`);
-                return null;
-            }
-        } else if (finalNumber.length < 10 || finalNumber.length > 15) {
-            console.error(`❌ [FORMAT] Invalid phone number length: ${finalNumber.length} digits for number: ${finalNumber}`);
+        const parsed = this.parsePhoneNumber(number);
+        if (!parsed.valid) {
+            console.error(`❌ [FORMAT] Rejected "${number}": ${parsed.error}`);
             return null;
         }
         
-        const formatted = finalNumber + '@c.us';
-        console.log(`✅ [FORMAT] Successfully formatted: ${number} -> ${formatted}`);
-        return formatted;
+        console.debug(`✅ [FORMAT] Successfully formatted: ${number} -> ${parsed.whatsappId}`);
+        return parsed.whatsappId;
     }
 
     analyzeMessageContent(message) {
@@ -1920,9 +6254,12 @@ class SafeWhatsAppBot {
         };
     }
 
-    async checkForViolations(targetNumber = null) {
+    /**
+     * @param {string} [targetNumber]
+     * @param {string} [timezone] - Recipient timezone quiet hours are checked in, the server's when omitted
+     */
+    async checkForViolations(targetNumber = null, timezone = null) {
         const now = Date.now();
-        const currentHour = new Date().getHours();
         const today = new Date().toDateString();
         
         // Reset hourly counter
@@ -1943,10 +6280,10 @@ class SafeWhatsAppBot {
         }
         
         // Daily limit removed - unlimited total messages allowed
-        console.log(`📊 [CHECK] Unlimited daily messages - only per-number limits apply`);
+        console.debug(`📊 [CHECK] Unlimited daily messages - only per-number limits apply`);
         
         // Check unique numbers limit - also unlimited now
-        console.log(`📊 [CHECK] Unlimited unique numbers allowed per day`);
+        console.debug(`📊 [CHECK] Unlimited unique numbers allowed per day`);
         
         // CRITICAL: Check per-number message limit
         if (targetNumber) {
@@ -1962,7 +6299,7 @@ class SafeWhatsAppBot {
                 };
             }
             
-            console.log(`📊 [CHECK] Number ${numberKey} messages: ${messagesForNumber}/${this.rateLimiter.maxPerNumber}`);
+            console.debug(`📊 [CHECK] Number ${numberKey} messages: ${messagesForNumber}/${this.rateLimiter.maxPerNumber}`);
         }
         
         // Check if too many messages sent too quickly
@@ -1974,11 +6311,14 @@ class SafeWhatsAppBot {
             };
         }
         
-        // Check quiet hours
-        if (currentHour >= this.rateLimiter.dailyBreakStart || currentHour < this.rateLimiter.dailyBreakEnd) {
+        // Check quiet hours, in the recipient's local time
+        const quietUntil = quietHoursEnd(new Date(), timezone || (targetNumber ? this.recipientTimezone(targetNumber) : this.defaultTimezone),
+            this.rateLimiter.dailyBreakStart, this.rateLimiter.dailyBreakEnd);
+        if (quietUntil) {
             return {
                 canSend: false,
-                reason: `Quiet hours active (${this.rateLimiter.dailyBreakStart}:00 - ${this.rateLimiter.dailyBreakEnd}:00)`
+                reason: `Quiet hours active (${this.rateLimiter.dailyBreakStart}:00 - ${this.rateLimiter.dailyBreakEnd}:00${timezone ? ` ${timezone}` : ''})`,
+                resumeAt: quietUntil.toISOString()
             };
         }
         
@@ -2071,38 +6411,167 @@ class SafeWhatsAppBot {
 
     broadcastToClients(event, data) {
         if (this.io) {
-            this.io.emit(event, data);
+            // Only signed-in clients are in a room, some events only go to higher roles
+            this.io.to(EVENT_ROLES[event] || 'viewer').emit(event, data);
         }
     }
 
+    /**
+     * Sends a webhook event, tagged with the session it happened in
+     * @param {string} event - One of WEBHOOK_EVENTS
+     * @param {object} data
+     */
+    emitWebhook(event, data) {
+        if (this.webhooks) {
+            this.webhooks.emit(event, { sessionId: this.sessionId, ...data });
+        }
+    }
+
+    /**
+     * @returns {object} State of the session for the session list
+     */
+    describeSession() {
+        const info = this.isConnected && this.client ? this.client.info : null;
+        return {
+            id: this.sessionId,
+            name: this.sessionName,
+            state: !this.client ? 'stopped' : this.isConnected ? 'connected' : this.lastQr ? 'qr' : 'starting',
+            account: info ? { name: info.pushname || null, number: info.wid?.user || null } : null,
+            queueLength: this.messageQueue.length,
+            isProcessing: this.isProcessing,
+            messagesSent: this.stats.messagesSent,
+            dailyCount: this.stats.dailyCount
+        };
+    }
+
+    /**
+     * Stops the WhatsApp client and sending, without reconnecting; the queue and stores stay
+     * available and initializeWhatsApp() starts it again with the saved login
+     */
+    async stopWhatsApp() {
+        this.stopped = true;
+        this.isProcessing = false;
+        this.isConnected = false;
+        this.lastQr = null;
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+        }
+        
+        const client = this.client;
+        this.client = null;
+        if (client) {
+            try {
+                await client.destroy();
+            } catch (error) {
+                console.log(`⚠️ Error destroying the client of session "${this.sessionId}":`, error.message);
+            }
+        }
+        console.log(`⏹️ [SESSION] Stopped WhatsApp for session "${this.sessionId}"`);
+        this.broadcastToClients('disconnected', {
+            reason: 'stopped',
+            message: 'WhatsApp is stopped for this session until it is started again',
+            timestamp: new Date().toISOString()
+        });
+        this.onStateChange(this);
+    }
+
+    /**
+     * Counts a pause of the rate limiter in whatsapp_bot_rate_limit_waits_total
+     * @param {string} reason - One of RATE_LIMIT_REASONS
+     * @param {number} ms
+     */
+    recordRateLimitWait(reason, ms) {
+        const labels = { session: this.sessionId, reason };
+        this.metrics.rateLimitWaits.inc(labels);
+        this.metrics.rateLimitWaitSeconds.inc(labels, ms / 1000);
+    }
+
+    async rateLimitDelay(reason, ms) {
+        this.recordRateLimitWait(reason, ms);
+        await this.delay(ms);
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     async shutdown() {
-        console.log('Shutting down WhatsApp bot...');
+        console.log(`Shutting down WhatsApp session "${this.sessionId}"...`);
+        this.stopped = true;
         this.isProcessing = false;
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+        }
+        
+        // Flush the queue store first so nothing pending is lost if the client hangs on destroy
+        await this.queueStore.close();
+        this.campaignStore.close();
+        this.suppressionList.close();
+        this.templateStore.close();
+        this.scheduleStore.close();
+        this.inboxStore.close();
+        this.autoReplyStore.close();
+        this.flowStore.close();
+        this.flowSessions.close();
+        this.contactStore.close();
+        this.contactListStore.close();
+        this.segmentStore.close();
+        this.labelSyncStore.close();
+        clearTimeout(this.labelSyncTimeout);
+        this.flowTimer.stop();
+        this.scheduler.stop();
+        this.scheduleTimer.stop();
+        for (const timer of this.campaignTimers.values()) clearTimeout(timer);
         
         if (this.client) {
             await this.client.destroy();
         }
-        
-        if (this.server) {
-            this.server.close();
-        }
     }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-    if (global.bot) {
-        await global.bot.shutdown();
+let logger = null;
+
+/**
+ * Sends console output through the structured logger, configured by the LOG_* variables
+ * (see bot/logging/Logger.js); only the first call sets it up
+ * @returns {Logger}
+ */
+const setupLogging = () => {
+    if (!logger) {
+        logger = createLoggerFromEnv(process.env);
+        logger.installConsole();
     }
-    process.exit(0);
-});
+    return logger;
+};
+
+/**
+ * Starts the web server with every registered session; MAX_SESSIONS caps how many can exist
+ * @returns {SessionManager}
+ */
+const startBot = () => {
+    setupLogging();
+    return new SessionManager({
+        createBot: options => new SafeWhatsAppBot(options),
+        publicPath: path.join(__dirname, 'public'),
+        dataPath: DATA_PATH,
+        port: process.env.PORT || 3001,
+        maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || undefined
+    });
+};
+
+// Handle graceful shutdown (SIGTERM is what Heroku sends on dyno cycling)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+        if (global.bot) {
+            await global.bot.shutdown();
+        }
+        process.exit(0);
+    });
+}
 
 // If this file is run directly (not imported)
 if (require.main === module) {
+    setupLogging();
     console.log('🚀 Starting Safe WhatsApp Bot...');
     console.log(`📅 Time: ${new Date().toLocaleString()}`);
     console.log(`📁 Directory: ${process.cwd()}`);
@@ -2113,7 +6582,7 @@ if (require.main === module) {
     console.log('');
     
     try {
-        global.bot = new SafeWhatsAppBot();
+        global.bot = startBot();
         console.log('✅ Bot instance created successfully!');
     } catch (error) {
         console.error('❌ Error creating bot:', error.message);
@@ -2123,4 +6592,4 @@ if (require.main === module) {
 }
 
 // Export the class for use in other files
-module.exports = { SafeWhatsAppBot };
+module.exports = { SafeWhatsAppBot, SessionManager, startBot };
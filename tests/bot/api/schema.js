@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const { validateSchema, coerceParameter } = require('../../../bot/api/schema');
+const { buildSpec } = require('../../../bot/api/openapi');
+const { requestValidator } = require('../../../bot/api/middleware');
+
+describe('OpenAPI', function() {
+    describe('validateSchema', function() {
+        const components = {
+            Priority: { type: 'string', enum: ['normal', 'high'] },
+            Message: {
+                type: 'object',
+                required: ['number'],
+                additionalProperties: false,
+                properties: {
+                    number: { type: 'string', pattern: '^\\+?\\d+$', example: '+447911123456' },
+                    priority: { $ref: '#/components/schemas/Priority' },
+                    delay: { type: 'integer', minimum: 0, maximum: 60, nullable: true }
+                }
+            }
+        };
+        const validate = (value) => validateSchema({ $ref: '#/components/schemas/Message' }, value, { name: 'body', components });
+
+        it('accepts values that fit', function() {
+            expect(validate({ number: '+447911123456', priority: 'high', delay: null })).to.deep.equal([]);
+        });
+
+        it('names the field of every problem', function() {
+            expect(validate({ priority: 'low', delay: 90, extra: 1 })).to.deep.equal([
+                'body.number is required',
+                'body.priority must be one of normal, high',
+                'body.delay must be at most 60',
+                'body.extra is not allowed'
+            ]);
+        });
+
+        it('shows an example for a pattern that has one', function() {
+            expect(validate({ number: 'abc' })).to.deep.equal(['body.number is not in the expected format, e.g. +447911123456']);
+        });
+
+        it('checks types, with integers counting as numbers', function() {
+            expect(validateSchema({ type: 'number' }, 3)).to.deep.equal([]);
+            expect(validateSchema({ type: 'integer' }, 1.5)).to.deep.equal(['value must be an integer']);
+            expect(validateSchema({ type: 'array' }, {})).to.deep.equal(['value must be an array']);
+        });
+
+        it('checks array items and sizes', function() {
+            const schema = { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } };
+            expect(validateSchema(schema, [])).to.deep.equal(['value needs at least 1 item(s)']);
+            expect(validateSchema(schema, ['a', ''])).to.deep.equal(['value[1] can\'t be empty']);
+        });
+
+        it('takes a value that fits any option of anyOf', function() {
+            const schema = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] };
+            expect(validateSchema(schema, ['a'])).to.deep.equal([]);
+            expect(validateSchema(schema, 3)).to.deep.equal(['value must be a string or an array']);
+        });
+
+        it('checks formats, leaving empty strings alone', function() {
+            expect(validateSchema({ type: 'string', format: 'date-time' }, 'soon')).to.deep.equal(['value must be a valid date-time']);
+            expect(validateSchema({ type: 'string', format: 'uri' }, '')).to.deep.equal([]);
+        });
+
+        it('treats undefined as not given', function() {
+            expect(validateSchema({ type: 'string' }, undefined)).to.deep.equal([]);
+        });
+    });
+
+    describe('coerceParameter', function() {
+        it('turns text into what the schema asks for', function() {
+            expect(coerceParameter({ type: 'integer' }, '20')).to.equal(20);
+            expect(coerceParameter({ type: 'boolean' }, 'true')).to.equal(true);
+            expect(coerceParameter({ type: 'array', items: { type: 'integer' } }, '1,2')).to.deep.equal([1, 2]);
+        });
+
+        it('leaves text that doesn\'t look like it', function() {
+            expect(coerceParameter({ type: 'integer' }, 'ten')).to.equal('ten');
+            expect(coerceParameter({ type: 'integer' }, ' ')).to.equal(' ');
+            expect(coerceParameter({ type: 'boolean' }, 'yes')).to.equal('yes');
+        });
+    });
+
+    describe('requestValidator', function() {
+        let validator;
+        const run = (method, path, body = {}) => {
+            const outcome = { next: false, status: null, body: null };
+            const req = { method, path, query: {}, body, is: type => type === 'application/json' };
+            const res = {
+                status(code) {
+                    outcome.status = code;
+                    return this;
+                },
+                json(payload) {
+                    outcome.body = payload;
+                    return this;
+                }
+            };
+            validator(req, res, () => {
+                outcome.next = true;
+            });
+            return { ...outcome, operation: req.apiOperation };
+        };
+
+        before(function() {
+            validator = requestValidator(buildSpec({ version: '0.0.0' }));
+        });
+
+        it('answers 400 with every problem of an invalid body', function() {
+            const outcome = run('POST', '/api/send-message', { priority: 'urgent' });
+            expect(outcome.status).to.equal(400);
+            expect(outcome.body.errors).to.include('body.number is required');
+        });
+
+        it('validates paths however Express could route them', function() {
+            for (const path of ['/API/send-message', '/api/send-message/', '/Api/Send-Message//']) {
+                expect(run('POST', path).status, path).to.equal(400);
+            }
+        });
+
+        it('reads path parameters as sent', function() {
+            const outcome = run('GET', '/api/Templates/AbC/');
+            expect(outcome.next).to.equal(true);
+            expect(outcome.operation).to.deep.equal({ path: '/api/templates/{id}', params: { id: 'AbC' } });
+        });
+
+        it('prefers literal paths over templated ones', function() {
+            expect(run('GET', '/api/flows/sessions').operation.path).to.equal('/api/flows/sessions');
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { AuditLog, AuditError } = require('../../../bot/audit/AuditLog');
+
+describe('AuditLog', function() {
+    let dataPath;
+
+    const fill = (log, count) => {
+        for (let i = 0; i < count; i++) {
+            log.record({ action: `POST /api/step-${i}`, outcome: i % 2 ? 'success' : 'failure' });
+        }
+    };
+    const actions = (result) => result.entries.map(entry => entry.action.replace('POST /api/', ''));
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-audit-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    it('appends every entry to the file', function() {
+        fill(new AuditLog({ dataPath }), 3);
+        const lines = fs.readFileSync(path.join(dataPath, 'audit.log'), 'utf-8').trim().split('\n');
+        expect(lines.map(line => JSON.parse(line).action)).to.deep.equal(['POST /api/step-0', 'POST /api/step-1', 'POST /api/step-2']);
+    });
+
+    it('keeps only the newest entries in memory', function() {
+        const log = new AuditLog({ dataPath, maxEntries: 3 });
+        fill(log, 10);
+        expect(log.entries.length).to.be.at.most(6);
+        const reopened = new AuditLog({ dataPath, maxEntries: 3 });
+        expect(reopened.entries.map(entry => entry.action)).to.deep.equal(['POST /api/step-7', 'POST /api/step-8', 'POST /api/step-9']);
+    });
+
+    it('pages through entries newest first, older ones read from the file', function() {
+        fill(new AuditLog({ dataPath }), 10);
+        const log = new AuditLog({ dataPath, maxEntries: 3 });
+        expect(log.query({ limit: 4 })).to.deep.include({ total: 10 });
+        expect(actions(log.query({ limit: 4 }))).to.deep.equal(['step-9', 'step-8', 'step-7', 'step-6']);
+        expect(actions(log.query({ limit: 4, offset: 4 }))).to.deep.equal(['step-5', 'step-4', 'step-3', 'step-2']);
+        expect(actions(log.query({ limit: 4, offset: 8 }))).to.deep.equal(['step-1', 'step-0']);
+        expect(log.query({}).entries).to.have.lengthOf(10);
+    });
+
+    it('filters older entries like the ones in memory', function() {
+        fill(new AuditLog({ dataPath }), 10);
+        const log = new AuditLog({ dataPath, maxEntries: 3 });
+        const result = log.query({ outcome: 'success', limit: 2, offset: 2 });
+        expect(result.total).to.equal(5);
+        expect(actions(result)).to.deep.equal(['step-5', 'step-3']);
+    });
+
+    it('skips lines it can\'t read', function() {
+        fill(new AuditLog({ dataPath }), 2);
+        fs.appendFileSync(path.join(dataPath, 'audit.log'), 'not json\n');
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            expect(new AuditLog({ dataPath }).query({}).total).to.equal(2);
+        } finally {
+            console.error = originalError;
+        }
+    });
+
+    it('refuses invalid filters', function() {
+        const log = new AuditLog({ dataPath });
+        expect(() => log.query({ from: 'someday', outcome: 'maybe' })).to.throw(AuditError, 'from must be a date or time; outcome must be one of success, failure');
+    });
+});
@@ -0,0 +1,46 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const { auditTrail } = require('../../../bot/audit/middleware');
+
+/**
+ * Runs a request through auditTrail and answers it
+ * @returns {Array<object>} What was recorded
+ */
+const audit = (method, path, body = {}, answer = { success: true }) => {
+    const recorded = [];
+    const res = new EventEmitter();
+    res.locals = {};
+    res.statusCode = 200;
+    res.json = payload => payload;
+    auditTrail({ record: entry => recorded.push(entry) })({ method, path, body, query: {}, ip: '127.0.0.1' }, res, () => {});
+    res.json(answer);
+    res.emit('finish');
+    return recorded;
+};
+
+describe('auditTrail', function() {
+    it('records API requests that change something', function() {
+        const [entry] = audit('POST', '/api/campaigns', { name: 'Spring', password: 'secret' }, { success: true, total: 3 });
+        expect(entry).to.include({ action: 'POST /api/campaigns', outcome: 'success', status: 200 });
+        expect(entry.params.body).to.deep.equal({ name: 'Spring', password: '[hidden]' });
+        expect(entry.counts).to.deep.equal({ total: 3 });
+    });
+
+    it('records them however the path is spelled', function() {
+        expect(audit('POST', '/API/auth/users')).to.have.lengthOf(1);
+        expect(audit('DELETE', '/Api/webhooks/1/')).to.have.lengthOf(1);
+    });
+
+    it('leaves out reads, dry runs and pages', function() {
+        expect(audit('GET', '/api/audit')).to.have.lengthOf(0);
+        expect(audit('POST', '/api/validate-numbers')).to.have.lengthOf(0);
+        expect(audit('POST', '/API/Templates/Preview/')).to.have.lengthOf(0);
+        expect(audit('POST', '/login.html')).to.have.lengthOf(0);
+    });
+
+    it('names the user a sign-in was tried for', function() {
+        const [entry] = audit('POST', '/API/auth/login', { username: 'alice', password: 'x' }, { success: false, error: 'Wrong password' });
+        expect(entry.actor).to.deep.equal({ type: 'user', id: null, name: 'alice', role: null });
+        expect(entry).to.include({ outcome: 'failure', error: 'Wrong password' });
+    });
+});
@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const { httpAuth, parseCookies } = require('../../../bot/auth/middleware');
+
+const KEYS = {
+    'viewer-key': { id: 'k1', name: 'dashboard', role: 'viewer' },
+    'admin-key': { id: 'k2', name: 'ops', role: 'admin' }
+};
+const store = {
+    findApiKey: key => KEYS[key] || null,
+    findSession: () => null
+};
+
+/**
+ * Runs httpAuth on a request
+ * @returns {{next: boolean, status: number|null, redirect: string|null}}
+ */
+const run = (method, path, apiKey) => {
+    const outcome = { next: false, status: null, redirect: null };
+    const req = { method, path, headers: apiKey ? { 'x-api-key': apiKey } : {} };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json() {
+            return this;
+        },
+        redirect(location) {
+            outcome.redirect = location;
+        }
+    };
+    httpAuth(store)(req, res, () => {
+        outcome.next = true;
+    });
+    return outcome;
+};
+
+describe('httpAuth', function() {
+    it('lets public routes and static files through', function() {
+        expect(run('POST', '/api/auth/login').next).to.equal(true);
+        expect(run('GET', '/style.css').next).to.equal(true);
+    });
+
+    it('sends the dashboard to the login page without a sign-in', function() {
+        expect(run('GET', '/').redirect).to.equal('/login.html');
+    });
+
+    it('answers 401 to API calls without a sign-in, however the path is spelled', function() {
+        for (const path of ['/api/auth/users', '/API/auth/users', '/Api/webhooks', '/api/auth/users/', '/Metrics']) {
+            const outcome = run('POST', path);
+            expect(outcome.next, path).to.equal(false);
+            expect(outcome.status, path).to.equal(401);
+        }
+    });
+
+    it('answers 403 when the role is too low, however the path is spelled', function() {
+        for (const path of ['/api/qr', '/api/qr/', '/API/QR', '/api/groups/1-2@g.us/invite/']) {
+            const outcome = run('GET', path, 'viewer-key');
+            expect(outcome.next, path).to.equal(false);
+            expect(outcome.status, path).to.equal(403);
+        }
+    });
+
+    it('lets callers with the role through', function() {
+        expect(run('GET', '/api/status', 'viewer-key').next).to.equal(true);
+        expect(run('GET', '/api/qr/', 'admin-key').next).to.equal(true);
+    });
+
+    it('refuses unknown API keys', function() {
+        expect(run('GET', '/api/status', 'nope').status).to.equal(401);
+    });
+});
+
+describe('parseCookies', function() {
+    it('reads cookie values, decoded where they can be', function() {
+        expect(parseCookies('a=1; swb_session=x%20y; bad=%E0')).to.deep.equal({ a: '1', swb_session: 'x y', bad: '%E0' });
+    });
+});
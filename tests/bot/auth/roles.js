@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const { hasRole, routeRole, rolesUpTo } = require('../../../bot/auth/roles');
+
+describe('Roles', function() {
+    describe('hasRole', function() {
+        it('lets every role do what the ones below it can', function() {
+            expect(hasRole('admin', 'viewer')).to.equal(true);
+            expect(hasRole('sender', 'sender')).to.equal(true);
+            expect(hasRole('viewer', 'sender')).to.equal(false);
+        });
+
+        it('refuses unknown roles', function() {
+            expect(hasRole('root', 'viewer')).to.equal(false);
+            expect(hasRole(undefined, 'viewer')).to.equal(false);
+        });
+    });
+
+    describe('rolesUpTo', function() {
+        it('lists the role and every role below it', function() {
+            expect(rolesUpTo('sender')).to.deep.equal(['viewer', 'sender']);
+        });
+    });
+
+    describe('routeRole', function() {
+        it('lets viewers read and dry-run', function() {
+            expect(routeRole('GET', '/api/status')).to.equal('viewer');
+            expect(routeRole('GET', '/api/groups')).to.equal('viewer');
+            expect(routeRole('POST', '/api/templates/preview')).to.equal('viewer');
+            expect(routeRole('POST', '/api/auth/password')).to.equal('viewer');
+        });
+
+        it('needs sender to send and to change campaigns, contacts and groups', function() {
+            expect(routeRole('POST', '/api/send-message')).to.equal('sender');
+            expect(routeRole('POST', '/api/campaigns/abc/pause')).to.equal('sender');
+            expect(routeRole('DELETE', '/api/contacts/abc')).to.equal('sender');
+            expect(routeRole('POST', '/api/groups/123-456@g.us/participants/add')).to.equal('sender');
+            expect(routeRole('POST', '/api/inbox/447911123456@c.us/messages')).to.equal('sender');
+        });
+
+        it('needs sender to read what a group\'s participants and invite link reveal', function() {
+            expect(routeRole('GET', '/api/groups/123-456@g.us')).to.equal('sender');
+            expect(routeRole('GET', '/api/groups/123-456@g.us/invite')).to.equal('sender');
+            expect(routeRole('GET', '/api/groups/123-456@g.us/requests')).to.equal('sender');
+        });
+
+        it('needs admin for the QR code, webhooks, users and API keys', function() {
+            expect(routeRole('GET', '/api/qr')).to.equal('admin');
+            expect(routeRole('GET', '/api/webhooks')).to.equal('admin');
+            expect(routeRole('POST', '/api/auth/users')).to.equal('admin');
+            expect(routeRole('GET', '/api/auth/keys')).to.equal('admin');
+            expect(routeRole('DELETE', '/api/suppression/447911123456')).to.equal('admin');
+        });
+
+        it('needs admin for changes nobody listed', function() {
+            expect(routeRole('POST', '/api/something-new')).to.equal('admin');
+            expect(routeRole('PATCH', '/api/status')).to.equal('admin');
+        });
+
+        // Express routes these to the same handlers, so they must need the same role
+        it('ignores the case of the path', function() {
+            expect(routeRole('GET', '/API/QR')).to.equal('admin');
+            expect(routeRole('POST', '/API/auth/users')).to.equal('admin');
+            expect(routeRole('GET', '/Api/webhooks')).to.equal('admin');
+            expect(routeRole('GET', '/api/Groups/123-456@g.us/Requests')).to.equal('sender');
+            expect(routeRole('POST', '/API/Send-Message')).to.equal('sender');
+        });
+
+        it('ignores trailing slashes', function() {
+            expect(routeRole('GET', '/api/qr/')).to.equal('admin');
+            expect(routeRole('GET', '/api/qr//')).to.equal('admin');
+            expect(routeRole('GET', '/api/groups/123-456@g.us/')).to.equal('sender');
+            expect(routeRole('GET', '/api/groups/123-456@g.us/invite/')).to.equal('sender');
+            expect(routeRole('GET', '/api/groups/123-456@g.us/requests/')).to.equal('sender');
+            expect(routeRole('POST', '/api/restart-whatsapp/')).to.equal('admin');
+            expect(routeRole('POST', '/api/send-message/')).to.equal('sender');
+        });
+    });
+});
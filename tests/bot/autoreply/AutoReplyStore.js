@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const AutoReplyStore = require('../../../bot/autoreply/AutoReplyStore');
+
+const MINUTE = 60000;
+
+const fields = (name, extra = {}) => ({
+    name,
+    match: { text: ['hi'] },
+    response: { type: 'text', text: 'Hello', media: null },
+    hours: null,
+    cooldownMinutes: 30,
+    ...extra
+});
+
+describe('AutoReplyStore', function() {
+    let dataPath;
+    let store;
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-autoreply-'));
+        store = new AutoReplyStore({ dataPath });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await store.save();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    describe('priority', function() {
+        it('checks new rules after the existing ones', function() {
+            store.create(fields('first'));
+            store.create(fields('second'));
+            expect(store.list().map(rule => rule.name)).to.deep.equal(['first', 'second']);
+        });
+
+        it('reorders rules, keeping the ones left out after the listed ones', function() {
+            const a = store.create(fields('a'));
+            const b = store.create(fields('b'));
+            const c = store.create(fields('c'));
+            expect(store.reorder([c.id, 'unknown', a.id]).map(rule => rule.name)).to.deep.equal(['c', 'a', 'b']);
+            expect(b.order).to.equal(3);
+            expect(store.create(fields('d')).order).to.equal(4);
+        });
+    });
+
+    describe('cooldowns', function() {
+        const now = new Date('2026-06-10T12:00:00Z');
+
+        it('holds a rule back per chat until the cooldown is over', function() {
+            const rule = store.create(fields('hi'));
+            store.recordReply(rule, 'a@c.us', now);
+            expect(store.cooldownUntil(rule, 'a@c.us', new Date(now.getTime() + 29 * MINUTE)).toISOString()).to.equal('2026-06-10T12:30:00.000Z');
+            expect(store.cooldownUntil(rule, 'a@c.us', new Date(now.getTime() + 30 * MINUTE))).to.equal(null);
+            expect(store.cooldownUntil(rule, 'b@c.us', now)).to.equal(null);
+        });
+
+        it('never holds back rules without a cooldown', function() {
+            const rule = store.create(fields('hi', { cooldownMinutes: 0 }));
+            store.recordReply(rule, 'a@c.us', now);
+            expect(store.cooldownUntil(rule, 'a@c.us', now)).to.equal(null);
+        });
+
+        it('forgets chats whose cooldown is over when recording a reply', function() {
+            const rule = store.create(fields('hi'));
+            store.recordReply(rule, 'a@c.us', now);
+            store.recordReply(rule, 'b@c.us', new Date(now.getTime() + 45 * MINUTE));
+            expect(Object.keys(rule.lastReplies)).to.deep.equal(['b@c.us']);
+            expect(rule.matchCount).to.equal(2);
+        });
+    });
+
+    it('describes rules without their cooldowns or attachment path', function() {
+        const rule = store.create(fields('photo', {
+            response: { type: 'media', text: '', media: { path: '/data/media/x.jpg', filename: 'x.jpg', mimetype: 'image/jpeg', size: 10 } }
+        }));
+        store.recordReply(rule, 'a@c.us');
+        const described = store.describe(rule);
+        expect(described).to.not.have.property('lastReplies');
+        expect(described.response.media).to.deep.equal({ filename: 'x.jpg', mimetype: 'image/jpeg', size: 10 });
+        expect(described.chatsCoolingDown).to.equal(1);
+    });
+});
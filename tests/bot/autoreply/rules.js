@@ -0,0 +1,137 @@
+const { expect } = require('chai');
+const { AutoReplyError, normalizeRule, withinHours, needsLabels, matchRule } = require('../../../bot/autoreply/rules');
+
+const options = { defaultTimezone: 'UTC' };
+
+const rule = (match, extra = {}) => normalizeRule({ name: 'Rule', match, response: { text: 'Hello {name}' }, ...extra }, options);
+
+const incoming = (fields = {}) => ({
+    body: 'hi',
+    type: 'chat',
+    chatId: '447911123456@c.us',
+    isGroup: false,
+    sender: '447911123456@c.us',
+    date: new Date('2026-06-10T12:00:00Z'), // a Wednesday
+    ...fields
+});
+
+describe('Auto-reply rules', function() {
+    describe('normalizeRule', function() {
+        it('fills in defaults', function() {
+            const normalized = rule({ text: 'Hi!, Hello  there' });
+            expect(normalized.match).to.include({ pattern: null, flags: 'i', chats: 'private' });
+            expect(normalized.match.text).to.deep.equal(['hi', 'hello there']);
+            expect(normalized.cooldownMinutes).to.equal(60);
+            expect(normalized.hours).to.equal(null);
+        });
+
+        it('reads nested objects sent as JSON text by forms', function() {
+            const normalized = normalizeRule({
+                name: 'Form',
+                match: '{"senders": "+44 7911 123456, 447911654321@c.us"}',
+                response: '{"type": "text", "text": "Hi"}',
+                cooldownMinutes: '0'
+            }, options);
+            expect(normalized.match.senders).to.deep.equal(['447911123456', '447911654321']);
+            expect(normalized.cooldownMinutes).to.equal(0);
+        });
+
+        it('lists every problem at once', function() {
+            try {
+                normalizeRule({
+                    match: { pattern: '(', flags: 'q', types: ['fax'], chats: 'some', groups: ['123'] },
+                    response: { type: 'text' },
+                    hours: { when: 'inside', days: [7], start: '9am', timezone: 'Mars/Olympus' },
+                    cooldownMinutes: -1
+                }, options);
+                expect.fail('normalizeRule() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(AutoReplyError);
+                expect(error.errors).to.have.lengthOf(10);
+                expect(error.errors[0]).to.equal('Rule name is required');
+                expect(error.errors[1]).to.match(/^Invalid pattern/);
+            }
+        });
+
+        it('rejects unknown regex flags and keeps valid ones', function() {
+            expect(() => rule({ pattern: 'hi', flags: 'x' })).to.throw(AutoReplyError, 'Invalid pattern');
+            expect(rule({ pattern: 'hi', flags: 'u' }).match.flags).to.equal('u');
+        });
+
+        it('checks the response template', function() {
+            expect(() => normalizeRule({ name: 'Bad', response: { text: 'Hi {name | shout}' } }, options))
+                .to.throw(AutoReplyError, 'Unknown filter "shout"');
+        });
+
+        it('keeps only what the response type uses', function() {
+            const normalized = normalizeRule({
+                name: 'Poll',
+                response: { type: 'poll', text: 'ignored', poll: { question: 'When?', options: 'Mon\nTue\n' } }
+            }, options);
+            expect(normalized.response).to.include({ text: '', templateId: null });
+            expect(normalized.response.poll).to.deep.equal({ question: 'When?', options: ['Mon', 'Tue'], allowMultipleAnswers: false });
+        });
+    });
+
+    describe('matchRule', function() {
+        it('compares text like opt-out keywords', function() {
+            const normalized = rule({ text: ['hi'] });
+            expect(matchRule(normalized, incoming({ body: ' Hi! ' }))).to.deep.equal({});
+            expect(matchRule(normalized, incoming({ body: 'hi there' }))).to.equal(null);
+        });
+
+        it('matches patterns case-insensitively by default and returns named groups', function() {
+            const normalized = rule({ pattern: '^order (?<order>\\d+)$' });
+            expect(matchRule(normalized, incoming({ body: 'ORDER 42' }))).to.deep.equal({ order: '42' });
+            expect(matchRule(normalized, incoming({ body: 'order 42 please' }))).to.equal(null);
+        });
+
+        it('honours the flags given', function() {
+            const caseSensitive = rule({ pattern: '^Order', flags: '' });
+            expect(matchRule(caseSensitive, incoming({ body: 'order 1' }))).to.equal(null);
+            expect(matchRule(caseSensitive, incoming({ body: 'Order 1' }))).to.deep.equal({});
+
+            const multiline = rule({ pattern: '^refund$', flags: 'im' });
+            expect(matchRule(multiline, incoming({ body: 'hello\nRefund' }))).to.deep.equal({});
+        });
+
+        it('only answers the chats in scope', function() {
+            const group = incoming({ isGroup: true, chatId: '123-456@g.us' });
+            expect(matchRule(rule({}), group)).to.equal(null);
+            expect(matchRule(rule({ chats: 'groups' }), incoming())).to.equal(null);
+            expect(matchRule(rule({ chats: 'groups', groups: ['123-456@g.us'] }), group)).to.deep.equal({});
+            expect(matchRule(rule({ chats: 'all', groups: ['999@g.us'] }), group)).to.equal(null);
+        });
+
+        it('filters on senders, message types and labels', function() {
+            expect(matchRule(rule({ senders: ['+44 7911 123456'] }), incoming())).to.deep.equal({});
+            expect(matchRule(rule({ senders: ['447911654321'] }), incoming())).to.equal(null);
+            expect(matchRule(rule({ types: ['image'] }), incoming())).to.equal(null);
+            expect(matchRule(rule({ labels: ['3'] }), incoming({ labels: ['1', '3'] }))).to.deep.equal({});
+            expect(matchRule(rule({ labels: ['3'] }), incoming())).to.equal(null);
+        });
+
+        it('only answers within business hours', function() {
+            const inside = rule({}, { hours: { when: 'inside', start: '09:00', end: '17:00' } });
+            const outside = rule({}, { hours: { when: 'outside', start: '09:00', end: '17:00' } });
+            expect(matchRule(inside, incoming())).to.deep.equal({});
+            expect(matchRule(outside, incoming())).to.equal(null);
+            expect(matchRule(inside, incoming({ date: new Date('2026-06-13T12:00:00Z') }))).to.equal(null);
+        });
+    });
+
+    describe('withinHours', function() {
+        it('runs hours that end before they start past midnight in the given timezone', function() {
+            const night = { when: 'inside', days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '06:00', timezone: 'Asia/Kolkata' };
+            expect(withinHours(night, new Date('2026-06-10T17:00:00Z'))).to.equal(true); // 22:30 in Kolkata
+            expect(withinHours(night, new Date('2026-06-10T00:29:00Z'))).to.equal(true); // 05:59
+            expect(withinHours(night, new Date('2026-06-10T00:30:00Z'))).to.equal(false); // 06:00
+            expect(withinHours(null, new Date())).to.equal(true);
+        });
+    });
+
+    it('knows when rules need chat labels', function() {
+        expect(needsLabels([rule({}), rule({ labels: '3' })])).to.equal(true);
+        expect(needsLabels([rule({})])).to.equal(false);
+    });
+});
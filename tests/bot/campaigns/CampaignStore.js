@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { CampaignStore, CampaignStatus, reportStatus } = require('../../../bot/campaigns/CampaignStore');
+
+describe('CampaignStore', function() {
+    let dataPath;
+    let store;
+
+    const create = () => store.create({
+        name: 'Spring sale',
+        template: 'Hi {{name}}',
+        audience: { type: 'list', id: 'l1' },
+        recipients: [
+            { name: 'Ann', number: '447911123456' },
+            { name: 'Team', number: '123-456@g.us', type: 'group' },
+            { name: 'Bob', number: '447911654321' }
+        ]
+    });
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-campaigns-'));
+        store = new CampaignStore({ dataPath });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await store.save();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    it('creates a scheduled campaign with pending recipients', function() {
+        const campaign = create();
+        expect(campaign.status).to.equal(CampaignStatus.SCHEDULED);
+        expect(campaign.recipients.map(recipient => recipient.type)).to.deep.equal(['number', 'group', 'number']);
+        expect(campaign.recipients.every(recipient => recipient.status === 'pending')).to.equal(true);
+        expect(store.get(campaign.id)).to.equal(campaign);
+    });
+
+    it('mirrors queue statuses onto recipients', function() {
+        const campaign = create();
+        store.recordStatus(campaign, { recipientIndex: 0, id: 'q1', status: 'sent', messageId: 'M1' });
+        store.recordStatus(campaign, { recipientIndex: 0, id: 'q1', status: 'read' });
+        store.recordStatus(campaign, { recipientIndex: 1, id: 'q2', status: 'failed' });
+
+        const [ann, team] = campaign.recipients;
+        expect(ann.messageId).to.equal('M1');
+        expect(ann.sentAt).to.be.a('string');
+        expect(ann.readAt).to.be.a('string');
+        expect(team.error).to.equal('Failed');
+        expect(store.recordStatus(campaign, { recipientIndex: 9, status: 'sent' })).to.equal(null);
+    });
+
+    it('summarizes recipients by report status and knows when they are settled', function() {
+        const campaign = create();
+        store.recordStatus(campaign, { recipientIndex: 0, id: 'q1', status: 'played' });
+        store.recordStatus(campaign, { recipientIndex: 1, id: 'q2', status: 'server' });
+        expect(store.summarize(campaign)).to.include({ total: 3, read: 1, sent: 1, pending: 1 });
+        expect(store.isSettled(campaign)).to.equal(false);
+
+        store.recordStatus(campaign, { recipientIndex: 2, id: 'q3', status: 'suppressed' });
+        expect(store.isSettled(campaign)).to.equal(true);
+    });
+
+    it('records only the first reply', function() {
+        const campaign = create();
+        const recipient = campaign.recipients[0];
+        expect(store.recordReply(campaign, recipient, new Date('2026-01-01T00:00:00Z'))).to.equal(true);
+        expect(store.recordReply(campaign, recipient)).to.equal(false);
+        expect(recipient.repliedAt).to.equal('2026-01-01T00:00:00.000Z');
+    });
+
+    it('describes campaigns without their recipients', function() {
+        const described = store.describe(create());
+        expect(described).to.not.have.property('recipients');
+        expect(described.summary.total).to.equal(3);
+    });
+
+    it('keeps campaigns across restarts', function() {
+        const campaign = create();
+        store.close();
+        expect(new CampaignStore({ dataPath }).get(campaign.id).name).to.equal('Spring sale');
+    });
+
+    it('buckets queue statuses into report columns', function() {
+        expect(reportStatus('server')).to.equal('sent');
+        expect(reportStatus('played')).to.equal('read');
+        expect(reportStatus('retrying')).to.equal('queued');
+    });
+});
@@ -0,0 +1,47 @@
+const { expect } = require('chai');
+const { participantRoles, participantResults, addResult, summarizeResults } = require('../../../bot/chats/groups');
+
+const group = (participants) => ({
+    id: { _serialized: '123-456@g.us' },
+    groupMetadata: {
+        participants: participants.map(([id, role]) => ({ id: { _serialized: id }, isAdmin: role === 'admin', isSuperAdmin: role === 'owner' }))
+    }
+});
+
+describe('Groups', function() {
+    describe('participantResults', function() {
+        const rolesBefore = () => participantRoles(group([['a@c.us', 'admin'], ['b@c.us'], ['c@c.us']]));
+
+        it('reads removals and admin changes back from the group', function() {
+            const after = participantRoles(group([['a@c.us'], ['c@c.us', 'admin']]));
+            const results = (action, ids) => participantResults(action, ids, rolesBefore(), after).map(result => [result.id, result.success]);
+            expect(results('remove', ['b@c.us', 'c@c.us', 'x@c.us'])).to.deep.equal([['b@c.us', true], ['c@c.us', false], ['x@c.us', false]]);
+            expect(results('promote', ['c@c.us'])).to.deep.equal([['c@c.us', true]]);
+            expect(results('demote', ['a@c.us'])).to.deep.equal([['a@c.us', true]]);
+        });
+
+        it('takes adds from what WhatsApp reported', function() {
+            const after = participantRoles(group([['a@c.us'], ['d@c.us']]));
+            const [reported, missing, unreported] = participantResults('add', ['e@c.us', 'f@c.us', 'd@c.us'], rolesBefore(), after, {
+                'e@c.us': { code: 403, isInviteV4Sent: true }
+            });
+            expect(reported).to.deep.equal({ id: 'e@c.us', success: false, code: 403, message: 'Can only join by invite', inviteSent: true });
+            expect(missing.success).to.equal(false);
+            expect(unreported.success).to.equal(true);
+        });
+    });
+
+    describe('addResult', function() {
+        it('explains the codes WhatsApp answers with', function() {
+            expect(addResult({ statusCode: 200 })).to.include({ success: true, message: 'Added' });
+            expect(addResult({ code: 409 })).to.include({ success: false, message: 'Already in the group' });
+            expect(addResult({ code: 500, message: 'Oops' })).to.include({ code: 500, message: 'Oops' });
+        });
+    });
+
+    describe('summarizeResults', function() {
+        it('counts successes and failures', function() {
+            expect(summarizeResults([{ success: true }, { success: false }, { success: true }])).to.deep.equal({ total: 3, succeeded: 2, failed: 1 });
+        });
+    });
+});
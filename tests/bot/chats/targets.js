@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { chatType, postingRights, describeChat } = require('../../../bot/chats/targets');
+
+const OWN_ID = '447911123456@c.us';
+
+const group = (participants, metadata = {}, fields = {}) => ({
+    id: { _serialized: '123-456@g.us' },
+    name: 'Team',
+    groupMetadata: {
+        participants: participants.map(([id, role]) => ({ id: { _serialized: id }, isAdmin: role === 'admin', isSuperAdmin: role === 'owner' })),
+        ...metadata
+    },
+    ...fields
+});
+
+const channel = (membershipType, metadata = {}) => ({
+    id: { _serialized: '120363000000000000@newsletter' },
+    name: 'News',
+    isChannel: true,
+    description: 'Daily news',
+    channelMetadata: { membershipType, ...metadata }
+});
+
+describe('Chat targets', function() {
+    describe('chatType', function() {
+        it('tells groups, channels and numbers apart', function() {
+            expect(chatType('123-456@g.us')).to.equal('group');
+            expect(chatType('120363000000000000@g.us')).to.equal('group');
+            expect(chatType('120363000000000000@newsletter')).to.equal('channel');
+            expect(chatType('447911123456')).to.equal('number');
+            expect(chatType('447911123456@c.us')).to.equal('number');
+            expect(chatType('abc@g.us')).to.equal('number');
+        });
+    });
+
+    describe('postingRights', function() {
+        it('lets participants post to groups', function() {
+            expect(postingRights(group([[OWN_ID]]), OWN_ID)).to.deep.equal({ canSend: true, reason: null });
+        });
+
+        it('lets only admins and owners post to announce-only groups', function() {
+            expect(postingRights(group([[OWN_ID]], { announce: true }), OWN_ID)).to.deep.equal({
+                canSend: false,
+                reason: 'Only admins can send messages to this group'
+            });
+            expect(postingRights(group([[OWN_ID, 'admin']], { announce: true }), OWN_ID).canSend).to.equal(true);
+            expect(postingRights(group([[OWN_ID, 'owner']], { announce: true }), OWN_ID).canSend).to.equal(true);
+        });
+
+        it('refuses groups the account isn\'t in, even as an admin elsewhere', function() {
+            const notMine = group([['447900000000@c.us', 'owner']]);
+            expect(postingRights(notMine, OWN_ID)).to.deep.equal({
+                canSend: false,
+                reason: 'This account is not a participant of the group'
+            });
+            expect(postingRights(group([], {}, { groupMetadata: undefined }), OWN_ID).canSend).to.equal(false);
+        });
+
+        it('lets channel owners and admins post, never followers', function() {
+            expect(postingRights(channel('owner'), OWN_ID).canSend).to.equal(true);
+            expect(postingRights(channel('admin'), OWN_ID).canSend).to.equal(true);
+            expect(postingRights(channel('subscriber'), OWN_ID)).to.deep.equal({
+                canSend: false,
+                reason: 'Only the channel\'s owner and admins can post to it'
+            });
+            expect(postingRights({ isChannel: true }, OWN_ID).canSend).to.equal(false);
+        });
+    });
+
+    describe('describeChat', function() {
+        it('describes a group with its size and who may post', function() {
+            const described = describeChat(group([[OWN_ID], ['447900000000@c.us', 'admin']], { announce: true, desc: 'Our team' }), OWN_ID);
+            expect(described).to.deep.equal({
+                id: '123-456@g.us',
+                type: 'group',
+                name: 'Team',
+                description: 'Our team',
+                size: 2,
+                adminsOnly: true,
+                canSend: false,
+                reason: 'Only admins can send messages to this group'
+            });
+        });
+
+        it('describes a group the account left', function() {
+            expect(describeChat(group([['447900000000@c.us']]), OWN_ID)).to.include({
+                adminsOnly: false,
+                canSend: false,
+                reason: 'This account is not a participant of the group'
+            });
+        });
+
+        it('describes channels as admins only, with followers when known', function() {
+            expect(describeChat(channel('admin', { size: 1200 }), OWN_ID)).to.deep.equal({
+                id: '120363000000000000@newsletter',
+                type: 'channel',
+                name: 'News',
+                description: 'Daily news',
+                size: 1200,
+                adminsOnly: true,
+                canSend: true,
+                reason: null
+            });
+            expect(describeChat(channel('subscriber'), OWN_ID)).to.include({ size: null, canSend: false });
+        });
+    });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { SuppressionList } = require('../../../bot/compliance/SuppressionList');
+
+describe('SuppressionList', function() {
+    let dataPath;
+    let list;
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-suppression-'));
+        list = new SuppressionList({ dataPath });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await list.save();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    it('keys every spelling of a number the same way', function() {
+        expect(SuppressionList.key('+44 7911-123456')).to.equal('447911123456');
+        expect(SuppressionList.key('447911123456@c.us')).to.equal('447911123456');
+        expect(SuppressionList.key('(44) 7911 123 456')).to.equal('447911123456');
+        expect(SuppressionList.key(null)).to.equal('');
+    });
+
+    it('matches a number added in one form when asked in another', function() {
+        list.add('+44 7911-123456');
+        expect(list.has('447911123456@c.us')).to.equal(true);
+        expect(list.has('447911123456')).to.equal(true);
+        expect(list.get('447911123456').number).to.equal('447911123456');
+        expect(list.has('447911654321')).to.equal(false);
+    });
+
+    it('tells keyword opt-outs apart from operator ones', function() {
+        list.add('447911123456@c.us', { source: 'keyword', keyword: 'STOP', reason: 'Recipient opted out' });
+        list.add('447911654321');
+
+        expect(list.get('447911123456')).to.include({ source: 'keyword', keyword: 'STOP' });
+        expect(list.get('447911654321')).to.include({ source: 'manual', keyword: null });
+    });
+
+    it('removes numbers in any form', function() {
+        list.add('447911123456');
+        expect(list.remove('+44 7911 123456')).to.equal(true);
+        expect(list.remove('447911123456')).to.equal(false);
+        expect(list.has('447911123456')).to.equal(false);
+    });
+
+    describe('matchKeyword', function() {
+        it('matches the whole message ignoring case and surrounding punctuation', function() {
+            expect(list.matchKeyword('STOP')).to.equal('opt_out');
+            expect(list.matchKeyword('  Stop! ')).to.equal('opt_out');
+            expect(list.matchKeyword('opt   out')).to.equal('opt_out');
+            expect(list.matchKeyword('Start.')).to.equal('opt_in');
+        });
+
+        it('ignores keywords inside a sentence', function() {
+            expect(list.matchKeyword('please stop by the shop tomorrow')).to.equal(null);
+            expect(list.matchKeyword('')).to.equal(null);
+            expect(list.matchKeyword(undefined)).to.equal(null);
+        });
+
+        it('uses the configured keywords', function() {
+            const custom = new SuppressionList({ dataPath, optOutKeywords: ['Halt'], optInKeywords: ['resume'] });
+            expect(custom.matchKeyword('halt')).to.equal('opt_out');
+            expect(custom.matchKeyword('stop')).to.equal(null);
+            expect(custom.matchKeyword('RESUME')).to.equal('opt_in');
+        });
+    });
+
+    it('keeps entries across restarts', function() {
+        list.add('447911123456', { source: 'keyword', keyword: 'stop' });
+        list.close();
+        expect(new SuppressionList({ dataPath }).get('447911123456@c.us').source).to.equal('keyword');
+    });
+});
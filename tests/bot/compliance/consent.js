@@ -0,0 +1,56 @@
+const { expect } = require('chai');
+const { parseConsent, hasConsent } = require('../../../bot/compliance/consent');
+
+describe('consent', function() {
+    describe('parseConsent', function() {
+        it('reads separate consent columns', function() {
+            expect(parseConsent({
+                ConsentSource: 'web form',
+                ConsentTimestamp: '2026-03-01T10:00:00Z',
+                ConsentScope: 'Marketing; reminders'
+            })).to.deep.equal({
+                source: 'web form',
+                timestamp: '2026-03-01T10:00:00.000Z',
+                scope: ['marketing', 'reminders']
+            });
+        });
+
+        it('reads a combined source|timestamp|scope column', function() {
+            expect(parseConsent({ Consent: 'checkout | 2026-03-01 | reminders' })).to.include({ source: 'checkout' })
+                .and.to.have.deep.property('scope', ['reminders']);
+        });
+
+        it('prefers the separate columns over the combined one', function() {
+            expect(parseConsent({ consent_source: 'import', consent_date: '2026-03-01', Consent: 'other|2020-01-01|x' }).source)
+                .to.equal('import');
+        });
+
+        it('returns null without a source or timestamp and drops invalid dates', function() {
+            expect(parseConsent({ Name: 'Ann' })).to.equal(null);
+            expect(parseConsent({ ConsentSource: 'web', ConsentTimestamp: 'yesterday' }).timestamp).to.equal(null);
+        });
+    });
+
+    describe('hasConsent', function() {
+        const consent = () => parseConsent({ ConsentSource: 'web', ConsentTimestamp: '2026-03-01', ConsentScope: 'marketing;reminders' });
+
+        it('needs a source and a valid timestamp', function() {
+            expect(hasConsent(null)).to.equal(false);
+            expect(hasConsent(consent())).to.equal(true);
+            expect(hasConsent(parseConsent({ ConsentSource: 'web', ConsentTimestamp: 'soon' }))).to.equal(false);
+            expect(hasConsent(parseConsent({ ConsentTimestamp: '2026-03-01' }))).to.equal(false);
+        });
+
+        it('checks the asked scope in any case', function() {
+            expect(hasConsent(consent(), 'marketing')).to.equal(true);
+            expect(hasConsent(consent(), 'Reminders')).to.equal(true);
+            expect(hasConsent(consent(), 'surveys')).to.equal(false);
+        });
+
+        it('never covers a scope when none was recorded', function() {
+            const unscoped = parseConsent({ ConsentSource: 'web', ConsentTimestamp: '2026-03-01' });
+            expect(hasConsent(unscoped)).to.equal(true);
+            expect(hasConsent(unscoped, 'marketing')).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ContactStore } = require('../../../bot/contacts/ContactStore');
+const { normalizePhoneNumber } = require('../../../bot/phone/normalize');
+
+const normalize = (input) => normalizePhoneNumber(input, { defaultRegion: 'GB' });
+
+describe('ContactStore', function() {
+    let dataPath;
+    let store;
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-contacts-'));
+        store = new ContactStore({ dataPath });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await Promise.all([store.save(), store.importFile.write(store.imports)]);
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    describe('upsert', function() {
+        const ann = (fields = {}) => ({ number: '+447911123456', whatsappId: '447911123456@c.us', ...fields });
+
+        it('merges into the contact with the same number', function() {
+            const { contact } = store.upsert(ann({ name: 'Ann', fields: { plan: 'gold', city: 'Leeds' }, tags: ['VIP'], source: 'csv' }));
+            const { contact: merged, outcome } = store.upsert(ann({ fields: { city: '', team: 'b' }, tags: ['vip', 'New'], source: 'vcard' }));
+
+            expect(outcome).to.equal('updated');
+            expect(merged.id).to.equal(contact.id);
+            expect(merged).to.deep.include({
+                name: 'Ann',
+                fields: { plan: 'gold', city: 'Leeds', team: 'b' },
+                tags: ['VIP', 'New'],
+                sources: ['csv', 'vcard']
+            });
+            expect(store.findByNumber('+447911123456')).to.equal(merged);
+        });
+
+        it('reports entries that change nothing as unchanged', function() {
+            store.upsert(ann({ name: 'Ann', source: 'csv' }));
+            expect(store.upsert(ann({ name: '', source: 'csv' })).outcome).to.equal('unchanged');
+        });
+    });
+
+    describe('importRecords', function() {
+        it('dedupes by the normalized number and reports each outcome', function() {
+            store.upsert({ number: '+447911000001', whatsappId: '447911000001@c.us', name: 'Old', source: 'csv' });
+            store.upsert({ number: '+447911000002', whatsappId: '447911000002@c.us', name: 'Same', source: 'csv' });
+
+            const { report, contactIds } = store.importRecords([
+                { row: 1, input: '07911 123456', name: 'Ann', fields: {} },
+                { row: 2, input: '+44 7911 123456', name: 'Ann Lee', fields: { plan: 'gold' } },
+                { row: 3, input: '447911000001', name: 'Renamed', fields: {} },
+                { row: 4, input: '07911000002', name: 'Same', fields: {} },
+                { row: 5, input: '12', name: 'Short', fields: {} },
+                { row: 6, input: '"oops"', reason: 'invalid_record', error: 'Not an object' }
+            ], { source: 'csv', fileName: 'people.csv', tags: ['Spring'] }, normalize);
+
+            expect(report).to.include({ total: 6, created: 1, updated: 2, unchanged: 0, duplicates: 1, fileName: 'people.csv' });
+            expect(report.rejected.map(row => [row.row, row.reason])).to.deep.equal([[5, 'too_short'], [6, 'invalid_record']]);
+            expect(contactIds).to.have.lengthOf(3);
+
+            const ann = store.findByNumber('+447911123456');
+            expect(ann).to.deep.include({ name: 'Ann Lee', fields: { plan: 'gold' }, tags: ['Spring'] });
+        });
+
+        it('counts a contact first left unchanged, then changed by a duplicate row, as updated', function() {
+            store.upsert({ number: '+447911123456', whatsappId: '447911123456@c.us', name: 'Ann', source: 'csv' });
+            const { report } = store.importRecords([
+                { row: 1, input: '07911123456', name: 'Ann', fields: {} },
+                { row: 2, input: '07911123456', name: 'Ann Lee', fields: {} }
+            ], { source: 'csv' }, normalize);
+            expect(report).to.include({ created: 0, updated: 1, unchanged: 0, duplicates: 1 });
+        });
+
+        it('keeps import reports newest first', function() {
+            store.importRecords([], { source: 'csv', fileName: 'a.csv' }, normalize);
+            store.importRecords([{ row: 1, input: 'x', name: '', fields: {} }], { source: 'json', fileName: 'b.json' }, normalize);
+            const reports = store.listImports();
+            expect(reports.map(report => [report.fileName, report.rejectedCount])).to.deep.equal([['b.json', 1], ['a.csv', 0]]);
+            expect(store.getImport(reports[0].id).rejected).to.have.lengthOf(1);
+        });
+    });
+
+    it('tags contacts, comparing tags ignoring case', function() {
+        const { contact } = store.upsert({ number: '+447911123456', whatsappId: '447911123456@c.us', tags: ['VIP', 'old'] });
+        expect(store.tag([contact.id, 'missing'], ['vip', 'Spring'], ['OLD'])).to.deep.equal({ updated: 1, notFound: ['missing'] });
+        expect(store.get(contact.id).tags).to.deep.equal(['VIP', 'Spring']);
+        expect(store.tags().map(entry => entry.tag)).to.deep.equal(['Spring', 'VIP']);
+    });
+
+    it('keeps contacts and import reports across restarts', function() {
+        store.importRecords([{ row: 1, input: '07911123456', name: 'Ann', fields: {} }], { source: 'csv' }, normalize);
+        store.close();
+        const reopened = new ContactStore({ dataPath });
+        expect(reopened.findByNumber('+447911123456').name).to.equal('Ann');
+        expect(reopened.listImports()).to.have.lengthOf(1);
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require('chai');
+const { ImportError, detectFormat, normalizeMapping, parseCsv, parseJson, parseVcard, parseContacts } = require('../../../bot/contacts/importers');
+
+describe('Contact importers', function() {
+    describe('detectFormat', function() {
+        it('goes by the file extension, then the mimetype, then csv', function() {
+            expect(detectFormat('Phone.VCF')).to.equal('vcard');
+            expect(detectFormat('export.vcard')).to.equal('vcard');
+            expect(detectFormat('upload', 'text/x-vcard')).to.equal('vcard');
+            expect(detectFormat('contacts.json')).to.equal('json');
+            expect(detectFormat('blob', 'application/json')).to.equal('json');
+            expect(detectFormat('contacts.txt', 'text/plain')).to.equal('csv');
+            expect(detectFormat()).to.equal('csv');
+        });
+    });
+
+    describe('normalizeMapping', function() {
+        it('reads JSON text from forms and makes name a list', function() {
+            expect(normalizeMapping('{"number": "Cell", "name": "Full name"}')).to.deep.equal({ number: 'Cell', name: ['Full name'] });
+            expect(normalizeMapping('')).to.deep.equal({});
+        });
+
+        it('lists every problem at once', function() {
+            try {
+                normalizeMapping({ number: '', name: [], delimiter: ';;', email: 'Email' });
+                expect.fail('normalizeMapping() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ImportError);
+                expect(error.errors).to.have.lengthOf(4);
+            }
+            expect(() => normalizeMapping('{nope')).to.throw(ImportError, 'mapping must be a JSON object');
+            expect(() => normalizeMapping([])).to.throw(ImportError, 'mapping must be an object');
+        });
+    });
+
+    describe('parseCsv', function() {
+        it('guesses the number, name and timezone columns', async function() {
+            const [contact] = await parseCsv('﻿Full Name,Mobile Phone,TZ,Plan\nAnn Lee, +44 7911 123456 ,Europe/London,gold\n');
+            expect(contact).to.deep.include({ row: 1, input: '+44 7911 123456', name: 'Ann Lee', timezone: 'Europe/London', consent: null });
+            expect(contact.fields).to.deep.equal({ 'Full Name': 'Ann Lee', 'Mobile Phone': '+44 7911 123456', TZ: 'Europe/London', Plan: 'gold' });
+        });
+
+        it('uses the columns and delimiter of the mapping, joining name columns', async function() {
+            const text = 'First;Last;Home;Work\nAnn;Lee;0201234567;07911123456\n';
+            const [contact] = await parseCsv(text, { number: 'Work', name: ['First', 'Last'], delimiter: ';' });
+            expect(contact).to.include({ input: '07911123456', name: 'Ann Lee' });
+        });
+
+        it('names the mapped columns the file does not have', async function() {
+            try {
+                await parseCsv('Name,Phone\nAnn,1\n', { number: 'Cell', name: ['First', 'Name'] });
+                expect.fail('parseCsv() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ImportError);
+                expect(error.message).to.equal('Columns "Cell", "First" not found, the file has: Name, Phone');
+            }
+        });
+
+        it('drops unknown timezones and reads consent columns', async function() {
+            const [contact] = await parseCsv('Name,Phone,Timezone,Consent\nAnn,1,Mars/Olympus,web|2026-03-01|marketing\n');
+            expect(contact.timezone).to.equal(null);
+            expect(contact.consent).to.deep.equal({ source: 'web', timestamp: '2026-03-01T00:00:00.000Z', scope: ['marketing'] });
+        });
+    });
+
+    describe('parseJson', function() {
+        it('reads an array or a contacts property, flattening fields', function() {
+            const [contact] = parseJson('{"contacts": [{"phone": 447911123456, "name": "Ann", "fields": {"plan": "gold"}, "tags": ["a"]}]}');
+            expect(contact).to.include({ input: '447911123456', name: 'Ann' });
+            expect(contact.fields).to.deep.equal({ phone: '447911123456', name: 'Ann', plan: 'gold' });
+        });
+
+        it('rejects entries that are not objects one by one', function() {
+            const contacts = parseJson([{ number: '1' }, 'oops', null]);
+            expect(contacts.map(contact => contact.reason || 'ok')).to.deep.equal(['ok', 'invalid_record', 'invalid_record']);
+            expect(contacts[1]).to.include({ row: 2, input: '"oops"' });
+        });
+
+        it('refuses other shapes', function() {
+            expect(() => parseJson('{"people": []}')).to.throw(ImportError, 'must be an array');
+            expect(() => parseJson('[')).to.throw(ImportError, 'Not valid JSON');
+        });
+    });
+
+    describe('parseVcard', function() {
+        it('picks the mobile number and keeps the others', function() {
+            const [contact] = parseVcard([
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                'N:Lee;Ann;;Dr;',
+                'TEL;TYPE=HOME:+44 20 1234 5678',
+                'item1.TEL;TYPE=CELL,VOICE:+44 7911 123456',
+                'EMAIL:ann@example.com',
+                'ORG:Acme;Sales',
+                'NOTE:Line one\\nline two',
+                'END:VCARD'
+            ].join('\r\n'));
+            expect(contact).to.include({ row: 1, input: '+44 7911 123456', name: 'Dr Ann Lee' });
+            expect(contact.fields).to.deep.equal({
+                email: 'ann@example.com',
+                organization: 'Acme, Sales',
+                note: 'Line one\nline two',
+                otherNumbers: '+44 20 1234 5678'
+            });
+        });
+
+        it('falls back to the preferred, then the first number', function() {
+            const cards = parseVcard([
+                'BEGIN:VCARD', 'FN:Pref', 'TEL:111', 'TEL;PREF:222', 'END:VCARD',
+                'BEGIN:VCARD', 'FN:First', 'TEL;type=work:tel:333', 'TEL:444', 'END:VCARD'
+            ].join('\n'));
+            expect(cards.map(card => card.input)).to.deep.equal(['222', '333']);
+        });
+
+        it('unfolds long lines and decodes quoted-printable vCard 2.1 names', function() {
+            const [contact] = parseVcard([
+                'BEGIN:VCARD',
+                'VERSION:2.1',
+                'FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:Jos=C3=A9 Mar=',
+                '=C3=ADa',
+                'TEL;CELL:+34 612',
+                ' 345 678',
+                'END:VCARD'
+            ].join('\n'));
+            expect(contact).to.include({ name: 'José María', input: '+34 612345 678' });
+        });
+
+        it('refuses files without cards', function() {
+            expect(() => parseVcard('Name,Phone\n')).to.throw(ImportError, 'No vCards found');
+        });
+    });
+
+    it('parses by format and refuses unknown ones', async function() {
+        expect(await parseContacts('json', '[{"number": "1"}]')).to.have.lengthOf(1);
+        try {
+            await parseContacts('xlsx', '');
+            expect.fail('parseContacts() should have thrown');
+        } catch (error) {
+            expect(error.message).to.equal('format must be one of csv, vcard, json');
+        }
+    });
+});
@@ -0,0 +1,58 @@
+const { expect } = require('chai');
+const { parseOutcomeLabels, planLabelSync } = require('../../../bot/contacts/labelSync');
+
+const set = (...numbers) => new Set(numbers);
+
+describe('Label sync', function() {
+    describe('planLabelSync', function() {
+        it('only adds on the first sync of a label', function() {
+            expect(planLabelSync({ previous: null, inWhatsApp: set('+1', '+2'), tagged: set('+2', '+3') })).to.deep.equal({
+                tag: ['+1'],
+                untag: [],
+                label: ['+3'],
+                unlabel: []
+            });
+        });
+
+        it('carries changes made on either side since the last sync to the other', function() {
+            // +1 was labeled in WhatsApp, +2 unlabeled there, +3 tagged in the bot and +4 untagged
+            const plan = planLabelSync({
+                previous: set('+2', '+4', '+5'),
+                inWhatsApp: set('+1', '+4', '+5'),
+                tagged: set('+2', '+3', '+5')
+            });
+            expect(plan).to.deep.equal({
+                tag: ['+1'],
+                untag: ['+2'],
+                label: ['+3'],
+                unlabel: ['+4']
+            });
+        });
+
+        it('changes nothing when both sides agree', function() {
+            const plan = planLabelSync({ previous: set('+1'), inWhatsApp: set('+1', '+2'), tagged: set('+1', '+2') });
+            expect(plan).to.deep.equal({ tag: [], untag: [], label: [], unlabel: [] });
+        });
+    });
+
+    describe('parseOutcomeLabels', function() {
+        it('reads outcome=label pairs', function() {
+            expect(parseOutcomeLabels('replied=Replied, opted_out = Opted out,read=a=b')).to.deep.equal({
+                labels: { replied: 'Replied', opted_out: 'Opted out', read: 'a=b' },
+                errors: []
+            });
+        });
+
+        it('leaves out and reports pairs it can\'t use', function() {
+            const { labels, errors } = parseOutcomeLabels('clicked=Clicked,sent=');
+            expect(labels).to.deep.equal({});
+            expect(errors).to.have.lengthOf(2);
+            expect(errors[0]).to.match(/^"clicked=Clicked": outcome must be one of/);
+            expect(errors[1]).to.equal('"sent=": label name is missing');
+        });
+
+        it('reads nothing from nothing', function() {
+            expect(parseOutcomeLabels(undefined)).to.deep.equal({ labels: {}, errors: [] });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+const { expect } = require('chai');
+const { SegmentError, normalizeFilter, replyStatus, matchFilter } = require('../../../bot/contacts/segments');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(NOW - days * DAY).toISOString();
+
+const contact = (fields = {}) => ({
+    id: 'c1',
+    name: 'Ann Lee',
+    number: '+447911123456',
+    timezone: 'Europe/London',
+    tags: ['VIP', 'Berlin'],
+    fields: { plan: 'Pro', seats: '12', city: ' ' },
+    lastContactedAt: null,
+    lastReplyAt: null,
+    ...fields
+});
+
+const matches = (filter, entry = contact(), context = {}) => matchFilter(entry, normalizeFilter(filter), { now: NOW, ...context });
+
+describe('Segments', function() {
+    describe('normalizeFilter', function() {
+        it('fills in every condition, matching everyone when empty', function() {
+            expect(normalizeFilter()).to.deep.equal({
+                tags: { all: [], any: [], none: [] },
+                fields: [],
+                lastContacted: { after: null, before: null, withinDays: null, olderThanDays: null },
+                replyStatus: [],
+                lists: []
+            });
+            expect(matches({})).to.equal(true);
+        });
+
+        it('reads JSON text and comma-separated lists from forms', function() {
+            const filter = normalizeFilter('{"tags": {"any": " VIP , berlin"}, "replyStatus": "replied,no_reply", "lastContacted": {"after": "2026-05-01"}}');
+            expect(filter.tags.any).to.deep.equal(['vip', 'berlin']);
+            expect(filter.replyStatus).to.deep.equal(['replied', 'no_reply']);
+            expect(filter.lastContacted.after).to.equal('2026-05-01T00:00:00.000Z');
+        });
+
+        it('lists every problem at once', function() {
+            try {
+                normalizeFilter({
+                    fields: [{ op: 'equals', value: 'x' }, { name: 'plan', op: 'like', value: 'x' }, { name: 'plan' },
+                        { name: 'seats', op: 'greater_than', value: 'many' }, { name: 'city', op: 'exists', value: '' }],
+                    lastContacted: { after: 'someday', withinDays: 7, olderThanDays: 1.5 },
+                    replyStatus: ['ghosted']
+                });
+                expect.fail('normalizeFilter() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(SegmentError);
+                expect(error.errors).to.deep.equal([
+                    'lastContacted.after must be a date',
+                    'lastContacted.olderThanDays must be a whole number of days, at least 1',
+                    'fields[0].name is required',
+                    'fields[1].op must be one of equals, not_equals, contains, exists, missing, greater_than, less_than',
+                    'fields[2].value is required for equals',
+                    'fields[3].value must be a number for greater_than',
+                    'replyStatus must be among replied, no_reply, never_contacted'
+                ]);
+            }
+        });
+
+        it('refuses withinDays together with olderThanDays', function() {
+            expect(() => normalizeFilter({ lastContacted: { withinDays: 7, olderThanDays: 30 } })).to.throw(SegmentError, 'not both');
+        });
+
+        it('refuses filters that are not objects', function() {
+            expect(() => normalizeFilter('{')).to.throw(SegmentError, 'not valid JSON');
+            expect(() => normalizeFilter([])).to.throw(SegmentError, 'must be an object');
+            expect(() => normalizeFilter({ fields: 'plan' })).to.throw(SegmentError, 'fields must be a list');
+        });
+    });
+
+    describe('tags', function() {
+        it('needs all, any of and none of the tags, ignoring case', function() {
+            expect(matches({ tags: { all: ['vip', 'BERLIN'] } })).to.equal(true);
+            expect(matches({ tags: { all: ['vip', 'munich'] } })).to.equal(false);
+            expect(matches({ tags: { any: ['munich', 'berlin'] } })).to.equal(true);
+            expect(matches({ tags: { any: ['munich'] } })).to.equal(false);
+            expect(matches({ tags: { none: ['Vip'] } })).to.equal(false);
+        });
+    });
+
+    describe('field operators', function() {
+        const field = (name, op, value) => matches({ fields: [{ name, op, value }] });
+
+        it('compares text ignoring case', function() {
+            expect(field('plan', 'equals', 'pro')).to.equal(true);
+            expect(field('plan', 'not_equals', 'PRO')).to.equal(false);
+            expect(field('plan', 'contains', 'R')).to.equal(true);
+        });
+
+        it('treats blank and absent fields as missing', function() {
+            expect(field('city', 'exists')).to.equal(false);
+            expect(field('city', 'missing')).to.equal(true);
+            expect(field('team', 'missing')).to.equal(true);
+            expect(field('team', 'not_equals', 'x')).to.equal(true);
+        });
+
+        it('compares numbers, never matching missing fields', function() {
+            expect(field('seats', 'greater_than', '9')).to.equal(true);
+            expect(field('seats', 'less_than', 12)).to.equal(false);
+            expect(field('team', 'less_than', '1')).to.equal(false);
+        });
+
+        it('falls back to the name, number and timezone of the contact', function() {
+            expect(field('name', 'contains', 'lee')).to.equal(true);
+            expect(field('number', 'contains', '+4479')).to.equal(true);
+            expect(field('timezone', 'equals', 'europe/london')).to.equal(true);
+            expect(matches({ fields: [{ name: 'name', op: 'equals', value: 'Annie' }] }, contact({ fields: { name: 'Annie' } }))).to.equal(true);
+        });
+
+        it('needs every condition', function() {
+            expect(matches({ fields: [{ name: 'plan', value: 'pro' }, { name: 'seats', op: 'less_than', value: 5 }] })).to.equal(false);
+        });
+    });
+
+    describe('lastContacted', function() {
+        const never = () => contact();
+        const recent = () => contact({ lastContactedAt: daysAgo(2) });
+        const old = () => contact({ lastContactedAt: daysAgo(45) });
+
+        it('counts contacts never messaged as olderThanDays', function() {
+            const filter = { lastContacted: { olderThanDays: 30 } };
+            expect(matches(filter, never())).to.equal(true);
+            expect(matches(filter, old())).to.equal(true);
+            expect(matches(filter, recent())).to.equal(false);
+        });
+
+        it('leaves contacts never messaged out of withinDays, after and before', function() {
+            expect(matches({ lastContacted: { withinDays: 7 } }, never())).to.equal(false);
+            expect(matches({ lastContacted: { withinDays: 7 } }, recent())).to.equal(true);
+            expect(matches({ lastContacted: { after: daysAgo(10) } }, never())).to.equal(false);
+            expect(matches({ lastContacted: { before: daysAgo(10) } }, never())).to.equal(false);
+        });
+
+        it('includes after and excludes before', function() {
+            const at = daysAgo(5);
+            const edge = contact({ lastContactedAt: at });
+            expect(matches({ lastContacted: { after: at } }, edge)).to.equal(true);
+            expect(matches({ lastContacted: { before: at } }, edge)).to.equal(false);
+            expect(matches({ lastContacted: { after: daysAgo(60), before: daysAgo(30) } }, old())).to.equal(true);
+            expect(matches({ lastContacted: { after: daysAgo(60), before: daysAgo(30) } }, recent())).to.equal(false);
+        });
+    });
+
+    describe('replyStatus', function() {
+        it('is about the last message sent', function() {
+            expect(replyStatus(contact())).to.equal('never_contacted');
+            expect(replyStatus(contact({ lastContactedAt: daysAgo(3), lastReplyAt: daysAgo(2) }))).to.equal('replied');
+            expect(replyStatus(contact({ lastContactedAt: daysAgo(1), lastReplyAt: daysAgo(2) }))).to.equal('no_reply');
+            expect(replyStatus(contact({ lastContactedAt: daysAgo(1) }))).to.equal('no_reply');
+        });
+
+        it('matches any of the statuses given', function() {
+            const filter = { replyStatus: ['no_reply', 'never_contacted'] };
+            expect(matches(filter)).to.equal(true);
+            expect(matches(filter, contact({ lastContactedAt: daysAgo(3), lastReplyAt: daysAgo(2) }))).to.equal(false);
+        });
+    });
+
+    it('needs the contact to be in one of the lists', function() {
+        const inList = (listId, contactId) => listId === 'l2' && contactId === 'c1';
+        expect(matches({ lists: ['l1', 'l2'] }, contact(), { inList })).to.equal(true);
+        expect(matches({ lists: ['l1'] }, contact(), { inList })).to.equal(false);
+        expect(matches({ lists: ['l2'] })).to.equal(false);
+    });
+});
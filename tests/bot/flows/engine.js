@@ -0,0 +1,196 @@
+const { expect } = require('chai');
+const { FlowError, normalizeFlow, startSession, dispatchEvent } = require('../../../bot/flows/engine');
+const { simulateFlow } = require('../../../bot/flows/simulate');
+
+const NOW = '2026-06-10T12:00:00Z';
+
+const bookings = () => ({
+    name: 'Bookings',
+    trigger: { keywords: ['book'] },
+    timeoutMinutes: 30,
+    timeoutMessage: 'Closed, send BOOK to start again.',
+    start: 'menu',
+    nodes: {
+        menu: {
+            type: 'menu',
+            text: 'Hi {name}!',
+            variable: 'service',
+            options: [{ label: 'Haircut', next: 'code' }, { label: 'Colour', next: 'code' }]
+        },
+        code: { type: 'question', text: 'Your member code?', variable: 'code', pattern: '^[A-Z]{2}\\d{3}$', next: 'check' },
+        check: {
+            type: 'branch',
+            rules: [{ variable: 'code', operator: 'matches', value: '^vip', next: 'confirm' }],
+            default: 'bye'
+        },
+        confirm: { type: 'confirm', text: '{service} for {code}?', yes: 'booked', no: 'bye' },
+        booked: { type: 'message', text: 'Booked!', next: 'bye' },
+        bye: { type: 'end', text: 'Thanks {name}!' }
+    }
+});
+
+const botSaid = (lines) => lines.filter(line => line.from === 'bot').map(line => line.text || line.question);
+const systemSaid = (lines) => lines.filter(line => line.from === 'system').map(line => line.text);
+
+describe('Flow engine', function() {
+    describe('normalizeFlow', function() {
+        it('fills in defaults', function() {
+            const flow = normalizeFlow({ ...bookings(), trigger: { keywords: 'Book, Menu!' }, timeoutMinutes: undefined });
+            expect(flow.trigger).to.deep.equal({ keywords: ['book', 'menu'], pattern: null });
+            expect(flow.timeoutMinutes).to.equal(30);
+        });
+
+        it('lists every problem at once', function() {
+            const definition = bookings();
+            definition.nodes.code.pattern = '(';
+            definition.nodes.check.rules[0].operator = 'like';
+            definition.nodes.booked.next = 'nowhere';
+            try {
+                normalizeFlow(definition);
+                expect.fail('normalizeFlow() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(FlowError);
+                expect(error.errors).to.have.lengthOf(3);
+                expect(error.errors[0]).to.match(/^Node "code": invalid pattern/);
+            }
+        });
+
+        it('rejects nodes that loop without waiting', function() {
+            const definition = bookings();
+            definition.nodes.booked.next = 'check';
+            definition.nodes.check.default = 'booked';
+            expect(() => normalizeFlow(definition)).to.throw(FlowError, 'loop without waiting');
+        });
+    });
+
+    describe('questions', function() {
+        it('asks again until the answer fits the node pattern', function() {
+            const { lines, session } = simulateFlow(bookings(), ['book', '1', 'twelve', 'ab123'], { now: NOW });
+            expect(botSaid(lines)).to.deep.equal([
+                'Hi Test Contact!',
+                'Your member code?',
+                'Sorry, I didn\'t get that, please try again.',
+                'Thanks Test Contact!'
+            ]);
+            expect(session).to.equal(null);
+            expect(lines[lines.length - 1].variables).to.include({ service: 'Haircut', code: 'ab123' });
+        });
+
+        it('uses the node error text when there is one', function() {
+            const definition = bookings();
+            definition.nodes.code.error = 'Codes look like AB123, {name}.';
+            const { lines } = simulateFlow(definition, ['book', '1', 'nope'], { now: NOW });
+            expect(botSaid(lines).pop()).to.equal('Codes look like AB123, Test Contact.');
+        });
+    });
+
+    describe('branches', function() {
+        it('follows a matches rule ignoring case and falls back to the default', function() {
+            const definition = bookings();
+            definition.nodes.code.pattern = null;
+            const vip = simulateFlow(definition, ['book', 'colour', 'VIP42'], { now: NOW });
+            expect(botSaid(vip.lines).pop()).to.equal('Colour for VIP42?');
+
+            const regular = simulateFlow(definition, ['book', 'colour', 'AB123'], { now: NOW });
+            expect(botSaid(regular.lines).pop()).to.equal('Thanks Test Contact!');
+        });
+    });
+
+    describe('polls and reactions', function() {
+        const toConfirm = () => {
+            const definition = bookings();
+            definition.nodes.code.pattern = null;
+            return definition;
+        };
+
+        it('answers a menu with a poll vote', function() {
+            const { lines, session } = simulateFlow(toConfirm(), ['book', { vote: 'Colour' }], { now: NOW });
+            expect(lines.find(line => line.type === 'poll').options).to.deep.equal(['Haircut', 'Colour']);
+            expect(session.variables.service).to.equal('Colour');
+            expect(session.node).to.equal('code');
+        });
+
+        it('ignores an empty vote', function() {
+            const { session } = simulateFlow(toConfirm(), ['book', { vote: [] }], { now: NOW });
+            expect(session.node).to.equal('menu');
+        });
+
+        it('answers a confirm with a reaction, with or without a skin tone', function() {
+            const yes = simulateFlow(toConfirm(), ['book', '1', 'vip1', { react: '👍🏽' }], { now: NOW });
+            expect(botSaid(yes.lines).slice(-2)).to.deep.equal(['Booked!', 'Thanks Test Contact!']);
+
+            const no = simulateFlow(toConfirm(), ['book', '1', 'vip1', { react: '❌' }], { now: NOW });
+            expect(botSaid(no.lines).slice(-2)).to.deep.equal(['Haircut for vip1?', 'Thanks Test Contact!']);
+        });
+
+        it('leaves other reactions alone', function() {
+            const { lines, session } = simulateFlow(toConfirm(), ['book', '1', 'vip1', { react: '😂' }], { now: NOW });
+            expect(systemSaid(lines).pop()).to.equal('No reply');
+            expect(session.node).to.equal('confirm');
+        });
+
+        it('only counts votes and reactions on the prompt itself', function() {
+            const flow = { id: 'f1', ...normalizeFlow(bookings()) };
+            const { session } = startSession(flow, { chatId: 'a@c.us', variables: {} }, new Date(NOW));
+            session.promptMessageId = 'prompt-1';
+
+            const stale = dispatchEvent({ flow, session }, null, { type: 'vote', messageId: 'old', selected: ['Haircut'] }, {});
+            expect(stale.handled).to.equal(false);
+            const current = dispatchEvent({ flow, session }, null, { type: 'vote', messageId: 'prompt-1', selected: ['Haircut'] }, {});
+            expect(current.handled).to.equal(true);
+            expect(session.node).to.equal('code');
+        });
+    });
+
+    describe('dispatchEvent', function() {
+        const chat = { chatId: 'a@c.us', variables: { name: 'Ann' } };
+        const message = (text) => ({ type: 'message', text });
+        const flow = () => ({ id: 'f1', ...normalizeFlow(bookings()) });
+
+        it('starts a flow on its trigger and does nothing otherwise', function() {
+            const bookingsFlow = flow();
+            const started = dispatchEvent(null, bookingsFlow, message('book'), chat, new Date(NOW));
+            expect(started).to.include({ handled: true, started: true, flow: bookingsFlow });
+            expect(started.session).to.include({ chatId: 'a@c.us', flowId: 'f1', node: 'menu', status: 'active' });
+            expect(dispatchEvent(null, null, message('hello'), chat)).to.include({ handled: false, session: null });
+        });
+
+        it('never starts a flow from a vote or reaction', function() {
+            expect(dispatchEvent(null, flow(), { type: 'reaction', messageId: 'x', emoji: '👍' }, chat).handled).to.equal(false);
+        });
+
+        it('answers the session before checking triggers', function() {
+            const bookingsFlow = flow();
+            const { session } = startSession(bookingsFlow, chat, new Date(NOW));
+            const result = dispatchEvent({ flow: bookingsFlow, session }, bookingsFlow, message('2'), chat, new Date(NOW));
+            expect(result).to.include({ handled: true, started: false });
+            expect(session.variables.service).to.equal('Colour');
+        });
+
+        it('starts over when an answer that does not fit is a trigger', function() {
+            const bookingsFlow = flow();
+            const { session } = startSession(bookingsFlow, chat, new Date(NOW));
+            dispatchEvent({ flow: bookingsFlow, session }, null, message('1'), chat, new Date(NOW));
+            expect(session.node).to.equal('code');
+
+            const result = dispatchEvent({ flow: bookingsFlow, session }, bookingsFlow, message('book'), chat, new Date(NOW));
+            expect(result.started).to.equal(true);
+            expect(result.session).to.not.equal(session);
+            expect(result.session.node).to.equal('menu');
+        });
+    });
+
+    describe('session expiry', function() {
+        it('expires sessions left waiting past the timeout with the timeout message', function() {
+            const { lines, session } = simulateFlow(bookings(), ['book', { wait: 31 }, '1'], { now: NOW });
+            expect(botSaid(lines)).to.deep.equal(['Hi Test Contact!', 'Closed, send BOOK to start again.']);
+            expect(systemSaid(lines)).to.deep.equal(['Flow "Bookings" started', 'Session expired', 'No reply']);
+            expect(session).to.equal(null);
+        });
+
+        it('keeps sessions answered within the timeout, each answer pushing it back', function() {
+            const { session } = simulateFlow(bookings(), ['book', { wait: 20 }, '1', { wait: 20 }], { now: NOW });
+            expect(session).to.include({ status: 'active', node: 'code', expiresAt: '2026-06-10T12:50:00.000Z' });
+        });
+    });
+});
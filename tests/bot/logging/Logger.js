@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const { Logger, parseLevels } = require('../../../bot/logging/Logger');
+
+// Collects what a logger writes to stdout and stderr while fn runs
+const capture = (fn) => {
+    const written = { stdout: [], stderr: [] };
+    const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+    process.stdout.write = chunk => written.stdout.push(String(chunk));
+    process.stderr.write = chunk => written.stderr.push(String(chunk));
+    try {
+        fn();
+    } finally {
+        process.stdout.write = originals.stdout;
+        process.stderr.write = originals.stderr;
+    }
+    return written;
+};
+
+describe('Logger', function() {
+    describe('parseLevels', function() {
+        it('reads a level and per-module overrides', function() {
+            expect(parseLevels('WARN, timer=error ,send=debug')).to.deep.equal({ level: 'warn', modules: { TIMER: 'error', SEND: 'debug' } });
+            expect(parseLevels()).to.deep.equal({ level: 'info', modules: {} });
+        });
+
+        it('rejects unknown levels', function() {
+            expect(() => parseLevels('verbose')).to.throw('Unknown log level "verbose"');
+            expect(() => parseLevels('info,QUEUE')).to.throw('Unknown log level');
+        });
+    });
+
+    describe('levels', function() {
+        it('drops messages below the level of their module', function() {
+            const logger = new Logger({ level: 'warn,QUEUE=debug' });
+            expect(logger.enabled('info', 'APP')).to.equal(false);
+            expect(logger.enabled('error', 'APP')).to.equal(true);
+            expect(logger.enabled('debug', 'QUEUE')).to.equal(true);
+
+            const written = capture(() => {
+                logger.write('info', 'APP', ['dropped']);
+                logger.write('debug', 'QUEUE', ['kept']);
+            });
+            expect(written.stdout).to.deep.equal(['kept\n']);
+        });
+
+        it('writes warnings and errors to stderr', function() {
+            const logger = new Logger({ level: 'debug' });
+            const written = capture(() => {
+                logger.write('info', 'APP', ['info']);
+                logger.write('warn', 'APP', ['warn']);
+                logger.write('error', 'APP', ['error']);
+            });
+            expect(written.stdout).to.deep.equal(['info\n']);
+            expect(written.stderr).to.deep.equal(['warn\n', 'error\n']);
+        });
+    });
+
+    describe('installConsole', function() {
+        let logger;
+
+        afterEach(function() {
+            logger.restoreConsole();
+        });
+
+        it('takes the module from the tag and the level from the emoji', function() {
+            logger = new Logger({ level: 'debug', format: 'json' });
+            logger.installConsole();
+            const written = capture(() => {
+                console.log('📥 [QUEUE] queued');
+                console.log('❌ [SEND] failed');
+                console.log('⚠️ [AUTH] weak password');
+                console.debug('untagged');
+            });
+            const lines = [...written.stdout, ...written.stderr].map(line => JSON.parse(line));
+            expect(lines.map(line => [line.level, line.module, line.msg])).to.deep.equal([
+                ['info', 'QUEUE', 'queued'],
+                ['debug', 'APP', 'untagged'],
+                ['error', 'SEND', 'failed'],
+                ['warn', 'AUTH', 'weak password']
+            ]);
+        });
+
+        it('applies per-module levels to console calls', function() {
+            logger = new Logger({ level: 'info,TIMER=warn' });
+            logger.installConsole();
+            const written = capture(() => {
+                console.log('⏰ [TIMER] tick');
+                console.warn('⏰ [TIMER] late');
+                console.log('📥 [QUEUE] queued');
+            });
+            expect(written.stdout).to.deep.equal(['📥 [QUEUE] queued\n']);
+            expect(written.stderr).to.deep.equal(['⏰ [TIMER] late\n']);
+        });
+
+        it('puts everything back', function() {
+            const log = console.log;
+            logger = new Logger();
+            logger.installConsole();
+            expect(console.log).to.not.equal(log);
+            logger.restoreConsole();
+            expect(console.log).to.equal(log);
+        });
+    });
+
+    describe('redaction', function() {
+        it('redacts numbers in the text and message fields of logged objects', function() {
+            const logger = new Logger({ format: 'json' });
+            const [line] = capture(() => {
+                logger.write('info', 'OPT-OUT', ['🚫 [OPT-OUT] 14155550123 opted out:', { body: 'STOP', cancelled: 2 }]);
+            }).stdout;
+            expect(JSON.parse(line)).to.include({
+                module: 'OPT-OUT',
+                msg: '*******0123 opted out:',
+                body: '[redacted 4 chars]',
+                cancelled: 2
+            });
+        });
+
+        it('writes redacted text in the text format', function() {
+            const logger = new Logger({ redact: { numbers: true, messages: true } });
+            const written = capture(() => logger.write('info', 'OPT-OUT', ['opted out:', { body: 'STOP' }]));
+            expect(written.stdout).to.deep.equal(['opted out: { body: \'[redacted 4 chars]\' }\n']);
+        });
+
+        it('keeps the first error as its own field in JSON lines', function() {
+            const logger = new Logger({ format: 'json' });
+            const [line] = capture(() => logger.write('error', 'SEND', ['❌ [SEND] failed', new Error('boom'), [1, 2]])).stderr;
+            const entry = JSON.parse(line);
+            expect(entry.error).to.include({ name: 'Error', message: 'boom' });
+            expect(entry.data).to.deep.equal([[1, 2]]);
+        });
+    });
+});
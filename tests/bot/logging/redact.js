@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { parseRedact, createRedactor, maskNumber } = require('../../../bot/logging/redact');
+
+describe('redact', function() {
+    describe('parseRedact', function() {
+        it('redacts everything by default', function() {
+            expect(parseRedact()).to.deep.equal({ numbers: true, messages: true });
+            expect(parseRedact('ALL')).to.deep.equal({ numbers: true, messages: true });
+        });
+
+        it('reads none and lists of options', function() {
+            expect(parseRedact('none')).to.deep.equal({ numbers: false, messages: false });
+            expect(parseRedact('')).to.deep.equal({ numbers: false, messages: false });
+            expect(parseRedact(' Numbers ')).to.deep.equal({ numbers: true, messages: false });
+        });
+
+        it('rejects unknown options', function() {
+            expect(() => parseRedact('numbers,emails')).to.throw('Unknown LOG_REDACT option(s) emails');
+        });
+    });
+
+    it('masks all but the last 4 digits of a number', function() {
+        expect(maskNumber('14155550123@c.us')).to.equal('*******0123@c.us');
+        expect(maskNumber(919876543210)).to.equal('********3210');
+    });
+
+    describe('createRedactor', function() {
+        const redactor = () => createRedactor({ numbers: true, messages: true });
+
+        it('masks numbers in free text but leaves other digits alone', function() {
+            expect(redactor().text('Sent to 14155550123@c.us and +447911123456'))
+                .to.equal('Sent to *******0123@c.us and +********3456');
+            expect(redactor().text('Took 1234567 ms, 3.14159265358 avg, at 2026-06-10')).to.equal('Took 1234567 ms, 3.14159265358 avg, at 2026-06-10');
+        });
+
+        it('redacts fields by name, however deep', function() {
+            expect(redactor().value({
+                to: '14155550123@c.us',
+                number: 14155550123,
+                message: { body: 'Hello there', caption: 42 },
+                items: [{ text: 'hi', chatId: '123456789-987654@g.us' }],
+                status: 'sent'
+            })).to.deep.equal({
+                to: '*******0123@c.us',
+                number: '*******0123',
+                message: { body: '[redacted 11 chars]', caption: 42 },
+                items: [{ text: '[redacted 2 chars]', chatId: '*********-**7654@g.us' }],
+                status: 'sent'
+            });
+        });
+
+        it('masks keys that are numbers', function() {
+            expect(redactor().value({ '14155550123@c.us': 3 })).to.deep.equal({ '*******0123@c.us': 3 });
+        });
+
+        it('only redacts what was asked for', function() {
+            const numbersOnly = createRedactor({ numbers: true, messages: false });
+            expect(numbersOnly.value({ body: 'call 14155550123' })).to.deep.equal({ body: 'call *******0123' });
+            const none = createRedactor({ numbers: false, messages: false });
+            expect(none.value({ to: '14155550123', body: 'hi' })).to.deep.equal({ to: '14155550123', body: 'hi' });
+        });
+
+        it('handles errors, dates, maps, sets, buffers and cycles', function() {
+            const cyclic = { name: 'loop' };
+            cyclic.self = cyclic;
+            const redacted = redactor().value({
+                error: new Error('No chat 14155550123'),
+                at: new Date('2026-06-10T12:00:00Z'),
+                map: new Map([['14155550123', 'x']]),
+                set: new Set(['14155550123']),
+                file: Buffer.alloc(3),
+                cyclic
+            });
+            expect(redacted.error).to.include({ name: 'Error', message: 'No chat *******0123' });
+            expect(redacted.error.stack).to.not.include('14155550123');
+            expect(redacted).to.deep.include({
+                at: '2026-06-10T12:00:00.000Z',
+                map: { '*******0123': 'x' },
+                set: ['*******0123'],
+                file: '[Buffer 3 bytes]',
+                cyclic: { name: 'loop', self: '[Circular]' }
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { normalizePhoneNumber, REJECTION_REASONS } = require('../../../bot/phone/normalize');
+const { REGIONS, CALLING_CODES, regionsForCode, resolveRegion } = require('../../../bot/phone/regions');
+
+describe('Phone numbers', function() {
+    describe('normalizePhoneNumber', function() {
+        it('parses international numbers as people write them', function() {
+            for (const input of ['+44 7911 123456', '+44 (0)7911 123456', '00447911123456', '447911123456@c.us', '+44-7911.123456']) {
+                const result = normalizePhoneNumber(input);
+                expect(result, input).to.deep.equal({
+                    valid: true,
+                    e164: '+447911123456',
+                    countryCode: '44',
+                    nationalNumber: '7911123456',
+                    region: 'GB',
+                    whatsappId: '447911123456@c.us'
+                });
+            }
+        });
+
+        it('reads national numbers in the default region, trunk prefix optional', function() {
+            expect(normalizePhoneNumber('07911 123456', { defaultRegion: 'GB' }).e164).to.equal('+447911123456');
+            expect(normalizePhoneNumber('098765 43210', { defaultRegion: 'IN' }).e164).to.equal('+919876543210');
+            expect(normalizePhoneNumber('9876543210', { defaultRegion: 'in' }).e164).to.equal('+919876543210');
+        });
+
+        it('takes numbers with their calling code but no + in a default region', function() {
+            expect(normalizePhoneNumber('919876543210', { defaultRegion: 'IN' }).e164).to.equal('+919876543210');
+        });
+
+        it('understands the default region\'s international prefix', function() {
+            expect(normalizePhoneNumber('011 44 7911 123456', { defaultRegion: 'US' }).e164).to.equal('+447911123456');
+        });
+
+        it('reports the region of a calling code several regions share', function() {
+            expect(normalizePhoneNumber('+1 415 555 2671').region).to.equal('US');
+            expect(normalizePhoneNumber('+1 415 555 2671', { defaultRegion: 'CA' }).region).to.equal('CA');
+        });
+
+        it('accepts calling codes without rules, with no region', function() {
+            const result = normalizePhoneNumber('+2301234567');
+            expect(result.valid).to.equal(true);
+            expect(result.region).to.equal(null);
+        });
+
+        it('rejects numbers with the reason', function() {
+            const reason = (input, options) => normalizePhoneNumber(input, options).reason;
+            expect(reason('')).to.equal('empty');
+            expect(reason(null)).to.equal('empty');
+            expect(reason('9.19877E+11')).to.equal('spreadsheet_notation');
+            expect(reason('12ab')).to.equal('invalid_characters');
+            expect(reason('7911123456')).to.equal('missing_country_code');
+            expect(reason('+999123')).to.equal('unknown_country_code');
+            expect(reason('+4479111')).to.equal('too_short');
+            expect(reason('+44791112345678')).to.equal('too_long');
+            expect(reason('+441632960000')).to.equal('not_mobile');
+        });
+
+        it('explains every rejection', function() {
+            const result = normalizePhoneNumber('+4479111');
+            expect(result.error).to.match(new RegExp(`^${REJECTION_REASONS.too_short}: 5 digits`));
+        });
+    });
+
+    describe('regions', function() {
+        it('has a known calling code, lengths and a mobile pattern for every region', function() {
+            for (const [region, rules] of Object.entries(REGIONS)) {
+                expect(CALLING_CODES.has(rules.code), region).to.equal(true);
+                expect(rules.lengths, region).to.be.an('array').that.is.not.empty;
+                expect(rules.mobile, region).to.be.instanceOf(RegExp);
+            }
+        });
+
+        it('lists the regions of a calling code', function() {
+            expect(regionsForCode('1')).to.have.members(['US', 'CA']);
+            expect(regionsForCode('230')).to.deep.equal([]);
+        });
+
+        it('resolves region codes in any case', function() {
+            expect(resolveRegion(' gb ')).to.equal('GB');
+            expect(resolveRegion('XX')).to.equal(null);
+            expect(resolveRegion()).to.equal(null);
+        });
+    });
+});
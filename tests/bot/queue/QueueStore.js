@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { QueueStore, QueueStatus, sortPending } = require('../../../bot/queue/QueueStore');
+const FileQueueStore = require('../../../bot/queue/FileQueueStore');
+const JsonFile = require('../../../bot/util/JsonFile');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const item = (id, fields = {}) => ({ id, status: QueueStatus.QUEUED, timestamp: 1000, priority: 'normal', ...fields });
+
+describe('Queue stores', function() {
+    let dataPath;
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-queue-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    describe('sortPending', function() {
+        it('puts retries first, then high priority, then the rest in queue order', function() {
+            const sorted = sortPending([
+                item('late', { timestamp: 3 }),
+                item('high', { timestamp: 4, priority: 'high' }),
+                item('early', { timestamp: 1 }),
+                item('retry', { timestamp: 5, status: QueueStatus.RETRYING })
+            ]);
+            expect(sorted.map(entry => entry.id)).to.deep.equal(['retry', 'high', 'early', 'late']);
+        });
+    });
+
+    describe('QueueStore', function() {
+        it('returns only pending items from loadPending()', async function() {
+            const store = new QueueStore();
+            await store.save(item(1));
+            await store.save(item(2, { status: QueueStatus.SENT }));
+            await store.save(item(3, { status: QueueStatus.SCHEDULED }));
+            expect((await store.loadPending()).map(entry => entry.id)).to.have.members([1, 3]);
+        });
+
+        it('finds items by the id WhatsApp gave the message', async function() {
+            const store = new QueueStore();
+            await store.save(item(1, { status: QueueStatus.SENT, messageId: 'ABC' }));
+            await store.save(item(2, { status: QueueStatus.SENT, messageId: null }));
+            expect((await store.findByMessageId('ABC')).id).to.equal(1);
+            expect(await store.findByMessageId('nope')).to.equal(null);
+        });
+
+        it('lists items newest first, filtered by status and campaign', async function() {
+            const store = new QueueStore();
+            await store.save(item(1, { timestamp: 1, campaignId: 'c1' }));
+            await store.save(item(2, { timestamp: 2, campaignId: 'c1', status: QueueStatus.FAILED }));
+            await store.save(item(3, { timestamp: 3 }));
+            expect((await store.list()).map(entry => entry.id)).to.deep.equal([3, 2, 1]);
+            expect((await store.list({ campaignId: 'c1', status: QueueStatus.FAILED })).map(entry => entry.id)).to.deep.equal([2]);
+            expect(await store.list({ limit: 1 })).to.have.lengthOf(1);
+        });
+
+        it('prunes finished items past the retention window, never pending ones', async function() {
+            const store = new QueueStore({ retentionMs: DAY });
+            const old = Date.now() - 2 * DAY;
+            await store.save(item(1, { timestamp: old, status: QueueStatus.DELIVERED, messageId: 'OLD' }));
+            await store.save(item(2, { timestamp: old }));
+            await store.save(item(3, { status: QueueStatus.SENT, timestamp: Date.now() }));
+            await store.prune();
+            expect(await store.get(1)).to.equal(null);
+            expect(await store.findByMessageId('OLD')).to.equal(null);
+            expect(await store.get(2)).to.not.equal(null);
+            expect(await store.get(3)).to.not.equal(null);
+        });
+    });
+
+    describe('FileQueueStore', function() {
+        it('keeps pending items across restarts', async function() {
+            const store = new FileQueueStore({ dataPath });
+            await store.init();
+            await store.save(item(1, { timestamp: Date.now() }));
+            await store.save(item(2, { timestamp: Date.now(), status: QueueStatus.SENT, messageId: 'XYZ' }));
+            await store.close();
+
+            const reopened = new FileQueueStore({ dataPath });
+            await reopened.init();
+            expect((await reopened.loadPending()).map(entry => entry.id)).to.deep.equal([1]);
+            expect((await reopened.findByMessageId('XYZ')).id).to.equal(2);
+            await reopened.close();
+        });
+    });
+
+    describe('JsonFile', function() {
+        it('returns the default value until something is written', function() {
+            expect(new JsonFile(path.join(dataPath, 'missing.json'), []).read()).to.deep.equal([]);
+        });
+
+        it('writes the latest of several values once', async function() {
+            const file = new JsonFile(path.join(dataPath, 'nested', 'doc.json'), null);
+            file.write({ n: 1 });
+            await file.write({ n: 2 });
+            expect(file.read()).to.deep.equal({ n: 2 });
+            expect(fs.existsSync(`${file.path}.tmp`)).to.equal(false);
+        });
+
+        it('writes what is pending right away on flushSync()', function() {
+            const file = new JsonFile(path.join(dataPath, 'doc.json'), null);
+            file.write(['a']);
+            file.flushSync();
+            expect(JSON.parse(fs.readFileSync(file.path, 'utf-8'))).to.deep.equal(['a']);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const Scheduler = require('../../../bot/scheduling/Scheduler');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+
+const realNow = Date.now;
+
+const at = (id, offsetMs) => ({ id, sendAt: new Date(NOW + offsetMs).toISOString() });
+
+describe('Scheduler', function() {
+    let released;
+    let scheduler;
+
+    beforeEach(function() {
+        Date.now = () => NOW;
+        released = [];
+        scheduler = new Scheduler(item => released.push(item.id));
+    });
+
+    afterEach(function() {
+        scheduler.stop();
+        Date.now = realNow;
+    });
+
+    it('lists items soonest first, keeping the order they were added in for the same time', function() {
+        scheduler.add(at('c', 3000));
+        scheduler.add(at('a', 1000));
+        scheduler.add(at('b1', 2000));
+        scheduler.add(at('b2', 2000));
+        expect(scheduler.list().map(item => item.id)).to.deep.equal(['a', 'b1', 'b2', 'c']);
+    });
+
+    it('moves an item that is added again', function() {
+        scheduler.add(at('a', 1000));
+        scheduler.add(at('b', 2000));
+        scheduler.add(at('a', 3000));
+        expect(scheduler.size).to.equal(2);
+        expect(scheduler.list().map(item => item.id)).to.deep.equal(['b', 'a']);
+    });
+
+    it('removes and takes items', function() {
+        scheduler.add(at('a', 1000));
+        scheduler.add(at('b', 2000));
+        scheduler.add(at('c', 3000));
+        expect(scheduler.remove('b').id).to.equal('b');
+        expect(scheduler.remove('b')).to.equal(null);
+        expect(scheduler.take(item => item.id !== 'a').map(item => item.id)).to.deep.equal(['c']);
+        expect(scheduler.list().map(item => item.id)).to.deep.equal(['a']);
+    });
+
+    it('releases due items in the order they were due and holds the rest', async function() {
+        scheduler.add(at('later', 60000));
+        scheduler.add(at('second', -1000));
+        scheduler.add(at('first', -5000));
+        scheduler.add(at('now', 0));
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        expect(released).to.deep.equal(['first', 'second', 'now']);
+        expect(scheduler.list().map(item => item.id)).to.deep.equal(['later']);
+        expect(scheduler.timer).to.not.equal(null);
+    });
+});
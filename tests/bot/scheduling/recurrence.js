@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { compileRecurrence, RecurrenceError } = require('../../../bot/scheduling/recurrence');
+
+// A Friday
+const AFTER = new Date('2026-03-06T12:00:00Z');
+
+const upcoming = (expression, options, count = 4) => compileRecurrence(expression, options)
+    .upcoming(AFTER, count)
+    .map(run => run.toISOString());
+
+describe('Recurrence', function() {
+    describe('cron', function() {
+        it('runs on the weekdays and time given', function() {
+            expect(upcoming('0 9 * * MON-FRI', { timezone: 'UTC' })).to.deep.equal([
+                '2026-03-09T09:00:00.000Z',
+                '2026-03-10T09:00:00.000Z',
+                '2026-03-11T09:00:00.000Z',
+                '2026-03-12T09:00:00.000Z'
+            ]);
+        });
+
+        it('keeps the local time across a daylight saving change', function() {
+            expect(upcoming('0 9 * * MON-FRI', { timezone: 'America/New_York' }, 2)).to.deep.equal([
+                '2026-03-06T14:00:00.000Z',
+                '2026-03-09T13:00:00.000Z'
+            ]);
+        });
+
+        it('understands steps, ranges and macros', function() {
+            expect(upcoming('0-59/20 13 * * *', { timezone: 'UTC' })).to.deep.equal([
+                '2026-03-06T13:00:00.000Z',
+                '2026-03-06T13:20:00.000Z',
+                '2026-03-06T13:40:00.000Z',
+                '2026-03-07T13:00:00.000Z'
+            ]);
+            expect(upcoming('@monthly', { timezone: 'UTC' }, 1)).to.deep.equal(['2026-04-01T00:00:00.000Z']);
+        });
+
+        it('finds a run that only comes on 29 February', function() {
+            expect(upcoming('0 0 29 2 *', { timezone: 'UTC' }, 1)).to.deep.equal(['2028-02-29T00:00:00.000Z']);
+        });
+
+        it('explains what doesn\'t parse', function() {
+            expect(() => compileRecurrence('61 * * * *', { timezone: 'UTC' })).to.throw(RecurrenceError, 'Invalid minute "61"');
+            expect(() => compileRecurrence('* * *', { timezone: 'UTC' })).to.throw(RecurrenceError, 'has 5 fields');
+            expect(() => compileRecurrence('', { timezone: 'UTC' })).to.throw(RecurrenceError, 'is required');
+        });
+    });
+
+    describe('RRULE', function() {
+        it('runs on the days and time given', function() {
+            const expression = 'FREQ=WEEKLY;BYDAY=MO,TH;BYHOUR=9;BYMINUTE=30';
+            expect(upcoming(expression, { timezone: 'UTC', start: AFTER }, 3)).to.deep.equal([
+                '2026-03-09T09:30:00.000Z',
+                '2026-03-12T09:30:00.000Z',
+                '2026-03-16T09:30:00.000Z'
+            ]);
+        });
+
+        it('counts negative month days from the end of the month, at the start\'s time', function() {
+            const recurrence = compileRecurrence('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3', { timezone: 'UTC', start: AFTER });
+            expect(recurrence.type).to.equal('rrule');
+            expect(recurrence.count).to.equal(3);
+            expect(recurrence.upcoming(AFTER, 2).map(run => run.toISOString())).to.deep.equal([
+                '2026-03-31T12:00:00.000Z',
+                '2026-04-30T12:00:00.000Z'
+            ]);
+        });
+
+        it('stops after UNTIL, a date including its whole day', function() {
+            const options = { timezone: 'UTC', start: new Date('2026-03-01T08:15:00Z') };
+            expect(upcoming('RRULE:FREQ=DAILY;UNTIL=20260308', options, 10)).to.deep.equal([
+                '2026-03-07T08:15:00.000Z',
+                '2026-03-08T08:15:00.000Z'
+            ]);
+        });
+
+        it('refuses frequencies it doesn\'t know', function() {
+            expect(() => compileRecurrence('FREQ=HOURLYY', { timezone: 'UTC' })).to.throw(RecurrenceError, 'FREQ must be');
+        });
+    });
+});
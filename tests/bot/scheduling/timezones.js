@@ -0,0 +1,71 @@
+const { expect } = require('chai');
+const { isValidTimezone, inferTimezone, localParts, zonedTime, quietHoursEnd } = require('../../../bot/scheduling/timezones');
+
+describe('timezones', function() {
+    it('guesses the timezone from the longest matching calling code', function() {
+        expect(inferTimezone('919876543210@c.us')).to.equal('Asia/Kolkata');
+        expect(inferTimezone('+971 50 123 4567')).to.equal('Asia/Dubai');
+        expect(inferTimezone('12125550100')).to.equal('America/New_York');
+        expect(inferTimezone('999')).to.equal(null);
+    });
+
+    it('knows valid IANA names', function() {
+        expect(isValidTimezone('Asia/Kolkata')).to.equal(true);
+        expect(isValidTimezone('Mars/Olympus')).to.equal(false);
+        expect(isValidTimezone('')).to.equal(false);
+    });
+
+    it('reads the wall clock of a timezone', function() {
+        expect(localParts(new Date('2026-01-31T20:00:00Z'), 'Asia/Kolkata'))
+            .to.deep.equal({ year: 2026, month: 2, day: 1, weekday: 0, hour: 1, minute: 30, second: 0 });
+    });
+
+    describe('zonedTime', function() {
+        it('finds the instant for a wall clock time on both sides of DST', function() {
+            expect(zonedTime({ year: 2026, month: 1, day: 15, hour: 9 }, 'Europe/London').toISOString()).to.equal('2026-01-15T09:00:00.000Z');
+            expect(zonedTime({ year: 2026, month: 7, day: 15, hour: 9 }, 'Europe/London').toISOString()).to.equal('2026-07-15T08:00:00.000Z');
+        });
+
+        it('shifts times skipped by DST forward', function() {
+            // Clocks in London jump from 01:00 to 02:00 on 29 March 2026
+            expect(zonedTime({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, 'Europe/London').toISOString())
+                .to.equal('2026-03-29T01:30:00.000Z');
+        });
+    });
+
+    describe('quietHoursEnd', function() {
+        const end = (iso, timezone, start = 23, stop = 7) => {
+            const date = quietHoursEnd(new Date(iso), timezone, start, stop);
+            return date && date.toISOString();
+        };
+
+        it('applies quiet hours in the recipient timezone', function() {
+            // 23:15 in Kolkata, 18:45 in London
+            expect(end('2026-01-31T17:45:00Z', 'Asia/Kolkata')).to.equal('2026-02-01T01:30:00.000Z');
+            expect(end('2026-01-31T17:45:00Z', 'Europe/London')).to.equal(null);
+        });
+
+        it('treats the start hour as quiet and the end hour as not', function() {
+            expect(end('2026-06-10T23:00:00Z', 'UTC')).to.equal('2026-06-11T07:00:00.000Z');
+            expect(end('2026-06-10T22:59:59Z', 'UTC')).to.equal(null);
+            expect(end('2026-06-10T06:59:59Z', 'UTC')).to.equal('2026-06-10T07:00:00.000Z');
+            expect(end('2026-06-10T07:00:00Z', 'UTC')).to.equal(null);
+        });
+
+        it('handles quiet hours within a single day', function() {
+            expect(end('2026-06-10T13:30:00Z', 'UTC', 13, 15)).to.equal('2026-06-10T15:00:00.000Z');
+            expect(end('2026-06-10T12:30:00Z', 'UTC', 13, 15)).to.equal(null);
+        });
+
+        it('ends on the hour when clocks change during the night', function() {
+            // 00:30 GMT on the night clocks go forward ends at 07:00 BST
+            expect(end('2026-03-29T00:30:00Z', 'Europe/London')).to.equal('2026-03-29T06:00:00.000Z');
+            // 00:30 BST on the night clocks go back ends at 07:00 GMT
+            expect(end('2026-10-24T23:30:00Z', 'Europe/London')).to.equal('2026-10-25T07:00:00.000Z');
+        });
+
+        it('rolls over into the next month', function() {
+            expect(end('2026-01-31T23:30:00Z', 'UTC')).to.equal('2026-02-01T07:00:00.000Z');
+        });
+    });
+});
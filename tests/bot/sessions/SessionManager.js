@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { expect } = require('chai');
+const SessionManager = require('../../../bot/sessions/SessionManager');
+const { SessionError } = require('../../../bot/sessions/SessionStore');
+
+// Stands in for SafeWhatsAppBot: answers every API request with the session it reached
+const fakeBot = (options) => ({
+    sessionId: options.sessionId,
+    app: (req, res) => res.json({ session: options.sessionId, sessionId: req.sessionId }),
+    describeSession: () => ({ id: options.sessionId }),
+    shutdown: async () => {},
+    stopWhatsApp: async () => {}
+});
+
+const authDisabled = process.env.AUTH_DISABLED;
+
+describe('SessionManager', function() {
+    let dataPath;
+    let manager;
+
+    const request = (method, url, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const req = http.request({
+            host: '127.0.0.1',
+            port: manager.server.address().port,
+            method,
+            path: url,
+            headers: payload ? { ...headers, 'Content-Type': 'application/json' } : headers
+        }, res => {
+            let text = '';
+            res.on('data', chunk => {
+                text += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+
+    beforeEach(function(done) {
+        process.env.AUTH_DISABLED = 'true';
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-manager-'));
+        manager = new SessionManager({
+            createBot: fakeBot,
+            publicPath: dataPath,
+            dataPath,
+            authPath: dataPath,
+            port: 0,
+            maxSessions: 3
+        });
+        manager.server.once('listening', () => done());
+    });
+
+    afterEach(async function() {
+        if (authDisabled === undefined) {
+            delete process.env.AUTH_DISABLED;
+        } else {
+            process.env.AUTH_DISABLED = authDisabled;
+        }
+        // Writes still under way would recreate the directory
+        await manager.store.save();
+        await manager.shutdown();
+        await new Promise(resolve => manager.io.close(() => resolve()));
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    describe('choosing the session of a request', function() {
+        beforeEach(function() {
+            manager.createSession({ id: 'sales' });
+            manager.createSession({ id: 'support' });
+        });
+
+        it('uses the default session when none is named', async function() {
+            expect((await request('GET', '/api/status')).body).to.deep.equal({ session: 'default', sessionId: 'default' });
+        });
+
+        it('reads the session from the query, the header or a JSON body', async function() {
+            expect((await request('GET', '/api/status?sessionId=sales')).body.session).to.equal('sales');
+            expect((await request('GET', '/api/status', { headers: { 'X-Session-Id': 'support' } })).body.session).to.equal('support');
+            expect((await request('POST', '/api/process-queue', { body: { sessionId: 'sales' } })).body.session).to.equal('sales');
+        });
+
+        it('prefers the query over the header, and the header over the body', async function() {
+            const both = await request('POST', '/api/process-queue?sessionId=sales', { headers: { 'X-Session-Id': 'support' }, body: { sessionId: 'default' } });
+            expect(both.body.session).to.equal('sales');
+            const headerAndBody = await request('POST', '/api/process-queue', { headers: { 'X-Session-Id': 'support' }, body: { sessionId: 'sales' } });
+            expect(headerAndBody.body.session).to.equal('support');
+        });
+
+        it('answers 404 for a session that does not exist', async function() {
+            const response = await request('GET', '/api/status?sessionId=nope');
+            expect(response.status).to.equal(404);
+            expect(response.body).to.deep.equal({ success: false, error: 'Session "nope" not found' });
+        });
+    });
+
+    describe('createSession', function() {
+        it('refuses more than maxSessions sessions, the default one included', function() {
+            manager.createSession({ id: 'sales', start: false });
+            manager.createSession({ id: 'support', start: false });
+            expect(() => manager.createSession({ id: 'extra' })).to.throw(SessionError, 'At most 3 sessions');
+            expect(manager.store.get('extra')).to.equal(null);
+        });
+
+        it('makes room again when a session is deleted', async function() {
+            manager.createSession({ id: 'sales' });
+            manager.createSession({ id: 'support' });
+            await manager.deleteSession('sales');
+            expect(manager.createSession({ id: 'extra' }).id).to.equal('extra');
+            expect(manager.listSessions().map(session => session.id)).to.deep.equal(['default', 'support', 'extra']);
+        });
+
+        it('checks the session id', function() {
+            expect(() => manager.createSession({ id: '../default' })).to.throw(SessionError, 'Session ids are');
+            expect(manager.bots.size).to.equal(1);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { SessionStore, SessionError, DEFAULT_SESSION } = require('../../../bot/sessions/SessionStore');
+
+describe('SessionStore', function() {
+    let dataPath;
+    let store;
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-sessions-'));
+        store = new SessionStore({ dataPath });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await store.save();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    it('always has the default session, listed first', function() {
+        store.create({ id: 'sales' });
+        expect(store.list().map(session => session.id)).to.deep.equal([DEFAULT_SESSION, 'sales']);
+        expect(store.get(DEFAULT_SESSION)).to.include({ name: 'Default', running: true });
+    });
+
+    it('lowercases ids and names sessions after them by default', function() {
+        expect(store.create({ id: ' Sales_2 ', running: false })).to.include({ id: 'sales_2', name: 'sales_2', running: false });
+    });
+
+    it('accepts ids of 1 to 32 letters, digits, _ or -, starting with a letter or digit', function() {
+        for (const id of ['a', '7', 'a-b_c', 'x'.repeat(32)]) {
+            expect(store.create({ id }).id).to.equal(id);
+        }
+        for (const id of ['', '-sales', '_sales', 'x'.repeat(33), 'sales team', 'sales/1', '../etc', 'ventas-ñ']) {
+            expect(() => store.create({ id }), id).to.throw(SessionError, 'Session ids are');
+        }
+    });
+
+    it('refuses taken ids and long names, listing both problems', function() {
+        store.create({ id: 'sales' });
+        try {
+            store.create({ id: 'SALES', name: 'n'.repeat(65) });
+            expect.fail('create() should have thrown');
+        } catch (error) {
+            expect(error).to.be.instanceOf(SessionError);
+            expect(error.errors).to.deep.equal(['Session "sales" already exists', 'Session names are at most 64 characters']);
+        }
+        expect(() => store.create({ id: DEFAULT_SESSION })).to.throw(SessionError, 'already exists');
+    });
+
+    it('never removes the default session', function() {
+        expect(() => store.remove(DEFAULT_SESSION)).to.throw(SessionError);
+        store.create({ id: 'sales' });
+        expect(store.remove('sales').id).to.equal('sales');
+        expect(store.remove('sales')).to.equal(null);
+    });
+
+    it('keeps sessions and whether they run across restarts', function() {
+        store.create({ id: 'sales' });
+        store.update(store.get(DEFAULT_SESSION), { running: false });
+        store.close();
+
+        const reopened = new SessionStore({ dataPath });
+        expect(reopened.list().map(session => [session.id, session.running])).to.deep.equal([[DEFAULT_SESSION, false], ['sales', true]]);
+    });
+});
@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { TemplateError, compileTemplate, validateTemplate } = require('../../../bot/templates/engine');
+
+const render = (template, vars, options = { locale: 'en-US' }) => compileTemplate(template, options).render(vars);
+
+describe('Template engine', function() {
+    describe('rendering', function() {
+        it('fills columns matched ignoring case, spaces and punctuation', function() {
+            expect(render('Hi {First Name}, order {order_id}', { first_name: 'Ann', 'Order ID': 42 }).text)
+                .to.equal('Hi Ann, order 42');
+        });
+
+        it('applies filters in order', function() {
+            expect(render('{name | lower | capitalize | bold}', { name: 'aNN lee' }).text).to.equal('*Ann Lee*');
+            expect(render('{note | italic}', { note: ' soon ' }).text).to.equal(' _soon_ ');
+            expect(render('{amount | number: 2}', { amount: '1,234.5' }).text).to.equal('1,234.50');
+            expect(render('{amount | currency: "USD"}', { amount: 5 }).text).to.equal('$5.00');
+        });
+
+        it('reads day-first dates', function() {
+            expect(render('{due | date: "D MMM YYYY"}', { due: '05/03/2026' }).text).to.equal('5 Mar 2026');
+            expect(render('{due | date: "YYYY-MM-DD"}', { due: 'not a date' }).text).to.equal('not a date');
+        });
+
+        it('renders {#if} branches', function() {
+            const template = '{#if plan == "Gold"}VIP{else}Hi{/if}{#if !city} (no city){/if}';
+            expect(render(template, { plan: 'gold', city: 'Pune' }).text).to.equal('VIP');
+            expect(render(template, { plan: 'silver' }).text).to.equal('Hi (no city)');
+            expect(render('{#if plan != "gold"}upgrade{/if}', {}).text).to.equal('upgrade');
+        });
+
+        it('leaves braces that are not tags alone', function() {
+            expect(render('{ } {1st} {"x"}', {}).text).to.equal('{ } {1st} {"x"}');
+        });
+    });
+
+    describe('missing variables', function() {
+        it('renders them empty and reports them', function() {
+            const { text, missing } = render('Hi {name}, see you in {city}', { name: 'Ann' });
+            expect(text).to.equal('Hi Ann, see you in ');
+            expect(missing).to.deep.equal(['city']);
+        });
+
+        it('uses the default instead and skips other filters on empty values', function() {
+            const { text, missing } = render('Hi {city | upper | default: "there"}', { city: '  ' });
+            expect(text).to.equal('Hi there');
+            expect(missing).to.deep.equal([]);
+        });
+
+        it('marks variables without a default as required', function() {
+            const { variables } = compileTemplate('{name} {City | default: "x"} {#if plan}{city}{/if}');
+            expect(variables).to.deep.equal([
+                { name: 'name', required: true },
+                { name: 'City', required: true },
+                { name: 'plan', required: false }
+            ]);
+        });
+    });
+
+    describe('errors', function() {
+        it('rejects unknown filters and filters missing their argument', function() {
+            expect(() => compileTemplate('{name | shout}')).to.throw(TemplateError, 'Unknown filter "shout"');
+            expect(() => compileTemplate('{name | default}')).to.throw(TemplateError, 'needs an argument');
+        });
+
+        it('rejects unbalanced {#if} blocks', function() {
+            expect(() => compileTemplate('{#if plan}gold')).to.throw(TemplateError, 'never closed');
+            expect(() => compileTemplate('gold{/if}')).to.throw(TemplateError, 'without a matching');
+            expect(() => compileTemplate('{else}')).to.throw(TemplateError, 'without a matching');
+        });
+    });
+
+    describe('validateTemplate', function() {
+        it('fails on required variables that are not columns of the list', function() {
+            const result = validateTemplate('Hi {name}, your {Plan} plan ends {due}', ['Number', 'plan']);
+            expect(result.valid).to.equal(false);
+            expect(result.errors).to.deep.equal(['{due} is not a column of the contact list']);
+        });
+
+        it('only warns about unknown headers that have a fallback', function() {
+            const result = validateTemplate('Hi {nick | default: "there"}{#if vip} VIP{/if}', []);
+            expect(result.valid).to.equal(true);
+            expect(result.warnings).to.have.lengthOf(2);
+        });
+
+        it('reports syntax errors instead of throwing', function() {
+            expect(validateTemplate('{name | shout}')).to.include({ valid: false })
+                .and.to.have.deep.property('errors', ['Unknown filter "shout" in {name | shout}']);
+        });
+    });
+});
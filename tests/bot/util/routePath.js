@@ -0,0 +1,22 @@
+const { expect } = require('chai');
+const { routePath, isApiPath } = require('../../../bot/util/routePath');
+
+describe('routePath', function() {
+    it('lowercases the path and drops trailing slashes', function() {
+        expect(routePath('/API/Auth/Users/')).to.equal('/api/auth/users');
+        expect(routePath('/api/qr///')).to.equal('/api/qr');
+    });
+
+    it('keeps the root', function() {
+        expect(routePath('/')).to.equal('/');
+        expect(routePath('//')).to.equal('/');
+    });
+
+    it('tells API paths however they are spelled', function() {
+        expect(isApiPath('/api/status')).to.equal(true);
+        expect(isApiPath('/API/status')).to.equal(true);
+        expect(isApiPath('/Api/')).to.equal(true);
+        expect(isApiPath('/apix/status')).to.equal(false);
+        expect(isApiPath('/index.html')).to.equal(false);
+    });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { expect } = require('chai');
+const WebhookDispatcher = require('../../../bot/webhooks/WebhookDispatcher');
+const WebhookStore = require('../../../bot/webhooks/WebhookStore');
+const DeliveryStore = require('../../../bot/webhooks/DeliveryStore');
+
+const SECRET = 'test-secret-0123456789';
+
+describe('WebhookDispatcher', function() {
+    let dataPath;
+    let server;
+    let url;
+    let requests;
+    let status;
+    let store;
+    let deliveries;
+    let deadLetters;
+    let dispatcher;
+
+    before(function(done) {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                res.statusCode = status;
+                res.end();
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${server.address().port}/hook`;
+            done();
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    beforeEach(function() {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'swb-webhooks-'));
+        requests = [];
+        status = 200;
+        deadLetters = [];
+        store = new WebhookStore({ dataPath });
+        deliveries = new DeliveryStore({ dataPath });
+        dispatcher = new WebhookDispatcher({ store, deliveries, maxAttempts: 2, onDeadLetter: deadLetter => deadLetters.push(deadLetter) });
+    });
+
+    afterEach(async function() {
+        // Writes still under way would recreate the directory
+        await Promise.all([store.save(), deliveries.savePending(), deliveries.saveDeadLetters()]);
+        dispatcher.close();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    const subscribe = (events = ['*'], fields = {}) => store.create({ url, events, secret: SECRET, description: '', ...fields });
+
+    const deliver = (event = 'webhook.test') => {
+        const subscription = store.list()[0];
+        return dispatcher.deliver(subscription, dispatcher.payload(event, { hello: 'world' }));
+    };
+
+    it('signs each POST so the receiver can recompute the signature', async function() {
+        subscribe();
+        const { delivery, result } = deliver();
+        expect((await result).ok).to.equal(true);
+
+        const [{ headers, body }] = requests;
+        const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        expect(headers['x-webhook-signature']).to.equal(`sha256=${expected}`);
+        expect(headers).to.include({ 'x-webhook-event': 'webhook.test', 'x-webhook-delivery': delivery.id, 'x-webhook-attempt': '1' });
+        expect(JSON.parse(body)).to.include({ event: 'webhook.test' }).and.to.have.deep.property('data', { hello: 'world' });
+        expect(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000)).to.be.below(5);
+    });
+
+    it('only sends events to enabled subscriptions that want them', async function() {
+        subscribe(['group.*']);
+        subscribe(['message.received']);
+        subscribe(['*'], { enabled: false });
+        const results = [];
+        const startDelivery = dispatcher.deliver.bind(dispatcher);
+        dispatcher.deliver = (...args) => {
+            const started = startDelivery(...args);
+            results.push(started.result);
+            return started;
+        };
+
+        const started = dispatcher.emit('group.join', {});
+        expect(started.map(delivery => delivery.subscriptionId)).to.deep.equal([store.list()[0].id]);
+        expect(dispatcher.emit('client.ready', {})).to.deep.equal([]);
+        await Promise.all(results);
+        expect(requests.map(request => request.headers['x-webhook-event'])).to.deep.equal(['group.join']);
+    });
+
+    it('counts delivered events and forgets the delivery', async function() {
+        const subscription = subscribe();
+        await deliver().result;
+        expect(subscription).to.include({ delivered: 1, failed: 0, lastStatus: 200 });
+        expect(deliveries.listPending()).to.deep.equal([]);
+    });
+
+    it('retries server errors after the backoff wait', async function() {
+        status = 503;
+        subscribe();
+        const startedAt = Date.now();
+        const { delivery, result } = deliver();
+        expect(await result).to.include({ ok: false, status: 503, retrying: true });
+
+        const wait = new Date(delivery.nextAttemptAt).getTime() - startedAt;
+        expect(wait).to.be.within(30000, 31000);
+        expect(deliveries.getPending(delivery.id)).to.include({ attempts: 1, lastError: 'HTTP 503 Service Unavailable' });
+        expect(dispatcher.retryTimer.get(delivery.id).sendAt).to.equal(delivery.nextAttemptAt);
+    });
+
+    it('moves a delivery to the dead letters once its attempts run out', async function() {
+        status = 500;
+        const subscription = subscribe();
+        const { delivery, result } = deliver();
+        await result;
+
+        await dispatcher.retry(delivery.id);
+        expect(requests.map(request => request.headers['x-webhook-attempt'])).to.deep.equal(['1', '2']);
+        expect(deliveries.listPending()).to.deep.equal([]);
+        expect(deadLetters).to.have.lengthOf(1);
+        expect(deadLetters[0]).to.include({ id: delivery.id, attempts: 2, lastStatus: 500, nextAttemptAt: null });
+        expect(deliveries.getDeadLetter(delivery.id)).to.not.equal(null);
+        expect(subscription).to.include({ delivered: 0, failed: 1 });
+    });
+
+    it('dead-letters answers that retrying won\'t fix right away', async function() {
+        status = 400;
+        subscribe();
+        expect(await deliver().result).to.include({ retrying: false, status: 400 });
+        expect(deadLetters).to.have.lengthOf(1);
+        expect(requests).to.have.lengthOf(1);
+    });
+
+    it('replays a dead letter as a new delivery of the same payload', async function() {
+        status = 404;
+        subscribe();
+        const { delivery, result } = deliver();
+        await result;
+
+        status = 200;
+        const replay = dispatcher.replay(deliveries.getDeadLetter(delivery.id));
+        expect(await replay.result).to.include({ ok: true });
+        expect(replay.delivery).to.include({ replayOf: delivery.id, attempts: 1 });
+        expect(JSON.parse(requests[1].body).id).to.equal(delivery.payload.id);
+        expect(deliveries.listDeadLetters()).to.deep.equal([]);
+    });
+});
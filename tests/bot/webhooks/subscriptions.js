@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { WebhookError, retryDelay, matchesEvent, signPayload, normalizeSubscription } = require('../../../bot/webhooks/subscriptions');
+
+describe('Webhook subscriptions', function() {
+    describe('matchesEvent', function() {
+        const wants = (events, event) => matchesEvent({ events }, event);
+
+        it('matches exact names, a kind and everything', function() {
+            expect(wants(['message.received'], 'message.received')).to.equal(true);
+            expect(wants(['message.received'], 'message.ack')).to.equal(false);
+            expect(wants(['group.*'], 'group.join')).to.equal(true);
+            expect(wants(['*'], 'client.ready')).to.equal(true);
+        });
+
+        it('only matches a kind up to its dot', function() {
+            expect(wants(['group.*'], 'groups.join')).to.equal(false);
+            expect(wants(['message.*'], 'message')).to.equal(false);
+        });
+    });
+
+    describe('signPayload', function() {
+        it('signs the timestamp and body with HMAC-SHA256', function() {
+            const body = '{"event":"webhook.test"}';
+            const expected = crypto.createHmac('sha256', 'a-long-enough-secret').update(`1781092800.${body}`).digest('hex');
+            expect(signPayload('a-long-enough-secret', 1781092800, body)).to.equal(`sha256=${expected}`);
+        });
+
+        it('changes with the secret, the timestamp and the body', function() {
+            const signature = signPayload('secret-one-123456', 1, '{}');
+            expect(signPayload('secret-two-123456', 1, '{}')).to.not.equal(signature);
+            expect(signPayload('secret-one-123456', 2, '{}')).to.not.equal(signature);
+            expect(signPayload('secret-one-123456', 1, '{ }')).to.not.equal(signature);
+        });
+    });
+
+    describe('retryDelay', function() {
+        it('waits four times longer each attempt, at most an hour', function() {
+            expect([1, 2, 3, 4, 5, 6].map(retryDelay)).to.deep.equal([30000, 120000, 480000, 1920000, 3600000, 3600000]);
+        });
+    });
+
+    describe('normalizeSubscription', function() {
+        it('subscribes to every event and generates a secret by default', function() {
+            const subscription = normalizeSubscription({ url: 'https://example.com/hook' });
+            expect(subscription.events).to.deep.equal(['*']);
+            expect(subscription.secret).to.match(/^[0-9a-f]{48}$/);
+        });
+
+        it('lists every problem at once', function() {
+            try {
+                normalizeSubscription({ url: 'ftp://example.com', events: 'message.*, nope.*, fax', secret: 'short' });
+                expect.fail('normalizeSubscription() should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(WebhookError);
+                expect(error.errors).to.deep.equal([
+                    'Webhook urls use http or https',
+                    'Unknown event nope.*, fax',
+                    'The secret needs at least 16 characters'
+                ]);
+            }
+        });
+
+        it('only checks the fields present on updates', function() {
+            expect(normalizeSubscription({ enabled: 'false' }, { partial: true })).to.deep.equal({ enabled: false });
+        });
+    });
+});